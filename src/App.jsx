@@ -1,5 +1,6 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react'
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import Spline from '@splinetool/react-spline'
+import { useLocation, useMatch, useNavigate, useSearchParams } from 'react-router-dom'
 import {
   Sun,
   Moon,
@@ -9,135 +10,552 @@ import {
   Plus,
   Play,
   CheckCircle2,
-  Hourglass,
-  Clock,
   X,
+  Square,
+  Pencil,
   ChevronRight,
+  AlertTriangle,
+  RotateCw,
+  Pause,
+  Ban,
+  ChevronsUp,
+  Cpu,
+  ShieldCheck,
+  LayoutTemplate,
+  CalendarClock,
+  BarChart3,
+  ListOrdered,
+  Upload,
+  ScrollText,
+  Bell,
+  BellOff,
 } from 'lucide-react'
+import { createTask, exportTasks, getTask, importTasks, listTasks, performTaskAction, updateTask } from './api/tasks'
+import { deleteSchedule, listSchedules, runScheduleNow, updateSchedule } from './api/schedules'
+import { createPlanningSession, deletePlanningSession, getPlanningSession, listPlanningSessions, updatePlanningSession } from './api/sessions'
+import { connectTaskEvents } from './api/events'
+import { applyTaskEvent, upsertTask } from './lib/taskEvents'
+import { createProvider } from './llm/providers'
+import { applyPipelineEdit, extractPipeline, formatPipelineBlock, pipelineToSteps, slugify, stepsToPipeline, validatePipeline } from './lib/pipeline'
+import { modelName, setCustomModels } from './lib/models'
+import { listCustomModels } from './api/models'
+import { canPerform } from './lib/lifecycle'
+import { PRIORITIES, queuePositions } from './lib/scheduler'
+import { formatDuration } from './lib/tasks'
+import { budgetLevel, formatCost, formatTokens, monthToDate, sumUsage, taskUsage, totalTokens } from './lib/usage'
+import { budgetWarnAt, monthlyBudgetUsd } from './api/config'
+import { can, canAct, canView, teamLabel, teamsOf } from './lib/roles'
+import useSession from './hooks/useSession'
+import { inheritTaskVaults, maskSession, redactConversation, redactFor, redactionErrors, redactSteps, redactTask, rememberSessionVault, rememberTaskVault, restoreForSession, restoreForTask, restoreMessages, restoreSteps, sendsToCloud, sessionVault, taskVault } from './api/redaction'
+import { describeRedactions, streamRestorer } from './lib/redact'
+import { matchesQuery, parseTaskQuery, queryOptions, sortTasks, writeTaskQuery } from './lib/taskQuery'
+import PlanCard from './components/PlanCard'
+import PipelineEditor from './components/PipelineEditor'
+import PipelineGraph from './components/PipelineGraph'
+import ModelSettings from './components/ModelSettings'
+import UsageSummary from './components/UsageSummary'
+import UserMenu from './components/UserMenu'
+import TaskFilters from './components/TaskFilters'
+import TaskRow from './components/TaskRow'
+import VirtualList from './components/VirtualList'
+import NotFound from './components/NotFound'
+import PlanningSessions from './components/PlanningSessions'
+import TemplateLibrary from './components/TemplateLibrary'
+import SaveTemplate from './components/SaveTemplate'
+import ScheduledTasks from './components/ScheduledTasks'
+import ScheduleDialog from './components/ScheduleDialog'
+import Analytics from './components/Analytics'
+import AuditLog from './components/AuditLog'
+import TaskTimeline from './components/TaskTimeline'
+import NotificationBell from './components/NotificationBell'
+import NotificationSettings from './components/NotificationSettings'
+import { showDesktop } from './components/desktopNotifications'
+import { getNotifySettings, listNotifications, markNotificationsRead, saveNotifySettings } from './api/notifications'
+import { notificationText } from './lib/notifications'
+import ExportMenu from './components/ExportMenu'
+import OfflineBanner from './components/OfflineBanner'
+import { rememberRead, startSync, subscribeSyncEvents } from './api/offline'
+import { download } from './components/download'
+import { formatExport, parseTaskExport, withNames } from './lib/taskExport'
+import { Progress, StatusBadge } from './components/status'
+import { base, dot, iconBtn, llmColor, palette, pill, primaryGhost, primarySolid, successSolid } from './theme'
 
-// Inline design system (2025)
-const palette = {
-  light: {
-    bg: '#0b1020', // used behind hero only
-    surface: '#ffffff',
-    surfaceMuted: '#f6f7fb',
-    card: '#ffffff',
-    text: '#0f1222',
-    textMuted: '#4b5563',
-    border: '#e5e7eb',
-    indigo: '#6366f1',
-    purple: '#8b5cf6',
-    green: '#22c55e',
-    amber: '#f59e0b',
-    red: '#ef4444',
-    cyan: '#22d3ee',
-  },
-  dark: {
-    bg: '#0b1020',
-    surface: '#0f162f',
-    surfaceMuted: '#0b122a',
-    card: '#121a38',
-    text: '#e5e7eb',
-    textMuted: '#9ca3af',
-    border: '#1f2a4a',
-    indigo: '#818cf8',
-    purple: '#a78bfa',
-    green: '#34d399',
-    amber: '#fbbf24',
-    red: '#f87171',
-    cyan: '#22d3ee',
-  },
-}
+const planner = createProvider()
 
-const base = {
-  radius: 12,
-  shadow: '0 10px 30px rgba(2,10,60,0.12)'
-}
+const GREETING = { role: 'ai', text: 'Describe your ops task. I will help plan the multi-LLM pipeline before you run it.' }
 
-const badgeColorByStatus = (status, theme) => {
-  const p = palette[theme]
-  switch (status) {
-    case 'running':
-      return { bg: `${p.indigo}22`, color: p.indigo, dot: p.indigo }
-    case 'queued':
-      return { bg: `${p.amber}22`, color: p.amber, dot: p.amber }
-    case 'complete':
-      return { bg: `${p.green}22`, color: p.green, dot: p.green }
-    default:
-      return { bg: `${p.border}`, color: p.textMuted, dot: p.textMuted }
-  }
-}
+// Unsaved conversations live at /plan/new until the first message is sent
+const NEW_SESSION = 'new'
+const AUTOSAVE_MS = 800
 
-const llmColor = (llm, theme) => {
-  const p = palette[theme]
-  const name = (llm || '').toLowerCase()
-  if (name.includes('claude')) return p.purple
-  if (name.includes('gpt')) return p.green
-  if (name.includes('kimi')) return p.cyan
-  return p.indigo
-}
-
-const fmtTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+// Pages besides the queue's own panels; the header links to the ones not open
+const PAGES = [
+  { id: 'queue', path: '/', label: 'Queue', ariaLabel: 'Task queue', Icon: ListOrdered },
+  { id: 'analytics', path: '/analytics', label: 'Analytics', ariaLabel: 'Analytics', Icon: BarChart3 },
+  { id: 'audit', path: '/audit', label: 'Audit log', ariaLabel: 'Audit log', Icon: ScrollText },
+]
 
 function App() {
   const [theme, setTheme] = useState('light')
   const p = palette[theme]
 
   const [view, setView] = useState('team') // 'team' | 'individual'
-  const currentUser = 'You'
+  const [team, setTeam] = useState('all') // team filter of the team view
+  const { user } = useSession()
+
+  const [tasks, setTasks] = useState([])
+  const [loadState, setLoadState] = useState('loading') // 'loading' | 'ready' | 'error'
+  const [loadError, setLoadError] = useState('')
+  const [createError, setCreateError] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [connection, setConnection] = useState({ state: 'connecting' })
+  const [pipelineDraft, setPipelineDraft] = useState(null) // editable pipeline of the selected task
+  const [pipelineSaving, setPipelineSaving] = useState(false)
+  const [pipelineError, setPipelineError] = useState('')
+  const [actionError, setActionError] = useState('')
+  const [modelsOpen, setModelsOpen] = useState(false)
+  const [templatesOpen, setTemplatesOpen] = useState(false)
+  const [savingTemplate, setSavingTemplate] = useState(false)
+  const [templateNotice, setTemplateNotice] = useState('')
+  const [schedules, setSchedules] = useState([])
+  const [scheduleError, setScheduleError] = useState('')
+  const [scheduleDialog, setScheduleDialog] = useState(null) // { schedule } to edit, or { source, sourceName, defaultName } to create
+  const [exporting, setExporting] = useState(null) // 'queue' | 'task' while an export is being fetched
+  const [transfer, setTransfer] = useState(null) // { error } or { notice } from the last export or import
+  const importRef = useRef(null)
+  const [detailsTab, setDetailsTab] = useState('pipeline') // 'pipeline' | 'timeline'
+  const [latestAudit, setLatestAudit] = useState(null) // last audit.appended entry, for the open log and timeline
+  const [notifications, setNotifications] = useState([])
+  const [notifySettings, setNotifySettings] = useState(null)
+  const [notifySettingsOpen, setNotifySettingsOpen] = useState(false)
+
+  // Selection, the expanded step and the planning chat live in the URL:
+  // /tasks/:taskId, /tasks/:taskId/steps/:stepIndex and /plan/:sessionId
+  const navigate = useNavigate()
+  const location = useLocation()
+  const taskMatch = useMatch('/tasks/:taskId/*')
+  const stepMatch = useMatch('/tasks/:taskId/steps/:stepIndex')
+  const planMatch = useMatch('/plan/:sessionId')
+  const analyticsOpen = !!useMatch('/analytics')
+  const auditOpen = !!useMatch('/audit')
+  const page = analyticsOpen ? 'analytics' : auditOpen ? 'audit' : 'queue'
+  const selectedId = taskMatch?.params.taskId ?? null
+  const openStepIndex = stepMatch ? Number(stepMatch.params.stepIndex) : null
+  const sessionId = planMatch?.params.sessionId ?? null
+  const chatOpen = !!sessionId
 
-  const [tasks, setTasks] = useState(() => seedTasks())
-  const [selectedId, setSelectedId] = useState(tasks[0]?.id || null)
+  // Filters stay in the query string while moving between tasks
+  const openTask = useCallback((id, options) => navigate({ pathname: `/tasks/${id}`, search: location.search }, options), [navigate, location.search])
+  // Step links open on the pipeline
+  useEffect(() => {
+    if (openStepIndex != null) setDetailsTab('pipeline')
+  }, [openStepIndex])
+
+  const openStep = (index) => navigate({ pathname: index == null ? `/tasks/${selected.id}` : `/tasks/${selected.id}/steps/${index}`, search: location.search })
+
+  // Marks the notification read and opens its task
+  const openNotification = (n) => {
+    markNotificationsRead([n.id]).then(setNotifications).catch(() => {})
+    if (n.taskId != null) navigate(`/tasks/${n.taskId}`)
+  }
+
+  const markAllRead = () => markNotificationsRead().then(setNotifications).catch(() => {})
+
+  const watching = (task) => !!notifySettings?.subscriptions.tasks.some(id => String(id) === String(task.id))
+
+  const toggleWatch = async (task) => {
+    setActionError('')
+    const tasksWatched = notifySettings.subscriptions.tasks
+    try {
+      const saved = await saveNotifySettings({
+        ...notifySettings,
+        subscriptions: { ...notifySettings.subscriptions, tasks: watching(task) ? tasksWatched.filter(id => String(id) !== String(task.id)) : [...tasksWatched, task.id] },
+      })
+      setNotifySettings(saved)
+    } catch (error) {
+      setActionError(`Could not change notifications - ${error.message}`)
+    }
+  }
+
+  const loadTasks = async () => {
+    setLoadState('loading')
+    setLoadError('')
+    try {
+      const data = await listTasks()
+      inheritTaskVaults(data)
+      setTasks(data)
+      setLoadState('ready')
+    } catch (error) {
+      setLoadError(error.message)
+      setLoadState('error')
+    }
+  }
+
+  useEffect(() => {
+    loadTasks()
+    // Custom models are optional; the built-in registry works without them
+    listCustomModels().then(setCustomModels).catch(() => {})
+    listSchedules().then(setSchedules).catch(error => setScheduleError(`Could not load schedules - ${error.message}`))
+    listNotifications().then(setNotifications).catch(() => {})
+    getNotifySettings().then(setNotifySettings).catch(() => {})
+  }, [])
+
+  const addTask = async (name, steps, { sessionId, templateId } = {}) => {
+    setCreating(true)
+    setCreateError('')
+    try {
+      // The name and step names reach the step models, so they are masked when any of them is a cloud model
+      const masked = sendsToCloud(steps) ? redactTask(name, steps) : { name, steps, vault: {} }
+      const t = await createTask({ name: masked.name, steps: masked.steps, team: team === 'all' ? undefined : team, sessionId, templateId })
+      rememberTaskVault(t.id, masked.vault)
+      setTasks(prev => upsertTask(prev, t))
+      return t
+    } catch (error) {
+      setCreateError(`Could not create task - ${error.message}`)
+      return null
+    } finally {
+      setCreating(false)
+    }
+  }
 
   // Chat state for pre-task discussion
-  const [chatOpen, setChatOpen] = useState(false)
-  const [messages, setMessages] = useState([
-    { role: 'ai', text: 'Describe your ops task. I will help plan the multi-LLM pipeline before you run it.' },
-  ])
+  const [messages, setMessages] = useState([GREETING])
   const [draft, setDraft] = useState('')
+  const [replying, setReplying] = useState(false)
+  const replyAbortRef = useRef(null)
+  // Token -> original value for everything redacted in this conversation; saved
+  // sessions only hold the tokens, so this is also what restores them
+  const vaultRef = useRef({})
   const chatEndRef = useRef(null)
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [messages, chatOpen])
 
-  // Simulate real-time updates for running tasks
+  // Saved planning sessions: the sidebar list and the one that is open
+  const [sessions, setSessions] = useState([])
+  const [sessionsError, setSessionsError] = useState('')
+  const [session, setSession] = useState(null) // open session without its messages; null while unsaved
+  const [sessionError, setSessionError] = useState('')
+  const [saveError, setSaveError] = useState('')
+  // Session whose conversation is in `messages`, and the messages last saved to it
+  const loadedSessionRef = useRef(null)
+  const savedRef = useRef(null)
+
+  const rememberSession = (s) => setSessions(prev => [
+    { ...sessionInfo(s), messageCount: s.messages?.filter(m => m.role === 'user').length ?? prev.find(x => x.id === s.id)?.messageCount ?? 0 },
+    ...prev.filter(x => x.id !== s.id),
+  ].sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1)))
+
+  useEffect(() => {
+    if (!chatOpen) return
+    listPlanningSessions()
+      .then(list => { setSessions(list); setSessionsError('') })
+      .catch(error => setSessionsError(`Could not load sessions - ${error.message}`))
+  }, [chatOpen])
+
+  // A different session id in the URL switches the conversation: /plan/new starts
+  // an empty one, anything else is loaded from the backend
+  useEffect(() => {
+    if (!sessionId || sessionId === loadedSessionRef.current) return undefined
+    replyAbortRef.current?.abort()
+    vaultRef.current = {}
+    setDraft('')
+    setCreateError('')
+    setSaveError('')
+    setSessionError('')
+    setSession(null)
+    if (sessionId === NEW_SESSION) {
+      loadedSessionRef.current = NEW_SESSION
+      savedRef.current = null
+      setMessages([GREETING])
+      return undefined
+    }
+    let stale = false
+    setMessages([])
+    getPlanningSession(sessionId)
+      .then(s => {
+        if (stale) return
+        const restored = restoreMessages(s.messages, sessionVault(s.id))
+        loadedSessionRef.current = sessionId
+        vaultRef.current = sessionVault(s.id)
+        savedRef.current = restored
+        setSession(sessionInfo(s))
+        setMessages(restored)
+      })
+      .catch(error => {
+        if (stale) return
+        setSessionError(error.status === 404 ? 'This planning session does not exist.' : error.status === 403 ? 'This planning session belongs to another team.' : `Could not load this session - ${error.message}`)
+      })
+    return () => { stale = true }
+  }, [sessionId])
+
+  // Sessions that created a task are its record, and other people's are only shown
+  const sessionReadOnly = !!session && (session.taskId != null || session.userId !== user.id)
+
+  // Autosave once a reply has finished and the conversation has been quiet for a moment
   useEffect(() => {
-    const t = setInterval(() => {
-      setTasks(prev => prev.map(task => {
-        if (task.status !== 'running') return task
-        let progress = Math.min(100, task.progress + Math.random() * 6)
-        // Update steps
-        const steps = task.steps.map(step => {
-          if (step.status === 'running') {
-            const sp = Math.min(100, (step.progress || 0) + Math.random() * 10)
-            const nextStatus = sp >= 100 ? 'complete' : 'running'
-            return { ...step, progress: sp, status: nextStatus, duration: calcDuration(task.startTime) }
-          }
-          if (step.status === 'queued' && progress > 10 && Math.random() > 0.7) {
-            return { ...step, status: 'running', progress: step.progress || 5, duration: calcDuration(task.startTime) }
-          }
-          return step
-        })
-        // Complete task if all steps complete
-        const complete = steps.every(s => s.status === 'complete') || progress >= 100
-        return {
-          ...task,
-          progress: complete ? 100 : progress,
-          status: complete ? 'complete' : 'running',
-          steps,
-          duration: calcDuration(task.startTime)
+    if (!session || sessionReadOnly || replying || messages === savedRef.current) return undefined
+    const timer = setTimeout(async () => {
+      try {
+        const stored = storableSession(session.id, { messages: messages.map(storable) })
+        const saved = await updatePlanningSession(session.id, { messages: stored.messages })
+        savedRef.current = messages
+        setSaveError('')
+        rememberSession(saved)
+      } catch (error) {
+        setSaveError(`Not saved - ${error.message}`)
+      }
+    }, AUTOSAVE_MS)
+    return () => clearTimeout(timer)
+  }, [messages, replying, session, sessionReadOnly])
+
+  // Sidebar navigation replaces the chat entry, so closing still returns to where it was opened from
+  const switchSession = (id) => navigate(`/plan/${id}`, { replace: true, state: location.state })
+
+  // The backend gets the session masked; its vault stays here
+  const storableSession = (id, s) => {
+    const masked = maskSession(s, id === session?.id ? vaultRef.current : sessionVault(id))
+    if (id === session?.id) vaultRef.current = masked.vault
+    rememberSessionVault(id, masked.vault)
+    return masked
+  }
+
+  const renameSession = async (id, name) => {
+    try {
+      const saved = await updatePlanningSession(id, { name: storableSession(id, { name }).name })
+      rememberSession(saved)
+      if (session?.id === saved.id) setSession(sessionInfo(saved))
+    } catch (error) {
+      setSessionsError(`Could not rename - ${error.message}`)
+    }
+  }
+
+  const removeSession = async (id) => {
+    try {
+      await deletePlanningSession(id)
+      setSessions(prev => prev.filter(s => s.id !== id))
+      if (session?.id === id) switchSession(NEW_SESSION)
+    } catch (error) {
+      setSessionsError(`Could not delete - ${error.message}`)
+    }
+  }
+
+  const openChat = (id = NEW_SESSION) => navigate(`/plan/${id}`, { state: { from: location } })
+  // Back to wherever the chat was opened from; links opened directly fall back to the queue
+  const closeChat = () => {
+    replyAbortRef.current?.abort()
+    if (location.state?.from) navigate(-1)
+    else navigate('/', { replace: true })
+  }
+
+  // Live step and task updates pushed by the backend (or the demo simulator).
+  // Handlers filter by the signed-in user, so signing in as someone else resubscribes.
+  useEffect(() => {
+    return connectTaskEvents({
+      onEvent: (event) => {
+        if (event.type === 'resync') {
+          loadTasks()
+          listSchedules().then(setSchedules).catch(() => {})
+        } else if (event.type === 'schedule.updated') {
+          setSchedules(prev => upsertTask(prev, event.schedule))
+        } else if (event.type === 'schedule.deleted') {
+          setSchedules(prev => prev.filter(s => s.id !== event.scheduleId))
+        } else if (event.type === 'audit.appended') {
+          setLatestAudit(event.entry)
+        } else if (event.type === 'notification.created') {
+          const n = event.notification
+          if (n.userId !== user.id) return
+          setNotifications(prev => [n, ...prev.filter(x => x.id !== n.id)])
+          if (!n.quiet) showDesktop(notificationText(n, n.taskId == null ? null : restoreForTask(n.taskId, n.taskName)), { tag: `notification-${n.id}`, onClick: () => openNotification(n) })
+        } else {
+          if (event.type === 'task.created') inheritTaskVaults([event.task])
+          setTasks(prev => applyTaskEvent(prev, event))
         }
-      }))
-    }, 1000)
-    return () => clearInterval(t)
-  }, [])
+      },
+      onStatus: setConnection,
+    })
+  }, [user?.id])
+
+  // The backend already scopes the list; this also drops pushed events for other teams
+  const scoped = useMemo(() => tasks.filter(t => canView(user, t)), [tasks, user])
+  const teams = useMemo(() => teamsOf(user, scoped), [user, scoped])
+  const visibleAudit = latestAudit && canView(user, latestAudit) ? latestAudit : null
+
+  // Offline copy of the queue as the event stream keeps it
+  useEffect(() => startSync(), [])
+  useEffect(() => {
+    if (loadState === 'ready') rememberRead('/tasks', scoped)
+  }, [scoped, loadState])
+
+  // Writes made offline: the backend's answer replaces the local copy (and a local
+  // id in the URL), and everything is reloaded once the outbox is empty. The handler
+  // is swapped every render, so it always sees the current state and callbacks.
+  const syncEventRef = useRef(null)
+  syncEventRef.current = (event) => {
+    if (event.type !== 'applied') {
+      loadTasks()
+      if (chatOpen) listPlanningSessions().then(setSessions).catch(() => {})
+      return
+    }
+    const { op, item } = event
+    if (op.kind.startsWith('task.')) {
+      if (op.localId) rememberTaskVault(item.id, taskVault(op.localId))
+      setTasks(prev => upsertTask(prev.filter(t => t.id !== op.localId), { ...item, pending: false }))
+      if (op.localId && selectedId === op.localId) openTask(item.id, { replace: true })
+      return
+    }
+    if (op.localId) rememberSessionVault(item.id, sessionVault(op.localId))
+    setSessions(prev => prev.filter(s => s.id !== op.localId))
+    rememberSession(item)
+    if (op.localId && session?.id === op.localId) {
+      loadedSessionRef.current = String(item.id)
+      setSession(sessionInfo(item))
+      navigate(`/plan/${item.id}`, { replace: true, state: location.state })
+    }
+  }
+  useEffect(() => subscribeSyncEvents(event => syncEventRef.current(event)), [])
 
   const filtered = useMemo(() => {
-    return view === 'individual' ? tasks.filter(t => t.user === currentUser) : tasks
-  }, [tasks, view])
+    if (view === 'individual') return scoped.filter(t => t.userId === user.id)
+    return team === 'all' ? scoped : scoped.filter(t => t.team === team)
+  }, [scoped, view, team, user])
+
+  // Schedules follow the same team and individual views as tasks
+  const shownSchedules = useMemo(() => schedules.filter(s => canView(user, s) && (
+    view === 'individual' ? s.userId === user.id : team === 'all' || s.team === team
+  )), [schedules, user, view, team])
+  const tasksById = useMemo(() => new Map(scoped.map(t => [t.id, t])), [scoped])
+
+  const changeSchedule = async (change) => {
+    setScheduleError('')
+    try {
+      const saved = await change()
+      if (saved) setSchedules(prev => upsertTask(prev, saved))
+    } catch (error) {
+      setScheduleError(error.message)
+    }
+  }
+
+  // Search, filters and sort live in the query string so a view can be shared
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = useMemo(() => parseTaskQuery(searchParams), [searchParams])
+  const setQuery = (next) => setSearchParams(prev => writeTaskQuery(prev, next), { replace: true })
+  const visible = useMemo(() => (
+    sortTasks(filtered.filter(t => matchesQuery(t, query, (task, text) => restoreForTask(task.id, text))), query.sort, query.dir)
+  ), [filtered, query])
+  const filterOptions = useMemo(() => queryOptions(filtered), [filtered])
+
+  // Exports carry the names as typed here; the backend only has the masked ones
+  const exportFile = async (ids, format, scope) => {
+    setTransfer(null)
+    setExporting(scope)
+    try {
+      const exported = withNames(await exportTasks(ids), (t, text) => restoreForTask(t.id, text))
+      const { text, fileName, type } = formatExport(exported, format)
+      download(text, fileName, type)
+    } catch (error) {
+      setTransfer({ error: `Could not export - ${error.message}` })
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  const importFile = async (file) => {
+    setTransfer(null)
+    const text = await file.text()
+    const parsed = parseTaskExport(text)
+    if (!parsed.ok) {
+      setTransfer({ error: `${file.name}: ${parsed.errors[0]}${parsed.errors.length > 1 ? ` (and ${parsed.errors.length - 1} more)` : ''}` })
+      return
+    }
+    // Names are masked again before they reach the backend, as for new tasks; the
+    // step history follows steps whose id had to change
+    const exported = JSON.parse(text)
+    const masks = exported.tasks.map(t => (sendsToCloud(t.steps) ? redactTask(t.name.trim(), t.steps) : { name: t.name, steps: t.steps, vault: {}, ids: new Map() }))
+    const history = (t, ids) => t.history && Object.fromEntries(Object.entries(t.history).map(([id, runs]) => [ids.get(id) ?? id, runs]))
+    try {
+      const created = await importTasks({ ...exported, tasks: exported.tasks.map((t, i) => ({ ...t, name: masks[i].name, steps: masks[i].steps, history: history(t, masks[i].ids) })) })
+      created.forEach((t, i) => rememberTaskVault(t.id, masks[i].vault))
+      setTasks(prev => created.reduce(upsertTask, prev))
+      const paused = created.filter(t => t.status === 'paused').length
+      setTransfer({ notice: `Imported ${created.length} task${created.length === 1 ? '' : 's'} from ${file.name}${paused ? `; ${paused} unfinished came back paused` : ''}` })
+    } catch (error) {
+      setTransfer({ error: `Could not import ${file.name} - ${error.message}` })
+    }
+  }
+
+  const linked = useMemo(() => (selectedId == null ? null : scoped.find(t => String(t.id) === selectedId) || null), [scoped, selectedId])
+  const selected = selectedId == null ? visible[0] : linked
+
+  // A linked task missing from the list is fetched once: it may be new, or the link may be dead
+  const [missing, setMissing] = useState(null) // { id, status, message }
+  useEffect(() => {
+    if (loadState !== 'ready' || selectedId == null || linked) return
+    let stale = false
+    getTask(selectedId)
+      .then(task => !stale && setTasks(prev => upsertTask(prev, task)))
+      .catch(error => !stale && setMissing({ id: selectedId, status: error.status, message: error.message }))
+    return () => { stale = true }
+  }, [loadState, selectedId, linked])
+  const notFound = !linked && missing?.id === selectedId ? missing : null
+  const selectedUsage = useMemo(() => (selected ? taskUsage(selected) : null), [selected])
+  const canOperate = !!selected && can(user, 'task.operate', selected)
+
+  // Pipeline editing in the Details panel
+  useEffect(() => {
+    setPipelineDraft(null)
+    setPipelineError('')
+    setActionError('')
+    setTemplateNotice('')
+  }, [selected?.id])
+
+  // Lifecycle actions; the backend validates the transition and returns the updated task
+  const runAction = async (task, action, stepIndex, extra) => {
+    setActionError('')
+    try {
+      const updated = await performTaskAction(task.id, action, stepIndex, extra)
+      setTasks(prev => upsertTask(prev, updated))
+    } catch (error) {
+      setActionError(`Could not ${action} - ${error.message}`)
+    }
+  }
 
-  const selected = useMemo(() => tasks.find(t => t.id === selectedId) || filtered[0], [tasks, selectedId, filtered])
+  const savePipeline = async () => {
+    const result = validatePipeline(pipelineDraft)
+    if (!result.ok) return
+    setPipelineSaving(true)
+    setPipelineError('')
+    try {
+      // Keep the live run state: steps that started since editing began stay as the backend has them
+      const steps = applyPipelineEdit(selected.steps, { steps: result.pipeline.steps })
+      // The editor shows names as typed; they are masked again with the task's vault
+      const vault = taskVault(selected.id)
+      const masked = sendsToCloud(steps) || Object.keys(vault).length
+        ? redactSteps(steps, vault, new Set(stepsToPipeline(selected.steps).steps.map(s => s.id)))
+        : { steps, vault }
+      const saved = await updateTask(selected.id, { steps: masked.steps })
+      rememberTaskVault(selected.id, masked.vault)
+      setTasks(prev => upsertTask(prev, saved))
+      setPipelineDraft(null)
+    } catch (error) {
+      setPipelineError(`Could not save pipeline - ${error.message}`)
+    } finally {
+      setPipelineSaving(false)
+    }
+  }
+
+  const positions = useMemo(() => queuePositions(scoped), [scoped])
+
+  const setPriority = async (task, priority) => {
+    setActionError('')
+    try {
+      const updated = await updateTask(task.id, { priority })
+      setTasks(prev => upsertTask(prev, updated))
+    } catch (error) {
+      setActionError(`Could not change priority - ${error.message}`)
+    }
+  }
 
   // Stats
   const stats = useMemo(() => {
@@ -145,30 +563,100 @@ function App() {
     const running = filtered.filter(t => t.status === 'running').length
     const queued = filtered.filter(t => t.status === 'queued').length
     const complete = filtered.filter(t => t.status === 'complete').length
-    return { total, running, queued, complete }
+    return { total, running, queued, complete, usage: sumUsage(filtered) }
   }, [filtered])
 
-  // Chat handlers (mock AI)
-  const sendMessage = () => {
-    if (!draft.trim()) return
-    const userMsg = { role: 'user', text: draft.trim() }
-    setMessages(m => [...m, userMsg])
+  // The budget covers the user's teams, so month-to-date spend ignores the view and team filter
+  const monthSpend = useMemo(() => monthToDate(scoped).cost, [scoped])
+  const budget = budgetLevel(monthSpend, monthlyBudgetUsd, budgetWarnAt)
+
+  // Chat handlers: stream the planner's reply into the last AI bubble
+  const patchLastMessage = (patch) => setMessages(m => {
+    const last = m[m.length - 1]
+    return [...m.slice(0, -1), { ...last, ...(typeof patch === 'function' ? patch(last) : patch) }]
+  })
+
+  const sendMessage = async () => {
+    if (!draft.trim() || replying) return
+    let userMsg = { role: 'user', text: draft.trim() }
+    let history = [...messages.filter(m => !m.error).map(toHistory), userMsg]
+    // Cloud planners only ever see tokens; replies are restored as they stream in
+    let restorer = null
+    if (redactFor(planner)) {
+      const masked = redactConversation(history, vaultRef.current)
+      vaultRef.current = masked.vault
+      history = masked.messages
+      userMsg = { ...userMsg, redacted: masked.found[masked.found.length - 1].map(f => ({ ...f, value: masked.vault[f.token].value })) }
+      restorer = streamRestorer(masked.vault)
+    }
+    const restored = () => restorer?.restored().map(token => ({ token, ...vaultRef.current[token] })) || []
+    setMessages(m => [...m, userMsg, { role: 'ai', text: '', streaming: true }])
     setDraft('')
-    // mock AI planning
-    setTimeout(() => {
-      const ai = planReply(userMsg.text)
-      setMessages(m => [...m, { role: 'ai', text: ai }])
-    }, 500)
+    setReplying(true)
+    const controller = new AbortController()
+    replyAbortRef.current = controller
+    // The first message saves the conversation; the reply is saved once it is complete
+    if (!session) {
+      const conversation = [...messages, userMsg]
+      try {
+        const stored = maskSession({ name: summarize(conversation), messages: conversation.map(storable) }, vaultRef.current)
+        vaultRef.current = stored.vault
+        const created = await createPlanningSession({ name: stored.name, messages: stored.messages })
+        rememberSessionVault(created.id, stored.vault)
+        loadedSessionRef.current = String(created.id)
+        savedRef.current = conversation
+        setSession(sessionInfo(created))
+        rememberSession(created)
+        navigate(`/plan/${created.id}`, { replace: true, state: location.state })
+      } catch (error) {
+        setSaveError(`Not saved - ${error.message}`)
+      }
+    }
+    try {
+      for await (const token of planner.streamChat(history, { signal: controller.signal })) {
+        const text = restorer ? restorer.push(token) : token
+        if (text) patchLastMessage(last => ({ text: last.text + text }))
+      }
+      const tail = restorer?.flush() || ''
+      patchLastMessage(last => ({ streaming: false, restored: restored(), ...parseProposal(last.text + tail) }))
+    } catch (error) {
+      const tail = restorer?.flush() || ''
+      if (error.name === 'AbortError') patchLastMessage(last => ({ text: last.text + tail, streaming: false, cancelled: true, restored: restored() }))
+      else patchLastMessage(last => ({ text: last.text + tail, streaming: false, error: error.message }))
+    } finally {
+      replyAbortRef.current = null
+      setReplying(false)
+    }
   }
 
-  const createTaskFromChat = () => {
-    // Synthesize task from last user or whole thread
+  const cancelReply = () => replyAbortRef.current?.abort()
+
+  const editPlan = (index, pipeline) => setMessages(m => m.map((msg, i) => (
+    i === index ? { ...msg, pipeline, pipelineErrors: validatePipeline(pipeline).errors } : msg
+  )))
+
+  const createTaskFromChat = async () => {
+    // Name from the last user message, steps from the latest structured proposal
     const name = summarize(messages)
-    const pipeline = derivePipeline(messages)
-    const newTask = makeTask(name, currentUser, pipeline)
-    setTasks(t => [newTask, ...t])
-    setSelectedId(newTask.id)
-    setChatOpen(false)
+    const proposal = [...messages].reverse().find(m => m.pipeline || m.pipelineErrors?.length)
+    let steps
+    if (proposal) {
+      const result = validatePipeline(proposal.pipeline)
+      if (!result.ok) {
+        setCreateError(`Fix the proposed pipeline first - ${result.errors[0]}`)
+        return
+      }
+      steps = pipelineToSteps(result.pipeline)
+    }
+    const newTask = await addTask(name, steps, { sessionId: session?.id })
+    if (!newTask) return
+    if (session) {
+      const linked = { ...session, taskId: newTask.id, team: newTask.team, updatedAt: newTask.createdAt }
+      setSession(linked)
+      rememberSession(linked)
+    }
+    // The new task replaces the chat in history, so Back does not reopen a finished plan
+    openTask(newTask.id, { replace: true })
   }
 
   return (
@@ -190,172 +678,464 @@ function App() {
               </div>
             </div>
             <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
-              {/* View toggle */}
-              <div role="group" aria-label="View toggle" style={{ display: 'flex', background: 'rgba(255,255,255,0.1)', border: '1px solid rgba(255,255,255,0.35)', padding: 4, borderRadius: 999 }}>
-                <button onClick={() => setView('individual')} aria-pressed={view==='individual'} aria-label="Individual view" style={pill(view==='individual', theme)}>
-                  <User size={16} style={{ marginRight: 6 }} /> Individual
-                </button>
-                <button onClick={() => setView('team')} aria-pressed={view==='team'} aria-label="Team view" style={pill(view==='team', theme)}>
-                  <Users size={16} style={{ marginRight: 6 }} /> Team
+              <ConnectionIndicator connection={connection} theme={theme} />
+              {PAGES.filter(pg => pg.id !== page).map(({ id, path, label, ariaLabel, Icon }) => (
+                <button key={id} onClick={() => navigate(path)} aria-label={ariaLabel} style={{ display:'inline-flex', alignItems:'center', gap:8, padding:'8px 12px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow }}>
+                  <Icon size={16}/> {label}
                 </button>
-              </div>
+              ))}
+              {/* View toggle; analytics and the audit log have their own filters */}
+              {page === 'queue' && (
+                <>
+                  <div role="group" aria-label="View toggle" style={{ display: 'flex', background: 'rgba(255,255,255,0.1)', border: '1px solid rgba(255,255,255,0.35)', padding: 4, borderRadius: 999 }}>
+                    <button onClick={() => setView('individual')} aria-pressed={view==='individual'} aria-label="Individual view" style={pill(view==='individual', theme)}>
+                      <User size={16} style={{ marginRight: 6 }} /> Individual
+                    </button>
+                    <button onClick={() => setView('team')} aria-pressed={view==='team'} aria-label="Team view" style={pill(view==='team', theme)}>
+                      <Users size={16} style={{ marginRight: 6 }} /> Team
+                    </button>
+                  </div>
+                  {view==='team' && teams.length > 1 && (
+                    <select aria-label="Team" value={team} onChange={e => setTeam(e.target.value)} style={{ padding:'8px 10px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow }}>
+                      <option value="all">All my teams</option>
+                      {teams.map(t => <option key={t} value={t}>{teamLabel(t)}</option>)}
+                    </select>
+                  )}
+                </>
+              )}
+              <button onClick={() => setModelsOpen(true)} aria-label="Model settings" style={{ display:'inline-flex', alignItems:'center', gap:8, padding:'8px 12px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow }}>
+                <Cpu size={16}/> Models
+              </button>
               {/* Theme toggle */}
               <button onClick={() => setTheme(t => t==='light'?'dark':'light')} aria-label="Toggle theme" style={{ display:'inline-flex', alignItems:'center', gap:8, padding:'8px 12px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow }}>
                 {theme==='light' ? <Sun size={16}/> : <Moon size={16}/>} {theme==='light'?'Light':'Dark'}
               </button>
+              <NotificationBell notifications={notifications} onOpen={openNotification} onMarkAllRead={markAllRead} onSettings={() => setNotifySettingsOpen(true)} theme={theme} />
+              <UserMenu user={user} theme={theme} />
             </div>
           </div>
         </div>
 
+        <OfflineBanner theme={theme} />
+
         {/* Stats bar */}
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, minmax(0, 1fr))', gap: 12, padding: 16, borderTop: `1px solid ${p.border}`, background: p.surface }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, minmax(0, 1fr))', gap: 12, padding: 16, borderTop: `1px solid ${p.border}`, background: p.surface }}>
           {[
             { label: 'Total', value: stats.total, color: p.text },
             { label: 'Running', value: stats.running, color: p.indigo },
             { label: 'Queued', value: stats.queued, color: p.amber },
             { label: 'Complete', value: stats.complete, color: p.green },
+            { label: 'Tokens', value: formatTokens(totalTokens(stats.usage)), color: p.text, title: `${stats.usage.inputTokens} input / ${stats.usage.outputTokens} output` },
+            { label: 'Cost', value: formatCost(stats.usage.cost), color: p.text },
           ].map((s, i) => (
-            <div key={i} style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 16, boxShadow: base.shadow }}>
+            <div key={i} title={s.title} style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 16, boxShadow: base.shadow }}>
               <div style={{ fontSize: 12, color: p.textMuted, marginBottom: 6 }}>{s.label}</div>
               <div style={{ fontWeight: 700, fontSize: 20, color: s.color }}>{s.value}</div>
             </div>
           ))}
         </div>
+        {monthlyBudgetUsd > 0 && (
+          <BudgetBar spent={monthSpend} budget={monthlyBudgetUsd} level={budget} theme={theme} />
+        )}
       </header>
 
       {/* Main layout */}
-      <main style={{ display: 'grid', gridTemplateColumns: '1fr 400px', gap: 16, padding: 16 }}>
-        {/* Left: Task queue and composer */}
-        <section aria-label="Task queue" style={{ display:'flex', flexDirection:'column', gap:12 }}>
-          {/* Task composer */}
-          <div style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 12, boxShadow: base.shadow }}>
-            <div style={{ display:'flex', gap:8, alignItems:'center' }}>
-              <input aria-label="Task name" placeholder="Describe a new ops task..." style={{ flex:1, padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.border}`, background: theme==='light'?'#fff':'#0c1430', color: p.text, outlineColor: p.indigo }} />
-              <button onClick={() => setChatOpen(true)} aria-label="Discuss with AI" style={primaryGhost(p)}>
-                <MessageSquare size={16} style={{ marginRight: 6 }} /> Discuss with AI
-              </button>
-              <button onClick={() => {
-                const input = document.querySelector('input[aria-label="Task name"]')
-                const val = (input?.value || '').trim()
-                if (!val) return
-                const t = makeTask(val, currentUser)
-                setTasks(prev => [t, ...prev])
-                setSelectedId(t.id)
-                input.value = ''
-              }} aria-label="Add task" style={primarySolid(p)}>
-                <Plus size={16} style={{ marginRight: 6 }} /> Add Task
-              </button>
-            </div>
-            <div style={{ marginTop: 8, fontSize: 12, color: p.textMuted }}>Tip: Use “Discuss with AI” to co-design the multi-LLM pipeline before you start.</div>
-          </div>
+      {notFound ? (
+        <NotFound
+          title={notFound.status === 403 ? 'You cannot open this task' : `Task ${notFound.id} not found`}
+          detail={notFound.status === 403 ? 'It belongs to a team you are not a member of.' : notFound.status === 404 ? 'It may have been deleted, or the link is wrong.' : notFound.message}
+          theme={theme}
+        />
+      ) : analyticsOpen ? (
+        <Analytics tasks={scoped} teams={teams} loadState={loadState} loadError={loadError} theme={theme} />
+      ) : auditOpen ? (
+        <AuditLog user={user} latest={visibleAudit} onOpenTask={id => navigate(`/tasks/${id}`)} theme={theme} />
+      ) : (
+        <main style={{ display: 'grid', gridTemplateColumns: '1fr 400px', gap: 16, padding: 16 }}>
+          {/* Left: Task queue and composer */}
+          <section aria-label="Task queue" style={{ display:'flex', flexDirection:'column', gap:12 }}>
+            {/* Task composer */}
+            {can(user, 'task.create') && (
+              <div style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 12, boxShadow: base.shadow }}>
+                <div style={{ display:'flex', gap:8, alignItems:'center' }}>
+                  <input aria-label="Task name" placeholder="Describe a new ops task..." style={{ flex:1, padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.border}`, background: theme==='light'?'#fff':'#0c1430', color: p.text, outlineColor: p.indigo }} />
+                  <button onClick={() => { setCreateError(''); setTemplatesOpen(true) }} aria-label="Create from template" style={primaryGhost(p)}>
+                    <LayoutTemplate size={16} style={{ marginRight: 6 }} /> Template
+                  </button>
+                  <button onClick={() => { setCreateError(''); openChat() }} aria-label="Discuss with AI" style={primaryGhost(p)}>
+                    <MessageSquare size={16} style={{ marginRight: 6 }} /> Discuss with AI
+                  </button>
+                  <button disabled={creating} onClick={async () => {
+                    const input = document.querySelector('input[aria-label="Task name"]')
+                    const val = (input?.value || '').trim()
+                    if (!val) return
+                    const t = await addTask(val)
+                    if (t) {
+                      input.value = ''
+                      openTask(t.id)
+                    }
+                  }} aria-label="Add task" style={{ ...primarySolid(p), opacity: creating ? 0.6 : 1 }}>
+                    <Plus size={16} style={{ marginRight: 6 }} /> {creating ? 'Adding…' : 'Add Task'}
+                  </button>
+                </div>
+                {createError ? (
+                  <div role="alert" style={{ marginTop: 8, fontSize: 12, color: p.red }}>{createError}</div>
+                ) : (
+                  <div style={{ marginTop: 8, fontSize: 12, color: p.textMuted }}>Tip: Use “Discuss with AI” to co-design the multi-LLM pipeline before you start.</div>
+                )}
+              </div>
+            )}
+
+            <ScheduledTasks
+              schedules={shownSchedules}
+              tasksById={tasksById}
+              error={scheduleError}
+              canOperate={s => can(user, 'task.operate', s)}
+              onRunNow={s => changeSchedule(() => runScheduleNow(s.id))}
+              onSkip={(s, skip) => changeSchedule(() => updateSchedule(s.id, { skipNext: skip }))}
+              onToggle={(s, enabled) => changeSchedule(() => updateSchedule(s.id, { enabled }))}
+              onEdit={schedule => setScheduleDialog({ schedule })}
+              onDelete={s => changeSchedule(async () => {
+                await deleteSchedule(s.id)
+                setSchedules(prev => prev.filter(x => x.id !== s.id))
+              })}
+              onOpenTask={id => openTask(id)}
+              theme={theme}
+            />
+
+            <TaskFilters
+              query={query}
+              onChange={setQuery}
+              options={filterOptions}
+              shown={visible.length}
+              total={filtered.length}
+              actions={<>
+                <ExportMenu
+                  label={`Export ${visible.length}`}
+                  ariaLabel="Export shown tasks"
+                  disabled={!visible.length}
+                  busy={exporting === 'queue'}
+                  onExport={format => exportFile(visible.map(t => t.id), format, 'queue')}
+                  buttonStyle={smallGhost(p)}
+                  theme={theme}
+                />
+                {can(user, 'task.create') && (
+                  <>
+                    <button onClick={() => importRef.current?.click()} aria-label="Import tasks" title="Restore tasks from a JSON export" style={smallGhost(p)}>
+                      <Upload size={14} /> Import
+                    </button>
+                    <input ref={importRef} type="file" accept=".json,application/json" hidden onChange={e => {
+                      const file = e.target.files?.[0]
+                      e.target.value = ''
+                      if (file) importFile(file)
+                    }} />
+                  </>
+                )}
+              </>}
+              theme={theme}
+            />
+            {transfer && (
+              <div role={transfer.error ? 'alert' : 'status'} style={{ display:'flex', alignItems:'center', gap:8, fontSize: 12, color: transfer.error ? p.red : p.green }}>
+                {transfer.error ? <AlertTriangle size={14} /> : <CheckCircle2 size={14} />} {transfer.error || transfer.notice}
+                <button onClick={() => setTransfer(null)} aria-label="Dismiss" style={{ border:'none', background:'transparent', color: p.textMuted, cursor:'pointer', padding: 0 }}><X size={12} /></button>
+              </div>
+            )}
 
-          {/* Task list */}
-          <div style={{ display:'flex', flexDirection:'column', gap:12 }}>
-            {filtered.map(task => (
-              <button key={task.id} onClick={() => setSelectedId(task.id)} aria-label={`Open ${task.name}`} style={{ textAlign:'left', background: selected?.id===task.id ? (theme==='light'?'#eef2ff':'#0d1638') : p.card, border: `1px solid ${selected?.id===task.id ? p.indigo : p.border}`, borderRadius: base.radius, padding: 12, boxShadow: base.shadow, outlineColor: p.indigo }}>
-                <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:8 }}>
-                  <div style={{ fontWeight: 600 }}>{task.name}</div>
-                  <StatusBadge status={task.status} theme={theme} />
+            {/* Task list */}
+            <div style={{ display:'flex', flexDirection:'column', gap:12 }}>
+              {loadState==='loading' && (
+                <div aria-busy="true" aria-label="Loading tasks" style={{ display:'flex', flexDirection:'column', gap:12 }}>
+                  {[0,1,2].map(i => (
+                    <div key={i} style={{ height: 64, background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, boxShadow: base.shadow, opacity: 0.6 }} />
+                  ))}
                 </div>
-                <div style={{ display:'flex', alignItems:'center', gap:8, marginTop: 6, color: p.textMuted, fontSize: 12 }}>
-                  <span style={dot(llmColor(task.llm, theme))} />
-                  <span>{task.llm}</span>
-                  <span aria-hidden>•</span>
-                  <span title={`Started at ${fmtTime(task.startTime)}`} style={{ display:'inline-flex', alignItems:'center', gap:6 }}><Clock size={14}/> {fmtTime(task.startTime)}</span>
-                  {task.duration && (<><span aria-hidden>•</span><span>{task.duration}</span></>)}
-                  {view==='team' && (<><span aria-hidden>•</span><span>by {task.user}</span></>)}
+              )}
+              {loadState==='error' && (
+                <div role="alert" style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:12, background: `${p.red}14`, border: `1px solid ${p.red}`, borderRadius: base.radius, padding: 12, color: p.red }}>
+                  <span style={{ display:'inline-flex', alignItems:'center', gap:8 }}><AlertTriangle size={16}/> Could not load tasks - {loadError}</span>
+                  <button onClick={loadTasks} aria-label="Retry loading tasks" style={primaryGhost(p)}>
+                    <RotateCw size={16} style={{ marginRight: 6 }} /> Retry
+                  </button>
                 </div>
-                {task.status==='running' && (
-                  <Progress value={task.progress} color={p.indigo} pulse />
+              )}
+              {loadState==='ready' && filtered.length===0 && (
+                <div style={{ color: p.textMuted, padding: 12 }}>{can(user, 'task.create') ? 'No tasks yet. Add one above.' : 'No tasks yet.'}</div>
+              )}
+              {loadState==='ready' && filtered.length > 0 && visible.length===0 && (
+                <div style={{ color: p.textMuted, padding: 12 }}>No tasks match these filters.</div>
+              )}
+              <VirtualList
+                items={visible}
+                getKey={task => task.id}
+                label="Tasks"
+                renderItem={task => (
+                  <TaskRow task={task} selected={selected?.id===task.id} position={positions.get(task.id)} showOwner={view==='team'} showTeam={view==='team' && teams.length > 1} onSelect={openTask} theme={theme} />
                 )}
-              </button>
-            ))}
-          </div>
-        </section>
-
-        {/* Right: Details panel */}
-        <aside aria-label="Details" style={{ position:'sticky', top: 0, alignSelf:'start', height: 'calc(100vh - 16px - 240px - 88px)', /* viewport minus hero+stats approx */ overflow:'auto', display:'flex', flexDirection:'column', gap:12 }}>
-          {selected ? (
-            <div style={{ background: p.card, border:`1px solid ${p.border}`, borderRadius: base.radius, padding: 16, boxShadow: base.shadow }}>
-              <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom: 8 }}>
-                <div style={{ fontWeight:700 }}>{selected.name}</div>
-                <div style={{ display:'flex', alignItems:'center', gap:8, color: p.textMuted, fontSize: 12 }}>
-                  <span style={dot(llmColor(selected.llm, theme))} />
-                  <span>{selected.llm}</span>
-                  <span aria-hidden>•</span>
-                  <span>{selected.duration || '—'}</span>
+              />
+            </div>
+          </section>
+
+          {/* Right: Details panel */}
+          <aside aria-label="Details" style={{ position:'sticky', top: 0, alignSelf:'start', height: 'calc(100vh - 16px - 240px - 88px)', /* viewport minus hero+stats approx */ overflow:'auto', display:'flex', flexDirection:'column', gap:12 }}>
+            {selected ? (
+              <div style={{ background: p.card, border:`1px solid ${p.border}`, borderRadius: base.radius, padding: 16, boxShadow: base.shadow }}>
+                <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom: 8 }}>
+                  <div style={{ fontWeight:700 }}>{restoreForTask(selected.id, selected.name)}</div>
+                  <div style={{ display:'flex', alignItems:'center', gap:8, color: p.textMuted, fontSize: 12 }}>
+                    <span style={dot(llmColor(selected.llm, theme))} />
+                    <span>{modelName(selected.llm)}</span>
+                    <span aria-hidden>•</span>
+                    <span>{formatDuration(selected.durationMs) || '—'}</span>
+                    <span aria-hidden>•</span>
+                    <span aria-label="Task usage" title={`${selectedUsage.inputTokens} input / ${selectedUsage.outputTokens} output tokens`}>{formatTokens(totalTokens(selectedUsage))} tok · {formatCost(selectedUsage.cost)}</span>
+                  </div>
                 </div>
-              </div>
 
-              {/* Pipeline steps */}
-              <div style={{ display:'flex', flexDirection:'column', gap:16 }}>
-                {selected.steps.map((step, idx) => (
-                  <div key={idx} style={{ display:'grid', gridTemplateColumns:'24px 1fr', gap:12, alignItems:'start' }}>
-                    {/* Connector */}
-                    <div style={{ display:'flex', flexDirection:'column', alignItems:'center' }}>
-                      <StatusIcon status={step.status} theme={theme} />
-                      {idx < selected.steps.length - 1 && (
-                        <div aria-hidden style={{ width: 2, height: 28, marginTop: 6, background: step.status==='complete' ? palette[theme].green : palette[theme].border }} />
-                      )}
-                    </div>
-                    {/* Content */}
-                    <div style={{ background: theme==='light'?'#fff': '#0b1330', border:`1px solid ${p.border}`, borderRadius: 10, padding: 12 }}>
-                      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between' }}>
-                        <div style={{ fontWeight:600 }}>{step.name}</div>
-                        <div style={{ display:'flex', alignItems:'center', gap:8, color: p.textMuted, fontSize: 12 }}>
-                          <span style={dot(llmColor(step.llm, theme))} />
-                          <span>{step.llm}</span>
-                          <span aria-hidden>•</span>
-                          <span>{step.duration || '—'}</span>
-                        </div>
-                      </div>
-                      {step.status==='running' && (
-                        <div style={{ marginTop: 8 }}>
-                          <Progress value={Math.round(step.progress || 0)} color={llmColor(step.llm, theme)} pulse />
-                        </div>
-                      )}
+                {pipelineDraft ? (
+                  <div style={{ display:'flex', flexDirection:'column', gap:12 }}>
+                    <PipelineEditor pipeline={pipelineDraft} onChange={setPipelineDraft} theme={theme} />
+                    {pipelineError && <div role="alert" style={{ fontSize: 12, color: p.red }}>{pipelineError}</div>}
+                    <div style={{ display:'flex', justifyContent:'flex-end', gap:8 }}>
+                      <button onClick={() => setPipelineDraft(null)} aria-label="Cancel pipeline edit" style={primaryGhost(p)}>Cancel</button>
+                      <button onClick={savePipeline} disabled={pipelineSaving || !validatePipeline(pipelineDraft).ok} aria-label="Save pipeline" style={{ ...primarySolid(p), opacity: pipelineSaving || !validatePipeline(pipelineDraft).ok ? 0.6 : 1 }}>
+                        {pipelineSaving ? 'Saving…' : 'Save pipeline'}
+                      </button>
                     </div>
                   </div>
-                ))}
+                ) : (
+                  <>
+                  <div style={{ display:'flex', alignItems:'center', justifyContent:'flex-end', gap:8, marginBottom: 8 }}>
+                    <StatusBadge status={selected.status} theme={theme} />
+                    <span style={{ flex: 1 }} />
+                    <select aria-label="Task priority" value={selected.priority || 'normal'} disabled={!canOperate || selected.status==='complete' || selected.status==='cancelled'} onChange={e => setPriority(selected, e.target.value)} style={{ padding:'6px 8px', borderRadius: 10, border:`1px solid ${p.border}`, background: p.card, color: p.text, fontSize: 13 }}>
+                      {PRIORITIES.map(pr => <option key={pr} value={pr}>{pr.charAt(0).toUpperCase() + pr.slice(1)}</option>)}
+                    </select>
+                    {canOperate && selected.status==='queued' && (selected.priority || 'normal') !== 'urgent' && (
+                      <button onClick={() => setPriority(selected, PRIORITIES[PRIORITIES.indexOf(selected.priority || 'normal') - 1])} aria-label="Bump priority" title={positions.has(selected.id) ? `#${positions.get(selected.id)} in queue` : undefined} style={smallGhost(p)}><ChevronsUp size={14} /> Bump</button>
+                    )}
+                    {canPerform(selected, 'pause') && canAct(user, selected, 'pause') && (
+                      <button onClick={() => runAction(selected, 'pause')} aria-label="Pause task" style={smallGhost(p)}><Pause size={14} /> Pause</button>
+                    )}
+                    {canPerform(selected, 'resume') && canAct(user, selected, 'resume') && (
+                      <button onClick={() => runAction(selected, 'resume')} aria-label="Resume task" style={smallGhost(p)}><Play size={14} /> Resume</button>
+                    )}
+                    {canPerform(selected, 'cancel') && canAct(user, selected, 'cancel') && (
+                      <button onClick={() => runAction(selected, 'cancel')} aria-label="Cancel task" style={{ ...smallGhost(p), color: p.red, borderColor: p.red }}><Ban size={14} /> Cancel</button>
+                    )}
+                    {canOperate && (
+                      <button onClick={() => setPipelineDraft(stepsToPipeline(restoreSteps(selected.id, selected.steps)))} disabled={selected.status==='complete'} aria-label="Edit pipeline" style={{ ...smallGhost(p), opacity: selected.status==='complete' ? 0.5 : 1 }}>
+                        <Pencil size={14} /> Edit pipeline
+                      </button>
+                    )}
+                    <ExportMenu
+                      label="Export"
+                      ariaLabel="Export task"
+                      busy={exporting === 'task'}
+                      onExport={format => exportFile([selected.id], format, 'task')}
+                      buttonStyle={smallGhost(p)}
+                      theme={theme}
+                    />
+                    {can(user, 'task.create') && (
+                      <button onClick={() => { setTemplateNotice(''); setSavingTemplate(true) }} aria-label="Save as template" style={smallGhost(p)}>
+                        <LayoutTemplate size={14} /> Save as template
+                      </button>
+                    )}
+                    {can(user, 'task.create') && (
+                      <button onClick={() => setScheduleDialog({ source: { type: 'task', taskId: selected.id }, sourceName: restoreForTask(selected.id, selected.name), defaultName: restoreForTask(selected.id, selected.name) })} aria-label="Schedule task" style={smallGhost(p)}>
+                        <CalendarClock size={14} /> Schedule
+                      </button>
+                    )}
+                    {notifySettings && (
+                      <button onClick={() => toggleWatch(selected)} aria-pressed={watching(selected)} aria-label={watching(selected) ? 'Stop watching task' : 'Watch task'} title="Notify me when it completes, fails or needs an approval" style={smallGhost(p)}>
+                        {watching(selected) ? <><BellOff size={14} /> Unwatch</> : <><Bell size={14} /> Watch</>}
+                      </button>
+                    )}
+                    {selected.planningSessionId != null && (
+                      <button onClick={() => openChat(selected.planningSessionId)} aria-label="Open planning chat" title="The conversation this task was planned in" style={smallGhost(p)}>
+                        <MessageSquare size={14} /> Plan
+                      </button>
+                    )}
+                  </div>
+                  {actionError && <div role="alert" style={{ marginBottom: 8, fontSize: 12, color: p.red }}>{actionError}</div>}
+                  {templateNotice && <div role="status" style={{ marginBottom: 8, fontSize: 12, color: p.green }}>{templateNotice}</div>}
+                  <div role="tablist" aria-label="Task details" style={{ display:'flex', gap:6, marginBottom: 8 }}>
+                    {[['pipeline', 'Pipeline'], ['timeline', 'Timeline']].map(([key, label]) => (
+                      <button key={key} role="tab" aria-selected={detailsTab===key} onClick={() => setDetailsTab(key)} style={{ padding:'4px 10px', borderRadius: 999, border:`1px solid ${detailsTab===key ? p.indigo : p.border}`, background: detailsTab===key ? `${p.indigo}18` : 'transparent', color: detailsTab===key ? p.indigo : p.textMuted, fontSize: 12, cursor:'pointer' }}>{label}</button>
+                    ))}
+                  </div>
+                  {detailsTab==='timeline' ? (
+                    <TaskTimeline taskId={selected.id} latest={visibleAudit} theme={theme} />
+                  ) : (
+                    /* Pipeline graph: parallel branches side by side, fan-out/fan-in connectors between layers */
+                    <PipelineGraph steps={selected.steps} theme={theme} task={selected} onStepAction={(action, i, extra) => runAction(selected, action, i, extra)} permits={action => canAct(user, selected, action)} openIndex={openStepIndex} onOpenChange={openStep} />
+                  )}
+                  </>
+                )}
               </div>
-            </div>
-          ) : (
-            <div style={{ color: p.textMuted }}>Select a task to see details</div>
-          )}
-        </aside>
-      </main>
+            ) : (
+              <div aria-busy={selectedId != null} style={{ color: p.textMuted }}>{selectedId != null ? 'Loading task…' : 'Select a task to see details'}</div>
+            )}
+            <UsageSummary tasks={filtered} theme={theme} />
+          </aside>
+        </main>
+      )}
+
+      {notifySettingsOpen && notifySettings && (
+        <NotificationSettings
+          settings={notifySettings}
+          user={user}
+          tasks={scoped}
+          theme={theme}
+          onSaved={setNotifySettings}
+          onClose={() => setNotifySettingsOpen(false)}
+        />
+      )}
 
-      {/* Chat modal */}
+      {modelsOpen && <ModelSettings theme={theme} canManage={can(user, 'models.manage')} onClose={() => setModelsOpen(false)} />}
+
+      {templatesOpen && (
+        <TemplateLibrary
+          theme={theme}
+          user={user}
+          creating={creating}
+          error={createError}
+          onUse={async ({ name, steps, templateId }) => {
+            const t = await addTask(name, steps, { templateId })
+            if (t) openTask(t.id)
+            return t
+          }}
+          onSchedule={(source, template, name) => {
+            setTemplatesOpen(false)
+            setScheduleDialog({ source, sourceName: template.name, defaultName: name })
+          }}
+          onClose={() => setTemplatesOpen(false)}
+        />
+      )}
+
+      {scheduleDialog && (
+        <ScheduleDialog
+          {...scheduleDialog}
+          team={team === 'all' ? undefined : team}
+          theme={theme}
+          onClose={() => setScheduleDialog(null)}
+          onSaved={saved => {
+            setSchedules(prev => upsertTask(prev, saved))
+            setScheduleDialog(null)
+          }}
+        />
+      )}
+
+      {savingTemplate && selected && (
+        <SaveTemplate
+          task={selected}
+          taskName={restoreForTask(selected.id, selected.name)}
+          theme={theme}
+          onClose={() => setSavingTemplate(false)}
+          onSaved={template => {
+            setSavingTemplate(false)
+            setTemplateNotice(`Saved as ${template.name} v${template.versions[template.versions.length - 1].version}`)
+          }}
+        />
+      )}
+
+      {/* Chat modal: saved sessions on the left, the open conversation on the right */}
       {chatOpen && (
         <div role="dialog" aria-modal="true" aria-label="Discuss with AI" style={{ position:'fixed', inset:0, background:'rgba(0,8,20,0.55)', display:'flex', alignItems:'center', justifyContent:'center', padding:16 }}>
-          <div style={{ width: 'min(960px, 96vw)', background: p.card, color: p.text, border:`1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow, display:'grid', gridTemplateRows:'auto 1fr auto' }}>
-            <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', padding:16, borderBottom:`1px solid ${p.border}` }}>
-              <div style={{ display:'flex', alignItems:'center', gap:8, fontWeight:600 }}>
-                <MessageSquare size={18} /> Plan with AI
+          <div style={{ width: 'min(1180px, 96vw)', background: p.card, color: p.text, border:`1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow, display:'flex', overflow:'hidden' }}>
+            <PlanningSessions
+              sessions={sessions}
+              activeId={session?.id}
+              canCreate={can(user, 'task.create')}
+              error={sessionsError}
+              onOpen={switchSession}
+              onNew={() => switchSession(NEW_SESSION)}
+              onRename={renameSession}
+              onDelete={removeSession}
+              theme={theme}
+            />
+            <div style={{ flex: 1, minWidth: 0, display:'grid', gridTemplateRows:'auto 1fr auto' }}>
+              <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', padding:16, borderBottom:`1px solid ${p.border}` }}>
+                <div style={{ display:'flex', alignItems:'center', gap:8, fontWeight:600, minWidth: 0 }}>
+                  <MessageSquare size={18} /> Plan with AI
+                  {session && <span style={{ fontWeight: 400, color: p.textMuted, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>· {restoreForSession(session.id, session.name)}</span>}
+                </div>
+                <span style={{ marginLeft: 'auto', marginRight: 12, display:'inline-flex', alignItems:'center', gap:8, fontSize: 12, color: p.textMuted }}>
+                  {planner.label}
+                  <span title={redactFor(planner) ? 'Emails, IBANs, phone numbers, tax IDs and custom patterns are masked before the model sees them' : undefined} style={{ display:'inline-flex', alignItems:'center', gap:4, color: redactFor(planner) ? p.green : p.textMuted }}>
+                    <ShieldCheck size={14} /> {redactFor(planner) ? 'PII redaction on' : planner.privacy === 'local' ? 'Local model, not redacted' : 'Redaction off'}
+                  </span>
+                </span>
+                <button onClick={closeChat} aria-label="Close dialog" style={iconBtn(p)}>
+                  <X size={16} />
+                </button>
               </div>
-              <button onClick={() => setChatOpen(false)} aria-label="Close dialog" style={iconBtn(p)}>
-                <X size={16} />
-              </button>
-            </div>
-            <div style={{ padding:16, height: 380, overflow:'auto' }}>
-              {messages.map((m, i) => (
-                <div key={i} style={{ display:'flex', justifyContent: m.role==='user'?'flex-end':'flex-start', marginBottom:8 }}>
-                  <div style={{ maxWidth:'70%', padding:'10px 12px', borderRadius: 12, background: m.role==='user' ? `${p.indigo}22` : (theme==='light'?'#f3f4f6':'#0c1430'), border:`1px solid ${p.border}` }}>
-                    <div style={{ fontSize: 12, color: p.textMuted, marginBottom: 4 }}>{m.role==='user'?'You':'AI'}</div>
-                    <div style={{ whiteSpace:'pre-wrap' }}>{m.text}</div>
+              <div style={{ padding:16, height: 380, overflow:'auto' }}>
+                {sessionError && (
+                  <div role="alert" style={{ display:'flex', alignItems:'center', gap:6, color: p.red }}>
+                    <AlertTriangle size={16} /> {sessionError}
+                  </div>
+                )}
+                {!sessionError && sessionId !== NEW_SESSION && !session && <div role="status" style={{ color: p.textMuted }}>Loading session…</div>}
+                {messages.map((m, i) => (
+                  <div key={i} style={{ display:'flex', justifyContent: m.role==='user'?'flex-end':'flex-start', marginBottom:8 }}>
+                    <div style={{ maxWidth:'70%', padding:'10px 12px', borderRadius: 12, background: m.role==='user' ? `${p.indigo}22` : (theme==='light'?'#f3f4f6':'#0c1430'), border:`1px solid ${p.border}` }}>
+                      <div style={{ fontSize: 12, color: p.textMuted, marginBottom: 4 }}>{m.role==='user' ? (session && session.userId !== user.id ? session.user : 'You') : 'AI'}</div>
+                      {(m.text || m.streaming) && (
+                        <div style={{ whiteSpace:'pre-wrap' }}>{m.prose ?? proseOf(m.text)}{m.streaming && <span aria-hidden style={{ opacity: 0.6 }}>▍</span>}</div>
+                      )}
+                      {(m.pipeline || m.pipelineErrors?.length > 0) && (
+                        <PlanCard pipeline={m.pipeline} errors={m.pipelineErrors} onChange={sessionReadOnly ? undefined : pl => editPlan(i, pl)} theme={theme} />
+                      )}
+                      {m.redacted?.length > 0 && <RedactionNote items={m.redacted} verb="Redacted before sending" theme={theme} />}
+                      {m.restored?.length > 0 && <RedactionNote items={m.restored} verb="Restored in this reply" theme={theme} />}
+                      {m.cancelled && <div style={{ marginTop: 4, fontSize: 12, color: p.textMuted }}>Reply cancelled</div>}
+                      {m.error && (
+                        <div role="alert" style={{ marginTop: 4, display:'flex', alignItems:'center', gap:6, fontSize: 12, color: p.red }}>
+                          <AlertTriangle size={14}/> {m.error}
+                        </div>
+                      )}
+                    </div>
                   </div>
+                ))}
+                <div ref={chatEndRef} />
+              </div>
+              {redactionErrors.length > 0 && (
+                <div role="alert" style={{ padding:'8px 16px 0', fontSize: 12, color: p.amber }}>Skipped redaction settings: {redactionErrors.join('; ')}</div>
+              )}
+              {createError && (
+                <div role="alert" style={{ padding:'8px 16px 0', fontSize: 12, color: p.red }}>{createError}</div>
+              )}
+              {saveError && (
+                <div role="alert" style={{ padding:'8px 16px 0', fontSize: 12, color: p.amber }}>{saveError}</div>
+              )}
+              {sessionReadOnly ? (
+                <div role="status" style={{ padding:16, borderTop:`1px solid ${p.border}`, display:'flex', alignItems:'center', gap:8, fontSize: 13, color: p.textMuted }}>
+                  {session.taskId != null ? (
+                    <>
+                      This conversation planned task #{session.taskId} and is kept read-only as its record.
+                      <button onClick={() => openTask(session.taskId)} aria-label="Open planned task" style={{ ...smallGhost(p), marginLeft: 'auto' }}>
+                        <ChevronRight size={14} /> Open task
+                      </button>
+                    </>
+                  ) : `Planned by ${session.user}. Only they can continue this conversation.`}
                 </div>
-              ))}
-              <div ref={chatEndRef} />
-            </div>
-            <div style={{ padding:16, borderTop:`1px solid ${p.border}`, display:'flex', alignItems:'center', gap:8 }}>
-              <input value={draft} onChange={e=>setDraft(e.target.value)} onKeyDown={e=> e.key==='Enter' && sendMessage()} aria-label="Message" placeholder="Ask the AI to help design the pipeline..." style={{ flex:1, padding:'12px 14px', borderRadius:12, border:`1px solid ${p.border}`, outlineColor: p.indigo, background: theme==='light'?'#fff':'#0c1430', color:p.text }} />
-              <button onClick={sendMessage} aria-label="Send" style={primarySolid(p)}>
-                <Play size={16} style={{ marginRight: 6 }} /> Send
-              </button>
-              <button onClick={createTaskFromChat} aria-label="Create task from plan" style={successSolid(p)}>
-                <CheckCircle2 size={16} style={{ marginRight: 6 }} /> Create Task
-              </button>
+              ) : !sessionError && (sessionId === NEW_SESSION || session) && (
+                <div style={{ padding:16, borderTop:`1px solid ${p.border}`, display:'flex', alignItems:'center', gap:8 }}>
+                  <input value={draft} onChange={e=>setDraft(e.target.value)} onKeyDown={e=> e.key==='Enter' && sendMessage()} aria-label="Message" placeholder="Ask the AI to help design the pipeline..." style={{ flex:1, padding:'12px 14px', borderRadius:12, border:`1px solid ${p.border}`, outlineColor: p.indigo, background: theme==='light'?'#fff':'#0c1430', color:p.text }} />
+                  {replying ? (
+                    <button onClick={cancelReply} aria-label="Cancel reply" style={primaryGhost(p)}>
+                      <Square size={16} style={{ marginRight: 6 }} /> Cancel
+                    </button>
+                  ) : (
+                    <button onClick={sendMessage} aria-label="Send" style={primarySolid(p)}>
+                      <Play size={16} style={{ marginRight: 6 }} /> Send
+                    </button>
+                  )}
+                  <button disabled={replying} onClick={createTaskFromChat} aria-label="Create task from plan" style={{ ...successSolid(p), opacity: replying ? 0.6 : 1 }}>
+                    <CheckCircle2 size={16} style={{ marginRight: 6 }} /> Create Task
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -374,170 +1154,99 @@ function App() {
 }
 
 // UI helpers
-const StatusBadge = ({ status, theme }) => {
-  const { bg, color, dot: dotColor } = badgeColorByStatus(status, theme)
+const connectionLabel = ({ state, retryIn }) => {
+  switch (state) {
+    case 'live':
+      return 'Live'
+    case 'demo':
+      return 'Demo mode'
+    case 'reconnecting':
+      return retryIn ? `Reconnecting in ${Math.ceil(retryIn / 1000)}s` : 'Reconnecting…'
+    case 'closed':
+      return 'Disconnected'
+    default:
+      return 'Connecting…'
+  }
+}
+
+const ConnectionIndicator = ({ connection, theme }) => {
+  const p = palette[theme]
+  const color = connection.state === 'live' ? p.green : connection.state === 'demo' ? p.cyan : connection.state === 'closed' ? p.red : p.amber
+  const label = connectionLabel(connection)
   return (
-    <span aria-label={`${status} status`} style={{ display:'inline-flex', alignItems:'center', gap:6, padding:'6px 10px', borderRadius: 999, background:bg, color, fontSize:12, fontWeight:600 }}>
-      <span aria-hidden style={{ width:8, height:8, borderRadius:999, background: dotColor, boxShadow: status==='running' ? `0 0 0 3px ${color}33` : 'none', animation: status==='running' ? 'pulse 1.2s infinite' : 'none' }} />
-      {status.charAt(0).toUpperCase() + status.slice(1)}
-      <style>{`@keyframes pulse { 0%{ box-shadow: 0 0 0 0 ${color}55 } 70%{ box-shadow: 0 0 0 8px transparent } 100%{ box-shadow: 0 0 0 0 transparent } }`}</style>
+    <span role="status" aria-label={`Connection: ${label}`} title={connection.state === 'demo' ? 'Progress is simulated locally' : undefined} style={{ display:'inline-flex', alignItems:'center', gap:6, padding:'6px 10px', borderRadius: 999, background:'rgba(255,255,255,0.1)', border:'1px solid rgba(255,255,255,0.35)', color:'#fff', fontSize:12, fontWeight:600 }}>
+      <span aria-hidden style={dot(color)} />
+      {label}
     </span>
   )
 }
 
-const Progress = ({ value, color, pulse }) => (
-  <div role="progressbar" aria-valuenow={value} aria-valuemin={0} aria-valuemax={100} style={{ width:'100%', height:8, borderRadius:999, background: '#e5e7eb33', overflow:'hidden', outline:'none' }}>
-    <div style={{ width: `${Math.max(0, Math.min(100, value))}%`, height:'100%', background: color, transition: 'width 200ms ease', boxShadow: pulse ? `0 0 0 0 ${color}55` : 'none', animation: pulse ? 'barPulse 1.6s infinite' : 'none' }} />
-    <style>{`@keyframes barPulse { 0%{ box-shadow: 0 0 0 0 ${color}55 } 70%{ box-shadow: 0 0 0 8px transparent } 100%{ box-shadow: 0 0 0 0 transparent } }`}</style>
-  </div>
-)
-
-const StatusIcon = ({ status, theme }) => {
+// Month-to-date team spend against the budget; warns once spend passes the warning threshold
+const BudgetBar = ({ spent, budget, level, theme }) => {
   const p = palette[theme]
-  const color = status==='complete' ? p.green : status==='running' ? p.indigo : p.amber
-  const Icon = status==='complete' ? CheckCircle2 : status==='running' ? Play : Hourglass
-  return <Icon size={18} color={color} aria-hidden />
+  const color = level === 'over' ? p.red : level === 'near' ? p.amber : p.green
+  const pct = Math.round((spent / budget) * 100)
+  return (
+    <div style={{ display:'flex', alignItems:'center', gap:12, padding: '0 16px 16px', background: p.surface, fontSize: 12, color: p.textMuted }}>
+      <span style={{ whiteSpace:'nowrap' }}>Budget this month</span>
+      <div style={{ flex: 1 }}>
+        <Progress value={Math.min(100, pct)} color={color} />
+      </div>
+      <span style={{ whiteSpace:'nowrap', color: level === 'ok' ? p.textMuted : color, fontWeight: level === 'ok' ? 400 : 600 }}>
+        {formatCost(spent)} of {formatCost(budget)} ({pct}%)
+      </span>
+      {level !== 'ok' && (
+        <span role="alert" style={{ display:'inline-flex', alignItems:'center', gap:6, color, fontWeight: 600 }}>
+          <AlertTriangle size={14} /> {level === 'over' ? 'Monthly budget exceeded' : 'Nearing monthly budget'}
+        </span>
+      )}
+    </div>
+  )
 }
 
-const dot = (color) => ({ display:'inline-block', width:8, height:8, borderRadius:999, background: color })
-
-const pill = (active, theme) => {
+// What a chat message had masked (or got back), with the values behind each token
+const RedactionNote = ({ items, verb, theme }) => {
   const p = palette[theme]
-  return {
-    display:'inline-flex', alignItems:'center', gap:6,
-    padding:'6px 12px', borderRadius: 999, border: 'none',
-    background: active ? p.card : 'transparent', color: active ? p.text : '#fff',
-    cursor:'pointer', transition: 'background 200ms',
-  }
+  return (
+    <details style={{ marginTop: 6, fontSize: 12, color: p.textMuted }}>
+      <summary style={{ cursor:'pointer', display:'inline-flex', alignItems:'center', gap:4 }}>
+        <ShieldCheck size={12} color={p.green} /> {verb}: {describeRedactions(items)}
+      </summary>
+      <ul style={{ margin: '4px 0 0', paddingLeft: 18 }}>
+        {items.map(i => <li key={i.token}><code>{i.token}</code> ← {i.value}</li>)}
+      </ul>
+    </details>
+  )
 }
 
-const primarySolid = (p) => ({
-  display:'inline-flex', alignItems:'center', gap:6, cursor:'pointer',
-  padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.indigo}`, background: p.indigo, color:'#fff', fontWeight:600,
-})
-
-const successSolid = (p) => ({
-  display:'inline-flex', alignItems:'center', gap:6, cursor:'pointer',
-  padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.green}`, background: p.green, color:'#0b1020', fontWeight:700,
-})
-
-const primaryGhost = (p) => ({
-  display:'inline-flex', alignItems:'center', gap:6, cursor:'pointer',
-  padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.border}`, background: 'transparent', color:p.text, fontWeight:600,
-})
-
-const iconBtn = (p) => ({
-  display:'inline-flex', alignItems:'center', justifyContent:'center', width:36, height:36, borderRadius:10, border:`1px solid ${p.border}`, background: 'transparent', color: p.text
-})
+const smallGhost = (p) => ({ ...primaryGhost(p), padding:'6px 10px', fontSize: 13 })
 
 // Data + logic
-function calcDuration(start) {
-  const s = new Date(start).getTime()
-  const now = Date.now()
-  const sec = Math.max(0, Math.round((now - s) / 1000))
-  if (sec < 60) return `${sec}s`
-  const m = Math.floor(sec/60)
-  const r = sec % 60
-  return `${m}m ${r}s`
-}
+// Reply text up to the pipeline block, so half-streamed JSON never shows
+const proseOf = (text) => text.split(/```(?:pipeline|json)/)[0].trim()
 
-let idCounter = 1000
-function makeTask(name, user, steps) {
-  const start = new Date().toISOString()
-  const pipeline = steps || [
-    { name: 'Ingest Requirements', status: 'running', llm: 'GPT-4', progress: 15 },
-    { name: 'Spec Synthesis', status: 'queued', llm: 'Claude Sonnet 4.5' },
-    { name: 'Ops Plan + Checks', status: 'queued', llm: 'Kimi K2' },
-    { name: 'Execution & Verify', status: 'queued', llm: 'GPT-4' },
-  ]
-  return {
-    id: ++idCounter,
-    name,
-    status: 'running',
-    progress: 5,
-    user: user || 'You',
-    llm: pipeline.find(s=>s.status==='running')?.llm || 'GPT-4',
-    startTime: start,
-    duration: '0s',
-    steps: pipeline,
-  }
+function parseProposal(text) {
+  const { text: prose, payload, parseError } = extractPipeline(text)
+  if (parseError) return { prose, pipeline: null, pipelineErrors: [parseError] }
+  if (!payload) return { prose }
+  const result = validatePipeline(payload)
+  // Valid payloads are stored normalized (ids filled in, references resolved) for the editor
+  if (result.ok) return { prose, pipeline: result.pipeline, pipelineErrors: [] }
+  const steps = Array.isArray(payload.steps) ? payload.steps.map((st, i) => ({ ...st, id: st?.id || slugify(st?.name || `step-${i + 1}`) })) : []
+  return { prose, pipeline: { ...payload, steps }, pipelineErrors: result.errors }
 }
 
-function seedTasks() {
-  const now = new Date()
-  const ago = (min) => new Date(now.getTime() - min*60000).toISOString()
-  const t1 = {
-    id: 1,
-    name: 'Reconcile Q3 Invoices',
-    status: 'running',
-    progress: 42,
-    user: 'You',
-    llm: 'GPT-4',
-    startTime: ago(5),
-    duration: '5m 0s',
-    steps: [
-      { name: 'Parse PDFs', status: 'complete', llm: 'GPT-4', progress: 100, duration: '2m 10s' },
-      { name: 'Vendor Matching', status: 'running', llm: 'Claude Sonnet 4.5', progress: 35, duration: '1m 10s' },
-      { name: 'Anomaly Check', status: 'queued', llm: 'Kimi K2' },
-      { name: 'Ledger Update', status: 'queued', llm: 'GPT-4' },
-    ]
-  }
-  const t2 = {
-    id: 2,
-    name: 'Procurement: Monitor RFP replies',
-    status: 'queued',
-    progress: 0,
-    user: 'Ava',
-    llm: 'Claude Sonnet 4.5',
-    startTime: ago(1),
-    steps: [
-      { name: 'Collect Emails', status: 'queued', llm: 'Kimi K2' },
-      { name: 'Summarize Replies', status: 'queued', llm: 'GPT-4' },
-      { name: 'Score Vendors', status: 'queued', llm: 'Claude Sonnet 4.5' },
-    ]
-  }
-  const t3 = {
-    id: 3,
-    name: 'IT: Access Review Batch',
-    status: 'complete',
-    progress: 100,
-    user: 'Ben',
-    llm: 'Kimi K2',
-    startTime: ago(45),
-    duration: '12m 14s',
-    steps: [
-      { name: 'Export Accounts', status: 'complete', llm: 'GPT-4', progress: 100, duration: '3m 00s' },
-      { name: 'Policy Diff', status: 'complete', llm: 'Claude Sonnet 4.5', progress: 100, duration: '4m 40s' },
-      { name: 'Notify Owners', status: 'complete', llm: 'Kimi K2', progress: 100, duration: '4m 34s' },
-    ]
-  }
-  return [t1,t2,t3]
+// What the planner sees of past replies, including any edits made to the plan card
+function toHistory(m) {
+  if (m.role !== 'ai' || !m.pipeline) return m
+  return { ...m, text: `${m.prose}\n\n${formatPipelineBlock(m.pipeline)}` }
 }
 
-function planReply(text) {
-  // naive: propose 3-4 steps with LLM allocation
-  const base = [
-    { name: 'Ingest Inputs', llm: 'GPT-4' },
-    { name: 'Plan & Branch', llm: 'Claude Sonnet 4.5' },
-    { name: 'Execute Tools', llm: 'Kimi K2' },
-    { name: 'Verify & Report', llm: 'GPT-4' },
-  ]
-  return `Here is a concise pipeline for “${text}”:\n\n` + base.map((s,i)=>`${i+1}. ${s.name} — ${s.llm}`).join('\n') + "\n\nYou can start as-is or ask me to adjust steps/LLMs."
-}
+// Session fields kept in state; messages live in `messages`
+const sessionInfo = ({ messages: _messages, ...info }) => info
 
-function derivePipeline(messages) {
-  // look for last AI proposal lines starting with numbers
-  const lastPlan = [...messages].reverse().find(m => m.role==='ai' && /1\./.test(m.text))
-  if (!lastPlan) return undefined
-  const lines = lastPlan.text.split('\n').filter(l=>/^\d+\./.test(l))
-  const steps = lines.map(l=>{
-    const [idxRest, rest] = l.split('. ')
-    const [namePart, llmPart] = rest.split(' — ')
-    return { name: namePart.trim(), status: 'queued', llm: (llmPart||'GPT-4').trim() }
-  })
-  if (steps.length) steps[0].status = 'running'
-  return steps
-}
+// Streaming flags are per tab; everything else of a message is saved
+const storable = ({ streaming: _streaming, ...m }) => m
 
 function summarize(messages) {
   const lastUser = [...messages].reverse().find(m=>m.role==='user')
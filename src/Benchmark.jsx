@@ -0,0 +1,134 @@
+import React, { Profiler, useEffect, useRef, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Pause, Play } from 'lucide-react'
+import { makeTask } from './lib/tasks'
+import { simulateTick } from './lib/simulator'
+import { BUILTIN_MODELS } from './lib/models'
+import { base, palette, primaryGhost } from './theme'
+import TaskRow from './components/TaskRow'
+import VirtualList from './components/VirtualList'
+
+const SIZES = [1000, 10000, 50000]
+const TICK_MS = 1000
+// Enough running tasks that every tick touches hundreds of rows
+const LIMITS = { maxRunningTasks: 300, perModel: {} }
+
+function generateTasks(n) {
+  const models = BUILTIN_MODELS.map(m => m.id)
+  const people = ['Sam Rivera', 'Ava Chen', 'Ben Okafor', 'Vic Patel', 'Morgan Diaz']
+  const tasks = Array.from({ length: n }, (_, i) => {
+    const steps = Array.from({ length: 2 + (i % 4) }, (_, s) => ({
+      id: `step-${s + 1}`,
+      name: `Step ${s + 1}`,
+      llm: models[(i + s) % models.length],
+      dependsOn: s ? [`step-${s}`] : [],
+    }))
+    return makeTask(i + 1, `Benchmark task ${i + 1}`, people[i % people.length], steps, i % 17 === 0 ? 'urgent' : 'normal')
+  })
+  return simulateTick(tasks, { limits: LIMITS })
+}
+
+// Stress page for the queue list: n generated tasks, the demo simulator ticking
+// every second, and the same rows and windowing as the app. /benchmark?n=10000
+function Benchmark() {
+  const theme = 'light'
+  const p = palette[theme]
+  const [params, setParams] = useSearchParams()
+  const n = Number(params.get('n')) || 10000
+  const [tasks, setTasks] = useState(() => generateTasks(n))
+  const [generatedFor, setGeneratedFor] = useState(n)
+  if (generatedFor !== n) {
+    setGeneratedFor(n)
+    setTasks(generateTasks(n))
+  }
+  const [running, setRunning] = useState(true)
+  const [selectedId, setSelectedId] = useState(null)
+  const [metrics, setMetrics] = useState({ fps: 0, commitMs: 0, maxCommitMs: 0, tickMs: 0, rows: 0 })
+  const commits = useRef({ last: 0, max: 0 })
+  const tickMs = useRef(0)
+
+  useEffect(() => {
+    if (!running) return undefined
+    const timer = setInterval(() => {
+      setTasks(prev => {
+        const started = performance.now()
+        const next = simulateTick(prev, { limits: LIMITS })
+        tickMs.current = performance.now() - started
+        return next
+      })
+    }, TICK_MS)
+    return () => clearInterval(timer)
+  }, [running])
+
+  // Frames per second plus the React commit times, sampled once a second
+  useEffect(() => {
+    let frames = 0
+    let frame = requestAnimationFrame(function count() {
+      frames++
+      frame = requestAnimationFrame(count)
+    })
+    const sample = setInterval(() => {
+      setMetrics({
+        fps: frames,
+        commitMs: commits.current.last,
+        maxCommitMs: commits.current.max,
+        tickMs: tickMs.current,
+        rows: document.querySelectorAll('[aria-label="Benchmark tasks"] > [role="listitem"]').length,
+      })
+      frames = 0
+    }, 1000)
+    return () => {
+      cancelAnimationFrame(frame)
+      clearInterval(sample)
+    }
+  }, [])
+
+  const onRender = (_, __, actualMs) => {
+    commits.current = { last: actualMs, max: Math.max(commits.current.max, actualMs) }
+  }
+
+  const stat = (label, value, warn) => (
+    <div style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 12, boxShadow: base.shadow }}>
+      <div style={{ fontSize: 12, color: p.textMuted }}>{label}</div>
+      <div style={{ fontWeight: 700, fontSize: 20, color: warn ? p.red : p.text }}>{value}</div>
+    </div>
+  )
+
+  return (
+    <div style={{ fontFamily: 'Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif', color: p.text, background: p.surfaceMuted, minHeight: '100vh' }}>
+      <header style={{ position: 'sticky', top: 0, zIndex: 10, background: p.surface, borderBottom: `1px solid ${p.border}`, padding: 16, display: 'flex', flexDirection: 'column', gap: 12 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+          <div style={{ fontWeight: 700 }}>Queue benchmark</div>
+          <select aria-label="Task count" value={n} onChange={e => setParams({ n: e.target.value })} style={{ padding: '6px 8px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text }}>
+            {SIZES.map(s => <option key={s} value={s}>{s.toLocaleString()} tasks</option>)}
+          </select>
+          <button onClick={() => setRunning(r => !r)} aria-label={running ? 'Pause simulator' : 'Resume simulator'} style={primaryGhost(p)}>
+            {running ? <><Pause size={14} /> Pause</> : <><Play size={14} /> Resume</>}
+          </button>
+          <span style={{ fontSize: 12, color: p.textMuted }}>{tasks.filter(t => t.status === 'running').length} running · ticks every {TICK_MS / 1000}s</span>
+        </div>
+        <div role="status" aria-label="Benchmark metrics" style={{ display: 'grid', gridTemplateColumns: 'repeat(5, minmax(0, 1fr))', gap: 12 }}>
+          {stat('Frames / s', metrics.fps, metrics.fps < 50)}
+          {stat('Last commit', `${metrics.commitMs.toFixed(1)} ms`, metrics.commitMs > 16)}
+          {stat('Slowest commit', `${metrics.maxCommitMs.toFixed(1)} ms`)}
+          {stat('Simulator tick', `${metrics.tickMs.toFixed(1)} ms`)}
+          {stat('Mounted rows', `${metrics.rows} of ${tasks.length.toLocaleString()}`)}
+        </div>
+      </header>
+      <main style={{ padding: 16, maxWidth: 900 }}>
+        <Profiler id="queue" onRender={onRender}>
+          <VirtualList
+            items={tasks}
+            getKey={task => task.id}
+            label="Benchmark tasks"
+            renderItem={task => (
+              <TaskRow task={task} selected={selectedId === task.id} showOwner onSelect={setSelectedId} theme={theme} />
+            )}
+          />
+        </Profiler>
+      </main>
+    </div>
+  )
+}
+
+export default Benchmark
@@ -0,0 +1,10 @@
+import { request } from './offline'
+import { writeAuditQuery } from '../lib/audit'
+
+// Audit log (entry shape in src/lib/audit.js), newest first. `filters` are
+// { action, actor, task, from, to }, all optional. New entries also arrive on
+// the event stream as audit.appended.
+export const listAudit = (filters = {}) => {
+  const query = writeAuditQuery(new URLSearchParams(), filters).toString()
+  return request(query ? `/audit?${query}` : '/audit')
+}
@@ -0,0 +1,155 @@
+// Sign-in and session.
+//
+// OIDC authorization code flow with PKCE against VITE_OIDC_ISSUER, or against
+// the mock identity provider when no issuer is configured. The session (user,
+// access token, expiry) lives in sessionStorage, so it ends with the tab, and
+// is dropped when the token expires or the backend answers 401.
+import { oidcClientId, oidcIssuer, oidcRolesClaim, oidcScope, oidcTeamsClaim, useMockIdp } from './config'
+import { MOCK_DISCOVERY, exchangeCode } from './mock/idp'
+import { base64UrlEncode, decodeJwt } from '../lib/jwt'
+import { ROLES } from '../lib/roles'
+
+export const CALLBACK_PATH = '/auth/callback'
+
+const SESSION_KEY = 'ops.session'
+const PENDING_KEY = 'ops.login'
+
+const listeners = new Set()
+let expiryTimer = null
+
+const readStored = (key) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(key))
+  } catch {
+    return null
+  }
+}
+
+const store = (key, value) => {
+  try {
+    if (value == null) sessionStorage.removeItem(key)
+    else sessionStorage.setItem(key, JSON.stringify(value))
+  } catch {
+    // private mode: the session still lives in memory
+  }
+}
+
+let session = null
+
+function setSession(next) {
+  session = next && next.expiresAt > Date.now() ? next : null
+  store(SESSION_KEY, session)
+  clearTimeout(expiryTimer)
+  if (session) expiryTimer = setTimeout(() => setSession(null), Math.min(session.expiresAt - Date.now(), 2 ** 31 - 1))
+  listeners.forEach(l => l())
+}
+
+setSession(readStored(SESSION_KEY))
+
+export const getSession = () => session
+
+export const accessToken = () => session?.accessToken
+
+export function subscribeSession(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// ID token claims -> the user the app works with
+export function userFromClaims(claims) {
+  const list = (v) => (Array.isArray(v) ? v : typeof v === 'string' ? v.split(/[\s,]+/).filter(Boolean) : [])
+  const roles = list(claims[oidcRolesClaim]).filter(r => ROLES.includes(r))
+  return {
+    id: claims.sub,
+    name: claims.name || claims.preferred_username || claims.email || claims.sub,
+    email: claims.email || '',
+    avatar: claims.picture || null,
+    roles: roles.length ? roles : ['viewer'],
+    teams: list(claims[oidcTeamsClaim]),
+  }
+}
+
+let discovery = null
+async function discover() {
+  if (useMockIdp) return MOCK_DISCOVERY
+  if (!discovery) {
+    const response = await fetch(`${oidcIssuer}/.well-known/openid-configuration`)
+    if (!response.ok) throw new Error(`Identity provider not reachable - ${response.status}`)
+    discovery = await response.json()
+  }
+  return discovery
+}
+
+const randomString = () => base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)))
+const redirectUri = () => `${window.location.origin}${CALLBACK_PATH}`
+
+// Sends the browser to the identity provider; `returnTo` is restored after the callback
+export async function beginLogin(returnTo = '/') {
+  const config = await discover()
+  const state = randomString()
+  const nonce = randomString()
+  const verifier = randomString()
+  const challenge = base64UrlEncode(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))))
+  store(PENDING_KEY, { state, nonce, verifier, returnTo })
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcClientId,
+    redirect_uri: redirectUri(),
+    scope: oidcScope,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  })
+  window.location.assign(`${config.authorization_endpoint}?${params}`)
+}
+
+async function requestTokens(config, code, verifier) {
+  if (useMockIdp) return exchangeCode({ code, codeVerifier: verifier, redirectUri: redirectUri(), clientId: oidcClientId })
+  const response = await fetch(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: redirectUri(), client_id: oidcClientId, code_verifier: verifier }),
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(data.error_description || data.error || `Token request failed - ${response.status}`)
+  return data
+}
+
+// Handles the redirect back from the identity provider; resolves to the path to return to
+export async function completeLogin(search) {
+  const params = new URLSearchParams(search)
+  const pending = readStored(PENDING_KEY)
+  store(PENDING_KEY, null)
+  if (params.get('error')) throw new Error(params.get('error_description') || params.get('error'))
+  if (!pending || params.get('state') !== pending.state) throw new Error('Sign-in response did not match a pending sign-in; please try again')
+  const config = await discover()
+  const tokens = await requestTokens(config, params.get('code'), pending.verifier)
+  const claims = decodeJwt(tokens.id_token)
+  if (!claims || claims.nonce !== pending.nonce) throw new Error('Identity token is missing or was not issued for this sign-in')
+  // Tokens for another issuer or client, or expired ones, start no session
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  if (claims.iss !== (config.issuer || oidcIssuer)) throw new Error('Identity token was issued by a different identity provider')
+  if (!audience.includes(oidcClientId)) throw new Error('Identity token was issued for a different application')
+  if (!(claims.exp * 1000 > Date.now())) throw new Error('Identity token has expired; please sign in again')
+  setSession({
+    user: userFromClaims(claims),
+    accessToken: tokens.access_token,
+    idToken: tokens.id_token,
+    expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000,
+  })
+  return pending.returnTo || '/'
+}
+
+export async function logout() {
+  const idToken = session?.idToken
+  setSession(null)
+  const config = await discover().catch(() => null)
+  if (config?.end_session_endpoint) {
+    const params = new URLSearchParams({ id_token_hint: idToken || '', post_logout_redirect_uri: window.location.origin })
+    window.location.assign(`${config.end_session_endpoint}?${params}`)
+  }
+}
+
+// The backend rejected the token: sign out locally so the app asks again
+export const dropSession = () => setSession(null)
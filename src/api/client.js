@@ -0,0 +1,54 @@
+import { backendUrl, useMockBackend } from './config'
+import { handleMockRequest } from './mock/server'
+import { accessToken, dropSession } from './auth'
+
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+  }
+}
+
+// Transport for all backend calls: the real backend over fetch, or the mock stand-in.
+// Calls carry the signed-in user's access token; a 401 ends the session.
+// Services call `request` in ./offline, which falls back to the local copy when this
+// cannot reach the backend (status 0, or 502-504 from a proxy).
+export async function send(path, { method = 'GET', body } = {}) {
+  const token = accessToken()
+  if (useMockBackend) {
+    // The stand-in runs in the page, so only an offline browser makes it unreachable
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) throw new ApiError('Backend not reachable - the browser is offline', 0)
+    const { status, data } = await handleMockRequest(method, path, body, token)
+    if (status === 401) dropSession()
+    if (status >= 400) throw new ApiError(data?.detail || `Request failed - ${status}`, status)
+    return data
+  }
+
+  let response
+  try {
+    response = await fetch(`${backendUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    })
+  } catch (error) {
+    throw new ApiError(`Backend not reachable - ${error.message}`, 0)
+  }
+
+  if (response.status === 401) dropSession()
+  if (!response.ok) {
+    let detail = ''
+    try {
+      detail = (await response.json())?.detail || ''
+    } catch {
+      // body was not JSON
+    }
+    throw new ApiError(detail || `${response.status} ${response.statusText}`, response.status)
+  }
+  if (response.status === 204) return null
+  return response.json()
+}
@@ -0,0 +1,39 @@
+// Backend selection. Without VITE_BACKEND_URL (or with VITE_MOCK_BACKEND=true)
+// every request is served by the in-browser stand-in in ./mock/server.js.
+const env = import.meta.env
+
+export const backendUrl = (env.VITE_BACKEND_URL || '').replace(/\/$/, '')
+
+// Live updates: 'sse' | 'ws' against the backend, or 'demo' for the simulator
+// running inside the mock backend. Demo mode implies the mock backend.
+export const useMockBackend = !backendUrl || env.VITE_MOCK_BACKEND === 'true' || env.VITE_EVENT_SOURCE === 'demo'
+
+export const eventSourceKind = useMockBackend ? 'demo' : (env.VITE_EVENT_SOURCE || 'sse')
+
+// Mock tuning: artificial latency and a failure rate (0..1) to exercise error states
+export const mockLatencyMs = Number(env.VITE_MOCK_LATENCY_MS ?? 250)
+export const mockFailureRate = Number(env.VITE_MOCK_FAILURE_RATE ?? 0)
+// Demo mode: per-second chance that a running step fails, to exercise retry flows
+export const demoStepFailureRate = Number(env.VITE_DEMO_STEP_FAILURE_RATE ?? 0.003)
+
+// Scheduling (mock backend): how many tasks may run at once
+export const maxRunningTasks = Number(env.VITE_MAX_RUNNING_TASKS ?? 3)
+
+// Spend: monthly team budget in USD (0 disables it) and the fraction at which the UI warns
+export const monthlyBudgetUsd = Number(env.VITE_MONTHLY_BUDGET_USD ?? 250)
+export const budgetWarnAt = Number(env.VITE_BUDGET_WARN_AT ?? 0.8)
+
+// Sign-in: OIDC authorization code flow with PKCE. Without an issuer the
+// in-browser mock identity provider (./mock/idp.js) signs users in.
+export const oidcIssuer = (env.VITE_OIDC_ISSUER || '').replace(/\/$/, '')
+export const oidcClientId = env.VITE_OIDC_CLIENT_ID || 'ops-orchestrator'
+export const oidcScope = env.VITE_OIDC_SCOPE || 'openid profile email'
+// ID token claims carrying the user's roles and teams
+export const oidcRolesClaim = env.VITE_OIDC_ROLES_CLAIM || 'roles'
+export const oidcTeamsClaim = env.VITE_OIDC_TEAMS_CLAIM || 'groups'
+export const useMockIdp = !oidcIssuer
+
+// Redaction before text reaches a cloud model: built-in detectors to apply and
+// custom patterns as JSON ([{ "name": "customer", "pattern": "CUST-\\d{6}" }])
+export const redactDetectors = (env.VITE_REDACT_DETECTORS ?? 'email,iban,phone,taxId').split(',').map(s => s.trim()).filter(Boolean)
+export const redactPatterns = env.VITE_REDACT_PATTERNS || ''
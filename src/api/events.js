@@ -0,0 +1,115 @@
+// Live task updates. Every source implements the same contract:
+//   connectTaskEvents({ onEvent, onStatus }) -> close()
+// onStatus receives { state, retryIn? } with state one of
+// 'connecting' | 'live' | 'reconnecting' | 'demo' | 'closed'.
+// Events carry a monotonically increasing `seq`; after a reconnect the source
+// asks for everything after the last seq it delivered, so nothing is missed.
+import { backendUrl, eventSourceKind } from './config'
+import { subscribe as subscribeMock } from './mock/events'
+import { accessToken } from './auth'
+
+const BACKOFF_BASE_MS = 1000
+const BACKOFF_MAX_MS = 30000
+
+export const backoffDelay = (attempt) => {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt)
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+}
+
+// Shared reconnect loop for network transports. `open` starts one connection
+// and must call `handlers.message(raw)`, `handlers.opened()` and `handlers.lost()`.
+function reconnecting(open, { onEvent, onStatus }) {
+  let lastSeq = null
+  let attempt = 0
+  let timer = null
+  let conn = null
+  let closed = false
+
+  const deliver = (event) => {
+    if (event.seq != null) {
+      if (lastSeq != null && event.seq <= lastSeq) return
+      lastSeq = event.seq
+    }
+    onEvent(event)
+  }
+
+  const connect = () => {
+    onStatus({ state: attempt ? 'reconnecting' : 'connecting' })
+    conn = open(lastSeq, {
+      opened: () => {
+        attempt = 0
+        onStatus({ state: 'live' })
+      },
+      message: (raw) => {
+        try {
+          deliver(JSON.parse(raw))
+        } catch {
+          // ignore malformed frames
+        }
+      },
+      lost: () => {
+        if (closed) return
+        conn?.close()
+        const retryIn = backoffDelay(attempt++)
+        onStatus({ state: 'reconnecting', retryIn })
+        timer = setTimeout(connect, retryIn)
+      },
+    })
+  }
+
+  connect()
+  return () => {
+    closed = true
+    clearTimeout(timer)
+    conn?.close()
+    onStatus({ state: 'closed' })
+  }
+}
+
+// EventSource and WebSocket cannot send headers, so the access token rides in the query
+const sinceQuery = (since) => {
+  const params = new URLSearchParams()
+  if (since != null) params.set('since', since)
+  if (accessToken()) params.set('access_token', accessToken())
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+function openSse(since, handlers) {
+  const source = new EventSource(`${backendUrl}/events${sinceQuery(since)}`)
+  source.onopen = handlers.opened
+  source.onmessage = (e) => handlers.message(e.data)
+  // EventSource retries on its own with a fixed delay; we own backoff instead
+  source.onerror = handlers.lost
+  return source
+}
+
+function openWs(since, handlers) {
+  const url = `${backendUrl.replace(/^http/, 'ws')}/events/ws${sinceQuery(since)}`
+  const socket = new WebSocket(url)
+  socket.onopen = handlers.opened
+  socket.onmessage = (e) => handlers.message(e.data)
+  socket.onclose = handlers.lost
+  return socket
+}
+
+// Demo mode: the mock backend's simulator, delivered through the same callbacks
+function connectDemo({ onEvent, onStatus }) {
+  onStatus({ state: 'demo' })
+  const unsubscribe = subscribeMock(null, onEvent)
+  return () => {
+    unsubscribe()
+    onStatus({ state: 'closed' })
+  }
+}
+
+export function connectTaskEvents(handlers) {
+  switch (eventSourceKind) {
+    case 'demo':
+      return connectDemo(handlers)
+    case 'ws':
+      return reconnecting(openWs, handlers)
+    default:
+      return reconnecting(openSse, handlers)
+  }
+}
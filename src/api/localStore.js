@@ -0,0 +1,53 @@
+// Browser-local persistence for offline use, in IndexedDB: the last answer to
+// each cached read ('cache', keyed `${userId}:${path}`) and the writes made while
+// the backend was unreachable ('outbox', ops as in src/lib/sync.js).
+// Where IndexedDB is unavailable (private mode, tests) both live in memory.
+const DB_NAME = 'ops-offline'
+const DB_VERSION = 1
+
+const memory = { cache: new Map(), outbox: new Map() }
+let opening = null
+
+function open() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  opening ??= new Promise(resolve => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('cache')
+      req.result.createObjectStore('outbox', { keyPath: 'id' })
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => resolve(null)
+    req.onblocked = () => resolve(null)
+  })
+  return opening
+}
+
+// Runs one request against `store`, or `fallback` on its in-memory stand-in
+async function call(store, mode, operation, fallback) {
+  const idb = await open()
+  if (!idb) return fallback(memory[store])
+  return new Promise((resolve, reject) => {
+    const req = operation(idb.transaction(store, mode).objectStore(store))
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// { data, at } or undefined
+export const readCache = (key) => call('cache', 'readonly', s => s.get(key), m => m.get(key)).catch(() => undefined)
+
+// Best effort: a full disk only costs the offline copy
+export const writeCache = (key, data) => {
+  const entry = { data, at: new Date().toISOString() }
+  return call('cache', 'readwrite', s => s.put(entry, key), m => m.set(key, structuredClone(entry))).catch(() => {})
+}
+
+// Oldest first
+export const readOutbox = () => call('outbox', 'readonly', s => s.getAll(), m => [...m.values()].map(op => structuredClone(op)))
+  .then(ops => ops.sort((a, b) => a.id - b.id))
+  .catch(() => [])
+
+export const saveOp = (op) => call('outbox', 'readwrite', s => s.put(op), m => m.set(op.id, structuredClone(op)))
+
+export const deleteOp = (id) => call('outbox', 'readwrite', s => s.delete(id), m => m.delete(id))
@@ -0,0 +1,41 @@
+// Audit log of the mock backend (entry shape in src/lib/audit.js). Entries are
+// only ever appended: no route edits or deletes them, and each is published
+// as an audit.appended event.
+import { db } from './db'
+import { emit } from './events'
+import { notifyFor } from './notifications'
+import { SYSTEM_ACTOR } from '../../lib/audit'
+import { stepId } from '../../lib/dag'
+
+const actorOf = (user) => (user ? { id: user.id, name: user.name } : SYSTEM_ACTOR)
+
+// Appends an entry about `task` and notifies its subscribers; `user` is null for the system. Does not save.
+export function recordAudit(user, action, task, details = {}, at = new Date()) {
+  const log = db.audit || (db.audit = [])
+  const entry = Object.freeze({
+    seq: (log[log.length - 1]?.seq || 0) + 1,
+    at: at.toISOString(),
+    actor: actorOf(user),
+    action,
+    taskId: task.id,
+    taskName: task.name,
+    team: task.team ?? null,
+    details,
+  })
+  log.push(entry)
+  emit({ type: 'audit.appended', entry })
+  notifyFor(entry, task)
+  return entry
+}
+
+// What the runner did between two snapshots of a task: status changes and step failures
+export function recordRunChanges(before, after) {
+  if (!before || before === after) return
+  after.steps.forEach((step, i) => {
+    const was = before.steps.find((s, j) => stepId(s, j) === stepId(step, i))
+    if (step.status === 'failed' && was?.status !== 'failed') {
+      recordAudit(null, 'step.failed', after, { step: i, stepName: step.name, error: step.error?.message || null })
+    }
+  })
+  if (before.status !== after.status) recordAudit(null, 'task.status', after, { from: before.status, to: after.status })
+}
@@ -0,0 +1,43 @@
+// Persistent state of the in-browser mock backend
+import { migrateTaskTiming, seedTasks } from '../../lib/tasks'
+import { seedTemplates } from '../../lib/templates'
+import { seedAudit } from '../../lib/audit'
+import { seedOutputs } from './outputs'
+
+const STORAGE_KEY = 'ops.mock.db'
+
+const fresh = () => {
+  const tasks = seedTasks()
+  return { tasks, models: [], outputs: seedOutputs(tasks), sessions: [], templates: seedTemplates(), schedules: [], audit: seedAudit(tasks), notifications: [], notifySettings: {}, deliveries: [] }
+}
+
+const load = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    if (raw) {
+      const stored = JSON.parse(raw)
+      return { models: [], outputs: {}, sessions: [], templates: seedTemplates(), schedules: [], audit: [], notifications: [], notifySettings: {}, deliveries: [], ...stored, tasks: (stored.tasks || []).map(migrateTaskTiming) }
+    }
+  } catch {
+    // corrupt or unavailable storage, fall through to a fresh seed
+  }
+  return fresh()
+}
+
+export const db = load()
+
+export const save = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(db))
+  } catch {
+    // quota or private mode: keep serving from memory
+  }
+}
+
+// Ids are one more than the highest so far, never below `floor` + 1
+export const nextId = (items, floor = 0) => items.reduce((max, t) => Math.max(max, Number(t.id) || 0), floor) + 1
+
+export const resetMockDb = () => {
+  Object.assign(db, fresh())
+  save()
+}
@@ -0,0 +1,58 @@
+// Event bus of the mock backend. Keeps a bounded replay log so reconnecting
+// clients can ask for everything after the last sequence number they saw.
+import { simulateTick } from '../../lib/simulator'
+import { diffTaskEvents } from '../../lib/taskEvents'
+import { db, save } from './db'
+import { recordStepOutputs } from './outputs'
+import { runDueSchedules } from './schedules'
+import { recordRunChanges } from './audit'
+import { demoStepFailureRate, maxRunningTasks } from '../config'
+
+const REPLAY_LIMIT = 500
+const TICK_MS = 1000
+
+let seq = 0
+const log = []
+const listeners = new Set()
+let ticker = null
+
+const clone = (v) => JSON.parse(JSON.stringify(v))
+
+export function emit(event) {
+  const stamped = { ...clone(event), seq: ++seq }
+  log.push(stamped)
+  if (log.length > REPLAY_LIMIT) log.shift()
+  listeners.forEach(l => l(stamped))
+}
+
+// Demo mode: due schedules queue their tasks, then the simulator drives the
+// mock database and publishes what changed
+const tick = () => {
+  runDueSchedules().forEach(emit)
+  const before = db.tasks
+  const after = simulateTick(before, { failureRate: demoStepFailureRate, limits: { maxRunningTasks } })
+  db.tasks = after
+  recordStepOutputs(db.outputs, before, after)
+  after.forEach((task, i) => recordRunChanges(before[i], task))
+  save()
+  after.forEach((task, i) => {
+    if (task !== before[i]) diffTaskEvents(before[i], task).forEach(emit)
+  })
+}
+
+export function subscribe(since, listener) {
+  if (since != null && since < seq) {
+    const oldest = log[0]?.seq ?? seq + 1
+    if (since < oldest - 1) listener({ type: 'resync', seq })
+    else log.filter(e => e.seq > since).forEach(listener)
+  }
+  listeners.add(listener)
+  if (!ticker) ticker = setInterval(tick, TICK_MS)
+  return () => {
+    listeners.delete(listener)
+    if (!listeners.size) {
+      clearInterval(ticker)
+      ticker = null
+    }
+  }
+}
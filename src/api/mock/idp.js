@@ -0,0 +1,70 @@
+// Mock OIDC identity provider for development. Speaks just enough of the
+// authorization code flow with PKCE for src/api/auth.js: the authorize page
+// (MockIdp at /mock-idp/authorize) issues a code, exchangeCode() trades it for
+// tokens. Tokens are unsigned JWTs the mock backend reads back with userFromToken().
+import { base64UrlEncode, decodeJwt, encodeUnsignedJwt } from '../../lib/jwt'
+
+export const MOCK_ISSUER = 'mock-idp'
+
+const TOKEN_TTL_S = 8 * 60 * 60
+const CODES_KEY = 'ops.mock.idp.codes'
+
+export const MOCK_USERS = [
+  { id: 'u-sam', name: 'Sam Rivera', email: 'sam.rivera@example.com', roles: ['operator', 'approver'], teams: ['finance'] },
+  { id: 'u-ava', name: 'Ava Chen', email: 'ava.chen@example.com', roles: ['operator'], teams: ['procurement'] },
+  { id: 'u-ben', name: 'Ben Okafor', email: 'ben.okafor@example.com', roles: ['operator', 'approver'], teams: ['it'] },
+  { id: 'u-vic', name: 'Vic Patel', email: 'vic.patel@example.com', roles: ['viewer'], teams: ['finance', 'procurement'] },
+  { id: 'u-morgan', name: 'Morgan Diaz', email: 'morgan.diaz@example.com', roles: ['admin'], teams: ['finance', 'procurement', 'it'] },
+]
+
+export const MOCK_DISCOVERY = {
+  issuer: MOCK_ISSUER,
+  authorization_endpoint: '/mock-idp/authorize',
+  token_endpoint: null, // exchangeCode() below
+  end_session_endpoint: null,
+}
+
+// Codes survive the redirect back to the app, so they live in sessionStorage
+const readCodes = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(CODES_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+const writeCodes = (codes) => sessionStorage.setItem(CODES_KEY, JSON.stringify(codes))
+
+export function authorize({ userId, clientId, redirectUri, codeChallenge, nonce }) {
+  if (!MOCK_USERS.some(u => u.id === userId)) throw new Error(`Unknown user ${userId}`)
+  const code = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)))
+  writeCodes({ ...readCodes(), [code]: { userId, clientId, redirectUri, codeChallenge, nonce } })
+  return code
+}
+
+const sha256 = async (text) => base64UrlEncode(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))))
+
+// Token endpoint: checks the code, redirect URI and PKCE verifier, then issues tokens once
+export async function exchangeCode({ code, codeVerifier, redirectUri, clientId }) {
+  const codes = readCodes()
+  const grant = codes[code]
+  delete codes[code]
+  writeCodes(codes)
+  if (!grant || grant.redirectUri !== redirectUri || grant.clientId !== clientId) throw new Error('invalid_grant')
+  if (await sha256(codeVerifier) !== grant.codeChallenge) throw new Error('invalid_grant: PKCE verification failed')
+  const user = MOCK_USERS.find(u => u.id === grant.userId)
+  const now = Math.floor(Date.now() / 1000)
+  const common = { iss: MOCK_ISSUER, sub: user.id, iat: now, exp: now + TOKEN_TTL_S }
+  return {
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_S,
+    access_token: encodeUnsignedJwt({ ...common, aud: 'ops-api' }),
+    id_token: encodeUnsignedJwt({ ...common, aud: clientId, nonce: grant.nonce, name: user.name, email: user.email, roles: user.roles, groups: user.teams }),
+  }
+}
+
+// What the mock backend knows about the bearer of an access token, or null
+export function userFromToken(token) {
+  const claims = decodeJwt(token)
+  if (!claims || claims.iss !== MOCK_ISSUER || claims.aud !== 'ops-api' || claims.exp * 1000 < Date.now()) return null
+  return MOCK_USERS.find(u => u.id === claims.sub) || null
+}
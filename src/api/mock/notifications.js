@@ -0,0 +1,70 @@
+// Notifications of the mock backend (shapes in src/lib/notifications.js). Each
+// audit entry that changes a task's status is checked against every user's
+// subscriptions. Webhook and email deliveries go to a local stand-in: they are
+// kept in db.deliveries instead of being sent, for the settings page and tests.
+import { db, nextId } from './db'
+import { emit } from './events'
+import { MOCK_USERS } from './idp'
+import { canView } from '../../lib/roles'
+import { inQuietHours, notificationText, notifyKind, notifyReason, withNotifyDefaults } from '../../lib/notifications'
+
+const KEEP_NOTIFICATIONS = 200
+const KEEP_DELIVERIES = 200
+
+export const settingsFor = (user) => withNotifyDefaults((db.notifySettings || {})[user.id], user)
+
+export function saveSettingsFor(user, settings) {
+  db.notifySettings = { ...(db.notifySettings || {}), [user.id]: settings }
+}
+
+// Keeps the newest `keep` items per user
+const trim = (items, userId, keep) => {
+  const mine = items.filter(i => i.userId === userId)
+  if (mine.length <= keep) return items
+  const drop = new Set(mine.slice(0, mine.length - keep))
+  return items.filter(i => !drop.has(i))
+}
+
+function deliver(user, channel, to, notification) {
+  const delivery = {
+    id: nextId(db.deliveries || [], 0),
+    userId: user.id,
+    channel,
+    to,
+    at: notification.at,
+    subject: notificationText(notification),
+    payload: { type: 'notification', notification, link: `/tasks/${notification.taskId}` },
+  }
+  db.deliveries = trim([...(db.deliveries || []), delivery], user.id, KEEP_DELIVERIES)
+  return delivery
+}
+
+// Raises, stores and publishes a notification to `user`; sends the webhook and email outside quiet hours
+export function sendNotification(user, settings, fields) {
+  const notification = {
+    id: nextId(db.notifications || [], 0),
+    userId: user.id,
+    ...fields,
+    read: false,
+    quiet: inQuietHours(settings, new Date(fields.at)),
+  }
+  db.notifications = trim([...(db.notifications || []), notification], user.id, KEEP_NOTIFICATIONS)
+  emit({ type: 'notification.created', notification })
+  if (!notification.quiet) {
+    if (settings.webhookUrl) deliver(user, 'webhook', settings.webhookUrl, notification)
+    if (settings.email) deliver(user, 'email', settings.email, notification)
+  }
+  return notification
+}
+
+// Notifies everyone subscribed to what `entry` did to `task`. Does not save.
+export function notifyFor(entry, task) {
+  const kind = notifyKind(entry)
+  if (!kind) return
+  MOCK_USERS.filter(u => canView(u, task)).forEach(user => {
+    const settings = settingsFor(user)
+    const reason = notifyReason(settings, user, task, kind, entry.actor.id)
+    if (!reason) return
+    sendNotification(user, settings, { kind, reason, taskId: task.id, taskName: task.name, team: task.team ?? null, at: entry.at, auditSeq: entry.seq })
+  })
+}
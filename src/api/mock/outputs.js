@@ -0,0 +1,201 @@
+// Step outputs of the mock backend: log lines, prompt/response and artifacts per run.
+//
+// Stored as outputs[`${taskId}/${stepId}`] = [run, ...], oldest first. A run
+// starts when the scheduler starts the step (first run, retry or rerun) and
+// collects log lines until the step completes or fails.
+import { stepId } from '../../lib/dag'
+import { modelName } from '../../lib/models'
+import { toCsv } from '../../lib/csv'
+import { isApproval } from '../../lib/pipeline'
+import { formatDuration } from '../../lib/tasks'
+import { pdfDocument } from '../../lib/pdf'
+
+const MAX_RUNS = 5
+const MAX_LOG_LINES = 200
+
+const CHECKPOINTS = ['Reading inputs', 'Prompt sent to {model}', 'Validating output against schema', 'Writing artifacts']
+
+const TABLE_STEP = /match|reconcil|export|score|collect|parse|access/i
+const REPORT_STEP = /report|notify|ledger|verify|plan|update|summar/i
+
+const VENDORS = ['Acme Corp', 'Globex GmbH', 'Initech Ltd', 'Umbrella BV', 'Stark Supplies', 'Wayne Logistics']
+
+const keyOf = (task, step) => `${task.id}/${stepId(step)}`
+const pick = (n) => Math.floor(Math.random() * n)
+const line = (message, level = 'info') => ({ at: new Date().toISOString(), level, message })
+
+const promptFor = (task, step) => [
+  `You are running the step "${step.name}" of the pipeline "${task.name}".`,
+  `Inputs: ${(step.inputs || []).join(', ') || 'the output of the previous step'}.`,
+  `Produce: ${(step.outputs || []).join(', ') || 'a structured summary'}.`,
+  'Answer with a short findings list, then the artifacts.',
+].join('\n')
+
+// Mostly stable findings with a few numbers that move between runs, so diffs have something to show
+function resultFor(task, step) {
+  const records = 120 + pick(40)
+  const flagged = pick(6)
+  const rows = VENDORS.slice(0, 4 + pick(3)).map((vendor, i) => [`INV-${4100 + i}`, vendor, (800 + pick(9000)).toFixed(2), Math.random() < 0.8 ? 'matched' : 'review'])
+  const response = [
+    `Findings for ${step.name}:`,
+    `- Processed ${records} records from ${(step.inputs || ['upstream output']).join(', ')}`,
+    `- ${rows.filter(r => r[3] === 'matched').length} of ${rows.length} sampled items matched without changes`,
+    `- ${flagged} item(s) flagged for human review`,
+    flagged > 2 ? '- Flag rate is above the usual threshold; check vendor master data' : '- Flag rate within the usual range',
+    `- Model: ${modelName(step.llm)}`,
+  ].join('\n')
+  const artifacts = [
+    { name: `${stepId(step)}.json`, type: 'json', content: JSON.stringify({ step: step.name, records, flagged, items: rows.map(([id, vendor, amount, status]) => ({ id, vendor, amount: Number(amount), status })) }, null, 2) },
+  ]
+  if (TABLE_STEP.test(step.name)) {
+    artifacts.push({ name: `${stepId(step)}.csv`, type: 'csv', content: toCsv([['invoice', 'vendor', 'amount', 'status'], ...rows]) })
+  }
+  if (REPORT_STEP.test(step.name)) {
+    artifacts.push({ name: `${stepId(step)}-report.pdf`, type: 'pdf', content: pdfDocument([{ text: `${task.name}: ${step.name}`, style: 'title' }, ...response.split('\n')]) })
+  }
+  return { response, artifacts }
+}
+
+function startRun(runs, task, step) {
+  const run = {
+    run: (runs[runs.length - 1]?.run || 0) + 1,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    logs: [line(isApproval(step) ? 'Awaiting approval' : `Started on ${modelName(step.llm)}`)],
+    prompt: isApproval(step) ? null : promptFor(task, step),
+    response: null,
+    artifacts: [],
+  }
+  return [...runs, run].slice(-MAX_RUNS)
+}
+
+function finishRun(run, task, step) {
+  if (isApproval(step)) {
+    const a = step.approval
+    const text = a ? `Approved by ${a.by || 'approver'}${a.edited ? ' with edits' : ''}${a.comment ? `: ${a.comment}` : ''}` : 'Approved'
+    return { ...run, response: text, status: 'complete', finishedAt: new Date().toISOString(), logs: [...run.logs, line(text)] }
+  }
+  return { ...run, ...resultFor(task, step), status: 'complete', finishedAt: new Date().toISOString(), logs: [...run.logs, line(`Completed in ${formatDuration(step.durationMs) || '—'}`)] }
+}
+
+const appendLog = (run, entry) => ({ ...run, logs: [...run.logs, entry].slice(-MAX_LOG_LINES) })
+
+// Records what changed between two snapshots of the queue into `outputs`
+export function recordStepOutputs(outputs, before, after) {
+  const prevById = new Map(before.map(t => [t.id, t]))
+  after.forEach(task => {
+    const prev = prevById.get(task.id)
+    if (prev === task) return
+    task.steps.forEach(step => {
+      const old = prev?.steps.find(s => stepId(s) === stepId(step))
+      if (old === step) return
+      const key = keyOf(task, step)
+      let runs = outputs[key] || []
+      const was = old?.status
+      if ((step.status === 'running' || step.status === 'awaiting_approval') && was !== step.status) {
+        // Paused steps keep their run; anything else starting is a new run
+        const last = runs[runs.length - 1]
+        runs = last?.status === 'running' ? [...runs.slice(0, -1), appendLog(last, line('Resumed'))] : startRun(runs, task, step)
+      }
+      const current = runs[runs.length - 1]
+      if (!current || current.status !== 'running') {
+        if (runs.length) outputs[key] = runs
+        return
+      }
+      let run = current
+      if (step.status === 'awaiting_approval') {
+        // nothing to log until someone decides
+      } else if (step.status === 'running') {
+        const from = Math.floor((old?.status === 'running' ? old.progress || 0 : 0) / 25)
+        const to = Math.floor((step.progress || 0) / 25)
+        for (let c = from; c < to && c < CHECKPOINTS.length; c++) run = appendLog(run, line(CHECKPOINTS[c].replace('{model}', modelName(step.llm))))
+      } else if (step.status === 'complete') {
+        run = finishRun(run, task, step)
+      } else if (step.status === 'failed') {
+        run = { ...appendLog(run, line(step.error?.message || 'Step failed', 'error')), status: 'failed', finishedAt: new Date().toISOString() }
+      } else if (step.status === 'paused') {
+        run = appendLog(run, line('Paused', 'warn'))
+      } else if (step.status === 'queued' && step.progress) {
+        run = appendLog(run, line('Waiting for a free slot'))
+      } else if (step.status === 'queued' || step.status === 'cancelled') {
+        run = { ...appendLog(run, line(step.status === 'cancelled' ? 'Cancelled' : 'Reset for another run', 'warn')), status: 'cancelled', finishedAt: new Date().toISOString() }
+      }
+      outputs[key] = [...runs.slice(0, -1), run]
+    })
+  })
+  return outputs
+}
+
+// Replaces the response of a step's latest run, keeping the original for the record
+export function editStepResponse(outputs, task, step, response, by) {
+  const runs = outputs[keyOf(task, step)]
+  const run = runs?.[runs.length - 1]
+  if (!run || run.response === response) return
+  runs[runs.length - 1] = {
+    ...appendLog(run, line(`Output edited by ${by || 'approver'} during approval`, 'warn')),
+    response,
+    originalResponse: run.originalResponse ?? run.response,
+    editedBy: by,
+    editedAt: new Date().toISOString(),
+  }
+}
+
+// Every run of every step of a task, by step id, for exports
+export const stepHistory = (outputs, task) => Object.fromEntries(task.steps.map(step => [stepId(step), outputs[keyOf(task, step)] || []]))
+
+// Puts exported runs back under an imported task; the newest MAX_RUNS per step are kept
+export function restoreStepHistory(outputs, task, history = {}) {
+  task.steps.forEach(step => {
+    const runs = history[stepId(step)]
+    if (Array.isArray(runs) && runs.length) outputs[keyOf(task, step)] = runs.slice(-MAX_RUNS)
+  })
+}
+
+// Outputs for the seeded queue: finished steps get a completed run, running steps a partial one
+export function seedOutputs(tasks) {
+  const outputs = {}
+  tasks.forEach(task => task.steps.forEach(step => {
+    if (step.status !== 'complete' && step.status !== 'running') return
+    let runs = startRun([], task, step)
+    if (step.status === 'running') {
+      runs[0] = appendLog(runs[0], line(CHECKPOINTS[0]))
+    } else {
+      // One earlier run on finished tasks, so "Compare with previous run" has data
+      if (task.status === 'complete' && !isApproval(step)) runs = startRun([finishRun(runs[0], task, step)], task, step)
+      runs[runs.length - 1] = finishRun(runs[runs.length - 1], task, step)
+    }
+    outputs[keyOf(task, step)] = runs
+  }))
+  return outputs
+}
+
+const runSummary = (run) => run && { run: run.run, status: run.status, startedAt: run.startedAt, finishedAt: run.finishedAt, response: run.response, artifacts: run.artifacts }
+
+// Latest run of a step plus the run to compare it with: the step's own previous
+// run after a retry/rerun, otherwise the same step in the latest earlier task of the same name
+export function stepOutput(outputs, tasks, task, step) {
+  const runs = outputs[keyOf(task, step)] || []
+  const current = runs[runs.length - 1]
+  let previous = null
+  const own = [...runs.slice(0, -1)].reverse().find(r => r.status === 'complete')
+  if (own) {
+    previous = { source: 'rerun', taskId: task.id, ...runSummary(own) }
+  } else {
+    const createdAt = new Date(task.createdAt || 0).getTime()
+    const earlier = tasks
+      .filter(t => t.id !== task.id && t.name === task.name && new Date(t.createdAt || 0).getTime() < createdAt)
+      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+    for (const t of earlier) {
+      const done = [...(outputs[keyOf(t, step)] || [])].reverse().find(r => r.status === 'complete')
+      if (done) {
+        previous = { source: 'task', taskId: t.id, ...runSummary(done) }
+        break
+      }
+    }
+  }
+  return {
+    runs: runs.length,
+    ...(current || { run: 0, status: 'queued', logs: [], prompt: null, response: null, artifacts: [] }),
+    previous,
+  }
+}
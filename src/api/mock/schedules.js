@@ -0,0 +1,72 @@
+// Runs schedules for the mock backend. The demo ticker checks for due schedules
+// every second, so schedules only fire while the app is open.
+import { db, nextId, save } from './db'
+import { makeTask } from '../../lib/tasks'
+import { pipelineToSteps, stepsToPipeline } from '../../lib/pipeline'
+import { fillTemplate, findVersion, latestVersion } from '../../lib/templates'
+import { advanceSchedule, dueAction, withRun } from '../../lib/schedules'
+import { recordAudit } from './audit'
+
+// The name and steps a run queues; throws when the source is gone or no longer fills in
+export function scheduledPipeline({ source }) {
+  if (source.type === 'template') {
+    const template = (db.templates || []).find(t => String(t.id) === String(source.templateId))
+    if (!template) throw new Error(`Template ${source.templateId} was deleted`)
+    const result = fillTemplate(findVersion(template, source.version ?? latestVersion(template).version), source.values)
+    if (!result.ok) throw new Error(result.errors[0])
+    return { name: result.name, steps: result.steps }
+  }
+  const task = db.tasks.find(t => String(t.id) === String(source.taskId))
+  if (!task) throw new Error(`Task ${source.taskId} was deleted`)
+  // A copy of the pipeline without any run state
+  return { name: task.name, steps: pipelineToSteps(stepsToPipeline(task.steps)) }
+}
+
+const replace = (schedule) => {
+  db.schedules = db.schedules.map(s => (s.id === schedule.id ? schedule : s))
+  return schedule
+}
+
+// Queues one run of a schedule as its owner and audits it as done by `by` (the
+// user who pressed run now, or null for the system). Returns the updated schedule,
+// the task (null when the run failed) and the events to publish. Does not save.
+export function runSchedule(schedule, trigger, at = new Date(), by = null) {
+  let task = null
+  let run
+  try {
+    const { name, steps } = scheduledPipeline(schedule)
+    task = makeTask(nextId(db.tasks, 1000), name, schedule.user, steps, 'normal', { userId: schedule.userId, team: schedule.team })
+    task.scheduleId = schedule.id
+    if (schedule.source.type === 'template') task.templateId = schedule.source.templateId
+    if (schedule.source.type === 'task') task.copiedFrom = schedule.source.taskId
+    db.tasks = [task, ...db.tasks]
+    recordAudit(by, 'task.created', task, { via: 'schedule', scheduleId: schedule.id, scheduleName: schedule.name, trigger }, at)
+    run = { at: at.toISOString(), trigger, taskId: task.id }
+  } catch (error) {
+    run = { at: at.toISOString(), trigger, error: error.message }
+  }
+  const updated = replace(withRun(schedule, run))
+  const events = [...(task ? [{ type: 'task.created', task }] : []), { type: 'schedule.updated', schedule: updated }]
+  return { schedule: updated, task, events }
+}
+
+// Runs or skips every schedule that is due and moves it to its next run
+export function runDueSchedules(now = new Date()) {
+  const events = []
+  const due = (db.schedules || []).filter(s => dueAction(s, now))
+  due.forEach(schedule => {
+    const action = dueAction(schedule, now)
+    let current = schedule
+    if (action === 'skip') {
+      current = withRun(schedule, { at: schedule.nextRunAt, trigger: 'schedule', skipped: true })
+    } else {
+      const result = runSchedule(schedule, 'schedule', now)
+      current = result.schedule
+      events.push(...result.events.filter(e => e.type === 'task.created'))
+    }
+    const advanced = replace(advanceSchedule(current, now))
+    events.push({ type: 'schedule.updated', schedule: advanced })
+  })
+  if (events.length) save()
+  return events
+}
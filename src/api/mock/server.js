@@ -0,0 +1,540 @@
+// In-browser stand-in for the backend. Mirrors the REST routes the real
+// service exposes and persists to localStorage so a reload keeps the queue.
+import { mockFailureRate, mockLatencyMs } from '../config'
+import { makeTask } from '../../lib/tasks'
+import { db, nextId, save } from './db'
+import { emit } from './events'
+import { editStepResponse, recordStepOutputs, restoreStepHistory, stepHistory, stepOutput } from './outputs'
+import { applyAction } from '../../lib/lifecycle'
+import { dependenciesOf, stepId } from '../../lib/dag'
+import { PRIORITIES } from '../../lib/scheduler'
+import { isBuiltin, normalizeModel, validateModel } from '../../lib/models'
+import { can, canAct, canView, isAdmin } from '../../lib/roles'
+import { validateTemplate } from '../../lib/templates'
+import { isStarted, stepsToPipeline, validatePipeline } from '../../lib/pipeline'
+import { validateSchedule } from '../../lib/schedules'
+import { exportDocument, validateTaskExport } from '../../lib/taskExport'
+import { nextRun } from '../../lib/cron'
+import { runSchedule, scheduledPipeline } from './schedules'
+import { recordAudit } from './audit'
+import { saveSettingsFor, sendNotification, settingsFor } from './notifications'
+import { validateNotifySettings, withNotifyDefaults } from '../../lib/notifications'
+import { LIFECYCLE_AUDIT_ACTIONS, STEP_CONTROL_AUDIT_ACTIONS, matchesAudit, parseAuditQuery, taskChanges } from '../../lib/audit'
+import { userFromToken } from './idp'
+
+const ok = (data, status = 200) => ({ status, data })
+const fail = (status, detail) => ({ status, data: { detail } })
+
+const findTask = (id) => db.tasks.find(t => String(t.id) === String(id))
+
+const forbidden = (what) => fail(403, `Your role does not allow you to ${what}`)
+
+const findSession = (id) => (db.sessions || []).find(s => String(s.id) === String(id))
+
+// Planning sessions are readable by the owner and by anyone who can see their team's tasks
+const sessionLookup = (id, user) => {
+  const session = findSession(id)
+  if (!session) return { error: fail(404, `Planning session ${id} not found`) }
+  if (session.userId !== user.id && !canView(user, session)) return { error: fail(403, `Planning session ${id} belongs to another team`) }
+  return { session }
+}
+
+const ownsSession = (session, user) => session.userId === user.id || isAdmin(user)
+
+const validMessages = (messages) => Array.isArray(messages) && messages.every(m => (m?.role === 'user' || m?.role === 'ai') && typeof m.text === 'string')
+
+// Lists carry no messages
+const sessionSummary = ({ messages, ...session }) => ({ ...session, messageCount: messages.filter(m => m.role === 'user').length })
+
+const findTemplate = (id) => (db.templates || []).find(t => String(t.id) === String(id))
+
+const templateErrors = (errors) => fail(422, errors.join('; '))
+
+const findSchedule = (id) => (db.schedules || []).find(s => String(s.id) === String(id))
+
+// Schedules belong to a team like tasks do, and need the same permissions to change
+const scheduleLookup = (id, user, permission) => {
+  const schedule = findSchedule(id)
+  if (!schedule) return { error: fail(404, `Schedule ${id} not found`) }
+  if (!canView(user, schedule)) return { error: fail(403, `Schedule ${id} belongs to another team`) }
+  if (permission && !can(user, permission, schedule)) return { error: forbidden('change schedules') }
+  return { schedule }
+}
+
+const publishSchedule = (schedule) => {
+  save()
+  emit({ type: 'schedule.updated', schedule })
+  return ok(schedule)
+}
+
+// Steps are checked like a pipeline proposal: known models, unique ids, known dependencies, no cycles
+const stepErrors = (steps) => {
+  if (!Array.isArray(steps)) return fail(422, '"steps" must be a list')
+  const { errors } = validatePipeline(stepsToPipeline(steps.map(s => (s && typeof s === 'object' ? s : {}))))
+  return errors.length ? fail(422, errors.join('; ')) : null
+}
+
+// What PATCH /tasks/:id may change; status goes through /tasks/:id/actions, which audits it
+const EDITABLE = ['name', 'priority', 'steps']
+
+// Run state is the scheduler's and the actions route's
+const RUN_STATE = ['status', 'progress', 'startedAt', 'finishedAt', 'durationMs', 'failures', 'error', 'approval', 'usage']
+// What an edit must not change on a started step: its status and its output
+const OUTCOME = ['status', 'error', 'approval', 'usage']
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+// Edited steps -> { steps } with run state kept from `task`, or { error }. Started steps
+// are locked as in the pipeline editor; the rest stay queued.
+function editSteps(task, steps) {
+  const before = stepsToPipeline(task.steps).steps
+  const after = stepsToPipeline(steps).steps
+  for (const [i, stored] of task.steps.entries()) {
+    if (!isStarted(stored)) continue
+    const j = after.findIndex(s => s.id === before[i].id)
+    if (j === -1) return { error: fail(422, `Step "${stored.name}" has started and cannot be removed`) }
+    const { status: _before, ...definition } = before[i]
+    const { status: _after, ...edited } = after[j]
+    if (!sameValue(edited, definition)) return { error: fail(422, `Step "${stored.name}" has started and cannot be changed`) }
+    if (OUTCOME.some(k => steps[j][k] !== undefined && !sameValue(steps[j][k], stored[k]))) {
+      return { error: fail(422, `The status and output of step "${stored.name}" change through /tasks/${task.id}/actions`) }
+    }
+  }
+  const started = new Map(task.steps.map((s, i) => [before[i].id, s]).filter(([, s]) => isStarted(s)))
+  const startedIds = new Set(started.keys())
+  const queued = after.findIndex((s, j) => !startedIds.has(s.id) && steps[j].status !== undefined && steps[j].status !== 'queued')
+  if (queued !== -1) return { error: fail(422, `Step "${steps[queued].name}" has not started; its status changes through /tasks/${task.id}/actions`) }
+  return {
+    steps: steps.map((s, j) => {
+      const kept = Object.fromEntries(Object.entries(s).filter(([k]) => !RUN_STATE.includes(k)))
+      const stored = started.get(after[j].id)
+      return stored ? { ...kept, ...Object.fromEntries(RUN_STATE.filter(k => k in stored).map(k => [k, stored[k]])) } : { ...kept, status: 'queued', progress: 0 }
+    }),
+  }
+}
+
+// The task if the user may see it, otherwise the error to answer with
+const lookup = (id, user) => {
+  const task = findTask(id)
+  if (!task) return { error: fail(404, `Task ${id} not found`) }
+  if (!canView(user, task)) return { error: fail(403, `Task ${id} belongs to another team`) }
+  return { task }
+}
+
+// Handlers get the route params, the request body, the signed-in user and the query string
+const routes = [
+  ['GET', /^\/tasks$/, (_, __, user) => ok(db.tasks.filter(t => canView(user, t)))],
+  ['GET', /^\/tasks\/([^/]+)$/, ([id], _, user) => {
+    const { task, error } = lookup(id, user)
+    return error || ok(task)
+  }],
+  ['POST', /^\/tasks$/, (_, body, user) => {
+    if (!can(user, 'task.create')) return forbidden('create tasks')
+    const name = (body?.name || '').trim()
+    if (!name) return fail(422, 'Task name is required')
+    if (body.priority && !PRIORITIES.includes(body.priority)) return fail(422, `Priority must be one of ${PRIORITIES.join(', ')}`)
+    const invalid = body.steps !== undefined && stepErrors(body.steps)
+    if (invalid) return invalid
+    const team = body.team || user.teams[0]
+    if (!team) return fail(422, 'You are not a member of any team')
+    if (!isAdmin(user) && !user.teams.includes(team)) return forbidden(`create tasks for team ${team}`)
+    // A task planned in the chat links back to its session, which becomes its read-only record
+    const session = body.sessionId != null ? findSession(body.sessionId) : null
+    if (body.sessionId != null && (!session || session.userId !== user.id)) return fail(422, `Planning session ${body.sessionId} not found`)
+    if (session?.taskId != null) return fail(409, `Planning session ${session.id} already created task ${session.taskId}`)
+    const template = body.templateId != null ? findTemplate(body.templateId) : null
+    if (body.templateId != null && !template) return fail(422, `Template ${body.templateId} not found`)
+    const id = nextId(db.tasks, 1000)
+    const task = makeTask(id, name, user.name, body.steps, body.priority, { userId: user.id, team })
+    if (template) task.templateId = template.id
+    if (session) {
+      task.planningSessionId = session.id
+      Object.assign(session, { taskId: id, team, updatedAt: task.createdAt })
+    }
+    db.tasks = [task, ...db.tasks]
+    recordAudit(user, 'task.created', task, session ? { via: 'chat', sessionId: session.id } : template ? { via: 'template', templateId: template.id, templateName: template.name } : {})
+    save()
+    emit({ type: 'task.created', task })
+    return ok(task, 201)
+  }],
+  // Tasks with every run of every step; any id the user may not see fails the whole export
+  ['POST', /^\/tasks\/export$/, (_, body, user) => {
+    if (!Array.isArray(body?.ids) || !body.ids.length) return fail(422, '"ids" must list at least one task')
+    const tasks = []
+    for (const id of body.ids) {
+      const { task, error } = lookup(id, user)
+      if (error) return error
+      tasks.push(task)
+    }
+    return ok(exportDocument(tasks, tasks.map(t => stepHistory(db.outputs, t)), { exportedBy: user.name }))
+  }],
+  // Restores exported tasks under new ids, owned by the importer; all or nothing
+  ['POST', /^\/tasks\/import$/, (_, body, user) => {
+    if (!can(user, 'task.create')) return forbidden('import tasks')
+    const { ok: valid, errors, tasks } = validateTaskExport(body)
+    if (!valid) return fail(422, errors.join('; '))
+    const foreign = tasks.find(t => t.team && !isAdmin(user) && !user.teams.includes(t.team))
+    if (foreign) return forbidden(`import tasks for team ${foreign.team}`)
+    if (!user.teams[0] && tasks.some(t => !t.team)) return fail(422, 'You are not a member of any team')
+    const now = new Date().toISOString()
+    const created = tasks.map(({ history, ...restored }, i) => {
+      const task = { ...restored, id: nextId(db.tasks, 1000) + i, user: user.name, userId: user.id, team: restored.team || user.teams[0], queuedAt: now }
+      restoreStepHistory(db.outputs, task, history)
+      return task
+    })
+    db.tasks = [...created, ...db.tasks]
+    created.forEach(task => recordAudit(user, 'task.created', task, { via: 'import', importedFrom: task.importedFrom.id }))
+    save()
+    created.forEach(task => emit({ type: 'task.created', task }))
+    return ok(created, 201)
+  }],
+  ['PATCH', /^\/tasks\/([^/]+)$/, ([id], body, user) => {
+    const { task, error } = lookup(id, user)
+    if (error) return error
+    if (!can(user, 'task.operate', task)) return forbidden('change tasks')
+    const patch = { ...body }
+    const other = Object.keys(patch).filter(k => !EDITABLE.includes(k))
+    if (other.length) return fail(422, `Only ${EDITABLE.join(', ')} can be edited, not ${other.join(', ')}; status changes go through /tasks/${task.id}/actions`)
+    if (patch.name !== undefined) {
+      if (typeof patch.name !== 'string' || !patch.name.trim()) return fail(422, 'Task name is required')
+      patch.name = patch.name.trim()
+    }
+    if (patch.priority !== undefined && !PRIORITIES.includes(patch.priority)) return fail(422, `Priority must be one of ${PRIORITIES.join(', ')}`)
+    if (patch.steps !== undefined) {
+      const invalid = stepErrors(patch.steps)
+      if (invalid) return invalid
+      const edit = editSteps(task, patch.steps)
+      if (edit.error) return edit.error
+      patch.steps = edit.steps
+    }
+    const changes = taskChanges(task, { ...task, ...patch })
+    Object.assign(task, patch)
+    if (changes.length) recordAudit(user, 'task.edited', task, { changes })
+    save()
+    emit({ type: 'task.updated', task })
+    return ok(task)
+  }],
+  ['POST', /^\/tasks\/([^/]+)\/actions$/, ([id], body, user) => {
+    const { task, error } = lookup(id, user)
+    if (error) return error
+    if (!canAct(user, task, body?.action)) return forbidden(`${body?.action} tasks`)
+    // Approvers may correct upstream output before signing off
+    const edits = body?.action === 'approve' && Array.isArray(body.edits) ? body.edits : []
+    const parents = task.steps[body?.step] ? dependenciesOf(task.steps, body.step) : []
+    const bad = edits.find(e => !task.steps[e?.step] || !parents.includes(stepId(task.steps[e.step], e.step)) || typeof e.response !== 'string')
+    if (bad) return fail(422, 'Edits must replace the response of a step the approval depends on')
+    let next
+    try {
+      next = applyAction(task, body?.action, body?.step, { by: user.name, comment: body?.comment, edited: edits.length > 0 })
+    } catch (error) {
+      return fail(409, error.message)
+    }
+    edits.forEach(e => editStepResponse(db.outputs, task, task.steps[e.step], e.response, user.name))
+    db.tasks = db.tasks.map(t => (t === task ? next : t))
+    recordStepOutputs(db.outputs, [task], [next])
+    const step = task.steps[body.step]
+    recordAudit(user, (step && STEP_CONTROL_AUDIT_ACTIONS[body.action]) || LIFECYCLE_AUDIT_ACTIONS[body.action], next, {
+      from: task.status,
+      to: next.status,
+      ...(step && { step: body.step, stepName: step.name }),
+      ...(body.action === 'approve' || body.action === 'reject' ? { comment: body.comment || '', edited: edits.length > 0 } : {}),
+    })
+    save()
+    emit({ type: 'task.updated', task: next })
+    return ok(next)
+  }],
+  ['GET', /^\/tasks\/([^/]+)\/steps\/(\d+)\/output$/, ([id, index], _, user) => {
+    const { task, error } = lookup(id, user)
+    if (error) return error
+    const step = task.steps[Number(index)]
+    if (!step) return fail(404, `Task ${id} has no step ${index}`)
+    return ok(stepOutput(db.outputs, db.tasks, task, step))
+  }],
+  // Entries about tasks the user can see, newest first; filters as in lib/audit (?task=&action=&actor=&from=&to=)
+  ['GET', /^\/audit$/, (_, __, user, query) => {
+    const filters = parseAuditQuery(query)
+    return ok((db.audit || []).filter(e => canView(user, e) && matchesAudit(e, filters)).reverse())
+  }],
+  // Notifications of the signed-in user, newest first
+  ['GET', /^\/notifications$/, (_, __, user) => ok((db.notifications || []).filter(n => n.userId === user.id).reverse())],
+  // Marks the given ids read, or all of them without ids
+  ['POST', /^\/notifications\/read$/, (_, body, user) => {
+    const ids = Array.isArray(body?.ids) ? body.ids.map(String) : null
+    db.notifications = (db.notifications || []).map(n => (n.userId === user.id && !n.read && (!ids || ids.includes(String(n.id))) ? { ...n, read: true } : n))
+    save()
+    return ok(db.notifications.filter(n => n.userId === user.id).reverse())
+  }],
+  ['GET', /^\/notifications\/settings$/, (_, __, user) => ok(settingsFor(user))],
+  ['PUT', /^\/notifications\/settings$/, (_, body, user) => {
+    const settings = withNotifyDefaults(body, user)
+    const errors = validateNotifySettings(settings)
+    if (errors.length) return fail(422, errors.join('; '))
+    saveSettingsFor(user, settings)
+    save()
+    return ok(settings)
+  }],
+  // Sends a notification through every channel the user set up, quiet hours permitting
+  ['POST', /^\/notifications\/test$/, (_, __, user) => {
+    const notification = sendNotification(user, settingsFor(user), { kind: 'test', reason: 'test', taskId: null, taskName: null, team: null, at: new Date().toISOString(), auditSeq: null })
+    save()
+    return ok(notification, 201)
+  }],
+  // What the local stand-in received instead of webhook calls and emails, newest first
+  ['GET', /^\/notifications\/deliveries$/, (_, __, user) => ok((db.deliveries || []).filter(d => d.userId === user.id).reverse())],
+  ['GET', /^\/sessions$/, (_, __, user) => ok(
+    (db.sessions || []).filter(s => s.userId === user.id).map(sessionSummary).sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1)),
+  )],
+  ['GET', /^\/sessions\/([^/]+)$/, ([id], _, user) => {
+    const { session, error } = sessionLookup(id, user)
+    return error || ok(session)
+  }],
+  ['POST', /^\/sessions$/, (_, body, user) => {
+    if (!can(user, 'task.create')) return forbidden('plan tasks')
+    const messages = body?.messages || []
+    if (!validMessages(messages)) return fail(422, 'Messages must be a list of { role, text }')
+    const now = new Date().toISOString()
+    const session = {
+      id: nextId(db.sessions || [], 0),
+      name: (body?.name || '').trim() || 'Untitled plan',
+      user: user.name,
+      userId: user.id,
+      team: user.teams[0],
+      taskId: null,
+      createdAt: now,
+      updatedAt: now,
+      messages,
+    }
+    db.sessions = [...(db.sessions || []), session]
+    save()
+    return ok(session, 201)
+  }],
+  ['PATCH', /^\/sessions\/([^/]+)$/, ([id], body, user) => {
+    const { session, error } = sessionLookup(id, user)
+    if (error) return error
+    if (!ownsSession(session, user)) return forbidden('change other people\'s planning sessions')
+    const patch = {}
+    if (body?.name !== undefined) {
+      if (!String(body.name).trim()) return fail(422, 'Session name is required')
+      patch.name = String(body.name).trim()
+    }
+    if (body?.messages !== undefined) {
+      if (session.taskId != null) return fail(409, `Planning session ${id} created task ${session.taskId} and is read-only`)
+      if (!validMessages(body.messages)) return fail(422, 'Messages must be a list of { role, text }')
+      patch.messages = body.messages
+    }
+    Object.assign(session, patch, { updatedAt: new Date().toISOString() })
+    save()
+    return ok(session)
+  }],
+  ['DELETE', /^\/sessions\/([^/]+)$/, ([id], _, user) => {
+    const { session, error } = sessionLookup(id, user)
+    if (error) return error
+    if (!ownsSession(session, user)) return forbidden('delete other people\'s planning sessions')
+    if (session.taskId != null) return fail(409, `Planning session ${id} is the record of task ${session.taskId} and cannot be deleted`)
+    db.sessions = db.sessions.filter(s => s !== session)
+    save()
+    return ok(null, 204)
+  }],
+  ['GET', /^\/schedules$/, (_, __, user) => ok((db.schedules || []).filter(s => canView(user, s)))],
+  ['POST', /^\/schedules$/, (_, body, user) => {
+    if (!can(user, 'task.create')) return forbidden('schedule tasks')
+    const errors = validateSchedule(body || {})
+    if (errors.length) return fail(422, errors.join('; '))
+    const team = body.team || user.teams[0]
+    if (!team) return fail(422, 'You are not a member of any team')
+    if (!isAdmin(user) && !user.teams.includes(team)) return forbidden(`schedule tasks for team ${team}`)
+    const source = body.source.type === 'template'
+      ? { type: 'template', templateId: body.source.templateId, version: body.source.version ?? null, values: body.source.values || {} }
+      : { type: 'task', taskId: body.source.taskId }
+    if (source.type === 'task') {
+      const { error } = lookup(source.taskId, user)
+      if (error) return error
+    }
+    // The first run must be possible, so a bad template or missing value fails now
+    let sourceName
+    try {
+      sourceName = source.type === 'task' ? findTask(source.taskId).name : findTemplate(source.templateId).name
+      scheduledPipeline({ source })
+    } catch (error) {
+      return fail(422, source.type === 'template' && !findTemplate(source.templateId) ? `Template ${source.templateId} not found` : error.message)
+    }
+    const now = new Date().toISOString()
+    const schedule = {
+      id: nextId(db.schedules || [], 0),
+      name: body.name.trim(),
+      cron: body.cron.trim(),
+      timezone: body.timezone || null,
+      source,
+      sourceName,
+      user: user.name,
+      userId: user.id,
+      team,
+      enabled: true,
+      nextRunAt: nextRun(body.cron, new Date(), body.timezone || null).toISOString(),
+      skipAt: null,
+      runs: [],
+      createdAt: now,
+      updatedAt: now,
+    }
+    db.schedules = [...(db.schedules || []), schedule]
+    save()
+    emit({ type: 'schedule.updated', schedule })
+    return ok(schedule, 201)
+  }],
+  // name, cron, enabled, and skipNext (true skips the next run, false takes the skip back)
+  ['PATCH', /^\/schedules\/([^/]+)$/, ([id], body, user) => {
+    const { schedule, error } = scheduleLookup(id, user, 'task.operate')
+    if (error) return error
+    const patch = body || {}
+    const errors = validateSchedule({ name: patch.name, cron: patch.cron }, { partial: true })
+    if (errors.length) return fail(422, errors.join('; '))
+    const next = { ...schedule, updatedAt: new Date().toISOString() }
+    if (patch.name !== undefined) next.name = patch.name.trim()
+    if (patch.cron !== undefined) {
+      next.cron = patch.cron.trim()
+      next.skipAt = null
+    }
+    if (patch.enabled !== undefined) next.enabled = !!patch.enabled
+    // Timing changes and resuming start counting from now
+    if (patch.cron !== undefined || (patch.enabled && !schedule.enabled)) next.nextRunAt = nextRun(next.cron, new Date(), next.timezone).toISOString()
+    if (patch.skipNext !== undefined) {
+      if (patch.skipNext && !next.enabled) return fail(409, 'A paused schedule has no next run to skip')
+      next.skipAt = patch.skipNext ? next.nextRunAt : null
+    }
+    db.schedules = db.schedules.map(s => (s === schedule ? next : s))
+    return publishSchedule(next)
+  }],
+  // Run now: queues a task straight away and leaves the regular timing alone
+  ['POST', /^\/schedules\/([^/]+)\/runs$/, ([id], _, user) => {
+    const { schedule, error } = scheduleLookup(id, user, 'task.operate')
+    if (error) return error
+    const result = runSchedule(schedule, 'manual', new Date(), user)
+    save()
+    result.events.forEach(emit)
+    if (!result.task) return fail(422, result.schedule.runs[0].error)
+    return ok(result.schedule, 201)
+  }],
+  ['DELETE', /^\/schedules\/([^/]+)$/, ([id], _, user) => {
+    const { schedule, error } = scheduleLookup(id, user, 'task.operate')
+    if (error) return error
+    db.schedules = db.schedules.filter(s => s !== schedule)
+    save()
+    emit({ type: 'schedule.deleted', scheduleId: schedule.id })
+    return ok(null, 204)
+  }],
+  // Templates are a shared library: everyone can read them, anyone who creates tasks can add to them
+  ['GET', /^\/templates$/, () => ok(db.templates || [])],
+  ['GET', /^\/templates\/([^/]+)$/, ([id]) => {
+    const template = findTemplate(id)
+    return template ? ok(template) : fail(404, `Template ${id} not found`)
+  }],
+  ['POST', /^\/templates$/, (_, body, user) => {
+    if (!can(user, 'task.create')) return forbidden('save templates')
+    const { ok: valid, errors, template } = validateTemplate(body)
+    if (!valid) return templateErrors(errors)
+    const { name, description, ...version } = template
+    if ((db.templates || []).some(t => t.name.toLowerCase() === name.toLowerCase())) return fail(409, `A template named "${name}" already exists; save a new version of it instead`)
+    const now = new Date().toISOString()
+    const created = {
+      id: nextId(db.templates || [], 0),
+      name,
+      description,
+      user: user.name,
+      userId: user.id,
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ version: 1, ...version, note: String(body.note || ''), by: user.name, createdAt: now }],
+    }
+    db.templates = [...(db.templates || []), created]
+    save()
+    return ok(created, 201)
+  }],
+  // A new version keeps the template's name; the body's name is ignored
+  ['POST', /^\/templates\/([^/]+)\/versions$/, ([id], body, user) => {
+    if (!can(user, 'task.create')) return forbidden('save templates')
+    const template = findTemplate(id)
+    if (!template) return fail(404, `Template ${id} not found`)
+    const { ok: valid, errors, template: parsed } = validateTemplate({ ...body, name: template.name })
+    if (!valid) return templateErrors(errors)
+    const { name: _name, description, ...version } = parsed
+    const now = new Date().toISOString()
+    const number = template.versions[template.versions.length - 1].version + 1
+    template.versions.push({ version: number, ...version, note: String(body.note || ''), by: user.name, createdAt: now })
+    if (body.description !== undefined) template.description = description
+    template.updatedAt = now
+    save()
+    return ok(template, 201)
+  }],
+  ['PATCH', /^\/templates\/([^/]+)$/, ([id], body, user) => {
+    const template = findTemplate(id)
+    if (!template) return fail(404, `Template ${id} not found`)
+    if (template.userId !== user.id && !isAdmin(user)) return forbidden('change other people\'s templates')
+    if (body?.name !== undefined) {
+      const name = String(body.name).trim()
+      if (!name) return fail(422, 'Template name is required')
+      if (db.templates.some(t => t !== template && t.name.toLowerCase() === name.toLowerCase())) return fail(409, `A template named "${name}" already exists`)
+      template.name = name
+    }
+    if (body?.description !== undefined) template.description = String(body.description).trim()
+    template.updatedAt = new Date().toISOString()
+    save()
+    return ok(template)
+  }],
+  ['DELETE', /^\/templates\/([^/]+)$/, ([id], _, user) => {
+    const template = findTemplate(id)
+    if (!template) return fail(404, `Template ${id} not found`)
+    if (template.userId !== user.id && !isAdmin(user)) return forbidden('delete other people\'s templates')
+    db.templates = db.templates.filter(t => t !== template)
+    save()
+    return ok(null, 204)
+  }],
+  ['GET', /^\/models$/, () => ok(db.models || [])],
+  ['POST', /^\/models$/, (_, body, user) => {
+    if (!can(user, 'models.manage')) return forbidden('manage models')
+    // Only registry fields are kept; anything else in the body is ignored
+    const model = normalizeModel(body || {})
+    const errors = validateModel(model)
+    if (errors.length) return fail(422, errors.join('; '))
+    db.models = [...(db.models || []), model]
+    save()
+    return ok(model, 201)
+  }],
+  ['PATCH', /^\/models\/([^/]+)$/, ([id], body, user) => {
+    if (!can(user, 'models.manage')) return forbidden('manage models')
+    const key = decodeURIComponent(id)
+    if (isBuiltin(key)) return fail(403, 'Built-in models cannot be changed')
+    const model = (db.models || []).find(m => m.id === key)
+    if (!model) return fail(404, `Model ${key} not found`)
+    const next = normalizeModel({ ...model, ...body, id: model.id })
+    const errors = validateModel(next, { isNew: false })
+    if (errors.length) return fail(422, errors.join('; '))
+    db.models = db.models.map(m => (m === model ? next : m))
+    save()
+    return ok(next)
+  }],
+  ['DELETE', /^\/models\/([^/]+)$/, ([id], _, user) => {
+    if (!can(user, 'models.manage')) return forbidden('manage models')
+    const key = decodeURIComponent(id)
+    if (isBuiltin(key)) return fail(403, 'Built-in models cannot be removed')
+    db.models = (db.models || []).filter(m => m.id !== key)
+    save()
+    return ok(null, 204)
+  }],
+]
+
+const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)))
+
+// `token` is the bearer token the real backend would read from the Authorization header
+export async function handleMockRequest(method, path, body, token) {
+  await new Promise(r => setTimeout(r, mockLatencyMs))
+  if (Math.random() < mockFailureRate) return fail(503, 'Mock backend: simulated outage')
+  const user = userFromToken(token)
+  if (!user) return fail(401, 'Sign in required')
+  const [pathname, search = ''] = path.split('?')
+  for (const [m, pattern, handler] of routes) {
+    if (m !== method) continue
+    const match = pathname.match(pattern)
+    if (match) return clone(handler(match.slice(1), clone(body), user, new URLSearchParams(search)))
+  }
+  return fail(404, `No mock route for ${method} ${pathname}`)
+}
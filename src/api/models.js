@@ -0,0 +1,11 @@
+import { request } from './offline'
+
+// Custom (self-hosted) models shared by the team; built-ins live in src/lib/models.js
+
+export const listCustomModels = () => request('/models')
+
+export const createCustomModel = (model) => request('/models', { method: 'POST', body: model })
+
+export const updateCustomModel = (id, patch) => request(`/models/${encodeURIComponent(id)}`, { method: 'PATCH', body: patch })
+
+export const deleteCustomModel = (id) => request(`/models/${encodeURIComponent(id)}`, { method: 'DELETE' })
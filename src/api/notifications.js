@@ -0,0 +1,19 @@
+import { request } from './offline'
+
+// Notifications and their settings (shapes in src/lib/notifications.js). New
+// notifications also arrive on the event stream as notification.created.
+
+export const listNotifications = () => request('/notifications')
+
+// Marks the given notification ids read, or all of them; answers with the list
+export const markNotificationsRead = (ids) => request('/notifications/read', { method: 'POST', body: ids ? { ids } : {} })
+
+export const getNotifySettings = () => request('/notifications/settings')
+
+export const saveNotifySettings = (settings) => request('/notifications/settings', { method: 'PUT', body: settings })
+
+export const sendTestNotification = () => request('/notifications/test', { method: 'POST' })
+
+// Webhook calls and emails as the receiving end saw them; the mock backend keeps
+// them instead of sending
+export const listDeliveries = () => request('/notifications/deliveries')
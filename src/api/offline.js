@@ -0,0 +1,275 @@
+// Offline-first requests. Reads of tasks, planning sessions and templates are kept
+// in the local store (./localStore) and answered from it while the backend is
+// unreachable. Queueable writes (src/lib/sync.js) are then applied here at once,
+// kept in the outbox and replayed in order when the backend is back; once anything
+// is queued, later writes queue behind it. Replay stops at a write that changed on
+// both sides or that the backend refuses until the user keeps theirs or the backend's.
+import { ApiError, send } from './client'
+import { getSession, subscribeSession } from './auth'
+import { backoffDelay } from './events'
+import { deleteOp, readCache, readOutbox, saveOp, writeCache } from './localStore'
+import { afterReplay, applyLocally, canMerge, checkReplay, isCachedRead, isCreate, isLocalId, mergeOps, queueable, targetPath, withPending } from '../lib/sync'
+
+// Reads the app keeps up to date from events are stored at most this often
+const REMEMBER_MS = 2000
+
+let state = { online: true, syncing: false, ops: [] } // ops of the signed-in user, oldest first
+const listeners = new Set()
+const eventListeners = new Set()
+
+let ready = Promise.resolve()
+let loadedFor = null
+let nextOpId = 1
+let inFlight = null // op being replayed, which later writes must not merge into
+let replaying = null
+let probeTimer = null
+let probeAttempt = 0
+let started = false
+
+const setState = (change) => {
+  state = { ...state, ...change }
+  listeners.forEach(listener => listener())
+}
+
+// { online, syncing, ops }
+export const syncState = () => state
+
+export function subscribeSync(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// { type: 'applied', op, item } when a queued write reached the backend (item is its answer),
+// { type: 'discarded', op } when the user dropped one, { type: 'synced' } when the outbox emptied
+export function subscribeSyncEvents(listener) {
+  eventListeners.add(listener)
+  return () => eventListeners.delete(listener)
+}
+
+const publish = (event) => eventListeners.forEach(listener => listener(event))
+
+export const isUnreachable = (error) => [0, 502, 503, 504].includes(error?.status)
+
+const cacheKey = (user, path) => `${user.id}:${path}`
+
+const hasLocalId = (path) => path.split(/[/?]/).some(isLocalId)
+
+function reachable() {
+  probeAttempt = 0
+  clearTimeout(probeTimer)
+  probeTimer = null
+  if (state.online) return
+  setState({ online: true })
+  replay()
+}
+
+function unreachable() {
+  if (state.online) setState({ online: false })
+  if (started && !probeTimer) probeTimer = setTimeout(probe, backoffDelay(probeAttempt++))
+}
+
+// Any cached read does: it also refreshes the copy
+async function probe() {
+  probeTimer = null
+  try {
+    await request('/tasks')
+  } catch {
+    // still unreachable: request scheduled the next probe
+  }
+}
+
+export async function request(path, options = {}) {
+  const method = options.method || 'GET'
+  const user = getSession()?.user
+  if (!user) return send(path, options)
+  await ready
+  const write = method === 'GET' ? null : queueable(method, path)
+  if (write && (!state.online || state.ops.length)) return enqueue(user, method, path, options.body, write)
+  if (hasLocalId(path)) {
+    const local = method === 'GET' && isCachedRead(path) ? withPending(path, undefined, state.ops) : undefined
+    if (local === undefined) throw new ApiError('Not available until it is synced', 409)
+    return local
+  }
+  try {
+    const data = await send(path, options)
+    reachable()
+    if (method !== 'GET' || !isCachedRead(path)) return data
+    writeCache(cacheKey(user, path), data)
+    return withPending(path, data, state.ops)
+  } catch (error) {
+    if (!isUnreachable(error)) throw error
+    unreachable()
+    if (write) return enqueue(user, method, path, options.body, write)
+    if (method === 'GET' && isCachedRead(path)) {
+      const cached = await readCache(cacheKey(user, path))
+      const data = withPending(path, cached?.data, state.ops)
+      if (data !== undefined) return data
+    }
+    throw error
+  }
+}
+
+// The target as the backend last answered it: its own read or its row in the list, whichever is newer
+async function serverCopy(user, op) {
+  const path = targetPath(op)
+  const [one, list] = await Promise.all([readCache(cacheKey(user, path)), readCache(cacheKey(user, path.slice(0, path.lastIndexOf('/'))))])
+  const row = list?.data?.find(item => String(item.id) === String(op.target))
+  return one && (!row || one.at >= list.at) ? one.data : row
+}
+
+async function enqueue(user, method, path, body, { kind, target }) {
+  const id = nextOpId++
+  const op = { id, userId: user.id, kind, method, path, body: body ?? {}, target, localId: null, base: null, result: null, at: new Date().toISOString(), state: 'pending', reason: '' }
+  if (isCreate(op)) {
+    op.localId = `local-${id}`
+    op.result = applyLocally(op, null, user)
+  } else {
+    const base = isLocalId(target) ? undefined : await serverCopy(user, op)
+    const current = withPending(targetPath(op), base, state.ops)
+    if (!current) throw new ApiError('Not available offline: it was not loaded before the backend became unreachable', 0)
+    op.base = base ?? null
+    try {
+      op.result = applyLocally(op, current, user)
+    } catch (error) {
+      throw new ApiError(error.message, 409)
+    }
+  }
+  const last = state.ops.at(-1)
+  if (last && last.id !== inFlight && canMerge(last, op)) {
+    const merged = mergeOps(last, op)
+    await saveOp(merged)
+    setState({ ops: [...state.ops.slice(0, -1), merged] })
+  } else {
+    await saveOp(op)
+    setState({ ops: [...state.ops, op] })
+  }
+  if (state.online) replay()
+  return op.result
+}
+
+async function hold(op, status, reason) {
+  const held = { ...op, state: status, reason }
+  await saveOp(held)
+  setState({ ops: state.ops.map(o => (o.id === op.id ? held : o)) })
+  return false
+}
+
+// Sends the oldest op; false stops the replay
+async function replayOne(op) {
+  inFlight = op.id
+  try {
+    const current = isCreate(op) ? null : await send(targetPath(op))
+    if (current) reachable()
+    const check = checkReplay(op, current)
+    if (check.conflict) return hold(op, 'conflict', check.conflict)
+    const item = check.skip ? current : await send(op.path, { method: op.method, body: check.body })
+    reachable()
+    const rest = afterReplay(state.ops.slice(1), op, item)
+    await deleteOp(op.id)
+    await Promise.all(rest.map(saveOp))
+    setState({ ops: rest })
+    publish({ type: 'applied', op, item })
+    return true
+  } catch (error) {
+    if (isUnreachable(error)) {
+      unreachable()
+      return false
+    }
+    // Signed out: the session ended, not the write
+    if (error.status === 401) return false
+    return hold(op, 'rejected', error.message)
+  } finally {
+    inFlight = null
+  }
+}
+
+async function run() {
+  let sent = 0
+  setState({ syncing: true })
+  try {
+    while (state.ops[0]?.state === 'pending') {
+      if (!(await replayOne(state.ops[0]))) return
+      sent++
+    }
+    if (sent && !state.ops.length) publish({ type: 'synced' })
+  } finally {
+    setState({ syncing: false })
+  }
+}
+
+// Replays the outbox; one run at a time
+export function replay() {
+  if (!getSession()?.user || !state.ops.length) return Promise.resolve()
+  replaying ??= ready.then(run).finally(() => { replaying = null })
+  return replaying
+}
+
+// 'mine' sends the op again, over a conflict if there was one; 'theirs' drops it
+// (and what was queued for a target it created) and keeps what the backend has
+export async function resolve(opId, choice) {
+  const op = state.ops.find(o => o.id === opId)
+  if (!op) return
+  if (choice === 'mine') {
+    const retry = { ...op, state: 'pending', reason: '', force: op.state === 'conflict' }
+    await saveOp(retry)
+    setState({ ops: state.ops.map(o => (o.id === op.id ? retry : o)) })
+  } else {
+    const dropped = state.ops.filter(o => o.id === op.id || (op.localId && String(o.target) === op.localId))
+    await Promise.all(dropped.map(o => deleteOp(o.id)))
+    setState({ ops: state.ops.filter(o => !dropped.includes(o)) })
+    publish({ type: 'discarded', op })
+  }
+  replay()
+}
+
+// Stores a read the app keeps current itself (the task list follows the event
+// stream), so going offline starts from the latest state. Skipped while writes
+// are queued: the copy must stay what the backend has.
+const remembered = new Map()
+let rememberTimer = null
+
+export function rememberRead(path, data) {
+  const user = getSession()?.user
+  if (!user || !state.online || state.ops.length) return
+  remembered.set(cacheKey(user, path), data)
+  rememberTimer ??= setTimeout(() => {
+    rememberTimer = null
+    remembered.forEach((value, key) => writeCache(key, value))
+    remembered.clear()
+  }, REMEMBER_MS)
+}
+
+function loadOutbox() {
+  const user = getSession()?.user
+  if (user?.id !== loadedFor) {
+    loadedFor = user?.id
+    ready = readOutbox().then(all => {
+      nextOpId = all.reduce((max, op) => Math.max(max, op.id), 0) + 1
+      setState({ ops: all.filter(op => op.userId === user?.id) })
+    })
+  }
+  ready.then(() => replay())
+}
+
+// Loads the signed-in user's outbox and follows the browser's connectivity; returns the cleanup
+export function startSync() {
+  started = true
+  loadOutbox()
+  const unsubscribe = subscribeSession(loadOutbox)
+  const online = () => {
+    probeAttempt = 0
+    clearTimeout(probeTimer)
+    probe()
+  }
+  window.addEventListener('online', online)
+  window.addEventListener('offline', unreachable)
+  if (navigator.onLine === false) unreachable()
+  return () => {
+    started = false
+    unsubscribe()
+    window.removeEventListener('online', online)
+    window.removeEventListener('offline', unreachable)
+    clearTimeout(probeTimer)
+    probeTimer = null
+  }
+}
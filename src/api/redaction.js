@@ -0,0 +1,159 @@
+// Redaction layer: masks PII (src/lib/redact.js) in everything bound for a
+// cloud model, using the detectors and patterns from config. Chat messages are
+// masked per conversation; task and step names are masked when the pipeline runs
+// on a cloud model. Planning sessions are saved masked too. The vaults stay in this
+// browser so the UI can restore what the user typed.
+import { redactDetectors, redactPatterns } from './config'
+import { redact, redactionRules, restore } from '../lib/redact'
+import { isLocalModel } from '../lib/models'
+import { uniqueStepId } from '../lib/pipeline'
+
+const VAULTS_KEY = 'ops.redactions'
+const SESSION_VAULTS_KEY = 'ops.sessionRedactions'
+
+const { rules, errors } = redactionRules(redactDetectors, redactPatterns)
+
+// Problems in the configured custom patterns; those patterns are skipped
+export const redactionErrors = errors
+
+export const redactionEnabled = rules.length > 0
+
+export const redactFor = (provider) => redactionEnabled && provider.privacy !== 'local'
+
+// Masks a chat history with one vault -> { messages, vault, found } (found: per message)
+export function redactConversation(messages, vault = {}) {
+  let next = vault
+  const found = []
+  const masked = messages.map(m => {
+    const r = redact(m.text, rules, next)
+    next = r.vault
+    found.push(r.found)
+    return { ...m, text: r.text }
+  })
+  return { messages: masked, vault: next, found }
+}
+
+// Steps without a model (approval gates) never see the text; the default pipeline is cloud
+export const sendsToCloud = (steps) => !steps || steps.some(s => s.type !== 'approval' && !isLocalModel(s.llm || s.model))
+
+// One vault per task or planning session, kept in this browser only. Read once;
+// every list row restores its name.
+function vaultStore(key) {
+  let vaults = null
+  const read = () => {
+    if (!vaults) {
+      try {
+        vaults = JSON.parse(localStorage.getItem(key)) || {}
+      } catch {
+        vaults = {}
+      }
+    }
+    return vaults
+  }
+  const remember = (id, vault) => {
+    if (!Object.keys(vault).length) return
+    vaults = { ...read(), [id]: vault }
+    try {
+      localStorage.setItem(key, JSON.stringify(vaults))
+    } catch {
+      // quota or blocked storage: the vault still restores names in this tab
+    }
+  }
+  return { read, remember }
+}
+
+const taskVaults = vaultStore(VAULTS_KEY)
+const sessionVaults = vaultStore(SESSION_VAULTS_KEY)
+
+// -> { name, vault, found }; the vault is empty when nothing needed masking
+export const redactTaskName = (name, vault = {}) => {
+  const r = redact(name, rules, vault)
+  return { name: r.text, vault: r.vault, found: r.found }
+}
+
+// Masks step names with `vault` -> { steps, vault, ids }. Ids slugged from a masked
+// name are replaced too, or they would carry the value along; `ids` maps old to new.
+// Ids in `keep` (steps the backend already has) stay.
+export function redactSteps(steps, vault = {}, keep = new Set()) {
+  let next = vault
+  let out = steps.map(s => {
+    const r = redact(s.name, rules, next)
+    next = r.vault
+    return { ...s, name: r.text }
+  })
+  const ids = new Map()
+  out.forEach((s, i) => {
+    if (s.name === steps[i].name || !s.id || keep.has(s.id)) return
+    const id = uniqueStepId(out, 'step')
+    ids.set(s.id, id)
+    out = out.map((step, j) => (j === i ? { ...step, id } : step))
+  })
+  out = out.map(s => (s.dependsOn ? { ...s, dependsOn: s.dependsOn.map(d => ids.get(d) ?? d) } : s))
+  return { steps: out, vault: next, ids }
+}
+
+// Masks a new task's name and step names with one vault -> { name, steps, vault, ids }
+export function redactTask(name, steps) {
+  const masked = redactTaskName(name)
+  if (!steps) return { name: masked.name, steps, vault: masked.vault, ids: new Map() }
+  return { name: masked.name, ...redactSteps(steps, masked.vault) }
+}
+
+// A task's steps as the user typed them
+export const restoreSteps = (taskId, steps) => steps.map(s => ({ ...s, name: restoreForTask(taskId, s.name) }))
+
+export const rememberTaskVault = taskVaults.remember
+
+export const taskVault = (taskId) => taskVaults.read()[taskId] || {}
+
+// Tasks a schedule copied from another task carry the same masked name
+export function inheritTaskVaults(tasks) {
+  tasks.forEach(t => {
+    if (t.copiedFrom != null && !taskVaults.read()[t.id]) rememberTaskVault(t.id, taskVault(t.copiedFrom))
+  })
+}
+
+// Task text as this browser's user typed it
+export const restoreForTask = (taskId, text) => restore(text, taskVault(taskId))
+
+export const rememberSessionVault = sessionVaults.remember
+
+export const sessionVault = (sessionId) => sessionVaults.read()[sessionId] || {}
+
+export const restoreForSession = (sessionId, text) => restore(text, sessionVault(sessionId))
+
+const mapStrings = (value, fn) => {
+  if (typeof value === 'string') return fn(value)
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn))
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]))
+  return value
+}
+
+// A planning session as the backend stores it -> { name, messages, vault }: text and
+// proposed pipelines carry tokens, and the redaction notes keep tokens without values
+export function maskSession({ name, messages }, vault = {}) {
+  if (!redactionEnabled) return { name, messages, vault }
+  let next = vault
+  const mask = (text) => {
+    const r = redact(text, rules, next)
+    next = r.vault
+    return r.text
+  }
+  const tokensOnly = (items) => items && items.map(({ value: _value, ...item }) => item)
+  const masked = messages && messages.map(({ redacted, restored, ...m }) => ({
+    ...mapStrings(m, mask),
+    ...(redacted && { redacted: tokensOnly(redacted) }),
+    ...(restored && { restored: tokensOnly(restored) }),
+  }))
+  return { name: name === undefined ? name : mask(name), messages: masked, vault: next }
+}
+
+// Saved messages as the user wrote and read them
+export function restoreMessages(messages, vault) {
+  const withValues = (items) => items && items.map(item => ({ ...item, value: vault[item.token]?.value ?? item.value }))
+  return messages.map(({ redacted, restored, ...m }) => ({
+    ...mapStrings(m, text => restore(text, vault)),
+    ...(redacted && { redacted: withValues(redacted) }),
+    ...(restored && { restored: withValues(restored) }),
+  }))
+}
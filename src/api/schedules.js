@@ -0,0 +1,16 @@
+import { request } from './offline'
+
+// Scheduled and recurring tasks (shape in src/lib/schedules.js). Changes also
+// arrive on the event stream as schedule.updated and schedule.deleted.
+
+export const listSchedules = () => request('/schedules')
+
+// `{ name, cron, source, team?, timezone? }`; `team` defaults to the user's first team
+export const createSchedule = (schedule) => request('/schedules', { method: 'POST', body: schedule })
+
+// `{ name?, cron?, enabled?, skipNext? }`
+export const updateSchedule = (id, patch) => request(`/schedules/${id}`, { method: 'PATCH', body: patch })
+
+export const runScheduleNow = (id) => request(`/schedules/${id}/runs`, { method: 'POST' })
+
+export const deleteSchedule = (id) => request(`/schedules/${id}`, { method: 'DELETE' })
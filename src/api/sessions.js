@@ -0,0 +1,15 @@
+import { request } from './offline'
+
+// Planning chat sessions ({ id, name, user, userId, team, taskId, createdAt, updatedAt, messages }).
+// The list is the signed-in user's own sessions, without messages. A session that
+// created a task is its read-only record: messages can no longer change and it cannot be deleted.
+
+export const listPlanningSessions = () => request('/sessions')
+
+export const getPlanningSession = (id) => request(`/sessions/${id}`)
+
+export const createPlanningSession = ({ name, messages }) => request('/sessions', { method: 'POST', body: { name, messages } })
+
+export const updatePlanningSession = (id, patch) => request(`/sessions/${id}`, { method: 'PATCH', body: patch })
+
+export const deletePlanningSession = (id) => request(`/sessions/${id}`, { method: 'DELETE' })
@@ -0,0 +1,29 @@
+import { request } from './offline'
+
+// Task service: the queue's only way to read and write tasks
+
+export const listTasks = () => request('/tasks')
+
+export const getTask = (id) => request(`/tasks/${id}`)
+
+// The owner is whoever is signed in; `team` defaults to their first team.
+// `sessionId` links the task to the planning session it came from (saved as planningSessionId),
+// `templateId` to the template it was filled in from
+export const createTask = ({ name, steps, priority, team, sessionId, templateId }) => request('/tasks', { method: 'POST', body: { name, steps, priority, team, sessionId, templateId } })
+
+// `patch` holds name, priority or steps; status only changes through performTaskAction
+export const updateTask = (id, patch) => request(`/tasks/${id}`, { method: 'PATCH', body: patch })
+
+// Lifecycle: action is 'pause' | 'resume' | 'cancel' | 'retry' | 'rerun' | 'approve' | 'reject';
+// step is the step index for retry/rerun/approve/reject. Approvals add { comment, edits: [{ step, response }] };
+// the backend records the signed-in user as the approver
+export const performTaskAction = (id, action, step, extra = {}) => request(`/tasks/${id}/actions`, { method: 'POST', body: { action, step, ...extra } })
+
+// Export document with every run of every step of the given tasks (see lib/taskExport)
+export const exportTasks = (ids) => request('/tasks/export', { method: 'POST', body: { ids } })
+
+// Restores the tasks of an export document under new ids; answers with the created tasks
+export const importTasks = (document) => request('/tasks/import', { method: 'POST', body: document })
+
+// Latest run of a step: { run, runs, status, logs, prompt, response, artifacts, previous }
+export const getStepOutput = (id, index) => request(`/tasks/${id}/steps/${index}/output`)
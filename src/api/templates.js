@@ -0,0 +1,17 @@
+import { request } from './offline'
+
+// Pipeline template library (shape and file format in src/lib/templates.js).
+// Saving under an existing name is a conflict: add a version to that template instead.
+
+export const listTemplates = () => request('/templates')
+
+export const getTemplate = (id) => request(`/templates/${id}`)
+
+// `template` is { name, description, taskName, parameters, pipeline } plus an optional `note`
+export const createTemplate = (template) => request('/templates', { method: 'POST', body: template })
+
+export const addTemplateVersion = (id, version) => request(`/templates/${id}/versions`, { method: 'POST', body: version })
+
+export const updateTemplate = (id, patch) => request(`/templates/${id}`, { method: 'PATCH', body: patch })
+
+export const deleteTemplate = (id) => request(`/templates/${id}`, { method: 'DELETE' })
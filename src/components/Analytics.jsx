@@ -0,0 +1,204 @@
+import React, { useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { AlertTriangle } from 'lucide-react'
+import { base, dot, llmColor, palette, primaryGhost } from '../theme'
+import { modelName } from '../lib/models'
+import { teamLabel } from '../lib/roles'
+import { formatDuration } from '../lib/tasks'
+import { RANGES, durationsByPipeline, durationsByStep, failureRateByModel, filterTeam, parseAnalyticsQuery, queueWait, rangePeriod, throughput, writeAnalyticsQuery } from '../lib/analytics'
+
+const CHART_HEIGHT = 140
+
+const fmtBucket = (at, hourly) => (hourly
+  ? at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  : at.toLocaleDateString([], { month: 'short', day: 'numeric' }))
+
+const fmtRate = (rate) => `${(rate * 100).toFixed(rate > 0 && rate < 0.1 ? 1 : 0)}%`
+
+const card = (p) => ({ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 16, boxShadow: base.shadow, display: 'flex', flexDirection: 'column', gap: 12 })
+
+const Empty = ({ p, children }) => <div style={{ fontSize: 12, color: p.textMuted }}>{children}</div>
+
+// Vertical bars over time. Each bar may carry a second, lighter value drawn behind it (p95 behind p50).
+const TimeChart = ({ label, bars, hourly, color, p }) => {
+  const max = Math.max(...bars.map(b => Math.max(b.value || 0, b.behind || 0)), 1)
+  // Label about eight buckets whatever the range
+  const every = Math.max(1, Math.ceil(bars.length / 8))
+  return (
+    <div role="img" aria-label={label} style={{ display: 'flex', alignItems: 'flex-end', gap: 2, height: CHART_HEIGHT + 18 }}>
+      {bars.map((b, i) => (
+        <div key={b.at.toISOString()} title={`${fmtBucket(b.at, hourly)}: ${b.title}`} style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', alignItems: 'stretch', gap: 4 }}>
+          <div style={{ position: 'relative', height: CHART_HEIGHT }}>
+            {b.behind > 0 && <div style={{ position: 'absolute', bottom: 0, left: 0, right: 0, height: `${(b.behind / max) * 100}%`, background: `${color}40`, borderRadius: '3px 3px 0 0' }} />}
+            {b.value > 0 && <div style={{ position: 'absolute', bottom: 0, left: 0, right: 0, height: `${(b.value / max) * 100}%`, background: color, borderRadius: '3px 3px 0 0' }} />}
+          </div>
+          <div style={{ height: 14, fontSize: 10, color: p.textMuted, whiteSpace: 'nowrap', overflow: 'visible' }}>{i % every === 0 ? fmtBucket(b.at, hourly) : ''}</div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Horizontal p50 bar with the p95 behind it, one row per group
+const DurationTable = ({ label, rows, p, empty }) => {
+  if (!rows.length) return <Empty p={p}>{empty}</Empty>
+  const max = Math.max(...rows.map(r => r.p95), 1)
+  return (
+    <table aria-label={label} style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+      <thead>
+        <tr style={{ color: p.textMuted, fontSize: 12, textAlign: 'left' }}>
+          <th style={{ fontWeight: 400, padding: '3px 0' }}>{label}</th>
+          <th style={{ fontWeight: 400, padding: '3px 0', textAlign: 'right' }}>Runs</th>
+          <th style={{ fontWeight: 400, padding: '3px 0 3px 12px', width: '40%' }} />
+          <th style={{ fontWeight: 400, padding: '3px 0 3px 12px', textAlign: 'right' }}>p50</th>
+          <th style={{ fontWeight: 400, padding: '3px 0 3px 12px', textAlign: 'right' }}>p95</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.key}>
+            <td title={r.steps ? `${r.steps} steps` : undefined} style={{ padding: '3px 0', maxWidth: 240, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{r.label}</td>
+            <td style={{ padding: '3px 0', textAlign: 'right', color: p.textMuted }}>{r.count}</td>
+            <td style={{ padding: '3px 0 3px 12px' }}>
+              <div aria-hidden style={{ position: 'relative', height: 8, borderRadius: 999, background: p.surface }}>
+                <div style={{ position: 'absolute', inset: 0, width: `${(r.p95 / max) * 100}%`, borderRadius: 999, background: `${p.indigo}40` }} />
+                <div style={{ position: 'absolute', inset: 0, width: `${(r.p50 / max) * 100}%`, borderRadius: 999, background: p.indigo }} />
+              </div>
+            </td>
+            <td style={{ padding: '3px 0 3px 12px', textAlign: 'right', fontWeight: 600 }}>{formatDuration(r.p50)}</td>
+            <td style={{ padding: '3px 0 3px 12px', textAlign: 'right', color: p.textMuted }}>{formatDuration(r.p95)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// /analytics: charts over the tasks the user can see, for a time range and team
+const Analytics = ({ tasks, teams, loadState, loadError, theme }) => {
+  const p = palette[theme]
+  const [params, setParams] = useSearchParams()
+  const query = parseAnalyticsQuery(params)
+  const setQuery = (change) => setParams(prev => writeAnalyticsQuery(prev, { ...parseAnalyticsQuery(prev), ...change }), { replace: true })
+
+  const report = useMemo(() => {
+    const period = rangePeriod(query.range)
+    const scoped = filterTeam(tasks, query.team)
+    const done = throughput(scoped, period)
+    const models = failureRateByModel(scoped, period)
+    const runs = models.reduce((sum, m) => sum + m.runs, 0)
+    return {
+      period,
+      done,
+      completed: done.reduce((sum, b) => sum + b.count, 0),
+      wait: queueWait(scoped, period),
+      pipelines: durationsByPipeline(scoped, period),
+      steps: durationsByStep(scoped, period),
+      models,
+      failureRate: runs ? models.reduce((sum, m) => sum + m.failures, 0) / runs : null,
+    }
+  }, [tasks, query.range, query.team])
+
+  const { period, wait } = report
+  const unit = period.hourly ? 'hour' : 'day'
+
+  return (
+    <main aria-label="Analytics" style={{ display: 'flex', flexDirection: 'column', gap: 16, padding: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <div style={{ fontWeight: 700, fontSize: 18 }}>Analytics</div>
+        <span style={{ flex: 1 }} />
+        <div role="group" aria-label="Time range" style={{ display: 'flex', gap: 4 }}>
+          {RANGES.map(r => (
+            <button key={r.id} onClick={() => setQuery({ range: r.id })} aria-pressed={query.range === r.id} style={{ ...primaryGhost(p), padding: '6px 12px', background: query.range === r.id ? `${p.indigo}18` : 'transparent' }}>{r.label}</button>
+          ))}
+        </div>
+        {teams.length > 1 && (
+          <select aria-label="Analytics team" value={query.team} onChange={e => setQuery({ team: e.target.value })} style={{ padding: '8px 10px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow }}>
+            <option value="all">All my teams</option>
+            {teams.map(t => <option key={t} value={t}>{teamLabel(t)}</option>)}
+          </select>
+        )}
+      </div>
+
+      {loadState === 'error' && (
+        <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 8, color: p.red }}><AlertTriangle size={16} /> Could not load tasks - {loadError}</div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, minmax(0, 1fr))', gap: 12 }} aria-busy={loadState === 'loading'}>
+        {[
+          { label: 'Completed', value: report.completed },
+          { label: `Per ${unit}`, value: (report.completed / period.buckets.length).toFixed(1) },
+          { label: 'Step failure rate', value: report.failureRate == null ? '—' : fmtRate(report.failureRate) },
+          { label: 'Queue wait p50 / p95', value: wait.overall.count ? `${formatDuration(wait.overall.p50)} / ${formatDuration(wait.overall.p95)}` : '—' },
+        ].map(s => (
+          <div key={s.label} style={{ ...card(p), gap: 6 }}>
+            <div style={{ fontSize: 12, color: p.textMuted }}>{s.label}</div>
+            <div style={{ fontWeight: 700, fontSize: 20 }}>{s.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, minmax(0, 1fr))', gap: 16 }}>
+        <section aria-label="Throughput" style={card(p)}>
+          <div style={{ fontWeight: 700 }}>Tasks completed per {unit}</div>
+          <TimeChart
+            label={`Tasks completed per ${unit}`}
+            bars={report.done.map(b => ({ at: b.at, value: b.count, title: `${b.count} completed` }))}
+            hourly={period.hourly}
+            color={p.green}
+            p={p}
+          />
+        </section>
+        <section aria-label="Queue wait" style={card(p)}>
+          <div style={{ fontWeight: 700 }}>Queue wait <span style={{ fontSize: 12, fontWeight: 400, color: p.textMuted }}>p50, with p95 behind</span></div>
+          <TimeChart
+            label={`Queue wait per ${unit}`}
+            bars={wait.buckets.map(b => ({ at: b.at, value: b.p50, behind: b.p95, title: b.count ? `p50 ${formatDuration(b.p50)}, p95 ${formatDuration(b.p95)} over ${b.count} tasks` : 'no tasks started' }))}
+            hourly={period.hourly}
+            color={p.amber}
+            p={p}
+          />
+        </section>
+      </div>
+
+      <section aria-label="Durations per pipeline" style={card(p)}>
+        <div style={{ fontWeight: 700 }}>Duration per pipeline</div>
+        <DurationTable label="Pipeline" rows={report.pipelines} p={p} empty="No tasks completed in this range" />
+      </section>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, minmax(0, 1fr))', gap: 16 }}>
+        <section aria-label="Durations per step" style={card(p)}>
+          <div style={{ fontWeight: 700 }}>Duration per step</div>
+          <DurationTable label="Step" rows={report.steps} p={p} empty="No steps completed in this range" />
+        </section>
+        <section aria-label="Failure rate per model" style={card(p)}>
+          <div style={{ fontWeight: 700 }}>Failure rate per model</div>
+          {report.models.length === 0 ? (
+            <Empty p={p}>No step runs in this range</Empty>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+              <tbody>
+                {report.models.map(m => (
+                  <tr key={m.key}>
+                    <td style={{ padding: '3px 0' }}>
+                      <span style={{ display: 'inline-flex', alignItems: 'center', gap: 6 }}><span style={dot(llmColor(m.key, theme))} />{modelName(m.key)}</span>
+                    </td>
+                    <td style={{ padding: '3px 0 3px 12px', width: '45%' }}>
+                      <div aria-hidden style={{ height: 8, borderRadius: 999, background: p.surface }}>
+                        <div style={{ height: '100%', width: `${m.rate * 100}%`, borderRadius: 999, background: p.red }} />
+                      </div>
+                    </td>
+                    <td style={{ padding: '3px 0 3px 12px', textAlign: 'right', fontWeight: 600 }}>{fmtRate(m.rate)}</td>
+                    <td style={{ padding: '3px 0 3px 12px', textAlign: 'right', color: p.textMuted }} title={`${m.failures} failed of ${m.runs} runs`}>{m.failures}/{m.runs}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </div>
+    </main>
+  )
+}
+
+export default Analytics
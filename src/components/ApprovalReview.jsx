@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react'
+import { AlertTriangle, Check, Pencil, X } from 'lucide-react'
+import { palette, primaryGhost, primarySolid } from '../theme'
+import { getStepOutput } from '../api/tasks'
+import { restoreForTask } from '../api/redaction'
+import { dependenciesOf, stepId } from '../lib/dag'
+import { ArtifactPreview, mono } from './StepOutput'
+import { field } from './PipelineEditor'
+
+// Review panel of an approval gate: the upstream steps' output, optionally edited,
+// and an approve / reject decision with a comment. `onDecide(action, { comment, edits })`
+// resolves once the backend has recorded the decision.
+const ApprovalReview = ({ task, index, theme, onDecide }) => {
+  const p = palette[theme]
+  const step = task.steps[index]
+  const stepName = restoreForTask(task.id, step.name)
+  const ids = task.steps.map(stepId)
+  const parents = dependenciesOf(task.steps, index).map(d => ids.indexOf(d)).filter(i => i !== -1)
+  const [outputs, setOutputs] = useState(null) // parent index -> output
+  const [error, setError] = useState('')
+  const [drafts, setDrafts] = useState({}) // parent index -> edited response
+  const [comment, setComment] = useState('')
+  const [deciding, setDeciding] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    Promise.all(parents.map(i => getStepOutput(task.id, i)))
+      .then(list => !cancelled && setOutputs(Object.fromEntries(list.map((o, k) => [parents[k], o]))))
+      .catch(e => !cancelled && setError(e.message))
+    return () => {
+      cancelled = true
+    }
+  }, [task.id, index])
+
+  const edits = Object.entries(drafts)
+    .filter(([i, text]) => text !== outputs?.[i]?.response)
+    .map(([i, response]) => ({ step: Number(i), response }))
+
+  const decide = async (action) => {
+    setDeciding(true)
+    await onDecide(action, { comment: comment.trim(), edits: action === 'approve' ? edits : [] })
+    setDeciding(false)
+  }
+
+  return (
+    <section aria-label={`Review ${stepName}`} style={{ marginTop: 8, padding: 10, border: `1px solid ${p.purple}`, borderRadius: 10, display: 'flex', flexDirection: 'column', gap: 10 }}>
+      <div style={{ fontSize: 12, color: p.textMuted }}>
+        {stepName} needs sign-off before the pipeline continues. Check the output below; edit it if something is off.
+      </div>
+      {error && <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.red }}><AlertTriangle size={12} /> Could not load upstream output - {error}</div>}
+      {!outputs && !error && <div style={{ fontSize: 12, color: p.textMuted }}>Loading upstream output…</div>}
+      {outputs && parents.length === 0 && <div style={{ fontSize: 12, color: p.textMuted }}>This gate has no upstream steps.</div>}
+      {outputs && parents.map(i => {
+        const output = outputs[i]
+        const editing = drafts[i] !== undefined
+        return (
+          <div key={i} style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, fontWeight: 600 }}>
+              {restoreForTask(task.id, task.steps[i].name)}
+              <span style={{ flex: 1 }} />
+              {output.response && (
+                <button onClick={() => setDrafts(d => {
+                  if (!editing) return { ...d, [i]: output.response }
+                  const { [i]: _dropped, ...rest } = d
+                  return rest
+                })} aria-pressed={editing} aria-label={`Edit output of ${restoreForTask(task.id, task.steps[i].name)}`} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, border: 'none', background: 'transparent', color: editing ? p.indigo : p.textMuted, cursor: 'pointer', fontSize: 12 }}>
+                  <Pencil size={12} /> {editing ? 'Discard edits' : 'Edit'}
+                </button>
+              )}
+            </div>
+            {editing ? (
+              <textarea aria-label={`Edited output of ${restoreForTask(task.id, task.steps[i].name)}`} value={drafts[i]} onChange={e => setDrafts(d => ({ ...d, [i]: e.target.value }))} rows={8} style={{ ...field(p, theme), fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace', fontSize: 12, resize: 'vertical' }} />
+            ) : (
+              <pre style={mono(p)}>{output.response || 'No output recorded.'}</pre>
+            )}
+            {output.artifacts.map(a => <ArtifactPreview key={a.name} artifact={a} p={p} />)}
+          </div>
+        )
+      })}
+      <input aria-label="Approval comment" placeholder="Comment (shown in the approval record)" value={comment} onChange={e => setComment(e.target.value)} style={field(p, theme)} />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+        <button onClick={() => decide('reject')} disabled={deciding} aria-label={`Reject ${stepName}`} style={{ ...primaryGhost(p), color: p.red, borderColor: p.red, opacity: deciding ? 0.6 : 1 }}>
+          <X size={14} /> Reject
+        </button>
+        <button onClick={() => decide('approve')} disabled={deciding || !outputs} aria-label={`Approve ${stepName}`} style={{ ...primarySolid(p), opacity: deciding || !outputs ? 0.6 : 1 }}>
+          <Check size={14} /> {edits.length ? 'Approve with edits' : 'Approve'}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default ApprovalReview
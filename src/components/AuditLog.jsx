@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { AlertTriangle, Download, RotateCw, X } from 'lucide-react'
+import { base, palette, primaryGhost } from '../theme'
+import { listAudit } from '../api/audit'
+import { restoreForTask } from '../api/redaction'
+import { AUDIT_ACTIONS, auditLabel, describeEntry, formatAuditExport, matchesAudit, parseAuditQuery, restoreEntry, writeAuditQuery } from '../lib/audit'
+import { download } from './download'
+
+// Rows drawn at once; exports always hold every match
+const SHOWN = 500
+
+export const fmtAuditTime = (at) => new Date(at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+export function auditColor(entry, p) {
+  const to = entry.details?.to
+  if (entry.action === 'step.failed' || entry.action === 'step.rejected' || entry.action === 'task.cancelled' || entry.action === 'step.cancelled' || to === 'failed') return p.red
+  if (entry.action === 'step.approved' || to === 'complete') return p.green
+  if (entry.action === 'task.created') return p.indigo
+  if (entry.action === 'task.edited') return p.amber
+  return p.textMuted
+}
+
+// Entries matching `filters`, newest first, with `latest` (the last audit.appended
+// entry the user may see) added when it matches
+export function useAuditLog(filters, latest) {
+  const [entries, setEntries] = useState(null)
+  const [error, setError] = useState('')
+  const [reload, setReload] = useState(0)
+  const key = JSON.stringify(filters)
+
+  useEffect(() => {
+    let cancelled = false
+    setEntries(null)
+    listAudit(filters)
+      .then(data => {
+        if (cancelled) return
+        setEntries(data)
+        setError('')
+      })
+      .catch(e => !cancelled && setError(e.message))
+    return () => {
+      cancelled = true
+    }
+  }, [key, reload])
+
+  useEffect(() => {
+    if (!latest || !matchesAudit(latest, filters)) return
+    setEntries(prev => (!prev || prev.some(e => e.seq === latest.seq) ? prev : [latest, ...prev]))
+  }, [latest])
+
+  return { entries, error, retry: () => setReload(r => r + 1) }
+}
+
+// Task and step names may be masked on the wire
+export const restoreText = (entry, text) => restoreForTask(entry.taskId, text)
+
+const field = (p) => ({ padding: '8px 10px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow })
+
+// /audit: every recorded change to the tasks the user can see, filterable and exportable
+const AuditLog = ({ user, latest, onOpenTask, theme }) => {
+  const p = palette[theme]
+  const [params, setParams] = useSearchParams()
+  const query = parseAuditQuery(params)
+  const setQuery = (change) => setParams(prev => writeAuditQuery(prev, { ...parseAuditQuery(prev), ...change }), { replace: true })
+  const filtered = Object.values(query).some(v => v && v !== 'all')
+  const { entries, error, retry } = useAuditLog(query, latest)
+
+  const exportAs = (format) => {
+    const { text, fileName, type } = formatAuditExport(entries, format, { filters: query, exportedBy: user.name, restore: restoreText })
+    download(text, fileName, type)
+  }
+
+  return (
+    <main aria-label="Audit log" style={{ display: 'flex', flexDirection: 'column', gap: 16, padding: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <div style={{ fontWeight: 700, fontSize: 18 }}>Audit log</div>
+        {entries && <span style={{ fontSize: 12, color: p.textMuted }}>{entries.length} {entries.length === 1 ? 'entry' : 'entries'}</span>}
+        <span style={{ flex: 1 }} />
+        <button onClick={() => exportAs('csv')} disabled={!entries?.length} aria-label="Export audit log as CSV" style={{ ...primaryGhost(p), opacity: entries?.length ? 1 : 0.6 }}>
+          <Download size={16} style={{ marginRight: 6 }} /> CSV
+        </button>
+        <button onClick={() => exportAs('json')} disabled={!entries?.length} aria-label="Export audit log as JSON" style={{ ...primaryGhost(p), opacity: entries?.length ? 1 : 0.6 }}>
+          <Download size={16} style={{ marginRight: 6 }} /> JSON
+        </button>
+      </div>
+
+      <div role="search" aria-label="Audit filters" style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <select aria-label="Action" value={query.action} onChange={e => setQuery({ action: e.target.value })} style={field(p)}>
+          <option value="all">All actions</option>
+          {AUDIT_ACTIONS.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+        </select>
+        <input aria-label="Actor" placeholder="Actor" value={query.actor} onChange={e => setQuery({ actor: e.target.value })} style={{ ...field(p), width: 140 }} />
+        <input aria-label="Task id" placeholder="Task id" value={query.task} onChange={e => setQuery({ task: e.target.value })} style={{ ...field(p), width: 100 }} />
+        <label style={{ display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.textMuted }}>
+          From <input type="date" aria-label="From date" value={query.from} max={query.to || undefined} onChange={e => setQuery({ from: e.target.value })} style={field(p)} />
+        </label>
+        <label style={{ display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.textMuted }}>
+          To <input type="date" aria-label="To date" value={query.to} min={query.from || undefined} onChange={e => setQuery({ to: e.target.value })} style={field(p)} />
+        </label>
+        {filtered && (
+          <button onClick={() => setQuery({ action: 'all', actor: '', task: '', from: '', to: '' })} aria-label="Clear audit filters" style={{ ...primaryGhost(p), padding: '6px 10px' }}>
+            <X size={14} style={{ marginRight: 4 }} /> Clear
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 8, color: p.red }}>
+          <AlertTriangle size={16} /> Could not load the audit log - {error}
+          <button onClick={retry} aria-label="Reload audit log" style={primaryGhost(p)}><RotateCw size={16} style={{ marginRight: 6 }} /> Retry</button>
+        </div>
+      )}
+      {!entries && !error && <div style={{ color: p.textMuted }}>Loading audit log…</div>}
+      {entries && entries.length === 0 && <div style={{ color: p.textMuted }}>{filtered ? 'No entries match these filters.' : 'Nothing has been recorded yet.'}</div>}
+
+      {entries && entries.length > 0 && (
+        <div style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, boxShadow: base.shadow, overflow: 'auto' }}>
+          <table aria-label="Audit entries" style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <thead>
+              <tr style={{ color: p.textMuted, fontSize: 12, textAlign: 'left' }}>
+                {['Time', 'Actor', 'Action', 'Task', 'Change'].map(h => <th key={h} style={{ fontWeight: 400, padding: '8px 12px', borderBottom: `1px solid ${p.border}` }}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.slice(0, SHOWN).map(e => (
+                <tr key={e.seq} style={{ borderBottom: `1px solid ${p.border}` }}>
+                  <td style={{ padding: '6px 12px', whiteSpace: 'nowrap', color: p.textMuted }}>{fmtAuditTime(e.at)}</td>
+                  <td style={{ padding: '6px 12px', whiteSpace: 'nowrap', color: e.actor.id ? p.text : p.textMuted }}>{e.actor.name}</td>
+                  <td style={{ padding: '6px 12px', whiteSpace: 'nowrap', color: auditColor(e, p), fontWeight: 600 }}>{auditLabel(e.action)}</td>
+                  <td style={{ padding: '6px 12px', maxWidth: 240, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => onOpenTask(e.taskId)} aria-label={`Open task ${e.taskId}`} style={{ border: 'none', background: 'transparent', padding: 0, color: p.indigo, cursor: 'pointer', fontSize: 13 }}>#{e.taskId}</button>
+                    {' '}{restoreText(e, e.taskName)}
+                  </td>
+                  <td style={{ padding: '6px 12px' }}>{describeEntry(restoreEntry(e, restoreText))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.length > SHOWN && <div style={{ padding: '8px 12px', fontSize: 12, color: p.textMuted }}>Showing the newest {SHOWN} of {entries.length}; narrow the filters or export to see the rest.</div>}
+        </div>
+      )}
+    </main>
+  )
+}
+
+export default AuditLog
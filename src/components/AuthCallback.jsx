@@ -0,0 +1,39 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { AlertTriangle } from 'lucide-react'
+import { palette, primaryGhost } from '../theme'
+import { completeLogin } from '../api/auth'
+import { AuthCard } from './SignIn'
+
+// Redirect target of the identity provider: trades the code for tokens, then returns to where sign-in started
+const AuthCallback = ({ theme = 'light' }) => {
+  const p = palette[theme]
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+  // Codes are single-use; StrictMode runs effects twice
+  const started = useRef(false)
+
+  useEffect(() => {
+    if (started.current) return
+    started.current = true
+    completeLogin(location.search)
+      .then(returnTo => navigate(returnTo, { replace: true }))
+      .catch(e => setError(e.message))
+  }, [])
+
+  return (
+    <AuthCard theme={theme}>
+      {error ? (
+        <>
+          <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: p.red }}><AlertTriangle size={14} /> Sign-in failed - {error}</div>
+          <button onClick={() => navigate('/', { replace: true })} style={primaryGhost(p)}>Back to sign-in</button>
+        </>
+      ) : (
+        <div aria-busy="true" style={{ fontSize: 14, color: p.textMuted }}>Signing you in…</div>
+      )}
+    </AuthCard>
+  )
+}
+
+export default AuthCallback
@@ -0,0 +1,25 @@
+import React, { useState } from 'react'
+import { palette } from '../theme'
+import { MODEL_COLORS } from '../lib/models'
+
+const initials = (name = '') => name.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('') || '?'
+
+// Stable color per person, from the same palette keys models use
+const toneOf = (key = '') => MODEL_COLORS[[...key].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 7) % MODEL_COLORS.length]
+
+// Profile picture from the identity provider, or initials when there is none (or it fails to load)
+const Avatar = ({ user, size = 32, theme }) => {
+  const p = palette[theme]
+  const [broken, setBroken] = useState(false)
+  const common = { width: size, height: size, borderRadius: 999, flexShrink: 0 }
+  if (user?.avatar && !broken) {
+    return <img src={user.avatar} alt="" onError={() => setBroken(true)} style={{ ...common, objectFit: 'cover' }} />
+  }
+  return (
+    <span aria-hidden style={{ ...common, display: 'inline-flex', alignItems: 'center', justifyContent: 'center', background: p[toneOf(user?.id || user?.name)], color: '#fff', fontSize: Math.round(size * 0.4), fontWeight: 700 }}>
+      {initials(user?.name)}
+    </span>
+  )
+}
+
+export default Avatar
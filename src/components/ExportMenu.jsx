@@ -0,0 +1,35 @@
+import React, { useState } from 'react'
+import { Download } from 'lucide-react'
+import { base, palette } from '../theme'
+import { EXPORT_FORMATS } from '../lib/taskExport'
+
+// Export button that opens a list of formats; `onExport(format)` does the work
+const ExportMenu = ({ label, ariaLabel, disabled, busy, onExport, buttonStyle, theme }) => {
+  const p = palette[theme]
+  const [open, setOpen] = useState(false)
+
+  const pick = (format) => {
+    setOpen(false)
+    onExport(format)
+  }
+
+  return (
+    <div style={{ position: 'relative' }} onKeyDown={e => e.key === 'Escape' && setOpen(false)}>
+      <button onClick={() => setOpen(o => !o)} disabled={disabled || busy} aria-label={ariaLabel} aria-haspopup="menu" aria-expanded={open} style={{ ...buttonStyle, opacity: disabled || busy ? 0.6 : 1 }}>
+        <Download size={14} /> {busy ? 'Exporting…' : label}
+      </button>
+      {open && (
+        <div role="menu" aria-label={`${ariaLabel} as`} style={{ position: 'absolute', right: 0, top: 'calc(100% + 4px)', zIndex: 20, minWidth: 220, background: p.card, border: `1px solid ${p.border}`, borderRadius: 10, boxShadow: base.shadow, padding: 4 }}>
+          {EXPORT_FORMATS.map(f => (
+            <button key={f.id} role="menuitem" onClick={() => pick(f.id)} style={{ display: 'flex', width: '100%', justifyContent: 'space-between', gap: 12, padding: '6px 10px', border: 'none', borderRadius: 8, background: 'transparent', color: p.text, cursor: 'pointer', fontSize: 13, textAlign: 'left' }}>
+              <span>{f.label}</span>
+              <span style={{ fontSize: 11, color: p.textMuted }}>{f.hint}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,50 @@
+import React from 'react'
+import { useLocation } from 'react-router-dom'
+import { AlertTriangle } from 'lucide-react'
+import { palette } from '../theme'
+import { MOCK_USERS, authorize } from '../api/mock/idp'
+import { teamLabel } from '../lib/roles'
+import { AuthCard } from './SignIn'
+import Avatar from './Avatar'
+
+// Authorization page of the mock identity provider: pick who to be, get sent back with a code
+const MockIdp = ({ theme = 'light' }) => {
+  const p = palette[theme]
+  const params = new URLSearchParams(useLocation().search)
+  const redirectUri = params.get('redirect_uri') || ''
+  const sameOrigin = redirectUri.startsWith(`${window.location.origin}/`)
+  const valid = params.get('response_type') === 'code' && params.get('code_challenge_method') === 'S256' && params.get('code_challenge') && params.get('state') && sameOrigin
+
+  const choose = (user) => {
+    const code = authorize({ userId: user.id, clientId: params.get('client_id'), redirectUri, codeChallenge: params.get('code_challenge'), nonce: params.get('nonce') })
+    window.location.assign(`${redirectUri}?${new URLSearchParams({ code, state: params.get('state') })}`)
+  }
+
+  return (
+    <AuthCard theme={theme}>
+      <div style={{ fontWeight: 600 }}>Mock identity provider</div>
+      {!valid ? (
+        <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: p.red }}><AlertTriangle size={14} /> Invalid authorization request</div>
+      ) : (
+        <>
+          <div style={{ fontSize: 12, color: p.textMuted }}>Choose an account. Each one has different roles and teams.</div>
+          <ul aria-label="Accounts" style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: 8 }}>
+            {MOCK_USERS.map(u => (
+              <li key={u.id}>
+                <button onClick={() => choose(u)} aria-label={`Sign in as ${u.name}`} style={{ width: '100%', display: 'flex', alignItems: 'center', gap: 12, padding: 10, borderRadius: 10, border: `1px solid ${p.border}`, background: 'transparent', color: p.text, cursor: 'pointer', textAlign: 'left' }}>
+                  <Avatar user={u} theme={theme} />
+                  <span style={{ flex: 1, minWidth: 0 }}>
+                    <span style={{ display: 'block', fontWeight: 600 }}>{u.name}</span>
+                    <span style={{ display: 'block', fontSize: 12, color: p.textMuted }}>{u.roles.join(', ')} · {u.teams.map(teamLabel).join(', ')}</span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </AuthCard>
+  )
+}
+
+export default MockIdp
@@ -0,0 +1,170 @@
+import React, { useState } from 'react'
+import { AlertTriangle, Cpu, Pencil, Plus, Trash2, X } from 'lucide-react'
+import { base, dot, iconBtn, palette, primaryGhost, primarySolid } from '../theme'
+import { MODEL_COLORS, isBuiltin, listModels, setCustomModels, validateModel } from '../lib/models'
+import { slugify } from '../lib/pipeline'
+import { createCustomModel, deleteCustomModel, updateCustomModel } from '../api/models'
+import useModels from '../hooks/useModels'
+import { field } from './PipelineEditor'
+
+const EMPTY = { id: '', name: '', provider: '', endpoint: '', contextWindow: '', inputCostPer1M: 0, outputCostPer1M: 0, privacy: 'local', color: 'indigo', maxConcurrent: '' }
+
+const fmtCost = (v) => (v ? `$${Number(v).toFixed(2)}` : 'free')
+const fmtContext = (v) => (v ? `${Math.round(v / 1000)}k` : '—')
+
+// Numeric fields come out of inputs as strings; blank means "not set"
+const normalize = (form) => {
+  const model = { ...form, id: form.id || slugify(form.name) }
+  for (const key of ['contextWindow', 'inputCostPer1M', 'outputCostPer1M', 'maxConcurrent']) {
+    if (model[key] === '' || model[key] === null) delete model[key]
+    else model[key] = Number(model[key])
+  }
+  if (!model.endpoint) delete model.endpoint
+  return model
+}
+
+// Model registry settings: built-ins are read-only, custom self-hosted models can be added, edited and removed.
+// Without `canManage` the whole registry is read-only.
+const ModelSettings = ({ theme, onClose, canManage = true }) => {
+  const p = palette[theme]
+  const models = useModels()
+  const [form, setForm] = useState(null) // null | { ...model, isNew }
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const customModels = () => listModels().filter(m => !isBuiltin(m.id))
+
+  const save = async () => {
+    const { isNew, ...raw } = form
+    const model = normalize(raw)
+    const problems = validateModel(model, { isNew })
+    setErrors(problems)
+    if (problems.length) return
+    setSaving(true)
+    try {
+      const saved = isNew ? await createCustomModel(model) : await updateCustomModel(model.id, model)
+      setCustomModels(isNew ? [...customModels(), saved] : customModels().map(m => (m.id === saved.id ? saved : m)))
+      setForm(null)
+    } catch (error) {
+      setErrors([`Could not save model - ${error.message}`])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const remove = async (id) => {
+    try {
+      await deleteCustomModel(id)
+      setCustomModels(customModels().filter(m => m.id !== id))
+    } catch (error) {
+      setErrors([`Could not remove model - ${error.message}`])
+    }
+  }
+
+  const input = (key, label, props = {}) => (
+    <label style={{ display:'flex', flexDirection:'column', gap:4, fontSize: 12, color: p.textMuted }}>
+      {label}
+      <input aria-label={label} value={form[key] ?? ''} onChange={e => setForm(f => ({ ...f, [key]: e.target.value }))} style={field(p, theme)} {...props} />
+    </label>
+  )
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Model settings" style={{ position:'fixed', inset:0, background:'rgba(0,8,20,0.55)', display:'flex', alignItems:'center', justifyContent:'center', padding:16, zIndex: 60 }}>
+      <div style={{ width: 'min(960px, 96vw)', maxHeight: '90vh', overflow:'auto', background: p.card, color: p.text, border:`1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow }}>
+        <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', padding:16, borderBottom:`1px solid ${p.border}` }}>
+          <div style={{ display:'flex', alignItems:'center', gap:8, fontWeight:600 }}>
+            <Cpu size={18} /> Models
+          </div>
+          <button onClick={onClose} aria-label="Close model settings" style={iconBtn(p)}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ padding: 16 }}>
+          <table style={{ width:'100%', borderCollapse:'collapse', fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign:'left', color: p.textMuted, fontSize: 12 }}>
+                {['Model', 'Provider', 'Privacy', 'Context', 'Input / 1M', 'Output / 1M', 'Max parallel', ''].map(h => <th key={h} style={{ padding: '6px 8px', fontWeight: 600 }}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {models.map(m => (
+                <tr key={m.id} style={{ borderTop: `1px solid ${p.border}` }}>
+                  <td style={{ padding: '8px' }}>
+                    <span style={{ display:'inline-flex', alignItems:'center', gap:8 }}><span style={dot(p[m.color] || p.indigo)} />{m.name}</span>
+                    <div style={{ fontSize: 11, color: p.textMuted }}>{m.id}{m.endpoint ? ` · ${m.endpoint}` : ''}</div>
+                  </td>
+                  <td style={{ padding: '8px' }}>{m.provider || '—'}</td>
+                  <td style={{ padding: '8px', color: m.privacy === 'local' ? p.green : p.amber }}>{m.privacy}</td>
+                  <td style={{ padding: '8px' }}>{fmtContext(m.contextWindow)}</td>
+                  <td style={{ padding: '8px' }}>{fmtCost(m.inputCostPer1M)}</td>
+                  <td style={{ padding: '8px' }}>{fmtCost(m.outputCostPer1M)}</td>
+                  <td style={{ padding: '8px' }}>{m.maxConcurrent || '∞'}</td>
+                  <td style={{ padding: '8px', whiteSpace:'nowrap' }}>
+                    {isBuiltin(m.id) || !canManage ? (
+                      <span style={{ fontSize: 11, color: p.textMuted }}>{isBuiltin(m.id) ? 'built-in' : 'custom'}</span>
+                    ) : (
+                      <span style={{ display:'inline-flex', gap:6 }}>
+                        <button onClick={() => { setErrors([]); setForm({ ...EMPTY, ...m, isNew: false }) }} aria-label={`Edit ${m.name}`} style={{ ...iconBtn(p), width: 28, height: 28 }}><Pencil size={14} /></button>
+                        <button onClick={() => remove(m.id)} aria-label={`Remove ${m.name}`} style={{ ...iconBtn(p), width: 28, height: 28, color: p.red }}><Trash2 size={14} /></button>
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {form ? (
+            <div aria-label={form.isNew ? 'Add model' : `Edit ${form.name}`} style={{ marginTop: 16, padding: 12, border:`1px solid ${p.border}`, borderRadius: base.radius, display:'grid', gridTemplateColumns:'repeat(3, minmax(0, 1fr))', gap: 12 }}>
+              {input('name', 'Display name', { placeholder: 'Mistral 7B on gpu-box' })}
+              {input('id', 'Id', { placeholder: form.name ? slugify(form.name) : 'mistral-7b', disabled: !form.isNew })}
+              {input('provider', 'Provider', { placeholder: 'vLLM' })}
+              {input('endpoint', 'Endpoint', { placeholder: 'http://gpu-box:8000/v1' })}
+              {input('contextWindow', 'Context window (tokens)', { type: 'number', min: 0 })}
+              {input('maxConcurrent', 'Max parallel steps', { type: 'number', min: 1, placeholder: 'unlimited' })}
+              {input('inputCostPer1M', 'Input cost (USD / 1M tokens)', { type: 'number', min: 0, step: '0.01' })}
+              {input('outputCostPer1M', 'Output cost (USD / 1M tokens)', { type: 'number', min: 0, step: '0.01' })}
+              <label style={{ display:'flex', flexDirection:'column', gap:4, fontSize: 12, color: p.textMuted }}>
+                Privacy
+                <select aria-label="Privacy" value={form.privacy} onChange={e => setForm(f => ({ ...f, privacy: e.target.value }))} style={field(p, theme)}>
+                  <option value="local">Local (stays on our network)</option>
+                  <option value="cloud">Cloud</option>
+                </select>
+              </label>
+              <div role="radiogroup" aria-label="Color" style={{ display:'flex', alignItems:'center', gap:8, gridColumn:'span 3' }}>
+                <span style={{ fontSize: 12, color: p.textMuted }}>Color</span>
+                {MODEL_COLORS.map(c => (
+                  <button key={c} role="radio" aria-checked={form.color === c} aria-label={c} onClick={() => setForm(f => ({ ...f, color: c }))} style={{ width: 22, height: 22, borderRadius: 999, background: p[c], border: form.color === c ? `2px solid ${p.text}` : `2px solid transparent`, cursor:'pointer' }} />
+                ))}
+              </div>
+              {errors.length > 0 && (
+                <ul role="alert" style={{ gridColumn:'span 3', margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: p.red }}>
+                  {errors.map((e, i) => <li key={i} style={{ display:'flex', alignItems:'center', gap:6 }}><AlertTriangle size={12}/> {e}</li>)}
+                </ul>
+              )}
+              <div style={{ gridColumn:'span 3', display:'flex', justifyContent:'flex-end', gap:8 }}>
+                <button onClick={() => setForm(null)} style={primaryGhost(p)}>Cancel</button>
+                <button onClick={save} disabled={saving} style={{ ...primarySolid(p), opacity: saving ? 0.6 : 1 }}>{saving ? 'Saving…' : 'Save model'}</button>
+              </div>
+            </div>
+          ) : (
+            <div style={{ marginTop: 16, display:'flex', alignItems:'center', justifyContent:'space-between', gap:12 }}>
+              <div style={{ fontSize: 12, color: p.textMuted }}>Add self-hosted models to make them available in every model picker. Local models keep prompts on your network.</div>
+              {errors.length > 0 && <div role="alert" style={{ fontSize: 12, color: p.red }}>{errors[0]}</div>}
+              {canManage ? (
+                <button onClick={() => { setErrors([]); setForm({ ...EMPTY, isNew: true }) }} aria-label="Add model" style={primarySolid(p)}>
+                  <Plus size={16} /> Add model
+                </button>
+              ) : (
+                <span style={{ fontSize: 12, color: p.textMuted, whiteSpace: 'nowrap' }}>Only admins can change models</span>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ModelSettings
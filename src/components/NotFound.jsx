@@ -0,0 +1,24 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, SearchX } from 'lucide-react'
+import { base, palette, primaryGhost } from '../theme'
+
+// 404 page, for unknown URLs and for links to tasks that do not exist (or are another team's)
+const NotFound = ({ title = 'Page not found', detail = 'There is nothing at this address.', theme = 'light' }) => {
+  const p = palette[theme]
+  return (
+    <div role="main" style={{ minHeight: '60vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 16, color: p.text }}>
+      <div style={{ width: 'min(440px, 96vw)', background: p.card, border: `1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow, padding: 24, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 12, textAlign: 'center' }}>
+        <SearchX size={36} color={p.textMuted} aria-hidden />
+        <div style={{ fontSize: 12, fontWeight: 700, color: p.textMuted, letterSpacing: 1 }}>404</div>
+        <h1 style={{ margin: 0, fontSize: 20 }}>{title}</h1>
+        <div style={{ fontSize: 14, color: p.textMuted }}>{detail}</div>
+        <Link to="/" style={{ ...primaryGhost(p), textDecoration: 'none' }}>
+          <ArrowLeft size={16} /> Back to the queue
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default NotFound
@@ -0,0 +1,68 @@
+import React, { useState } from 'react'
+import { Bell, Moon, Settings } from 'lucide-react'
+import { base, dot, iconBtn, palette } from '../theme'
+import { restoreForTask } from '../api/redaction'
+import { REASON_LABELS, notificationText } from '../lib/notifications'
+
+// Rows in the panel; older notifications stay in the backend's list
+const SHOWN = 50
+
+const kindColor = (kind, p) => ({ complete: p.green, failed: p.red, approval: p.amber }[kind] || p.indigo)
+
+const fmtWhen = (at) => new Date(at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Header bell with the unread count. Opening a notification marks it read and opens its task.
+const NotificationBell = ({ notifications, onOpen, onMarkAllRead, onSettings, theme }) => {
+  const p = palette[theme]
+  const [open, setOpen] = useState(false)
+  const unread = notifications.filter(n => !n.read).length
+
+  return (
+    <div style={{ position: 'relative' }} onKeyDown={e => e.key === 'Escape' && setOpen(false)}>
+      <button onClick={() => setOpen(o => !o)} aria-label={unread ? `Notifications, ${unread} unread` : 'Notifications'} aria-haspopup="dialog" aria-expanded={open} style={{ position: 'relative', display: 'inline-flex', alignItems: 'center', padding: '8px 10px', borderRadius: 10, border: `1px solid ${p.border}`, background: p.card, color: p.text, boxShadow: base.shadow }}>
+        <Bell size={16} />
+        {unread > 0 && (
+          <span aria-hidden style={{ position: 'absolute', top: -6, right: -6, minWidth: 18, height: 18, padding: '0 5px', boxSizing: 'border-box', borderRadius: 999, background: p.red, color: '#fff', fontSize: 11, fontWeight: 700, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div role="dialog" aria-label="Notifications" style={{ position: 'absolute', right: 0, top: 'calc(100% + 6px)', zIndex: 60, width: 360, maxHeight: 440, overflow: 'auto', background: p.card, color: p.text, border: `1px solid ${p.border}`, borderRadius: 12, boxShadow: base.shadow }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '10px 12px', borderBottom: `1px solid ${p.border}` }}>
+            <div style={{ fontWeight: 600, flex: 1 }}>Notifications</div>
+            <button onClick={onMarkAllRead} disabled={!unread} aria-label="Mark all notifications read" style={{ border: 'none', background: 'transparent', color: unread ? p.indigo : p.textMuted, cursor: unread ? 'pointer' : 'default', fontSize: 12 }}>Mark all read</button>
+            <button onClick={() => { setOpen(false); onSettings() }} aria-label="Notification settings" style={iconBtn(p)}><Settings size={14} /></button>
+          </div>
+          {notifications.length === 0 ? (
+            <div style={{ padding: 12, fontSize: 13, color: p.textMuted }}>Nothing yet. Tasks you own or watch will show up here when they finish, fail or need an approval.</div>
+          ) : (
+            <ul style={{ listStyle: 'none', margin: 0, padding: 4 }}>
+              {notifications.slice(0, SHOWN).map(n => {
+                const text = notificationText(n, n.taskId == null ? null : restoreForTask(n.taskId, n.taskName))
+                return (
+                  <li key={n.id}>
+                    <button onClick={() => { setOpen(false); onOpen(n) }} aria-label={text} style={{ display: 'flex', gap: 10, width: '100%', padding: '8px 10px', border: 'none', borderRadius: 8, background: n.read ? 'transparent' : `${p.indigo}10`, color: p.text, cursor: 'pointer', textAlign: 'left' }}>
+                      <span style={{ ...dot(kindColor(n.kind, p)), marginTop: 5, flexShrink: 0 }} />
+                      <span style={{ flex: 1, minWidth: 0 }}>
+                        <span style={{ display: 'block', fontSize: 13, fontWeight: n.read ? 400 : 600, wordBreak: 'break-word' }}>
+                          {text}
+                        </span>
+                        <span style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, color: p.textMuted }}>
+                          {fmtWhen(n.at)} · {REASON_LABELS[n.reason] || n.reason}
+                          {n.quiet && <span title="Arrived during quiet hours, so only the bell showed it" style={{ display: 'inline-flex' }}><Moon size={11} /></span>}
+                        </span>
+                      </span>
+                    </button>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from 'react'
+import { AlertTriangle, Bell, Send, X } from 'lucide-react'
+import { base, iconBtn, palette, primaryGhost, primarySolid } from '../theme'
+import { can } from '../lib/roles'
+import { NOTIFY_KINDS, validateNotifySettings } from '../lib/notifications'
+import { listDeliveries, saveNotifySettings, sendTestNotification } from '../api/notifications'
+import { listTemplates } from '../api/templates'
+import { restoreForTask } from '../api/redaction'
+import { desktopEnabled, desktopSupported, disableDesktop, enableDesktop } from './desktopNotifications'
+import { field } from './PipelineEditor'
+
+const fmtWhen = (at) => new Date(at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+// What to be told about, which tasks and templates to watch, quiet hours, and the
+// desktop, webhook and email channels. `tasks` gives watched tasks their names.
+const NotificationSettings = ({ settings, user, tasks, theme, onClose, onSaved }) => {
+  const p = palette[theme]
+  const [draft, setDraft] = useState(settings)
+  const [desktop, setDesktop] = useState(desktopEnabled())
+  const [desktopNote, setDesktopNote] = useState('')
+  const [templates, setTemplates] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    listTemplates().then(setTemplates).catch(() => {})
+    listDeliveries().then(setDeliveries).catch(() => {})
+  }, [])
+
+  const problems = validateNotifySettings(draft)
+  const dirty = JSON.stringify(draft) !== JSON.stringify(settings)
+  const subs = draft.subscriptions
+  const setSubs = (change) => setDraft(d => ({ ...d, subscriptions: { ...d.subscriptions, ...change } }))
+  const setQuiet = (change) => setDraft(d => ({ ...d, quietHours: { ...d.quietHours, ...change } }))
+
+  const toggleDesktop = async (on) => {
+    setDesktopNote('')
+    if (!on) {
+      disableDesktop()
+      setDesktop(false)
+      return
+    }
+    const permission = await enableDesktop()
+    setDesktop(permission === 'granted')
+    if (permission === 'denied') setDesktopNote('The browser blocks notifications from this site; allow them in its site settings first.')
+  }
+
+  const save = async () => {
+    setSaving(true)
+    setError('')
+    setNotice('')
+    try {
+      const saved = await saveNotifySettings({ ...draft, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })
+      setDraft(saved)
+      onSaved(saved)
+      setNotice('Saved')
+    } catch (e) {
+      setError(`Could not save - ${e.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const test = async () => {
+    setError('')
+    setNotice('')
+    try {
+      const sent = await sendTestNotification()
+      setDeliveries(await listDeliveries())
+      setNotice(sent.quiet ? 'Sent to the bell only: it is quiet hours' : 'Sent')
+    } catch (e) {
+      setError(`Could not send a test - ${e.message}`)
+    }
+  }
+
+  const taskName = (id) => {
+    const task = tasks.find(t => String(t.id) === String(id))
+    return task ? restoreForTask(task.id, task.name) : 'not visible'
+  }
+  const templateName = (id) => templates.find(t => String(t.id) === String(id))?.name || `Template ${id}`
+
+  const check = (label, checked, onChange, disabled) => (
+    <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: disabled ? p.textMuted : p.text }}>
+      <input type="checkbox" checked={checked} disabled={disabled} onChange={e => onChange(e.target.checked)} /> {label}
+    </label>
+  )
+  const section = (title, children) => (
+    <fieldset style={{ border: `1px solid ${p.border}`, borderRadius: 10, padding: 12, margin: 0, display: 'flex', flexDirection: 'column', gap: 8 }}>
+      <legend style={{ fontSize: 12, color: p.textMuted, padding: '0 4px' }}>{title}</legend>
+      {children}
+    </fieldset>
+  )
+  const chip = (key, text, onRemove, label) => (
+    <span key={key} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, padding: '2px 4px 2px 10px', borderRadius: 999, border: `1px solid ${p.border}`, fontSize: 12 }}>
+      {text}
+      <button onClick={onRemove} aria-label={label} style={{ ...iconBtn(p), padding: 2, border: 'none' }}><X size={12} /></button>
+    </span>
+  )
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Notification settings" style={{ position: 'fixed', inset: 0, background: 'rgba(0,8,20,0.55)', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 16, zIndex: 70 }}>
+      <div style={{ width: 'min(560px, 96vw)', maxHeight: '90vh', overflow: 'auto', background: p.card, color: p.text, border: `1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: 16, borderBottom: `1px solid ${p.border}` }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 600 }}>
+            <Bell size={18} /> Notifications
+          </div>
+          <button onClick={onClose} aria-label="Close notification settings" style={iconBtn(p)}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ padding: 16, display: 'flex', flexDirection: 'column', gap: 12 }}>
+          {section('Tell me when', NOTIFY_KINDS.map(k => (
+            <React.Fragment key={k.id}>
+              {check(k.label, draft.kinds[k.id], on => setDraft(d => ({ ...d, kinds: { ...d.kinds, [k.id]: on } })))}
+            </React.Fragment>
+          )))}
+
+          {section('About', (
+            <>
+              {check('Anything assigned to me', subs.mine, on => setSubs({ mine: on }))}
+              {can(user, 'task.approve') && check('Approval requests for my teams', subs.approvals, on => setSubs({ approvals: on }))}
+              <div style={{ fontSize: 12, color: p.textMuted }}>Watched tasks {subs.tasks.length === 0 && '- use Watch on a task to add it'}</div>
+              {subs.tasks.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                  {subs.tasks.map(id => chip(id, `#${id} ${taskName(id)}`, () => setSubs({ tasks: subs.tasks.filter(t => t !== id) }), `Stop watching task ${id}`))}
+                </div>
+              )}
+              <div style={{ fontSize: 12, color: p.textMuted }}>Tasks from these templates</div>
+              {subs.templates.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                  {subs.templates.map(id => chip(id, templateName(id), () => setSubs({ templates: subs.templates.filter(t => t !== id) }), `Stop watching template ${templateName(id)}`))}
+                </div>
+              )}
+              <select aria-label="Watch a template" value="" onChange={e => e.target.value && setSubs({ templates: [...subs.templates, Number(e.target.value)] })} style={field(p, theme)}>
+                <option value="">Watch a template…</option>
+                {templates.filter(t => !subs.templates.includes(t.id)).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+            </>
+          ))}
+
+          {section('Quiet hours', (
+            <>
+              {check('Only the bell during quiet hours: no desktop, webhook or email', draft.quietHours.enabled, on => setQuiet({ enabled: on }))}
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13 }}>
+                From <input type="time" aria-label="Quiet hours start" value={draft.quietHours.start} disabled={!draft.quietHours.enabled} onChange={e => setQuiet({ start: e.target.value })} style={{ ...field(p, theme), width: 'auto' }} />
+                to <input type="time" aria-label="Quiet hours end" value={draft.quietHours.end} disabled={!draft.quietHours.enabled} onChange={e => setQuiet({ end: e.target.value })} style={{ ...field(p, theme), width: 'auto' }} />
+                <span style={{ fontSize: 12, color: p.textMuted }}>{Intl.DateTimeFormat().resolvedOptions().timeZone}</span>
+              </div>
+            </>
+          ))}
+
+          {section('Channels', (
+            <>
+              {check(desktopSupported() ? 'Desktop notifications in this browser' : 'Desktop notifications (not supported by this browser)', desktop, toggleDesktop, !desktopSupported())}
+              {desktopNote && <div style={{ fontSize: 12, color: p.amber }}>{desktopNote}</div>}
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12, color: p.textMuted }}>
+                Webhook URL (POSTed a JSON payload)
+                <input aria-label="Webhook URL" value={draft.webhookUrl} placeholder="https://hooks.example.com/ops" onChange={e => setDraft(d => ({ ...d, webhookUrl: e.target.value }))} style={field(p, theme)} />
+              </label>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12, color: p.textMuted }}>
+                Email
+                <input aria-label="Notification email" type="email" value={draft.email} placeholder={user.email || 'you@example.com'} onChange={e => setDraft(d => ({ ...d, email: e.target.value }))} style={field(p, theme)} />
+              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <button onClick={test} disabled={dirty} title={dirty ? 'Save your changes first' : undefined} aria-label="Send a test notification" style={{ ...primaryGhost(p), padding: '6px 10px', opacity: dirty ? 0.6 : 1 }}>
+                  <Send size={14} style={{ marginRight: 6 }} /> Send test
+                </button>
+                {notice && <span role="status" style={{ fontSize: 12, color: p.green }}>{notice}</span>}
+              </div>
+              {deliveries.length > 0 && (
+                <div aria-label="Recent deliveries" style={{ fontSize: 12 }}>
+                  <div style={{ color: p.textMuted, marginBottom: 4 }}>Recent webhook and email deliveries</div>
+                  {deliveries.slice(0, 5).map(d => (
+                    <div key={d.id} style={{ display: 'flex', gap: 8, padding: '2px 0' }}>
+                      <span style={{ color: p.textMuted, whiteSpace: 'nowrap' }}>{fmtWhen(d.at)}</span>
+                      <span style={{ fontWeight: 600 }}>{d.channel}</span>
+                      <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={`${d.to}: ${d.subject}`}>{d.subject}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          ))}
+
+          {(error || problems.length > 0) && (
+            <ul role="alert" style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: error ? p.red : p.amber }}>
+              {(error ? [error] : problems).map((e, i) => <li key={i} style={{ display: 'flex', alignItems: 'center', gap: 6 }}><AlertTriangle size={12} /> {e}</li>)}
+            </ul>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+            <button onClick={onClose} style={primaryGhost(p)}>Close</button>
+            <button onClick={save} disabled={saving || !dirty || problems.length > 0} aria-label="Save notification settings" style={{ ...primarySolid(p), opacity: saving || !dirty || problems.length ? 0.6 : 1 }}>
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NotificationSettings
@@ -0,0 +1,64 @@
+import React from 'react'
+import { AlertTriangle, CloudOff, RefreshCw } from 'lucide-react'
+import { palette } from '../theme'
+import { describeOp } from '../lib/sync'
+import { replay, resolve } from '../api/offline'
+import { restoreForSession, restoreForTask } from '../api/redaction'
+import useSync from '../hooks/useSync'
+
+// Queued writes listed under "Show"
+const SHOWN = 10
+
+const restoreName = (op) => (op.kind.startsWith('task.') ? restoreForTask : restoreForSession)(op.result.id, op.result.name)
+
+const opText = (op) => describeOp(op, op.result ? restoreName(op) : op.result?.name)
+
+// Header strip while the backend is unreachable or writes made offline are waiting:
+// what is queued, and the ones that need a decision because they conflict or were refused
+const OfflineBanner = ({ theme }) => {
+  const p = palette[theme]
+  const { online, syncing, ops } = useSync()
+  if (online && !ops.length) return null
+  const held = ops.filter(op => op.state !== 'pending')
+  const waiting = ops.length - held.length
+  const changes = (n) => `${n} change${n === 1 ? '' : 's'}`
+  const link = { border: 'none', background: 'transparent', color: p.indigo, cursor: 'pointer', fontSize: 12, padding: 0 }
+
+  let summary
+  if (!online) summary = `You are offline. Showing the last copy of your tasks, planning sessions and templates${waiting ? `; ${changes(waiting)} will be sent when the backend is back` : ''}.`
+  else if (syncing) summary = `Back online. Sending ${changes(waiting)}…`
+  else summary = held.length ? `${changes(waiting + held.length)} not synced: resolve the first one to continue.` : `${changes(waiting)} waiting to sync.`
+
+  return (
+    <div role="status" aria-label="Offline status" style={{ padding: '8px 16px', borderTop: `1px solid ${p.border}`, background: theme === 'light' ? '#fffbeb' : '#2a2110', color: p.text, fontSize: 13 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        {online ? <RefreshCw size={14} color={p.amber} /> : <CloudOff size={14} color={p.amber} />}
+        <span style={{ flex: 1, minWidth: 0 }}>{summary}</span>
+        {online && !syncing && waiting > 0 && !held.length && <button onClick={replay} style={link}>Sync now</button>}
+        {ops.length > 0 && (
+          <details style={{ fontSize: 12 }}>
+            <summary style={{ cursor: 'pointer', color: p.indigo }}>Show</summary>
+            <ol style={{ margin: '4px 0 0', paddingLeft: 18, color: p.textMuted }}>
+              {ops.slice(0, SHOWN).map(op => <li key={op.id}>{opText(op)}</li>)}
+              {ops.length > SHOWN && <li>and {ops.length - SHOWN} more</li>}
+            </ol>
+          </details>
+        )}
+      </div>
+      {held.map(op => (
+        <div key={op.id} role="alert" style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6, flexWrap: 'wrap' }}>
+          <AlertTriangle size={14} color={op.state === 'conflict' ? p.amber : p.red} />
+          <span style={{ flex: 1, minWidth: 0 }}>
+            <strong>{opText(op)}</strong> - {op.state === 'conflict' ? op.reason : `the backend refused it: ${op.reason}`}
+          </span>
+          {op.state === 'rejected' && <button onClick={() => resolve(op.id, 'mine')} disabled={!online} style={link}>Retry</button>}
+          {/* Actions cannot be forced: the task is no longer where they apply */}
+          {op.state === 'conflict' && op.kind !== 'task.action' && <button onClick={() => resolve(op.id, 'mine')} disabled={!online} style={link}>Keep mine</button>}
+          <button onClick={() => resolve(op.id, 'theirs')} style={link}>{op.state === 'conflict' && op.kind !== 'task.action' ? 'Keep theirs' : 'Discard'}</button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default OfflineBanner
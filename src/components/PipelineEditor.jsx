@@ -0,0 +1,180 @@
+import React, { useState } from 'react'
+import { AlertTriangle, GripVertical, Lock, Plus, Trash2 } from 'lucide-react'
+import { dot, llmColor, palette, primaryGhost } from '../theme'
+import { DEFAULT_MODEL_ID, getModel } from '../lib/models'
+import useModels from '../hooks/useModels'
+import { isApproval, isStarted, uniqueStepId, validatePipeline } from '../lib/pipeline'
+
+// Controlled editor for a pipeline in its editable form ({ steps: [{ id, name, model, ... }] }).
+// Steps that already started are locked: they cannot move, be renamed, reassigned or removed,
+// and queued steps cannot be moved above them.
+// Reorder by dragging the handle, or focus the handle and use ArrowUp / ArrowDown.
+// "Human approval" in the model picker turns a step into an approval gate.
+const APPROVAL_OPTION = '__approval'
+
+const PipelineEditor = ({ pipeline, onChange, theme, showIO = false }) => {
+  const p = palette[theme]
+  const steps = pipeline?.steps || []
+  const [dragIndex, setDragIndex] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+  const models = useModels()
+  const errors = validatePipeline(pipeline).errors
+
+  const firstMovable = steps.reduce((acc, s, i) => (isStarted(s) ? i + 1 : acc), 0)
+
+  const update = (nextSteps) => onChange({ ...pipeline, steps: nextSteps })
+
+  const patchStep = (index, patch) => update(steps.map((s, i) => (i === index ? { ...s, ...patch } : s)))
+
+  const moveStep = (from, to) => {
+    if (isStarted(steps[from])) return
+    const target = Math.max(firstMovable, Math.min(steps.length - 1, to))
+    if (target === from) return
+    const next = steps.slice()
+    const [moved] = next.splice(from, 1)
+    next.splice(target, 0, moved)
+    update(next)
+    setAnnouncement(`${moved.name || 'Step'} moved to position ${target + 1} of ${next.length}`)
+  }
+
+  const removeStep = (index) => {
+    const removed = steps[index]
+    // Drop references to the removed step so the remaining pipeline stays valid
+    update(steps.filter((_, i) => i !== index).map(s => ({ ...s, dependsOn: (s.dependsOn || []).filter(d => d !== removed.id) })))
+    setAnnouncement(`${removed.name || 'Step'} removed`)
+  }
+
+  // New steps run after the current last step; toggle chips to branch instead
+  const addStep = () => {
+    const last = steps[steps.length - 1]
+    update([...steps, { id: uniqueStepId(steps), name: '', type: 'llm', model: DEFAULT_MODEL_ID, inputs: [], outputs: [], dependsOn: last ? [last.id] : [] }])
+  }
+
+  const toggleDependency = (index, id) => {
+    const current = steps[index].dependsOn || []
+    patchStep(index, { dependsOn: current.includes(id) ? current.filter(d => d !== id) : [...current, id] })
+  }
+
+  return (
+    <div aria-label="Pipeline editor" style={{ display:'flex', flexDirection:'column', gap:8 }}>
+      <ol style={{ listStyle:'none', margin:0, padding:0, display:'flex', flexDirection:'column', gap:8 }}>
+        {steps.map((step, i) => {
+          const locked = isStarted(step)
+          const model = getModel(step.model)
+          return (
+            <li
+              key={step.id}
+              draggable={!locked}
+              onDragStart={(e) => { setDragIndex(i); e.dataTransfer.effectAllowed = 'move' }}
+              onDragOver={(e) => { if (dragIndex !== null) e.preventDefault() }}
+              onDrop={(e) => { e.preventDefault(); if (dragIndex !== null) moveStep(dragIndex, i); setDragIndex(null) }}
+              onDragEnd={() => setDragIndex(null)}
+              style={{ display:'grid', gridTemplateColumns:'28px 1fr 1fr 32px', gap:6, alignItems:'center', fontSize: 13, padding: 6, borderRadius: 8, border: `1px ${dragIndex === i ? 'dashed' : 'solid'} ${p.border}`, background: locked ? (theme==='light' ? '#f9fafb' : '#0b122a') : 'transparent' }}
+            >
+              {locked ? (
+                <span title={`Step is ${step.status}`} style={{ display:'inline-flex', justifyContent:'center', color: p.textMuted }}><Lock size={14} aria-label={`${step.status}, locked`} /></span>
+              ) : (
+                <button
+                  type="button"
+                  aria-label={`Reorder ${step.name || `step ${i + 1}`}, position ${i + 1} of ${steps.length}. Use arrow keys to move.`}
+                  onKeyDown={(e) => {
+                    if (e.key === 'ArrowUp') { e.preventDefault(); moveStep(i, i - 1) }
+                    if (e.key === 'ArrowDown') { e.preventDefault(); moveStep(i, i + 1) }
+                  }}
+                  style={{ display:'inline-flex', alignItems:'center', justifyContent:'center', width: 28, height: 28, border:'none', background:'transparent', color: p.textMuted, cursor:'grab' }}
+                >
+                  <GripVertical size={16} />
+                </button>
+              )}
+              <input aria-label={`Step ${i + 1} name`} placeholder="Step name" value={step.name ?? ''} readOnly={locked} onChange={e => patchStep(i, { name: e.target.value })} style={field(p, theme)} />
+              <span style={{ display:'flex', alignItems:'center', gap:6 }}>
+                <span style={dot(isApproval(step) ? p.purple : llmColor(step.model, theme))} />
+                <select
+                  aria-label={`Step ${i + 1} model`}
+                  value={isApproval(step) ? APPROVAL_OPTION : model?.id ?? step.model ?? ''}
+                  disabled={locked}
+                  onChange={e => patchStep(i, e.target.value === APPROVAL_OPTION ? { type: 'approval', model: '' } : { type: 'llm', model: e.target.value })}
+                  style={field(p, theme)}
+                >
+                  {!model && !isApproval(step) && <option value={step.model ?? ''}>{step.model ? `Unknown: ${step.model}` : 'Choose a model'}</option>}
+                  {models.map(m => <option key={m.id} value={m.id}>{m.name}{m.privacy === 'local' ? ' · local' : ''}</option>)}
+                  <option value={APPROVAL_OPTION}>Human approval</option>
+                </select>
+              </span>
+              <button type="button" aria-label={`Delete ${step.name || `step ${i + 1}`}`} disabled={locked} onClick={() => removeStep(i)} style={{ display:'inline-flex', alignItems:'center', justifyContent:'center', width: 28, height: 28, borderRadius: 8, border:`1px solid ${p.border}`, background:'transparent', color: locked ? p.textMuted : p.red, cursor: locked ? 'not-allowed' : 'pointer', opacity: locked ? 0.5 : 1 }}>
+                <Trash2 size={14} />
+              </button>
+              {showIO && (
+                <>
+                  <span />
+                  <ListField label={`Step ${i + 1} inputs`} placeholder="inputs" value={step.inputs} onCommit={inputs => patchStep(i, { inputs })} p={p} theme={theme} />
+                  <ListField label={`Step ${i + 1} outputs`} placeholder="outputs" value={step.outputs} onCommit={outputs => patchStep(i, { outputs })} p={p} theme={theme} />
+                  <span />
+                </>
+              )}
+              {steps.length > 1 && (
+                <>
+                  <span />
+                  <div role="group" aria-label={`${step.name || `Step ${i + 1}`} runs after`} style={{ gridColumn: 'span 2', display:'flex', flexWrap:'wrap', alignItems:'center', gap:4, fontSize: 11, color: p.textMuted }}>
+                    <span>after</span>
+                    {steps.filter(o => o.id !== step.id).map(o => {
+                      const on = (step.dependsOn || []).includes(o.id)
+                      return (
+                        <button key={o.id} type="button" aria-pressed={on} disabled={locked} onClick={() => toggleDependency(i, o.id)} style={{ padding:'2px 8px', borderRadius: 999, border:`1px solid ${on ? p.indigo : p.border}`, background: on ? `${p.indigo}22` : 'transparent', color: on ? p.indigo : p.textMuted, fontSize: 11, cursor: locked ? 'default' : 'pointer' }}>
+                          {o.name || o.id}
+                        </button>
+                      )
+                    })}
+                    {!(step.dependsOn || []).length && <span>(starts first)</span>}
+                  </div>
+                  <span />
+                </>
+              )}
+            </li>
+          )
+        })}
+      </ol>
+      <div>
+        <button type="button" onClick={addStep} aria-label="Add step" style={{ ...primaryGhost(p), padding: '6px 10px', fontSize: 13 }}>
+          <Plus size={14} /> Add step
+        </button>
+      </div>
+      {errors.length > 0 && (
+        <ul role="alert" style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: p.red }}>
+          {errors.map((e, i) => (
+            <li key={i} style={{ display:'flex', alignItems:'center', gap:6 }}><AlertTriangle size={12}/> {e}</li>
+          ))}
+        </ul>
+      )}
+      <div aria-live="polite" style={{ position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0 0 0 0)' }}>{announcement}</div>
+    </div>
+  )
+}
+
+// Comma-separated list editor; commits on blur so typing a trailing comma works
+const ListField = ({ label, placeholder, value, onCommit, p, theme }) => {
+  const joined = (value || []).join(', ')
+  const [text, setText] = useState(joined)
+  const [editing, setEditing] = useState(false)
+  return (
+    <input
+      aria-label={label}
+      placeholder={placeholder}
+      value={editing ? text : joined}
+      onFocus={() => { setText(joined); setEditing(true) }}
+      onChange={e => setText(e.target.value)}
+      onBlur={() => {
+        setEditing(false)
+        onCommit(text.split(',').map(s => s.trim()).filter(Boolean))
+      }}
+      style={{ ...field(p, theme), fontSize: 12 }}
+    />
+  )
+}
+
+export const field = (p, theme) => ({
+  width: '100%', boxSizing: 'border-box', padding: '6px 8px', borderRadius: 8,
+  border: `1px solid ${p.border}`, background: theme==='light' ? '#fff' : '#0c1430', color: p.text, outlineColor: p.indigo,
+})
+
+export default PipelineEditor
@@ -0,0 +1,139 @@
+import React, { useState } from 'react'
+import { ChevronDown, ChevronRight } from 'lucide-react'
+import { dot, llmColor, palette } from '../theme'
+import { dependenciesOf, layers, stepId } from '../lib/dag'
+import { modelName } from '../lib/models'
+import { canPerform, actionLabel } from '../lib/lifecycle'
+import { formatCost, formatTokens, totalTokens } from '../lib/usage'
+import { isApproval } from '../lib/pipeline'
+import { formatDuration } from '../lib/tasks'
+import { restoreForTask } from '../api/redaction'
+import { Progress, StatusIcon, statusLabel } from './status'
+import StepOutput from './StepOutput'
+import ApprovalReview from './ApprovalReview'
+
+const CONNECTOR_HEIGHT = 28
+
+// Pipeline graph of a task. Steps are grouped into layers by dependency depth;
+// parallel steps share a row and curved connectors fan out / fan in between rows.
+// Dependencies that skip a layer are listed on the step card instead of drawn.
+// With a `task` and `onStepAction`, failed and finished steps offer retry / rerun;
+// `permits(action)` hides the ones the signed-in user may not perform.
+// With a `task`, each step expands into its output viewer below its row; approval
+// gates awaiting a decision expand into the review panel instead.
+// Pass `openIndex` and `onOpenChange` to control which step is expanded (e.g. from the URL).
+const PipelineGraph = ({ steps, theme, task, onStepAction, permits = () => true, openIndex, onOpenChange }) => {
+  const p = palette[theme]
+  const [localOpen, setLocalOpen] = useState(null)
+  const rows = layers(steps)
+  const ids = steps.map(stepId)
+  const openStep = onOpenChange ? (ids[openIndex] ?? null) : localOpen
+  const toggleStep = (i) => {
+    if (onOpenChange) onOpenChange(openStep === ids[i] ? null : i)
+    else setLocalOpen(o => (o === ids[i] ? null : ids[i]))
+  }
+  const rowOf = new Map()
+  rows.forEach((row, r) => row.forEach((i, col) => rowOf.set(i, { r, col, n: row.length })))
+  const xOf = (i) => {
+    const { col, n } = rowOf.get(i)
+    return ((col + 0.5) / n) * 100
+  }
+  const reviewable = (i) => !!onStepAction && steps[i]?.status === 'awaiting_approval' && permits('approve')
+  // Names of a task's steps may be masked (src/api/redaction.js)
+  const nameOf = (step) => (task ? restoreForTask(task.id, step.name) : step.name)
+  const parentsOf = (i) => dependenciesOf(steps, i).map(d => ids.indexOf(d)).filter(j => j !== -1)
+
+  return (
+    <div aria-label="Pipeline steps" role="list" style={{ display:'flex', flexDirection:'column' }}>
+      {rows.map((row, r) => (
+        <React.Fragment key={r}>
+          {r > 0 && (
+            <svg aria-hidden viewBox={`0 0 100 ${CONNECTOR_HEIGHT}`} preserveAspectRatio="none" style={{ width:'100%', height: CONNECTOR_HEIGHT, display:'block' }}>
+              {row.flatMap(child => parentsOf(child).filter(parent => rowOf.get(parent).r === r - 1).map(parent => {
+                const x1 = xOf(parent)
+                const x2 = xOf(child)
+                const h = CONNECTOR_HEIGHT
+                return (
+                  <path
+                    key={`${parent}-${child}`}
+                    d={`M ${x1} 0 C ${x1} ${h / 2}, ${x2} ${h / 2}, ${x2} ${h}`}
+                    fill="none"
+                    stroke={steps[parent].status === 'complete' ? p.green : p.border}
+                    strokeWidth={2}
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )
+              }))}
+            </svg>
+          )}
+          <div style={{ display:'flex', gap:8 }}>
+            {row.map(i => {
+              const step = steps[i]
+              const distant = parentsOf(i).filter(j => rowOf.get(j).r < r - 1)
+              const actions = task && onStepAction ? ['pause', 'resume', 'cancel', 'retry', 'rerun'].filter(a => canPerform(task, a, i) && permits(a)) : []
+              return (
+                <div key={ids[i]} role="listitem" aria-label={`${nameOf(step)}, ${statusLabel(step.status).toLowerCase()}`} style={{ flex: 1, minWidth: 0, background: step.status==='failed' ? `${p.red}10` : (theme==='light'?'#fff': '#0b1330'), border:`1px solid ${step.status==='failed' ? p.red : step.status==='awaiting_approval' ? p.purple : step.status==='running' ? llmColor(step.llm, theme) : p.border}`, borderRadius: 10, padding: 10 }}>
+                  <div style={{ display:'flex', alignItems:'center', gap:8 }}>
+                    <StatusIcon status={step.status} theme={theme} />
+                    <div style={{ fontWeight:600, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={nameOf(step)}>{nameOf(step)}</div>
+                  </div>
+                  <div style={{ display:'flex', alignItems:'center', flexWrap:'wrap', gap:6, marginTop: 6, color: p.textMuted, fontSize: 12 }}>
+                    <span style={dot(isApproval(step) ? p.purple : llmColor(step.llm, theme))} />
+                    <span>{isApproval(step) ? 'Human approval' : modelName(step.llm)}</span>
+                    <span aria-hidden>•</span>
+                    <span>{formatDuration(step.durationMs) || '—'}</span>
+                    {step.usage && (
+                      <>
+                        <span aria-hidden>•</span>
+                        <span title={`${step.usage.inputTokens} input / ${step.usage.outputTokens} output tokens`}>{formatTokens(totalTokens(step.usage))} tok · {formatCost(step.usage.cost)}</span>
+                      </>
+                    )}
+                  </div>
+                  {distant.length > 0 && (
+                    <div style={{ marginTop: 4, fontSize: 11, color: p.textMuted }}>after {distant.map(j => steps[j].name).join(', ')}</div>
+                  )}
+                  {(step.status==='running' || step.status==='paused') && (
+                    <div style={{ marginTop: 8 }}>
+                      <Progress value={Math.round(step.progress || 0)} color={llmColor(step.llm, theme)} pulse={step.status==='running'} />
+                    </div>
+                  )}
+                  {step.approval && (
+                    <div style={{ marginTop: 6, fontSize: 12, color: step.approval.decision === 'approved' ? p.green : p.red }} title={step.approval.comment || undefined}>
+                      {step.approval.decision === 'approved' ? 'Approved' : 'Rejected'} by {step.approval.by || 'unknown'} · {new Date(step.approval.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                      {step.approval.edited ? ' · with edits' : ''}
+                      {step.approval.comment && <div style={{ color: p.textMuted }}>“{step.approval.comment}”</div>}
+                    </div>
+                  )}
+                  {step.error && step.status==='failed' && !step.approval && (
+                    <div role="alert" style={{ marginTop: 6, fontSize: 12, color: p.red }}>{step.error.message}</div>
+                  )}
+                  {(actions.length > 0 || task) && (
+                    <div style={{ display:'flex', flexWrap:'wrap', gap:6, marginTop: 6 }}>
+                      {task && (
+                        <button onClick={() => toggleStep(i)} aria-expanded={openStep === ids[i]} aria-label={`${reviewable(i) ? 'Review' : 'Output of'} ${nameOf(step)}`} style={{ display:'inline-flex', alignItems:'center', gap:2, padding:'2px 8px', borderRadius: 999, border:`1px solid ${reviewable(i) ? p.purple : openStep === ids[i] ? p.indigo : p.border}`, background:'transparent', color: reviewable(i) ? p.purple : openStep === ids[i] ? p.indigo : p.textMuted, fontSize: 11, cursor:'pointer' }}>
+                          {openStep === ids[i] ? <ChevronDown size={12} /> : <ChevronRight size={12} />} {reviewable(i) ? 'Review' : 'Output'}
+                        </button>
+                      )}
+                      {actions.map(a => (
+                        <button key={a} onClick={() => onStepAction(a, i)} aria-label={`${actionLabel(a)}: ${nameOf(step)}`} style={{ padding:'2px 8px', borderRadius: 999, border:`1px solid ${a==='retry' || a==='cancel' ? p.red : p.border}`, background:'transparent', color: a==='retry' || a==='cancel' ? p.red : p.textMuted, fontSize: 11, cursor:'pointer' }}>
+                          {actionLabel(a)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+          {task && row.some(i => ids[i] === openStep) && (reviewable(ids.indexOf(openStep)) ? (
+            <ApprovalReview key={`${task.id}/${openStep}/review`} task={task} index={ids.indexOf(openStep)} theme={theme} onDecide={(action, extra) => onStepAction(action, ids.indexOf(openStep), extra)} />
+          ) : (
+            <StepOutput key={`${task.id}/${openStep}`} task={task} index={ids.indexOf(openStep)} theme={theme} />
+          ))}
+        </React.Fragment>
+      ))}
+    </div>
+  )
+}
+
+export default PipelineGraph
@@ -0,0 +1,31 @@
+import React from 'react'
+import { AlertTriangle, GitBranch } from 'lucide-react'
+import { palette } from '../theme'
+import PipelineEditor from './PipelineEditor'
+
+// Editable view of a structured pipeline proposal inside the planning chat.
+// A reply whose pipeline block could not be parsed has no pipeline, only errors.
+// Without `onChange` (saved sessions that are read-only) every control is disabled.
+const PlanCard = ({ pipeline, errors = [], onChange, theme }) => {
+  const p = palette[theme]
+  return (
+    <div aria-label="Proposed pipeline" style={{ marginTop: 8, border: `1px solid ${errors.length ? p.red : p.border}`, borderRadius: 10, padding: 10, background: theme==='light' ? '#fff' : '#0b1330' }}>
+      <div style={{ display:'flex', alignItems:'center', gap:6, fontSize: 12, fontWeight: 600, color: p.textMuted, marginBottom: 8 }}>
+        <GitBranch size={14}/> Proposed pipeline
+      </div>
+      {pipeline ? (
+        <fieldset disabled={!onChange} style={{ border: 'none', margin: 0, padding: 0, minWidth: 0 }}>
+          <PipelineEditor pipeline={pipeline} onChange={onChange || (() => {})} theme={theme} showIO />
+        </fieldset>
+      ) : (
+        <ul role="alert" style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: p.red }}>
+          {errors.map((e, i) => (
+            <li key={i} style={{ display:'flex', alignItems:'center', gap:6 }}><AlertTriangle size={12}/> {e}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default PlanCard
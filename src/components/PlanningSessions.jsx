@@ -0,0 +1,70 @@
+import React, { useState } from 'react'
+import { AlertTriangle, Link2, Pencil, Plus, Trash2 } from 'lucide-react'
+import { palette, primaryGhost } from '../theme'
+import { restoreForSession } from '../api/redaction'
+
+const fmtUpdated = (date) => new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Sidebar of the planning chat: the user's saved sessions, newest first
+const PlanningSessions = ({ sessions, activeId, canCreate, error, onOpen, onNew, onRename, onDelete, theme }) => {
+  const p = palette[theme]
+  const [renaming, setRenaming] = useState(null) // { id, name }
+
+  const commitRename = () => {
+    const name = renaming.name.trim()
+    if (name) onRename(renaming.id, name)
+    setRenaming(null)
+  }
+
+  return (
+    <nav aria-label="Planning sessions" style={{ width: 230, flexShrink: 0, borderRight: `1px solid ${p.border}`, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+      <div style={{ padding: 12, borderBottom: `1px solid ${p.border}` }}>
+        {canCreate && (
+          <button onClick={onNew} aria-label="New planning session" style={{ ...primaryGhost(p), width: '100%', justifyContent: 'center', padding: '8px 10px' }}>
+            <Plus size={14} /> New session
+          </button>
+        )}
+      </div>
+      {error && <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '8px 12px', fontSize: 12, color: p.red }}><AlertTriangle size={12} /> {error}</div>}
+      <ul style={{ listStyle: 'none', margin: 0, padding: 8, overflow: 'auto', flex: 1, display: 'flex', flexDirection: 'column', gap: 4 }}>
+        {sessions.length === 0 && !error && <li style={{ padding: 8, fontSize: 12, color: p.textMuted }}>No saved sessions yet.</li>}
+        {sessions.map(s => {
+          const active = String(s.id) === String(activeId)
+          const name = restoreForSession(s.id, s.name)
+          return (
+            <li key={s.id} style={{ borderRadius: 8, background: active ? `${p.indigo}18` : 'transparent', border: `1px solid ${active ? p.indigo : 'transparent'}` }}>
+              {renaming?.id === s.id ? (
+                <input
+                  autoFocus
+                  aria-label="Session name"
+                  value={renaming.name}
+                  onChange={e => setRenaming({ ...renaming, name: e.target.value })}
+                  onKeyDown={e => {
+                    if (e.key === 'Enter') commitRename()
+                    if (e.key === 'Escape') setRenaming(null)
+                  }}
+                  onBlur={commitRename}
+                  style={{ width: '100%', boxSizing: 'border-box', padding: 8, borderRadius: 8, border: `1px solid ${p.indigo}`, background: 'transparent', color: p.text, fontSize: 13 }}
+                />
+              ) : (
+                <div style={{ display: 'flex', alignItems: 'flex-start', gap: 4, padding: 8 }}>
+                  <button onClick={() => onOpen(s.id)} aria-current={active || undefined} aria-label={`Open planning session ${name}`} style={{ flex: 1, minWidth: 0, textAlign: 'left', border: 'none', background: 'transparent', color: p.text, cursor: 'pointer', padding: 0 }}>
+                    <div style={{ fontSize: 13, fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{name}</div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, color: p.textMuted }}>
+                      {fmtUpdated(s.updatedAt)}
+                      {s.taskId != null && <span title={`Created task ${s.taskId}`} style={{ display: 'inline-flex', alignItems: 'center', gap: 2, color: p.green }}><Link2 size={11} /> #{s.taskId}</span>}
+                    </div>
+                  </button>
+                  <button onClick={() => setRenaming({ id: s.id, name: name })} aria-label={`Rename ${name}`} style={{ border: 'none', background: 'transparent', color: p.textMuted, cursor: 'pointer', padding: 2 }}><Pencil size={12} /></button>
+                  <button onClick={() => onDelete(s.id)} disabled={s.taskId != null} title={s.taskId != null ? 'Sessions that created a task are kept as its record' : undefined} aria-label={`Delete ${name}`} style={{ border: 'none', background: 'transparent', color: p.red, cursor: s.taskId != null ? 'not-allowed' : 'pointer', opacity: s.taskId != null ? 0.3 : 1, padding: 2 }}><Trash2 size={12} /></button>
+                </div>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </nav>
+  )
+}
+
+export default PlanningSessions
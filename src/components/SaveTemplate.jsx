@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { AlertTriangle, LayoutTemplate, Plus, Trash2, X } from 'lucide-react'
+import { base, iconBtn, palette, primaryGhost, primarySolid } from '../theme'
+import { latestVersion, templateFromTask, validateTemplate } from '../lib/templates'
+import { addTemplateVersion, createTemplate, listTemplates } from '../api/templates'
+import { restoreSteps } from '../api/redaction'
+import { field } from './PipelineEditor'
+
+// Saves a task's pipeline to the template library, as a new template or as the
+// next version of an existing one. Literal text such as "Q3" can be turned into
+// a {{parameter}} that is asked for whenever the template is used.
+const SaveTemplate = ({ task, taskName, theme, onClose, onSaved }) => {
+  const p = palette[theme]
+  const [templates, setTemplates] = useState([])
+  const [target, setTarget] = useState('new') // 'new' or the id of the template to version
+  const [name, setName] = useState(taskName)
+  const [description, setDescription] = useState('')
+  const [note, setNote] = useState('')
+  const [replacements, setReplacements] = useState([])
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    listTemplates().then(setTemplates).catch(error => setErrors([`Could not load templates - ${error.message}`]))
+  }, [])
+
+  const existing = templates.find(t => String(t.id) === String(target))
+  // Templates are shared, so step names are saved as typed rather than masked for this task
+  const typed = useMemo(() => ({ ...task, steps: restoreSteps(task.id, task.steps) }), [task])
+  const draft = useMemo(() => templateFromTask(typed, {
+    name: existing ? existing.name : name.trim(),
+    description: existing && !description.trim() ? existing.description : description.trim(),
+    taskName,
+    replacements: replacements.map(r => ({ parameter: r.parameter.trim(), text: r.text })),
+  }), [typed, taskName, existing, name, description, replacements])
+  const check = validateTemplate(draft)
+
+  const setReplacement = (i, patch) => setReplacements(rs => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)))
+
+  const save = async () => {
+    if (!check.ok) {
+      setErrors(check.errors)
+      return
+    }
+    setSaving(true)
+    setErrors([])
+    try {
+      const saved = existing
+        ? await addTemplateVersion(existing.id, { ...check.template, note: note.trim() })
+        : await createTemplate({ ...check.template, note: note.trim() })
+      onSaved(saved)
+    } catch (error) {
+      setErrors([`Could not save template - ${error.message}`])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const label = (text, control) => (
+    <label style={{ display:'flex', flexDirection:'column', gap:4, fontSize: 12, color: p.textMuted }}>
+      {text}
+      {control}
+    </label>
+  )
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Save as template" style={{ position:'fixed', inset:0, background:'rgba(0,8,20,0.55)', display:'flex', alignItems:'center', justifyContent:'center', padding:16, zIndex: 60 }}>
+      <div style={{ width: 'min(640px, 96vw)', maxHeight: '90vh', overflow:'auto', background: p.card, color: p.text, border:`1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow }}>
+        <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', padding:16, borderBottom:`1px solid ${p.border}` }}>
+          <div style={{ display:'flex', alignItems:'center', gap:8, fontWeight:600 }}>
+            <LayoutTemplate size={18} /> Save as template
+          </div>
+          <button onClick={onClose} aria-label="Close save as template" style={iconBtn(p)}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ padding: 16, display:'flex', flexDirection:'column', gap: 12 }}>
+          {label('Save to', (
+            <select aria-label="Save to" value={target} onChange={e => setTarget(e.target.value)} style={field(p, theme)}>
+              <option value="new">New template</option>
+              {templates.map(t => <option key={t.id} value={t.id}>New version of {t.name} (v{latestVersion(t).version + 1})</option>)}
+            </select>
+          ))}
+          {!existing && label('Name', <input aria-label="Template name" value={name} onChange={e => setName(e.target.value)} style={field(p, theme)} />)}
+          {label('Description', <input aria-label="Template description" value={description} placeholder={existing?.description || 'What the pipeline is for'} onChange={e => setDescription(e.target.value)} style={field(p, theme)} />)}
+          {existing && label('What changed', <input aria-label="Version note" value={note} onChange={e => setNote(e.target.value)} style={field(p, theme)} />)}
+
+          <div style={{ display:'flex', flexDirection:'column', gap: 8 }}>
+            <div style={{ fontSize: 12, color: p.textMuted }}>Parameters: text to ask for each time, like a quarter or a vendor list</div>
+            {replacements.map((r, i) => (
+              <div key={i} style={{ display:'grid', gridTemplateColumns:'1fr 1fr auto', gap: 8 }}>
+                <input aria-label={`Parameter ${i + 1} name`} placeholder="quarter" value={r.parameter} onChange={e => setReplacement(i, { parameter: e.target.value })} style={field(p, theme)} />
+                <input aria-label={`Parameter ${i + 1} replaces`} placeholder="Q3" value={r.text} onChange={e => setReplacement(i, { text: e.target.value })} style={field(p, theme)} />
+                <button onClick={() => setReplacements(rs => rs.filter((_, j) => j !== i))} aria-label={`Remove parameter ${i + 1}`} style={{ ...iconBtn(p), width: 30, height: 30, color: p.red }}><Trash2 size={14} /></button>
+              </div>
+            ))}
+            <button onClick={() => setReplacements(rs => [...rs, { parameter: '', text: '' }])} aria-label="Add parameter" style={{ ...primaryGhost(p), alignSelf:'flex-start' }}>
+              <Plus size={14} /> Add parameter
+            </button>
+          </div>
+
+          <div aria-label="Template preview" style={{ border:`1px solid ${p.border}`, borderRadius: 10, padding: 12, fontSize: 13 }}>
+            <div style={{ fontWeight: 600 }}>{draft.taskName}</div>
+            <div style={{ color: p.textMuted }}>{draft.pipeline.steps.map(s => s.name).join(' → ')}</div>
+          </div>
+
+          {errors.length > 0 && (
+            <ul role="alert" style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: p.red }}>
+              {errors.map((e, i) => <li key={i} style={{ display:'flex', alignItems:'center', gap:6 }}><AlertTriangle size={12}/> {e}</li>)}
+            </ul>
+          )}
+
+          <div style={{ display:'flex', justifyContent:'flex-end', gap: 8 }}>
+            <button onClick={onClose} style={primaryGhost(p)}>Cancel</button>
+            <button onClick={save} disabled={saving} aria-label="Save template" style={{ ...primarySolid(p), opacity: saving ? 0.6 : 1 }}>
+              {saving ? 'Saving…' : existing ? 'Save version' : 'Save template'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SaveTemplate
@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import { AlertTriangle, CalendarClock, X } from 'lucide-react'
+import { base, iconBtn, palette, primaryGhost, primarySolid } from '../theme'
+import { calendarCron, cronCalendar, describeCron, localTimezone, nextRuns } from '../lib/cron'
+import { validateSchedule } from '../lib/schedules'
+import { createSchedule, updateSchedule } from '../api/schedules'
+import { field } from './PipelineEditor'
+
+const FREQUENCIES = [
+  { id: 'daily', label: 'Every day' },
+  { id: 'weekly', label: 'Every week' },
+  { id: 'monthly', label: 'Every month' },
+]
+
+const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const fmtRun = (date) => date.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Creates a schedule for a template or task (`source`), or edits the name and timing
+// of an existing one (`schedule`). Timing is picked on a calendar or typed as cron.
+const ScheduleDialog = ({ schedule, source, sourceName, defaultName = '', team, theme, onClose, onSaved }) => {
+  const p = palette[theme]
+  const initial = schedule ? cronCalendar(schedule.cron) : { frequency: 'weekly', time: '09:00', weekdays: [1] }
+  const [name, setName] = useState(schedule?.name || defaultName)
+  const [mode, setMode] = useState(initial ? 'calendar' : 'cron')
+  const [calendar, setCalendar] = useState({ frequency: 'weekly', time: '09:00', weekdays: [1], day: 1, ...initial })
+  const [cron, setCron] = useState(schedule?.cron || calendarCron(calendar))
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  // Times are picked in the schedule's zone; new schedules use this browser's
+  const timezone = schedule ? schedule.timezone : localTimezone()
+  const expression = mode === 'calendar' ? calendarCron(calendar) : cron
+  const problems = validateSchedule({ name, cron: expression, source: schedule?.source || source })
+  const upcoming = problems.length ? [] : nextRuns(expression, new Date(), 3, timezone)
+
+  const toggleWeekday = (d) => setCalendar(c => {
+    const weekdays = c.weekdays.includes(d) ? c.weekdays.filter(x => x !== d) : [...c.weekdays, d]
+    return { ...c, weekdays: weekdays.length ? weekdays : c.weekdays }
+  })
+
+  const save = async () => {
+    if (problems.length) {
+      setErrors(problems)
+      return
+    }
+    setSaving(true)
+    setErrors([])
+    try {
+      const saved = schedule
+        ? await updateSchedule(schedule.id, { name: name.trim(), cron: expression })
+        : await createSchedule({ name: name.trim(), cron: expression, source, team, timezone })
+      onSaved(saved)
+    } catch (error) {
+      setErrors([`Could not save schedule - ${error.message}`])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const label = (text, control) => (
+    <label style={{ display:'flex', flexDirection:'column', gap:4, fontSize: 12, color: p.textMuted }}>
+      {text}
+      {control}
+    </label>
+  )
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label={schedule ? `Edit schedule ${schedule.name}` : 'New schedule'} style={{ position:'fixed', inset:0, background:'rgba(0,8,20,0.55)', display:'flex', alignItems:'center', justifyContent:'center', padding:16, zIndex: 70 }}>
+      <div style={{ width: 'min(560px, 96vw)', maxHeight: '90vh', overflow:'auto', background: p.card, color: p.text, border:`1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow }}>
+        <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', padding:16, borderBottom:`1px solid ${p.border}` }}>
+          <div style={{ display:'flex', alignItems:'center', gap:8, fontWeight:600 }}>
+            <CalendarClock size={18} /> {schedule ? 'Edit schedule' : 'Schedule'}
+          </div>
+          <button onClick={onClose} aria-label="Close schedule" style={iconBtn(p)}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ padding: 16, display:'flex', flexDirection:'column', gap: 12 }}>
+          <div style={{ fontSize: 13, color: p.textMuted }}>
+            Each run queues {(schedule?.source || source).type === 'template' ? 'the template' : 'a copy of the task'} <strong style={{ color: p.text }}>{schedule?.sourceName || sourceName}</strong>.
+          </div>
+          {label('Name', <input aria-label="Schedule name" value={name} onChange={e => setName(e.target.value)} style={field(p, theme)} />)}
+
+          <div role="radiogroup" aria-label="Timing" style={{ display:'flex', gap: 8 }}>
+            {[['calendar', 'Calendar'], ['cron', 'Cron']].map(([id, text]) => (
+              <button key={id} role="radio" aria-checked={mode === id} onClick={() => {
+                if (id === 'cron' && mode === 'calendar') setCron(calendarCron(calendar))
+                if (id === 'calendar' && cronCalendar(cron)) setCalendar(c => ({ ...c, ...cronCalendar(cron) }))
+                setMode(id)
+              }} style={{ ...primaryGhost(p), padding: '6px 12px', background: mode === id ? `${p.indigo}18` : 'transparent' }}>{text}</button>
+            ))}
+          </div>
+
+          {mode === 'calendar' ? (
+            <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap: 12 }}>
+              {label('Repeats', (
+                <select aria-label="Repeats" value={calendar.frequency} onChange={e => setCalendar(c => ({ ...c, frequency: e.target.value }))} style={field(p, theme)}>
+                  {FREQUENCIES.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                </select>
+              ))}
+              {label('At', <input type="time" aria-label="Run time" value={calendar.time} onChange={e => e.target.value && setCalendar(c => ({ ...c, time: e.target.value }))} style={field(p, theme)} />)}
+              {calendar.frequency === 'weekly' && (
+                <div role="group" aria-label="Weekdays" style={{ gridColumn: 'span 2', display:'flex', gap: 6 }}>
+                  {WEEKDAY_SHORT.map((d, i) => (
+                    <button key={d} aria-pressed={calendar.weekdays.includes(i)} onClick={() => toggleWeekday(i)} style={{ ...primaryGhost(p), padding: '6px 10px', background: calendar.weekdays.includes(i) ? `${p.indigo}18` : 'transparent' }}>{d}</button>
+                  ))}
+                </div>
+              )}
+              {calendar.frequency === 'monthly' && label('On day', (
+                <select aria-label="Day of month" value={calendar.day} onChange={e => setCalendar(c => ({ ...c, day: Number(e.target.value) }))} style={field(p, theme)}>
+                  {Array.from({ length: 28 }, (_, i) => <option key={i + 1} value={i + 1}>{i + 1}</option>)}
+                </select>
+              ))}
+            </div>
+          ) : (
+            label('Cron expression (minute hour day month weekday)', (
+              <input aria-label="Cron expression" value={cron} onChange={e => setCron(e.target.value)} placeholder="0 6 1 */3 *" style={{ ...field(p, theme), fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace' }} />
+            ))
+          )}
+
+          <div aria-label="Upcoming runs" style={{ border:`1px solid ${p.border}`, borderRadius: 10, padding: 12, fontSize: 13 }}>
+            <div style={{ fontWeight: 600 }}>{describeCron(expression, timezone)}</div>
+            {upcoming.length > 0 && (
+              <ul style={{ margin: '4px 0 0', paddingLeft: 18, color: p.textMuted }}>
+                {upcoming.map(d => <li key={d.toISOString()}>{fmtRun(d)}</li>)}
+              </ul>
+            )}
+          </div>
+
+          {(errors.length > 0 || problems.length > 0) && (
+            <ul role="alert" style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: errors.length ? p.red : p.amber }}>
+              {(errors.length ? errors : problems).map((e, i) => <li key={i} style={{ display:'flex', alignItems:'center', gap:6 }}><AlertTriangle size={12}/> {e}</li>)}
+            </ul>
+          )}
+
+          <div style={{ display:'flex', justifyContent:'flex-end', gap: 8 }}>
+            <button onClick={onClose} style={primaryGhost(p)}>Cancel</button>
+            <button onClick={save} disabled={saving || problems.length > 0} aria-label="Save schedule" style={{ ...primarySolid(p), opacity: saving || problems.length ? 0.6 : 1 }}>
+              {saving ? 'Saving…' : schedule ? 'Save schedule' : 'Create schedule'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ScheduleDialog
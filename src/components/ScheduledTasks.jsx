@@ -0,0 +1,113 @@
+import React, { useState } from 'react'
+import { AlertTriangle, CalendarClock, ChevronDown, ChevronRight, History, Pause, Pencil, Play, SkipForward, Trash2, Undo2 } from 'lucide-react'
+import { base, palette, primaryGhost } from '../theme'
+import { describeCron, nextRun } from '../lib/cron'
+import { runStatus } from '../lib/schedules'
+import { restoreForTask } from '../api/redaction'
+import { StatusBadge } from './status'
+
+const fmtRun = (date) => new Date(date).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+const small = (p) => ({ ...primaryGhost(p), padding: '4px 8px', fontSize: 12 })
+
+// "Scheduled" section of the queue: every schedule with its next runs, controls to
+// run now, skip the next run or pause, and its run history.
+const ScheduledTasks = ({ schedules, tasksById, error, canOperate, onRunNow, onSkip, onToggle, onEdit, onDelete, onOpenTask, theme }) => {
+  const p = palette[theme]
+  const [open, setOpen] = useState(true)
+  const [historyOf, setHistoryOf] = useState(null)
+  const [confirming, setConfirming] = useState(null)
+
+  if (!schedules.length && !error) return null
+
+  const sourceName = (s) => (s.source.type === 'task' ? restoreForTask(s.source.taskId, s.sourceName) : s.sourceName)
+
+  return (
+    <section aria-label="Scheduled" style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, boxShadow: base.shadow }}>
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} style={{ width: '100%', display: 'flex', alignItems: 'center', gap: 8, padding: 12, border: 'none', background: 'transparent', color: p.text, cursor: 'pointer', fontWeight: 600 }}>
+        {open ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        <CalendarClock size={16} /> Scheduled
+        <span style={{ fontSize: 12, fontWeight: 400, color: p.textMuted }}>{schedules.length}</span>
+      </button>
+      {open && (
+        <ul style={{ listStyle: 'none', margin: 0, padding: '0 12px 12px', display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {error && <li role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.red }}><AlertTriangle size={12} /> {error}</li>}
+          {schedules.map(s => {
+            const skipping = !!s.skipAt && s.skipAt === s.nextRunAt
+            // When the next run is skipped, the one after it is what actually happens
+            const following = skipping ? nextRun(s.cron, new Date(s.nextRunAt), s.timezone) : null
+            const operable = canOperate(s)
+            return (
+              <li key={s.id} aria-label={`Schedule ${s.name}`} style={{ border: `1px solid ${p.border}`, borderRadius: 10, padding: 10, opacity: s.enabled ? 1 : 0.7 }}>
+                <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8 }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: 600, fontSize: 14 }}>{s.name}</div>
+                    <div style={{ fontSize: 12, color: p.textMuted }}>{describeCron(s.cron, s.timezone)} · {sourceName(s)}</div>
+                    <div style={{ fontSize: 12, marginTop: 2 }}>
+                      {!s.enabled ? (
+                        <span style={{ color: p.textMuted }}>Paused</span>
+                      ) : !s.nextRunAt ? (
+                        <span style={{ color: p.textMuted }}>No further runs</span>
+                      ) : skipping ? (
+                        <span><s style={{ color: p.textMuted }}>{fmtRun(s.nextRunAt)}</s> <span style={{ color: p.amber }}>skipped</span>{following && <> · next {fmtRun(following)}</>}</span>
+                      ) : (
+                        <span>Next {fmtRun(s.nextRunAt)}</span>
+                      )}
+                    </div>
+                  </div>
+                  {operable && (
+                    <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                      <button onClick={() => onRunNow(s)} aria-label={`Run ${s.name} now`} style={small(p)}><Play size={12} /> Run now</button>
+                      {s.enabled && s.nextRunAt && (
+                        skipping
+                          ? <button onClick={() => onSkip(s, false)} aria-label={`Keep the next run of ${s.name}`} style={small(p)}><Undo2 size={12} /> Unskip</button>
+                          : <button onClick={() => onSkip(s, true)} aria-label={`Skip the next run of ${s.name}`} style={small(p)}><SkipForward size={12} /> Skip next</button>
+                      )}
+                      <button onClick={() => onToggle(s, !s.enabled)} aria-label={s.enabled ? `Pause ${s.name}` : `Resume ${s.name}`} style={small(p)}>
+                        {s.enabled ? <><Pause size={12} /> Pause</> : <><Play size={12} /> Resume</>}
+                      </button>
+                      <button onClick={() => onEdit(s)} aria-label={`Edit ${s.name}`} style={small(p)}><Pencil size={12} /></button>
+                      {confirming === s.id ? (
+                        <button onClick={() => { setConfirming(null); onDelete(s) }} onBlur={() => setConfirming(null)} aria-label={`Confirm deleting ${s.name}`} style={{ ...small(p), color: p.red, borderColor: p.red }}>Delete?</button>
+                      ) : (
+                        <button onClick={() => setConfirming(s.id)} aria-label={`Delete ${s.name}`} style={{ ...small(p), color: p.red, borderColor: p.red }}><Trash2 size={12} /></button>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <button onClick={() => setHistoryOf(h => (h === s.id ? null : s.id))} aria-expanded={historyOf === s.id} style={{ marginTop: 6, display: 'inline-flex', alignItems: 'center', gap: 4, border: 'none', background: 'transparent', color: p.indigo, cursor: 'pointer', padding: 0, fontSize: 12 }}>
+                  <History size={12} /> {s.runs.length ? `${s.runs.length} run${s.runs.length === 1 ? '' : 's'}` : 'No runs yet'}
+                </button>
+                {historyOf === s.id && s.runs.length > 0 && (
+                  <ol aria-label={`Runs of ${s.name}`} style={{ listStyle: 'none', margin: '6px 0 0', padding: 0, display: 'flex', flexDirection: 'column', gap: 4 }}>
+                    {s.runs.map(run => {
+                      const status = runStatus(run, tasksById)
+                      return (
+                        <li key={`${run.at}-${run.trigger}`} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12 }}>
+                          <span style={{ minWidth: 150, color: p.textMuted }}>{fmtRun(run.at)}</span>
+                          <span style={{ minWidth: 56, color: p.textMuted }}>{run.trigger === 'manual' ? 'manual' : 'scheduled'}</span>
+                          {run.skipped ? (
+                            <span style={{ color: p.amber }}>Skipped</span>
+                          ) : run.error ? (
+                            <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4, color: p.red }}><AlertTriangle size={12} /> {run.error}</span>
+                          ) : (
+                            <>
+                              {tasksById.has(run.taskId) ? <StatusBadge status={status} theme={theme} /> : <span style={{ color: p.textMuted }}>Not visible</span>}
+                              <button onClick={() => onOpenTask(run.taskId)} aria-label={`Open task ${run.taskId}`} style={{ border: 'none', background: 'transparent', color: p.indigo, cursor: 'pointer', padding: 0, fontSize: 12 }}>#{run.taskId}</button>
+                            </>
+                          )}
+                        </li>
+                      )
+                    })}
+                  </ol>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default ScheduledTasks
@@ -0,0 +1,59 @@
+import React, { useState } from 'react'
+import { useLocation } from 'react-router-dom'
+import { AlertTriangle, LogIn } from 'lucide-react'
+import { base, palette, primarySolid } from '../theme'
+import { beginLogin } from '../api/auth'
+import { useMockIdp } from '../api/config'
+import useSession from '../hooks/useSession'
+
+export const AuthCard = ({ theme, children }) => {
+  const p = palette[theme]
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: p.bg, color: p.text, padding: 16 }}>
+      <div style={{ width: 'min(440px, 96vw)', background: p.card, border: `1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow, padding: 24, display: 'flex', flexDirection: 'column', gap: 16 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+          <div aria-hidden style={{ width: 36, height: 36, borderRadius: 8, background: p.indigo, boxShadow: base.shadow }} />
+          <div>
+            <div style={{ fontWeight: 700 }}>OPS Orchestrator</div>
+            <div style={{ fontSize: 12, color: p.textMuted }}>Privacy-first ERP multi-LLM queue</div>
+          </div>
+        </div>
+        {children}
+      </div>
+    </div>
+  )
+}
+
+const SignIn = ({ theme = 'light' }) => {
+  const p = palette[theme]
+  const location = useLocation()
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const signIn = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      await beginLogin(`${location.pathname}${location.search}`)
+    } catch (e) {
+      setError(e.message)
+      setBusy(false)
+    }
+  }
+
+  return (
+    <AuthCard theme={theme}>
+      <div style={{ fontSize: 14 }}>Sign in with your company account to see your team's queue.</div>
+      {useMockIdp && <div style={{ fontSize: 12, color: p.textMuted }}>Development mode: sign-in goes to the built-in mock identity provider.</div>}
+      {error && <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.red }}><AlertTriangle size={12} /> Could not start sign-in - {error}</div>}
+      <button onClick={signIn} disabled={busy} style={{ ...primarySolid(p), justifyContent: 'center', opacity: busy ? 0.6 : 1 }}>
+        <LogIn size={16} style={{ marginRight: 6 }} /> {busy ? 'Redirecting…' : 'Sign in'}
+      </button>
+    </AuthCard>
+  )
+}
+
+// Renders its children for signed-in users and the sign-in screen for everyone else
+export const RequireAuth = ({ children }) => (useSession() ? children : <SignIn />)
+
+export default SignIn
@@ -0,0 +1,195 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { AlertTriangle, Download, FileText, RotateCw } from 'lucide-react'
+import { palette } from '../theme'
+import { getStepOutput } from '../api/tasks'
+import { restoreForTask } from '../api/redaction'
+import { parseCsv } from '../lib/csv'
+import { diffLines, diffStats } from '../lib/diff'
+
+const TABS = [
+  ['logs', 'Logs'],
+  ['io', 'Prompt & response'],
+  ['artifacts', 'Artifacts'],
+  ['diff', 'Diff'],
+]
+
+const MIME = { csv: 'text/csv', json: 'application/json', pdf: 'application/pdf' }
+
+const fmtClock = (at) => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+export const mono = (p) => ({ margin: 0, padding: 8, borderRadius: 8, background: p.surface, border: `1px solid ${p.border}`, fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace', fontSize: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: 260, overflow: 'auto' })
+
+// Artifacts arrive inline (`content`) from the mock or by `url` from a backend;
+// PDF content is a binary string, so it is rebuilt byte by byte
+const useArtifactUrl = (artifact) => {
+  const [url, setUrl] = useState(artifact.url || null)
+  useEffect(() => {
+    if (artifact.url || artifact.content == null) return undefined
+    const data = artifact.type === 'pdf' ? Uint8Array.from(artifact.content, c => c.charCodeAt(0)) : artifact.content
+    const objectUrl = URL.createObjectURL(new Blob([data], { type: MIME[artifact.type] || 'text/plain' }))
+    setUrl(objectUrl)
+    return () => URL.revokeObjectURL(objectUrl)
+  }, [artifact.url, artifact.type, artifact.content])
+  return url
+}
+
+export const ArtifactPreview = ({ artifact, p }) => {
+  const url = useArtifactUrl(artifact)
+  let preview
+  if (artifact.type === 'pdf') {
+    preview = url ? <iframe title={`Preview of ${artifact.name}`} src={url} style={{ width: '100%', height: 320, border: `1px solid ${p.border}`, borderRadius: 8 }} /> : null
+  } else if (artifact.content == null) {
+    preview = <div style={{ fontSize: 12, color: p.textMuted }}>No inline preview</div>
+  } else if (artifact.type === 'csv') {
+    const [head = [], ...rows] = parseCsv(artifact.content)
+    preview = (
+      <div style={{ maxHeight: 260, overflow: 'auto', border: `1px solid ${p.border}`, borderRadius: 8 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+          <thead>
+            <tr>{head.map((h, i) => <th key={i} style={{ textAlign: 'left', padding: '4px 8px', background: p.surface, position: 'sticky', top: 0 }}>{h}</th>)}</tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => <tr key={i} style={{ borderTop: `1px solid ${p.border}` }}>{r.map((c, j) => <td key={j} style={{ padding: '4px 8px' }}>{c}</td>)}</tr>)}
+          </tbody>
+        </table>
+      </div>
+    )
+  } else if (artifact.type === 'json') {
+    let text = artifact.content
+    try {
+      text = JSON.stringify(JSON.parse(artifact.content), null, 2)
+    } catch {
+      // show it as it came
+    }
+    preview = <pre style={mono(p)}>{text}</pre>
+  } else {
+    preview = <pre style={mono(p)}>{artifact.content}</pre>
+  }
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, fontWeight: 600 }}>
+        <FileText size={14} /> {artifact.name}
+        <span style={{ flex: 1 }} />
+        {url && (
+          <a href={url} download={artifact.name} aria-label={`Download ${artifact.name}`} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, color: p.indigo, fontWeight: 400 }}>
+            <Download size={12} /> Download
+          </a>
+        )}
+      </div>
+      {preview}
+    </div>
+  )
+}
+
+const DiffView = ({ output, p }) => {
+  const { previous } = output
+  const lines = useMemo(() => (previous && output.response ? diffLines(previous.response, output.response) : []), [previous, output.response])
+  if (!previous) return <div style={{ fontSize: 12, color: p.textMuted }}>No previous run of this pipeline to compare with.</div>
+  if (!output.response) return <div style={{ fontSize: 12, color: p.textMuted }}>This run has no output yet.</div>
+  const { added, removed } = diffStats(lines)
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ fontSize: 12, color: p.textMuted }}>
+        Run {output.run} against {previous.source === 'rerun' ? `run ${previous.run} of this task` : `task #${previous.taskId}`}
+        {previous.finishedAt ? ` (${new Date(previous.finishedAt).toLocaleString()})` : ''}: <span style={{ color: p.green }}>+{added}</span> <span style={{ color: p.red }}>−{removed}</span>
+      </div>
+      <pre aria-label="Output diff" style={mono(p)}>
+        {lines.map((l, i) => (
+          <div key={i} style={{ background: l.type === 'add' ? `${p.green}22` : l.type === 'del' ? `${p.red}22` : 'transparent', color: l.type === 'same' ? p.textMuted : p.text }}>
+            {l.type === 'add' ? '+ ' : l.type === 'del' ? '− ' : '  '}{l.text}
+          </div>
+        ))}
+      </pre>
+    </div>
+  )
+}
+
+// Output of one step: live log lines, prompt/response, artifacts and a diff against the previous run.
+// Refetches while the step changes, so logs follow the event stream.
+const StepOutput = ({ task, index, theme }) => {
+  const p = palette[theme]
+  const step = task.steps[index]
+  const [tab, setTab] = useState('logs')
+  const [output, setOutput] = useState(null)
+  const [error, setError] = useState('')
+  const [reload, setReload] = useState(0)
+  const logEnd = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getStepOutput(task.id, index)
+      .then(data => {
+        if (cancelled) return
+        setOutput(data)
+        setError('')
+      })
+      .catch(e => !cancelled && setError(e.message))
+    return () => {
+      cancelled = true
+    }
+  }, [task.id, index, step.status, Math.floor(step.progress || 0), reload])
+
+  useEffect(() => {
+    if (tab === 'logs') logEnd.current?.scrollIntoView({ block: 'nearest' })
+  }, [output?.logs?.length, tab])
+
+  const tabStyle = (active) => ({ padding: '4px 10px', borderRadius: 999, border: `1px solid ${active ? p.indigo : p.border}`, background: active ? `${p.indigo}18` : 'transparent', color: active ? p.indigo : p.textMuted, fontSize: 12, cursor: 'pointer' })
+
+  return (
+    <section aria-label={`Output of ${step.name}`} style={{ marginTop: 8, padding: 10, border: `1px solid ${p.border}`, borderRadius: 10, display: 'flex', flexDirection: 'column', gap: 8 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+        <div role="tablist" aria-label="Step output" style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {TABS.map(([key, label]) => (
+            <button key={key} role="tab" aria-selected={tab === key} onClick={() => setTab(key)} style={tabStyle(tab === key)}>
+              {label}{key === 'artifacts' && output?.artifacts?.length ? ` (${output.artifacts.length})` : ''}
+            </button>
+          ))}
+        </div>
+        <span style={{ flex: 1 }} />
+        {output?.runs > 1 && <span style={{ fontSize: 11, color: p.textMuted }}>run {output.run} of {output.runs}</span>}
+      </div>
+
+      {error && (
+        <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.red }}>
+          <AlertTriangle size={12} /> Could not load output - {error}
+          <button onClick={() => setReload(r => r + 1)} aria-label="Reload output" style={{ display: 'inline-flex', alignItems: 'center', gap: 4, border: 'none', background: 'transparent', color: p.indigo, cursor: 'pointer', fontSize: 12 }}><RotateCw size={12} /> Retry</button>
+        </div>
+      )}
+      {!output && !error && <div style={{ fontSize: 12, color: p.textMuted }}>Loading output…</div>}
+
+      {output && tab === 'logs' && (
+        output.logs.length ? (
+          <div role="log" aria-live="polite" style={mono(p)}>
+            {output.logs.map((l, i) => (
+              <div key={i} style={{ color: l.level === 'error' ? p.red : l.level === 'warn' ? p.amber : p.text }}>
+                <span style={{ color: p.textMuted }}>{fmtClock(l.at)}</span> {l.message}
+              </div>
+            ))}
+            <div ref={logEnd} />
+          </div>
+        ) : <div style={{ fontSize: 12, color: p.textMuted }}>The step has not started yet.</div>
+      )}
+
+      {output && tab === 'io' && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+          <div style={{ fontSize: 12, color: p.textMuted }}>Prompt</div>
+          <pre style={mono(p)}>{restoreForTask(task.id, output.prompt) || '—'}</pre>
+          <div style={{ fontSize: 12, color: p.textMuted }}>Response{output.editedBy ? ` · edited by ${output.editedBy} during approval` : ''}</div>
+          <pre style={mono(p)}>{restoreForTask(task.id, output.response) || (output.status === 'running' ? 'Waiting for the model…' : '—')}</pre>
+        </div>
+      )}
+
+      {output && tab === 'artifacts' && (
+        output.artifacts.length ? (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+            {output.artifacts.map(a => <ArtifactPreview key={a.name} artifact={a} p={p} />)}
+          </div>
+        ) : <div style={{ fontSize: 12, color: p.textMuted }}>No artifacts yet.</div>
+      )}
+
+      {output && tab === 'diff' && <DiffView output={output} p={p} />}
+    </section>
+  )
+}
+
+export default StepOutput
@@ -0,0 +1,70 @@
+import React from 'react'
+import { ArrowDownWideNarrow, ArrowUpNarrowWide, Search, X } from 'lucide-react'
+import { base, dot, llmColor, palette } from '../theme'
+import { TASK_STATUSES } from '../lib/lifecycle'
+import { modelName } from '../lib/models'
+import { EMPTY_QUERY, SORTS, isFiltered } from '../lib/taskQuery'
+import { statusLabel } from './status'
+
+const chip = (p, active) => ({
+  display: 'inline-flex', alignItems: 'center', gap: 6, padding: '4px 10px', borderRadius: 999, cursor: 'pointer', fontSize: 12,
+  border: `1px solid ${active ? p.indigo : p.border}`, background: active ? `${p.indigo}22` : 'transparent', color: active ? p.indigo : p.text,
+})
+
+const field = (p, theme) => ({ padding: '6px 8px', borderRadius: 10, border: `1px solid ${p.border}`, background: theme === 'light' ? '#fff' : '#0c1430', color: p.text, fontSize: 13 })
+
+// Search box, filter chips and sort for the task queue; `query` is controlled (see lib/taskQuery).
+// `actions` go at the end of the search row.
+const TaskFilters = ({ query, onChange, options, shown, total, actions, theme }) => {
+  const p = palette[theme]
+  const set = (patch) => onChange({ ...query, ...patch })
+  const toggle = (key, value) => set({ [key]: query[key].includes(value) ? query[key].filter(v => v !== value) : [...query[key], value] })
+
+  const chips = (key, label, values, render = v => v) => values.length > 0 && (
+    <div role="group" aria-label={`Filter by ${label}`} style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 6 }}>
+      <span style={{ fontSize: 12, color: p.textMuted, width: 52 }}>{label}</span>
+      {values.map(v => (
+        <button key={v} onClick={() => toggle(key, v)} aria-pressed={query[key].includes(v)} style={chip(p, query[key].includes(v))}>{render(v)}</button>
+      ))}
+    </div>
+  )
+
+  return (
+    <div aria-label="Search and filters" style={{ background: p.card, border: `1px solid ${p.border}`, borderRadius: base.radius, padding: 12, boxShadow: base.shadow, display: 'flex', flexDirection: 'column', gap: 8 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <label style={{ flex: 1, display: 'flex', alignItems: 'center', gap: 6, ...field(p, theme) }}>
+          <Search size={14} color={p.textMuted} />
+          <input type="search" value={query.q} onChange={e => set({ q: e.target.value })} aria-label="Search tasks and steps" placeholder="Search tasks and steps…" style={{ flex: 1, border: 'none', outline: 'none', background: 'transparent', color: p.text, fontSize: 13 }} />
+        </label>
+        <select aria-label="Sort by" value={query.sort} onChange={e => set({ sort: e.target.value })} style={field(p, theme)}>
+          <option value="">Queue order</option>
+          {SORTS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        {query.sort && (
+          <button onClick={() => set({ dir: query.dir === 'asc' ? 'desc' : 'asc' })} aria-label={query.dir === 'asc' ? 'Sorted ascending' : 'Sorted descending'} title="Toggle sort direction" style={{ ...field(p, theme), display: 'inline-flex', cursor: 'pointer' }}>
+            {query.dir === 'asc' ? <ArrowUpNarrowWide size={16} /> : <ArrowDownWideNarrow size={16} />}
+          </button>
+        )}
+        {actions}
+      </div>
+      {chips('status', 'Status', TASK_STATUSES, statusLabel)}
+      {chips('model', 'Model', options.model, m => <><span style={dot(llmColor(m, theme))} />{modelName(m)}</>)}
+      {chips('user', 'User', options.user)}
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 6, fontSize: 12, color: p.textMuted }}>
+        <span style={{ width: 52 }}>Created</span>
+        <input type="date" aria-label="Created from" value={query.from} max={query.to || undefined} onChange={e => set({ from: e.target.value })} style={field(p, theme)} />
+        <span>to</span>
+        <input type="date" aria-label="Created to" value={query.to} min={query.from || undefined} onChange={e => set({ to: e.target.value })} style={field(p, theme)} />
+        <span style={{ flex: 1 }} />
+        <span role="status">{isFiltered(query) ? `${shown} of ${total} tasks` : `${total} tasks`}</span>
+        {isFiltered(query) && (
+          <button onClick={() => onChange({ ...EMPTY_QUERY, sort: query.sort, dir: query.dir })} aria-label="Clear filters" style={{ ...chip(p, false), color: p.textMuted }}>
+            <X size={12} /> Clear
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TaskFilters
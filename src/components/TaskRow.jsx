@@ -0,0 +1,56 @@
+import React, { memo } from 'react'
+import { Clock, CloudUpload, ShieldCheck } from 'lucide-react'
+import { base, dot, llmColor, palette } from '../theme'
+import { modelName } from '../lib/models'
+import { formatDuration } from '../lib/tasks'
+import { teamLabel } from '../lib/roles'
+import { restoreForTask, taskVault } from '../api/redaction'
+import { PriorityBadge, Progress, StatusBadge } from './status'
+
+const fmtTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// One row of the task queue. Props are the task plus primitives, so with a stable
+// `onSelect` a row re-renders only when its own task (or selection, or queue position) changes.
+const TaskRow = ({ task, selected, position, showOwner, showTeam, onSelect, theme }) => {
+  const p = palette[theme]
+  const name = restoreForTask(task.id, task.name)
+  return (
+    <button onClick={() => onSelect(task.id)} aria-label={`Open ${name}`} aria-current={selected || undefined} style={{ width:'100%', textAlign:'left', background: selected ? (theme==='light'?'#eef2ff':'#0d1638') : p.card, border: `1px solid ${selected ? p.indigo : p.border}`, borderRadius: base.radius, padding: 12, boxShadow: base.shadow, outlineColor: p.indigo }}>
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:8 }}>
+        <div style={{ display:'inline-flex', alignItems:'center', gap:6, fontWeight: 600 }}>
+          {name}
+          {Object.keys(taskVault(task.id)).length > 0 && <span title={`Models see: ${task.name}`} style={{ display:'inline-flex', color: p.green }}><ShieldCheck size={14} aria-label="Name redacted for cloud models" /></span>}
+          {task.pending && <span title="Changed while offline: not sent to the backend yet" style={{ display:'inline-flex', color: p.amber }}><CloudUpload size={14} aria-label="Not synced" /></span>}
+        </div>
+        <span style={{ display:'inline-flex', alignItems:'center', gap:6 }}>
+          <PriorityBadge priority={task.priority} theme={theme} />
+          <StatusBadge status={task.status} theme={theme} />
+        </span>
+      </div>
+      <div style={{ display:'flex', alignItems:'center', gap:8, marginTop: 6, color: p.textMuted, fontSize: 12 }}>
+        <span style={dot(llmColor(task.llm, theme))} />
+        <span>{modelName(task.llm)}</span>
+        <span aria-hidden>•</span>
+        {task.startTime ? (
+          <span title={`Started at ${fmtTime(task.startTime)}`} style={{ display:'inline-flex', alignItems:'center', gap:6 }}><Clock size={14}/> {fmtTime(task.startTime)}</span>
+        ) : (
+          <span title={`Queued at ${fmtTime(task.queuedAt || task.createdAt)}`} style={{ display:'inline-flex', alignItems:'center', gap:6 }}><Clock size={14}/> {fmtTime(task.queuedAt || task.createdAt)}</span>
+        )}
+        {position && (<><span aria-hidden>•</span><span style={{ color: p.amber }}>#{position} in queue</span></>)}
+        {task.durationMs != null && (<><span aria-hidden>•</span><span>{formatDuration(task.durationMs)}</span></>)}
+        {showOwner && (<><span aria-hidden>•</span><span>by {task.user}</span></>)}
+        {showTeam && task.team && (<><span aria-hidden>•</span><span>{teamLabel(task.team)}</span></>)}
+      </div>
+      {task.status==='running' && (
+        <Progress value={task.progress} color={p.indigo} pulse />
+      )}
+      {task.status==='failed' && (
+        <div style={{ marginTop: 6, fontSize: 12, color: p.red }}>
+          {task.steps.filter(s => s.status==='failed').map(s => `${restoreForTask(task.id, s.name)}: ${s.error?.message || 'failed'}`).join(' · ')}
+        </div>
+      )}
+    </button>
+  )
+}
+
+export default memo(TaskRow)
@@ -0,0 +1,41 @@
+import React from 'react'
+import { AlertTriangle, RotateCw } from 'lucide-react'
+import { palette } from '../theme'
+import { describeEntry, restoreEntry } from '../lib/audit'
+import { auditColor, fmtAuditTime, restoreText, useAuditLog } from './AuditLog'
+
+// Audit history of one task, newest first; follows the event stream through `latest`
+const TaskTimeline = ({ taskId, latest, theme }) => {
+  const p = palette[theme]
+  const { entries, error, retry } = useAuditLog({ task: String(taskId) }, latest)
+
+  if (error) {
+    return (
+      <div role="alert" style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: p.red }}>
+        <AlertTriangle size={12} /> Could not load the timeline - {error}
+        <button onClick={retry} aria-label="Reload timeline" style={{ display: 'inline-flex', alignItems: 'center', gap: 4, border: 'none', background: 'transparent', color: p.indigo, cursor: 'pointer', fontSize: 12 }}><RotateCw size={12} /> Retry</button>
+      </div>
+    )
+  }
+  if (!entries) return <div style={{ fontSize: 12, color: p.textMuted }}>Loading timeline…</div>
+  if (!entries.length) return <div style={{ fontSize: 12, color: p.textMuted }}>Nothing recorded for this task.</div>
+
+  return (
+    <ol aria-label="Task timeline" style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column' }}>
+      {entries.map((e, i) => (
+        <li key={e.seq} style={{ display: 'flex', gap: 10 }}>
+          <div aria-hidden style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', width: 10 }}>
+            <span style={{ width: 10, height: 10, borderRadius: 999, marginTop: 4, background: auditColor(e, p) }} />
+            {i < entries.length - 1 && <span style={{ flex: 1, width: 2, background: p.border }} />}
+          </div>
+          <div style={{ flex: 1, minWidth: 0, paddingBottom: 12 }}>
+            <div style={{ fontSize: 13, wordBreak: 'break-word' }}>{describeEntry(restoreEntry(e, restoreText))}</div>
+            <div style={{ fontSize: 11, color: p.textMuted }}>{e.actor.name} · <time dateTime={e.at}>{fmtAuditTime(e.at)}</time></div>
+          </div>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default TaskTimeline
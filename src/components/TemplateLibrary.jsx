@@ -0,0 +1,228 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { AlertTriangle, CalendarClock, Download, LayoutTemplate, Play, Trash2, Upload, X } from 'lucide-react'
+import { base, dot, iconBtn, llmColor, palette, primaryGhost, primarySolid } from '../theme'
+import { modelName } from '../lib/models'
+import { TEMPLATE_FORMATS, fillTemplate, findVersion, latestVersion, parseTemplateFile, serializeTemplate, templateDocument, templateFileName } from '../lib/templates'
+import { isAdmin } from '../lib/roles'
+import { addTemplateVersion, createTemplate, deleteTemplate, listTemplates } from '../api/templates'
+import { field } from './PipelineEditor'
+import { download } from './download'
+
+// Template library: pick a template, fill in its parameters and queue a task from it.
+// Templates are imported from and exported to JSON or YAML files. `onSchedule`
+// receives the template with the filled-in values to run it on a schedule instead.
+const TemplateLibrary = ({ theme, user, creating, error, onUse, onSchedule, onClose }) => {
+  const p = palette[theme]
+  const [templates, setTemplates] = useState([])
+  const [loadError, setLoadError] = useState('')
+  const [selectedId, setSelectedId] = useState(null)
+  const [versionNo, setVersionNo] = useState(null) // null follows the latest version
+  const [values, setValues] = useState({})
+  const [errors, setErrors] = useState([])
+  const [notice, setNotice] = useState('')
+  const fileRef = useRef(null)
+
+  useEffect(() => {
+    listTemplates()
+      .then(list => {
+        setTemplates(list)
+        setSelectedId(id => id ?? list[0]?.id ?? null)
+      })
+      .catch(error => setLoadError(`Could not load templates - ${error.message}`))
+  }, [])
+
+  const selected = templates.find(t => t.id === selectedId)
+  const version = selected ? findVersion(selected, versionNo ?? latestVersion(selected).version) : null
+  const preview = useMemo(() => (version ? fillTemplate(version, values) : null), [version, values])
+
+  const select = (id) => {
+    setSelectedId(id)
+    setVersionNo(null)
+    setValues({})
+    setErrors([])
+    setNotice('')
+  }
+
+  const use = async () => {
+    if (!preview.ok) {
+      setErrors(preview.errors)
+      return
+    }
+    setErrors([])
+    const task = await onUse({ name: preview.name, steps: preview.steps, templateId: selected.id })
+    if (task) onClose()
+  }
+
+  const schedule = () => {
+    if (!preview.ok) {
+      setErrors(preview.errors)
+      return
+    }
+    onSchedule({ type: 'template', templateId: selected.id, version: versionNo, values }, selected, preview.name)
+  }
+
+  const importFile = async (file) => {
+    setErrors([])
+    setNotice('')
+    const parsed = parseTemplateFile(await file.text(), file.name)
+    if (!parsed.ok) {
+      setErrors([`${file.name}: ${parsed.errors[0]}`, ...parsed.errors.slice(1)])
+      return
+    }
+    // A file with the name of an existing template becomes its next version
+    const existing = templates.find(t => t.name.toLowerCase() === parsed.template.name.toLowerCase())
+    try {
+      const body = { ...parsed.template, note: `Imported from ${file.name}` }
+      const saved = existing ? await addTemplateVersion(existing.id, body) : await createTemplate(body)
+      setTemplates(prev => (existing ? prev.map(t => (t.id === saved.id ? saved : t)) : [...prev, saved]))
+      select(saved.id)
+      setNotice(existing ? `Imported as version ${latestVersion(saved).version} of ${saved.name}` : `Imported ${saved.name}`)
+    } catch (error) {
+      setErrors([`Could not import ${file.name} - ${error.message}`])
+    }
+  }
+
+  const exportAs = (format) => {
+    try {
+      const text = serializeTemplate(templateDocument(selected, version), format)
+      download(text, templateFileName(selected, format), format === 'yaml' ? 'application/yaml' : 'application/json')
+    } catch (error) {
+      setErrors([`Could not export ${selected.name} - ${error.message}`])
+    }
+  }
+
+  const remove = async () => {
+    try {
+      await deleteTemplate(selected.id)
+      const rest = templates.filter(t => t.id !== selected.id)
+      setTemplates(rest)
+      select(rest[0]?.id ?? null)
+    } catch (error) {
+      setErrors([`Could not delete template - ${error.message}`])
+    }
+  }
+
+  const canDelete = selected && (selected.userId === user?.id || isAdmin(user))
+
+  return (
+    <div role="dialog" aria-modal="true" aria-label="Pipeline templates" style={{ position:'fixed', inset:0, background:'rgba(0,8,20,0.55)', display:'flex', alignItems:'center', justifyContent:'center', padding:16, zIndex: 60 }}>
+      <div style={{ width: 'min(960px, 96vw)', maxHeight: '90vh', display:'flex', flexDirection:'column', background: p.card, color: p.text, border:`1px solid ${p.border}`, borderRadius: 16, boxShadow: base.shadow }}>
+        <div style={{ display:'flex', alignItems:'center', gap:8, padding:16, borderBottom:`1px solid ${p.border}` }}>
+          <div style={{ display:'flex', alignItems:'center', gap:8, fontWeight:600 }}>
+            <LayoutTemplate size={18} /> Templates
+          </div>
+          <span style={{ flex: 1 }} />
+          <input ref={fileRef} type="file" accept=".json,.yaml,.yml,application/json,application/yaml" aria-label="Template file" style={{ display:'none' }} onChange={e => {
+            const file = e.target.files?.[0]
+            e.target.value = ''
+            if (file) importFile(file)
+          }} />
+          <button onClick={() => fileRef.current?.click()} aria-label="Import template" style={primaryGhost(p)}>
+            <Upload size={14} /> Import
+          </button>
+          <button onClick={onClose} aria-label="Close templates" style={iconBtn(p)}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ display:'grid', gridTemplateColumns:'260px 1fr', minHeight: 0, flex: 1 }}>
+          <ul aria-label="Template list" style={{ listStyle:'none', margin: 0, padding: 8, borderRight:`1px solid ${p.border}`, overflow:'auto', display:'flex', flexDirection:'column', gap: 4 }}>
+            {loadError && <li role="alert" style={{ padding: 8, fontSize: 12, color: p.red }}>{loadError}</li>}
+            {!loadError && templates.length === 0 && <li style={{ padding: 8, fontSize: 12, color: p.textMuted }}>No templates yet. Save one from a task or import a file.</li>}
+            {templates.map(t => (
+              <li key={t.id}>
+                <button onClick={() => select(t.id)} aria-current={t.id === selectedId || undefined} style={{ width:'100%', textAlign:'left', padding: 8, borderRadius: 8, cursor:'pointer', color: p.text, background: t.id === selectedId ? `${p.indigo}18` : 'transparent', border:`1px solid ${t.id === selectedId ? p.indigo : 'transparent'}` }}>
+                  <div style={{ fontSize: 13, fontWeight: 600 }}>{t.name}</div>
+                  <div style={{ fontSize: 11, color: p.textMuted }}>v{latestVersion(t).version} · {latestVersion(t).pipeline.steps.length} steps · {t.user}</div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div style={{ padding: 16, overflow:'auto', display:'flex', flexDirection:'column', gap: 12 }}>
+            {selected ? (
+              <>
+                <div style={{ display:'flex', alignItems:'flex-start', gap: 8 }}>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontWeight: 700 }}>{selected.name}</div>
+                    {selected.description && <div style={{ fontSize: 13, color: p.textMuted }}>{selected.description}</div>}
+                  </div>
+                  <select aria-label="Template version" value={version.version} onChange={e => setVersionNo(Number(e.target.value))} style={{ ...field(p, theme), width: 'auto' }}>
+                    {[...selected.versions].reverse().map(v => (
+                      <option key={v.version} value={v.version}>v{v.version} · {new Date(v.createdAt).toLocaleDateString()} · {v.by}{v.note ? ` · ${v.note}` : ''}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {version.parameters.length > 0 && (
+                  <div aria-label="Template parameters" style={{ display:'grid', gridTemplateColumns:'repeat(2, minmax(0, 1fr))', gap: 12 }}>
+                    {version.parameters.map(param => (
+                      <label key={param.name} style={{ display:'flex', flexDirection:'column', gap:4, fontSize: 12, color: p.textMuted }}>
+                        {param.label}{param.type === 'list' ? ' (comma-separated)' : ''}{param.default === undefined ? ' *' : ''}
+                        <input aria-label={param.label} value={values[param.name] ?? ''} placeholder={param.default || ''} onChange={e => setValues(v => ({ ...v, [param.name]: e.target.value }))} style={field(p, theme)} />
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                <div aria-label="Template preview" style={{ border:`1px solid ${p.border}`, borderRadius: 10, padding: 12, display:'flex', flexDirection:'column', gap: 8 }}>
+                  <div style={{ fontSize: 12, color: p.textMuted }}>Creates</div>
+                  <div style={{ fontWeight: 600 }}>{preview.ok ? preview.name : version.taskName}</div>
+                  <ol style={{ margin: 0, paddingLeft: 18, fontSize: 13, display:'flex', flexDirection:'column', gap: 4 }}>
+                    {(preview.ok ? preview.steps.map(s => ({ ...s, model: s.llm })) : version.pipeline.steps).map(s => (
+                      <li key={s.id}>
+                        <span style={{ display:'inline-flex', alignItems:'center', gap: 6 }}>
+                          {s.name}
+                          {s.type === 'approval'
+                            ? <span style={{ fontSize: 11, color: p.purple }}>approval</span>
+                            : <span style={{ display:'inline-flex', alignItems:'center', gap: 4, fontSize: 11, color: p.textMuted }}><span style={dot(llmColor(s.model, theme))} />{modelName(s.model)}</span>}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+
+                {errors.length > 0 && (
+                  <ul role="alert" style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: 12, color: p.red }}>
+                    {errors.map((e, i) => <li key={i} style={{ display:'flex', alignItems:'center', gap:6 }}><AlertTriangle size={12}/> {e}</li>)}
+                  </ul>
+                )}
+                {error && <div role="alert" style={{ fontSize: 12, color: p.red }}>{error}</div>}
+                {notice && <div role="status" style={{ fontSize: 12, color: p.green }}>{notice}</div>}
+
+                <div style={{ display:'flex', alignItems:'center', gap: 8 }}>
+                  {TEMPLATE_FORMATS.map(format => (
+                    <button key={format} onClick={() => exportAs(format)} aria-label={`Export as ${format.toUpperCase()}`} style={primaryGhost(p)}>
+                      <Download size={14} /> {format.toUpperCase()}
+                    </button>
+                  ))}
+                  {canDelete && (
+                    <button onClick={remove} aria-label={`Delete ${selected.name}`} style={{ ...primaryGhost(p), color: p.red, borderColor: p.red }}>
+                      <Trash2 size={14} /> Delete
+                    </button>
+                  )}
+                  <span style={{ flex: 1 }} />
+                  {onSchedule && (
+                    <button onClick={schedule} aria-label="Schedule template" style={primaryGhost(p)}>
+                      <CalendarClock size={14} /> Schedule
+                    </button>
+                  )}
+                  <button onClick={use} disabled={creating} aria-label="Create task from template" style={{ ...primarySolid(p), opacity: creating ? 0.6 : 1 }}>
+                    <Play size={14} style={{ marginRight: 6 }} /> {creating ? 'Creating…' : 'Create task'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                {errors.length > 0 && <div role="alert" style={{ fontSize: 12, color: p.red }}>{errors.join('; ')}</div>}
+                <div style={{ fontSize: 13, color: p.textMuted }}>Pick a template on the left.</div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TemplateLibrary
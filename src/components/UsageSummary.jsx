@@ -0,0 +1,41 @@
+import React from 'react'
+import { base, dot, llmColor, palette } from '../theme'
+import { modelName } from '../lib/models'
+import { formatCost, formatTokens, totalTokens, usageByModel, usageByUser } from '../lib/usage'
+
+const Breakdown = ({ title, rows, label, marker, p }) => (
+  <div>
+    <div style={{ fontSize: 12, color: p.textMuted, marginBottom: 6 }}>{title}</div>
+    {rows.length === 0 ? (
+      <div style={{ fontSize: 12, color: p.textMuted }}>No usage yet</div>
+    ) : (
+      <table style={{ width:'100%', borderCollapse:'collapse', fontSize: 13 }}>
+        <tbody>
+          {rows.map(({ key, usage }) => (
+            <tr key={key}>
+              <td style={{ padding:'3px 0' }}>
+                <span style={{ display:'inline-flex', alignItems:'center', gap:6 }}>{marker?.(key)}{label(key)}</span>
+              </td>
+              <td style={{ padding:'3px 0', textAlign:'right', color: p.textMuted }} title={`${usage.inputTokens} in / ${usage.outputTokens} out`}>{formatTokens(totalTokens(usage))} tok</td>
+              <td style={{ padding:'3px 0 3px 12px', textAlign:'right', fontWeight: 600 }}>{formatCost(usage.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+)
+
+// Spend rollups for a set of tasks, per model and per user
+const UsageSummary = ({ tasks, theme }) => {
+  const p = palette[theme]
+  return (
+    <section aria-label="Usage" style={{ background: p.card, border:`1px solid ${p.border}`, borderRadius: base.radius, padding: 16, boxShadow: base.shadow, display:'flex', flexDirection:'column', gap:12 }}>
+      <div style={{ fontWeight: 700 }}>Usage</div>
+      <Breakdown title="By model" rows={usageByModel(tasks)} label={modelName} marker={(id) => <span style={dot(llmColor(id, theme))} />} p={p} />
+      <Breakdown title="By user" rows={usageByUser(tasks)} label={(user) => user} p={p} />
+    </section>
+  )
+}
+
+export default UsageSummary
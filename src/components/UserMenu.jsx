@@ -0,0 +1,60 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { LogOut } from 'lucide-react'
+import { base, palette, primaryGhost } from '../theme'
+import { logout } from '../api/auth'
+import { teamLabel } from '../lib/roles'
+import Avatar from './Avatar'
+
+// Header avatar; opens the profile with roles, teams and sign-out
+const UserMenu = ({ user, theme }) => {
+  const p = palette[theme]
+  const [open, setOpen] = useState(false)
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!open) return undefined
+    const close = (e) => {
+      if (e.type === 'keydown' ? e.key === 'Escape' : !ref.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', close)
+    document.addEventListener('keydown', close)
+    return () => {
+      document.removeEventListener('mousedown', close)
+      document.removeEventListener('keydown', close)
+    }
+  }, [open])
+
+  const chip = (text) => <span key={text} style={{ padding: '2px 8px', borderRadius: 999, border: `1px solid ${p.border}`, fontSize: 11 }}>{text}</span>
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(o => !o)} aria-label={`Profile of ${user.name}`} aria-expanded={open} aria-haspopup="dialog" style={{ display: 'inline-flex', padding: 2, borderRadius: 999, border: '1px solid rgba(255,255,255,0.35)', background: 'transparent', cursor: 'pointer' }}>
+        <Avatar user={user} theme={theme} />
+      </button>
+      {open && (
+        <div role="dialog" aria-label="Profile" style={{ position: 'absolute', right: 0, top: 'calc(100% + 8px)', width: 260, zIndex: 50, background: p.card, color: p.text, border: `1px solid ${p.border}`, borderRadius: base.radius, boxShadow: base.shadow, padding: 16, display: 'flex', flexDirection: 'column', gap: 12 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+            <Avatar user={user} size={44} theme={theme} />
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 700, overflow: 'hidden', textOverflow: 'ellipsis' }}>{user.name}</div>
+              {user.email && <div style={{ fontSize: 12, color: p.textMuted, overflow: 'hidden', textOverflow: 'ellipsis' }}>{user.email}</div>}
+            </div>
+          </div>
+          <div>
+            <div style={{ fontSize: 12, color: p.textMuted, marginBottom: 4 }}>Roles</div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>{user.roles.map(chip)}</div>
+          </div>
+          <div>
+            <div style={{ fontSize: 12, color: p.textMuted, marginBottom: 4 }}>Teams</div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>{user.teams.length ? user.teams.map(t => chip(teamLabel(t))) : <span style={{ fontSize: 12, color: p.textMuted }}>None</span>}</div>
+          </div>
+          <button onClick={logout} style={{ ...primaryGhost(p), justifyContent: 'center' }}>
+            <LogOut size={14} style={{ marginRight: 6 }} /> Sign out
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UserMenu
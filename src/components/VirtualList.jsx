@@ -0,0 +1,117 @@
+import React, { useEffect, useLayoutEffect, useReducer, useRef, useState } from 'react'
+
+// Windowed list: only items within `overscan` px of the viewport are mounted.
+// The list scrolls with the page, so the window comes from where the list sits
+// in the viewport. Items may differ in height: each is measured once mounted and
+// estimated until then.
+const VirtualList = ({ items, getKey, renderItem, estimate = 80, gap = 12, overscan = 800, label }) => {
+  const ref = useRef(null)
+  const sizes = useRef(new Map()) // key -> measured height
+  const nodes = useRef(new Map()) // key -> mounted element
+  const [, relayout] = useReducer(n => n + 1, 0)
+  const [view, setView] = useState({ top: 0, height: window.innerHeight })
+
+  // Where the viewport is, relative to the top of the list
+  const measureView = () => {
+    if (!ref.current) return
+    const top = -ref.current.getBoundingClientRect().top
+    const height = window.innerHeight
+    setView(v => (Math.abs(v.top - top) < 1 && v.height === height ? v : { top, height }))
+  }
+
+  useEffect(() => {
+    let frame = null
+    const onScroll = () => {
+      if (frame == null) frame = requestAnimationFrame(() => {
+        frame = null
+        measureView()
+      })
+    }
+    window.addEventListener('scroll', onScroll, { passive: true })
+    window.addEventListener('resize', onScroll)
+    return () => {
+      window.removeEventListener('scroll', onScroll)
+      window.removeEventListener('resize', onScroll)
+      if (frame != null) cancelAnimationFrame(frame)
+    }
+  }, [])
+
+  // Content above the list (filters, errors) can move it without a scroll
+  useLayoutEffect(measureView)
+
+  // Rows mount (and attach refs) before this runs, so it starts by observing those
+  const observer = useRef(null)
+  useEffect(() => {
+    const ro = new ResizeObserver(entries => {
+      let changed = false
+      entries.forEach(({ target }) => {
+        const height = target.offsetHeight
+        if (sizes.current.get(target.dataset.key) !== height) {
+          sizes.current.set(target.dataset.key, height)
+          changed = true
+        }
+      })
+      if (changed) relayout()
+    })
+    observer.current = ro
+    nodes.current.forEach(el => ro.observe(el))
+    return () => {
+      ro.disconnect()
+      observer.current = null
+    }
+  }, [])
+
+  // Ref callbacks are cached per key so React does not detach and re-attach them every render
+  const refs = useRef(new Map())
+  const measure = (key) => {
+    if (!refs.current.has(key)) {
+      refs.current.set(key, (el) => {
+        const prev = nodes.current.get(key)
+        if (prev) observer.current?.unobserve(prev)
+        if (el) {
+          nodes.current.set(key, el)
+          observer.current?.observe(el)
+        } else {
+          nodes.current.delete(key)
+          refs.current.delete(key)
+        }
+      })
+    }
+    return refs.current.get(key)
+  }
+
+  // Prefix offsets over measured or estimated heights
+  const keys = items.map(item => String(getKey(item)))
+  const offsets = new Array(items.length)
+  let total = 0
+  keys.forEach((key, i) => {
+    offsets[i] = total
+    total += (sizes.current.get(key) ?? estimate) + gap
+  })
+  total = Math.max(0, total - gap)
+
+  const start = view.top - overscan
+  const end = view.top + view.height + overscan
+  // First item whose bottom is below `start`
+  let lo = 0
+  let hi = items.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (offsets[mid] + (sizes.current.get(keys[mid]) ?? estimate) < start) lo = mid + 1
+    else hi = mid
+  }
+  const visible = []
+  for (let i = lo; i < items.length && offsets[i] <= end; i++) visible.push(i)
+
+  return (
+    <div ref={ref} role="list" aria-label={label} style={{ position: 'relative', height: total }}>
+      {visible.map(i => (
+        <div key={keys[i]} ref={measure(keys[i])} data-key={keys[i]} role="listitem" aria-setsize={items.length} aria-posinset={i + 1} style={{ position: 'absolute', top: offsets[i], left: 0, right: 0 }}>
+          {renderItem(items[i], i)}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default VirtualList
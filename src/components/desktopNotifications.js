@@ -0,0 +1,26 @@
+// Opt-in desktop notifications through the browser's Notification API. Permission
+// belongs to the browser, so the opt-in is kept here rather than with the settings.
+const KEY = 'ops.notify.desktop'
+
+export const desktopSupported = () => typeof window !== 'undefined' && 'Notification' in window
+
+export const desktopEnabled = () => desktopSupported() && Notification.permission === 'granted' && localStorage.getItem(KEY) === 'on'
+
+// -> the permission the browser answered with: 'granted', 'denied' or 'default'
+export async function enableDesktop() {
+  const permission = await Notification.requestPermission()
+  if (permission === 'granted') localStorage.setItem(KEY, 'on')
+  return permission
+}
+
+export const disableDesktop = () => localStorage.removeItem(KEY)
+
+export function showDesktop(title, { body, tag, onClick } = {}) {
+  if (!desktopEnabled()) return
+  const shown = new Notification(title, { body, tag })
+  shown.onclick = () => {
+    window.focus()
+    onClick?.()
+    shown.close()
+  }
+}
@@ -0,0 +1,10 @@
+// Saves text as a file through a temporary link
+export function download(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  // Revoked after the click has been handled, or some browsers drop the download
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,54 @@
+import React from 'react'
+import { ArrowDown, Ban, CheckCircle2, Hourglass, PauseCircle, Play, UserCheck, XCircle, Zap } from 'lucide-react'
+import { badgeColorByStatus, palette } from '../theme'
+
+// Status visuals shared by the queue list and the Details panel.
+// Their keyframes live in index.css; the color comes in through --pulse-color.
+export const statusLabel = (status) => {
+  const text = status.replace(/_/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+export const StatusBadge = ({ status, theme }) => {
+  const { bg, color, dot: dotColor } = badgeColorByStatus(status, theme)
+  return (
+    <span aria-label={`${statusLabel(status)} status`} style={{ display:'inline-flex', alignItems:'center', gap:6, padding:'6px 10px', borderRadius: 999, background:bg, color, fontSize:12, fontWeight:600 }}>
+      <span aria-hidden style={{ width:8, height:8, borderRadius:999, background: dotColor, boxShadow: status==='running' ? `0 0 0 3px ${color}33` : 'none', animation: status==='running' ? 'statusPulse 1.2s infinite' : 'none', '--pulse-color': `${color}55` }} />
+      {statusLabel(status)}
+    </span>
+  )
+}
+
+export const Progress = ({ value, color, pulse }) => (
+  <div role="progressbar" aria-valuenow={value} aria-valuemin={0} aria-valuemax={100} style={{ width:'100%', height:8, borderRadius:999, background: '#e5e7eb33', overflow:'hidden', outline:'none' }}>
+    <div style={{ width: `${Math.max(0, Math.min(100, value))}%`, height:'100%', background: color, transition: 'width 200ms ease', boxShadow: pulse ? `0 0 0 0 ${color}55` : 'none', animation: pulse ? 'barPulse 1.6s infinite' : 'none', '--pulse-color': `${color}55` }} />
+  </div>
+)
+
+const STATUS_ICONS = {
+  complete: [CheckCircle2, 'green'],
+  running: [Play, 'indigo'],
+  failed: [XCircle, 'red'],
+  paused: [PauseCircle, 'cyan'],
+  awaiting_approval: [UserCheck, 'purple'],
+  cancelled: [Ban, 'textMuted'],
+}
+
+export const StatusIcon = ({ status, theme }) => {
+  const p = palette[theme]
+  const [Icon, tone] = STATUS_ICONS[status] || [Hourglass, 'amber']
+  return <Icon size={18} color={p[tone]} aria-hidden />
+}
+
+// Only non-default priorities are shown
+export const PriorityBadge = ({ priority, theme }) => {
+  if (priority !== 'urgent' && priority !== 'low') return null
+  const p = palette[theme]
+  const urgent = priority === 'urgent'
+  const Icon = urgent ? Zap : ArrowDown
+  return (
+    <span aria-label={`${priority} priority`} style={{ display:'inline-flex', alignItems:'center', gap:4, padding:'2px 8px', borderRadius: 999, border:`1px solid ${urgent ? p.red : p.border}`, color: urgent ? p.red : p.textMuted, fontSize: 11, fontWeight: 600 }}>
+      <Icon size={12} aria-hidden /> {urgent ? 'Urgent' : 'Low'}
+    </span>
+  )
+}
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { listModels, subscribeModels } from '../lib/models'
+
+// Live view of the model registry; re-renders when custom models change
+export default function useModels() {
+  return useSyncExternalStore(subscribeModels, listModels)
+}
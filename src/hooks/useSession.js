@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getSession, subscribeSession } from '../api/auth'
+
+// The signed-in session ({ user, accessToken, expiresAt }) or null
+export default function useSession() {
+  return useSyncExternalStore(subscribeSession, getSession)
+}
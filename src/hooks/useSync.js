@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { subscribeSync, syncState } from '../api/offline'
+
+// Connectivity and the signed-in user's queued writes: { online, syncing, ops }
+export default function useSync() {
+  return useSyncExternalStore(subscribeSync, syncState)
+}
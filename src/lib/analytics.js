@@ -0,0 +1,156 @@
+// Analytics over the tasks a user can see: throughput, task and step durations,
+// failure rate per model and time spent queued. Built on the numeric timing
+// fields of tasks and steps (durationMs, waitMs, finishedAt; see tasks.js).
+// The time range and team live in the URL: /analytics?range=30d&team=finance
+import { getModel } from './models'
+import { isApproval } from './pipeline'
+import { stepId } from './dag'
+
+export const RANGES = [
+  { id: '24h', label: '24 hours', days: 1 },
+  { id: '7d', label: '7 days', days: 7 },
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '90d', label: '90 days', days: 90 },
+]
+
+export const DEFAULT_RANGE = '7d'
+
+export function parseAnalyticsQuery(params) {
+  const range = params.get('range')
+  return {
+    range: RANGES.some(r => r.id === range) ? range : DEFAULT_RANGE,
+    team: params.get('team') || 'all',
+  }
+}
+
+export function writeAnalyticsQuery(params, query) {
+  const next = new URLSearchParams(params)
+  next.delete('range')
+  next.delete('team')
+  if (query.range !== DEFAULT_RANGE) next.set('range', query.range)
+  if (query.team !== 'all') next.set('team', query.team)
+  return next
+}
+
+// Start of the range and its chart buckets in local time: hours for the last
+// day, days otherwise. The current hour or day is the last bucket.
+export function rangePeriod(rangeId, now = new Date()) {
+  const range = RANGES.find(r => r.id === rangeId) || RANGES.find(r => r.id === DEFAULT_RANGE)
+  const hourly = range.days === 1
+  const from = new Date(now)
+  if (hourly) {
+    from.setMinutes(0, 0, 0)
+    from.setHours(from.getHours() - 23)
+  } else {
+    from.setHours(0, 0, 0, 0)
+    from.setDate(from.getDate() - (range.days - 1))
+  }
+  const buckets = []
+  for (const at = new Date(from); at <= now;) {
+    buckets.push(new Date(at))
+    if (hourly) at.setHours(at.getHours() + 1)
+    else at.setDate(at.getDate() + 1)
+  }
+  return { from, to: new Date(now), hourly, buckets }
+}
+
+const bucketKey = (date, hourly) => (hourly ? `${date.toDateString()} ${date.getHours()}` : date.toDateString())
+
+const inPeriod = (at, period) => {
+  if (!at) return false
+  const d = new Date(at)
+  return d >= period.from && d <= period.to
+}
+
+// Groups items into the period's buckets by the timestamp `at(item)` gives
+function byBucket(items, at, period) {
+  const index = new Map(period.buckets.map((b, i) => [bucketKey(b, period.hourly), i]))
+  const groups = period.buckets.map(() => [])
+  items.forEach(item => {
+    const i = index.get(bucketKey(new Date(at(item)), period.hourly))
+    if (i !== undefined) groups[i].push(item)
+  })
+  return groups
+}
+
+// Nearest-rank percentile; null for no values
+export function percentile(values, q) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.max(0, Math.ceil(q * sorted.length) - 1)]
+}
+
+export const distribution = (values) => ({ count: values.length, p50: percentile(values, 0.5), p95: percentile(values, 0.95) })
+
+export const filterTeam = (tasks, team) => (team === 'all' ? tasks : tasks.filter(t => t.team === team))
+
+const finishedIn = (tasks, period) => tasks.filter(t => t.status === 'complete' && inPeriod(t.finishedAt, period))
+
+// Tasks completed per bucket
+export function throughput(tasks, period) {
+  const groups = byBucket(finishedIn(tasks, period), t => t.finishedAt, period)
+  return period.buckets.map((at, i) => ({ at, count: groups[i].length }))
+}
+
+// Time tasks that started in the period spent queued, overall and per bucket
+export function queueWait(tasks, period) {
+  const started = tasks.filter(t => t.waitMs != null && inPeriod(t.startTime, period))
+  const groups = byBucket(started, t => t.startTime, period)
+  return {
+    overall: distribution(started.map(t => t.waitMs)),
+    buckets: period.buckets.map((at, i) => ({ at, ...distribution(groups[i].map(t => t.waitMs)) })),
+  }
+}
+
+// Tasks share a pipeline when they have the same steps
+const pipelineKey = (task) => task.steps.map(stepId).join('>')
+
+const pipelineLabel = (task) => {
+  const names = task.steps.map(s => s.name)
+  return names.length > 3 ? `${names[0]} → … → ${names[names.length - 1]}` : names.join(' → ')
+}
+
+// Groups of { key, label, values } to { key, label, count, p50, p95 }, most runs first
+const summarize = (groups) => [...groups.values()]
+  .map(({ values, ...g }) => ({ ...g, ...distribution(values) }))
+  .sort((a, b) => b.count - a.count || b.p95 - a.p95)
+
+// p50/p95 duration of the tasks completed in the period, per pipeline
+export function durationsByPipeline(tasks, period) {
+  const groups = new Map()
+  finishedIn(tasks, period).filter(t => t.durationMs != null).forEach(t => {
+    const key = pipelineKey(t)
+    if (!groups.has(key)) groups.set(key, { key, label: pipelineLabel(t), steps: t.steps.length, values: [] })
+    groups.get(key).values.push(t.durationMs)
+  })
+  return summarize(groups)
+}
+
+// p50/p95 running time of the steps completed in the period, per step name.
+// Approval steps are left out: their time is spent waiting for a person.
+export function durationsByStep(tasks, period) {
+  const groups = new Map()
+  tasks.forEach(t => t.steps.forEach(s => {
+    if (isApproval(s) || s.status !== 'complete' || s.durationMs == null || !inPeriod(s.finishedAt, period)) return
+    if (!groups.has(s.name)) groups.set(s.name, { key: s.name, label: s.name, values: [] })
+    groups.get(s.name).values.push(s.durationMs)
+  }))
+  return summarize(groups)
+}
+
+// Share of step runs that failed, per model, over tasks active in the period.
+// A run is a completed step or a failure; retried failures still count.
+export function failureRateByModel(tasks, period) {
+  const groups = new Map()
+  tasks.filter(t => inPeriod(t.finishedAt || t.startTime, period) || t.status === 'running').forEach(t => t.steps.forEach(s => {
+    if (isApproval(s) || !s.llm) return
+    const runs = (s.status === 'complete' ? 1 : 0) + (s.failures || 0)
+    if (!runs) return
+    const key = getModel(s.llm)?.id || s.llm
+    const g = groups.get(key) || { key, runs: 0, failures: 0 }
+    groups.set(key, { ...g, runs: g.runs + runs, failures: g.failures + (s.failures || 0) })
+  }))
+  return [...groups.values()]
+    .map(g => ({ ...g, rate: g.failures / g.runs }))
+    .sort((a, b) => b.rate - a.rate || b.runs - a.runs)
+}
@@ -0,0 +1,210 @@
+// Audit log: an append-only record of who changed which task, how and when.
+// Entry shape (entries are never edited or removed):
+//   { seq, at, actor: { id, name }, action, taskId, taskName, team, details }
+// `actor.id` is null for the system (schedules and the runner). Task names are
+// stored as the backend has them, so masked names are restored in the browser.
+// Filters live in the URL: /audit?action=task.edited&actor=ava&task=1002&from=2026-10-01
+import { toCsv } from './csv'
+import { stepsToPipeline } from './pipeline'
+import { modelName } from './models'
+
+export const AUDIT_ACTIONS = [
+  { id: 'task.created', label: 'Created' },
+  { id: 'task.edited', label: 'Edited' },
+  { id: 'task.status', label: 'Status changed' },
+  { id: 'task.paused', label: 'Paused' },
+  { id: 'task.resumed', label: 'Resumed' },
+  { id: 'task.cancelled', label: 'Cancelled' },
+  { id: 'step.paused', label: 'Step paused' },
+  { id: 'step.resumed', label: 'Step resumed' },
+  { id: 'step.cancelled', label: 'Step cancelled' },
+  { id: 'step.retried', label: 'Step retried' },
+  { id: 'step.rerun', label: 'Step rerun' },
+  { id: 'step.approved', label: 'Approved' },
+  { id: 'step.rejected', label: 'Rejected' },
+  { id: 'step.failed', label: 'Step failed' },
+]
+
+// Lifecycle action (see lifecycle.js) -> audit action
+export const LIFECYCLE_AUDIT_ACTIONS = {
+  pause: 'task.paused',
+  resume: 'task.resumed',
+  cancel: 'task.cancelled',
+  retry: 'step.retried',
+  rerun: 'step.rerun',
+  approve: 'step.approved',
+  reject: 'step.rejected',
+}
+
+// The same actions taken on one step
+export const STEP_CONTROL_AUDIT_ACTIONS = {
+  pause: 'step.paused',
+  resume: 'step.resumed',
+  cancel: 'step.cancelled',
+}
+
+export const SYSTEM_ACTOR = { id: null, name: 'System' }
+
+// Creation and outcome of the demo tasks, so a fresh database starts with a history
+export function seedAudit(tasks) {
+  const entries = []
+  const add = (at, actor, action, task, details) => entries.push({ at, actor, action, taskId: task.id, taskName: task.name, team: task.team ?? null, details })
+  tasks.forEach(t => {
+    add(t.createdAt, { id: t.userId ?? null, name: t.user }, 'task.created', t, {})
+    if (t.finishedAt) add(t.finishedAt, SYSTEM_ACTOR, 'task.status', t, { from: 'running', to: t.status })
+  })
+  return entries
+    .sort((a, b) => (a.at < b.at ? -1 : 1))
+    .map((e, i) => ({ seq: i + 1, ...e }))
+}
+
+export const auditLabel = (action) => AUDIT_ACTIONS.find(a => a.id === action)?.label || action
+
+const STEP_FIELDS = [
+  ['name', 'name'],
+  ['type', 'type'],
+  ['model', 'model'],
+  ['dependsOn', 'depends on'],
+  ['inputs', 'inputs'],
+  ['outputs', 'outputs'],
+]
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// What a PATCH changed: [{ field, step?, from, to }]. Steps are matched by id,
+// so added and removed steps show up as such rather than as renames.
+export function taskChanges(before, after) {
+  const changes = []
+  if (before.name !== after.name) changes.push({ field: 'name', from: before.name, to: after.name })
+  if ((before.priority || 'normal') !== (after.priority || 'normal')) changes.push({ field: 'priority', from: before.priority || 'normal', to: after.priority || 'normal' })
+  if (before.steps === after.steps) return changes
+  const was = stepsToPipeline(before.steps).steps
+  const now = stepsToPipeline(after.steps).steps
+  now.forEach(step => {
+    const old = was.find(s => s.id === step.id)
+    if (!old) {
+      changes.push({ field: 'step', step: step.id, from: null, to: step.name })
+      return
+    }
+    STEP_FIELDS.forEach(([key, field]) => {
+      if (!same(old[key], step[key])) changes.push({ field, step: step.id, from: old[key], to: step[key] })
+    })
+  })
+  was.filter(s => !now.some(n => n.id === s.id)).forEach(s => changes.push({ field: 'step', step: s.id, from: s.name, to: null }))
+  return changes
+}
+
+const show = (field, value) => {
+  if (value == null || value === '') return '—'
+  if (field === 'model') return modelName(value)
+  return Array.isArray(value) ? value.join(', ') || '—' : String(value)
+}
+
+export function describeChange({ field, step, from, to }) {
+  if (field === 'step') return from == null ? `added step "${to}"` : `removed step "${from}"`
+  const what = step ? `step ${step} ${field}` : field
+  return `${what}: ${show(field, from)} → ${show(field, to)}`
+}
+
+const statusText = (status) => (status || '').replace(/_/g, ' ')
+
+// The entry with its task name, step name, comments, errors and edited values passed
+// through `restore(entry, text)`, e.g. to undo redaction in the browser
+export function restoreEntry(entry, restore) {
+  const text = (value) => (typeof value === 'string' ? restore(entry, value) : Array.isArray(value) ? value.map(text) : value)
+  const d = entry.details
+  const details = d && {
+    ...d,
+    ...(d.stepName != null && { stepName: text(d.stepName) }),
+    ...(d.comment != null && { comment: text(d.comment) }),
+    ...(d.error != null && { error: text(d.error) }),
+    ...(d.changes && { changes: d.changes.map(c => ({ ...c, from: text(c.from), to: text(c.to) })) }),
+  }
+  return { ...entry, taskName: text(entry.taskName), ...(d && { details }) }
+}
+
+// One line about an entry, without the actor and time
+export function describeEntry(entry) {
+  const d = entry.details || {}
+  const step = d.stepName ? ` "${d.stepName}"` : ''
+  const transition = d.from && d.to && d.from !== d.to ? ` (${statusText(d.from)} → ${statusText(d.to)})` : ''
+  switch (entry.action) {
+    case 'task.created':
+      if (d.via === 'chat') return `Created from planning chat #${d.sessionId}`
+      if (d.via === 'template') return `Created from template "${d.templateName}"`
+      if (d.via === 'schedule') return `Queued by schedule "${d.scheduleName}"`
+      if (d.via === 'import') return `Imported${d.importedFrom ? ` from task ${d.importedFrom}` : ''}`
+      return 'Created'
+    case 'task.edited':
+      return `Edited ${(d.changes || []).map(describeChange).join('; ')}`
+    case 'task.status':
+      return `Status ${statusText(d.from)} → ${statusText(d.to)}`
+    case 'step.approved':
+    case 'step.rejected':
+      return `${auditLabel(entry.action)}${step}${d.edited ? ' with edits' : ''}${d.comment ? `: ${d.comment}` : ''}${transition}`
+    case 'step.failed':
+      return `Step${step} failed${d.error ? `: ${d.error}` : ''}`
+    default:
+      return `${auditLabel(entry.action)}${step}${transition}`
+  }
+}
+
+export function parseAuditQuery(params) {
+  const action = params.get('action')
+  return {
+    action: AUDIT_ACTIONS.some(a => a.id === action) ? action : 'all',
+    actor: params.get('actor') || '',
+    task: params.get('task') || '',
+    from: params.get('from') || '',
+    to: params.get('to') || '',
+  }
+}
+
+export function writeAuditQuery(params, query) {
+  const next = new URLSearchParams(params)
+  for (const key of ['action', 'actor', 'task', 'from', 'to']) {
+    next.delete(key)
+    if (query[key] && query[key] !== 'all') next.set(key, query[key])
+  }
+  return next
+}
+
+// `from` and `to` are dates (YYYY-MM-DD) in local time, both inclusive
+const dayStart = (day) => new Date(`${day}T00:00:00`)
+
+export function matchesAudit(entry, query) {
+  if (query.action && query.action !== 'all' && entry.action !== query.action) return false
+  if (query.task && String(entry.taskId) !== String(query.task).trim()) return false
+  if (query.actor) {
+    const needle = query.actor.trim().toLowerCase()
+    if (entry.actor.id !== needle && !entry.actor.name.toLowerCase().includes(needle)) return false
+  }
+  const at = new Date(entry.at)
+  if (query.from && at < dayStart(query.from)) return false
+  if (query.to) {
+    const end = dayStart(query.to)
+    end.setDate(end.getDate() + 1)
+    if (at >= end) return false
+  }
+  return true
+}
+
+export const AUDIT_CSV_COLUMNS = ['seq', 'at', 'actor', 'actor_id', 'action', 'task_id', 'task', 'team', 'description']
+
+// `restore(entry, text)` gives the text to write, e.g. restored from its mask (see restoreEntry)
+export const auditCsv = (entries, restore = (e, text) => text) => toCsv([
+  AUDIT_CSV_COLUMNS,
+  ...entries.map(e => restoreEntry(e, restore)).map(e => [e.seq, e.at, e.actor.name, e.actor.id ?? '', e.action, e.taskId, e.taskName, e.team ?? '', describeEntry(e)]),
+])
+
+export const AUDIT_EXPORT_KIND = 'ops-audit'
+
+// -> { text, fileName, type } for the entries as shown; `format` is 'json' or 'csv'
+export function formatAuditExport(entries, format, { filters = {}, exportedBy, restore = (e, text) => text } = {}) {
+  const exportedAt = new Date().toISOString()
+  const fileName = `audit-${exportedAt.slice(0, 10)}-${entries.length}.${format}`
+  if (format === 'csv') return { text: auditCsv(entries, restore), fileName, type: 'text/csv' }
+  const active = Object.fromEntries(Object.entries(filters).filter(([, v]) => v && v !== 'all'))
+  const exported = { kind: AUDIT_EXPORT_KIND, exportedAt, exportedBy, filters: active, entries: entries.map(e => restoreEntry(e, restore)) }
+  return { text: `${JSON.stringify(exported, null, 2)}\n`, fileName, type: 'application/json' }
+}
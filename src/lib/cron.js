@@ -0,0 +1,212 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), read in
+// an IANA time zone (a schedule's `timezone`) or, without one, in local time.
+// Fields take *, lists (1,15), ranges (1-5), steps (*/15, 9-17/2) and month or
+// weekday names (jan, mon). When both day fields are restricted a day matching
+// either one runs, as in classic cron. @hourly, @daily, @weekly, @monthly and
+// @yearly are accepted as shorthands.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const FIELDS = [
+  { key: 'minute', label: 'minute', min: 0, max: 59 },
+  { key: 'hour', label: 'hour', min: 0, max: 23 },
+  { key: 'day', label: 'day of month', min: 1, max: 31 },
+  { key: 'month', label: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { key: 'weekday', label: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 },
+]
+
+export const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+}
+
+// Runs further apart than this are treated as "never" (e.g. 30 2 31 2 *)
+const SEARCH_YEARS = 5
+
+function parseValue(text, field) {
+  const named = field.names?.indexOf(text.toLowerCase())
+  if (named !== undefined && named !== -1) return named + field.offset
+  if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a valid ${field.label}`)
+  const value = Number(text)
+  if (value < field.min || value > field.max) throw new Error(`${field.label} ${value} is outside ${field.min}-${field.max}`)
+  return value
+}
+
+function parseField(text, field) {
+  const values = new Set()
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step < 1) throw new Error(`"${part}" has an invalid step`)
+    let from = field.min
+    let to = field.max
+    if (range !== '*') {
+      const [start, end] = range.split('-')
+      from = parseValue(start, field)
+      // "5/15" means from 5 to the end in steps of 15
+      to = end !== undefined ? parseValue(end, field) : stepText !== undefined ? field.max : from
+      if (to < from) throw new Error(`"${range}" runs backwards`)
+    }
+    for (let v = from; v <= to; v += step) values.add(v)
+  })
+  // Sunday may be written as 0 or 7
+  if (field.key === 'weekday' && values.delete(7)) values.add(0)
+  return values
+}
+
+// Returns { ok, error, fields } where fields map minute/hour/day/month/weekday to sets of values
+export function parseCron(expression) {
+  const text = String(expression || '').trim()
+  const parts = (CRON_PRESETS[text.toLowerCase()] || text).split(/\s+/)
+  if (parts.length !== 5) return { ok: false, error: 'A cron expression has five fields: minute hour day month weekday' }
+  try {
+    const fields = {}
+    FIELDS.forEach((field, i) => { fields[field.key] = parseField(parts[i], field) })
+    fields.anyDay = parts[2] === '*'
+    fields.anyWeekday = parts[4] === '*'
+    return { ok: true, error: null, fields }
+  } catch (error) {
+    return { ok: false, error: error.message }
+  }
+}
+
+// The runtime's own zone, e.g. 'Europe/Berlin'
+export const localTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+export function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// The wall-clock time at `at` in `timezone`, held in a Date's UTC fields so that
+// stepping through it never crosses a daylight saving change
+function wallClock(at, timezone) {
+  if (!timezone) return new Date(Date.UTC(at.getFullYear(), at.getMonth(), at.getDate(), at.getHours(), at.getMinutes()))
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric' }).formatToParts(at)
+  const get = (type) => Number(parts.find(p => p.type === type).value)
+  return new Date(Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute')))
+}
+
+// The instant a wall-clock time happens in `timezone`. Times skipped by a daylight
+// saving change land just after it.
+function instantOf(wall, timezone) {
+  if (!timezone) return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes())
+  // The zone's offset at the first guess, then again at the result in case a change lies between
+  let at = new Date(wall)
+  for (let i = 0; i < 2; i++) at = new Date(wall - (wallClock(at, timezone) - at))
+  return at
+}
+
+function dayMatches(fields, date) {
+  const day = fields.day.has(date.getUTCDate())
+  const weekday = fields.weekday.has(date.getUTCDay())
+  if (fields.anyDay && fields.anyWeekday) return true
+  if (fields.anyDay) return weekday
+  if (fields.anyWeekday) return day
+  return day || weekday
+}
+
+// First run strictly after `after` with the fields read in `timezone` (local time
+// without one), or null if there is none within a few years or the zone is unknown
+export function nextRun(expression, after = new Date(), timezone = null) {
+  const { ok, fields } = parseCron(expression)
+  if (!ok || (timezone && !isTimezone(timezone))) return null
+  const from = new Date(after)
+  const date = wallClock(from, timezone)
+  date.setUTCMinutes(date.getUTCMinutes() + 1)
+  const limit = new Date(date)
+  limit.setUTCFullYear(limit.getUTCFullYear() + SEARCH_YEARS)
+  // Jump a whole month, day or hour at a time while that unit cannot match
+  while (date < limit) {
+    if (!fields.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1)
+      date.setUTCHours(0, 0, 0, 0)
+    } else if (!dayMatches(fields, date)) {
+      date.setUTCDate(date.getUTCDate() + 1)
+      date.setUTCHours(0, 0, 0, 0)
+    } else if (!fields.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0)
+    } else if (!fields.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0)
+    } else {
+      // In the hour repeated when clocks go back, a time may map to a pass already over
+      const at = instantOf(date, timezone)
+      if (at > from) return at
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0)
+    }
+  }
+  return null
+}
+
+export function nextRuns(expression, after = new Date(), count = 3, timezone = null) {
+  const runs = []
+  let from = after
+  while (runs.length < count) {
+    const next = nextRun(expression, from, timezone)
+    if (!next) break
+    runs.push(next)
+    from = next
+  }
+  return runs
+}
+
+// Calendar picker <-> cron. frequency is 'daily', 'weekly' or 'monthly';
+// weekdays are 0 (Sunday) to 6, `day` is the day of the month.
+export function calendarCron({ frequency, time = '09:00', weekdays = [1], day = 1 }) {
+  const [hour, minute] = time.split(':').map(Number)
+  if (frequency === 'weekly') return `${minute} ${hour} * * ${[...weekdays].sort().join(',') || '1'}`
+  if (frequency === 'monthly') return `${minute} ${hour} ${day} * *`
+  return `${minute} ${hour} * * *`
+}
+
+export function cronCalendar(expression) {
+  const match = /^(\d+) (\d+) (\S+) \* (\S+)$/.exec(String(expression || '').trim())
+  if (!match) return null
+  const time = `${match[2].padStart(2, '0')}:${match[1].padStart(2, '0')}`
+  if (match[3] === '*' && match[4] === '*') return { frequency: 'daily', time }
+  if (match[3] === '*' && /^[0-6](,[0-6])*$/.test(match[4])) return { frequency: 'weekly', time, weekdays: match[4].split(',').map(Number) }
+  if (/^\d+$/.test(match[3]) && match[4] === '*') return { frequency: 'monthly', time, day: Number(match[3]) }
+  return null
+}
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const only = (set) => (set.size === 1 ? [...set][0] : null)
+const pad2 = (n) => String(n).padStart(2, '0')
+
+// Plain-English form of the common shapes; anything else is shown as the expression.
+// Times in another zone than this browser's are followed by the zone.
+export function describeCron(expression, timezone = null) {
+  const text = describeFields(expression)
+  return timezone && timezone !== localTimezone() ? `${text} (${timezone})` : text
+}
+
+function describeFields(expression) {
+  const text = String(expression || '').trim()
+  const { ok, fields } = parseCron(text)
+  if (!ok) return `Cron ${text}`
+  const minute = only(fields.minute)
+  const hour = only(fields.hour)
+  const everyMonth = fields.month.size === 12
+  if (minute !== null && fields.hour.size === 24 && fields.anyDay && fields.anyWeekday && everyMonth) return `Every hour at :${pad2(minute)}`
+  if (minute === null || hour === null || !everyMonth) return `Cron ${text}`
+  const time = `${pad2(hour)}:${pad2(minute)}`
+  if (fields.anyDay && fields.anyWeekday) return `Every day at ${time}`
+  if (fields.anyDay) {
+    const days = [...fields.weekday].sort()
+    if (days.join() === '1,2,3,4,5') return `Every weekday at ${time}`
+    return `Every ${days.map(d => WEEKDAY_NAMES[d]).join(', ')} at ${time}`
+  }
+  if (fields.anyWeekday) return `Day ${[...fields.day].sort((a, b) => a - b).join(', ')} of every month at ${time}`
+  return `Cron ${text}`
+}
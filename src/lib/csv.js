@@ -0,0 +1,50 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line ends
+
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(field)
+      field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += c
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+// Spreadsheets run text starting with one of these as a formula; a leading ' keeps it text.
+// Numbers are left alone, so -12.5 stays a number.
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const cell = (v) => {
+  const s = v == null ? '' : typeof v === 'string' && FORMULA_START.test(v) ? `'${v}` : String(v)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+export const toCsv = (rows) => rows.map(r => r.map(cell).join(',')).join('\n')
@@ -0,0 +1,97 @@
+// Step dependency graph helpers.
+// A step's `dependsOn` lists the ids of steps that must complete before it starts.
+// Steps without a `dependsOn` field come from flat pipelines and depend on the step before them.
+
+export const stepId = (step, i) => step.id || `#${i}`
+
+export const dependenciesOf = (steps, i) => steps[i].dependsOn ?? (i ? [stepId(steps[i - 1], i - 1)] : [])
+
+// Returns the ids forming the first dependency cycle found, e.g. ['a', 'b', 'a'], or null
+export function findCycle(steps) {
+  const index = new Map(steps.map((s, i) => [stepId(s, i), i]))
+  const state = new Map() // id -> 'visiting' | 'done'
+  const path = []
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') return null
+    if (state.get(id) === 'visiting') return [...path.slice(path.indexOf(id)), id]
+    state.set(id, 'visiting')
+    path.push(id)
+    const i = index.get(id)
+    for (const dep of i === undefined ? [] : dependenciesOf(steps, i)) {
+      if (!index.has(dep)) continue
+      const cycle = visit(dep)
+      if (cycle) return cycle
+    }
+    path.pop()
+    state.set(id, 'done')
+    return null
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const cycle = visit(stepId(steps[i], i))
+    if (cycle) return cycle
+  }
+  return null
+}
+
+// Indexes of queued steps whose parents have all completed
+export function readySteps(steps) {
+  const statusById = new Map(steps.map((s, i) => [stepId(s, i), s.status]))
+  return steps.reduce((ready, step, i) => {
+    if (step.status !== 'queued') return ready
+    const parents = dependenciesOf(steps, i).filter(d => statusById.has(d))
+    if (parents.every(d => statusById.get(d) === 'complete')) ready.push(i)
+    return ready
+  }, [])
+}
+
+// Indexes of every step downstream of `index` (transitively), including `index`
+export function descendantsOf(steps, index) {
+  const ids = steps.map(stepId)
+  const found = new Set([index])
+  let grew = true
+  while (grew) {
+    grew = false
+    steps.forEach((_, i) => {
+      if (found.has(i)) return
+      if (dependenciesOf(steps, i).some(d => found.has(ids.indexOf(d)))) {
+        found.add(i)
+        grew = true
+      }
+    })
+  }
+  return found
+}
+
+// True when nothing runs or waits for sign-off and every queued step sits downstream
+// of a paused one: the steps can only go on once someone resumes
+export function waitsOnPause(steps) {
+  if (steps.some(s => s.status === 'running' || s.status === 'awaiting_approval')) return false
+  const blocked = new Set()
+  steps.forEach((s, i) => {
+    if (s.status === 'paused') descendantsOf(steps, i).forEach(j => blocked.add(j))
+  })
+  return blocked.size > 0 && steps.every((s, i) => s.status !== 'queued' || blocked.has(i))
+}
+
+// Groups step indexes by depth (longest path from a root) for fan-out/fan-in rendering.
+// Falls back to one step per layer when the graph has a cycle.
+export function layers(steps) {
+  if (findCycle(steps)) return steps.map((_, i) => [i])
+  const index = new Map(steps.map((s, i) => [stepId(s, i), i]))
+  const depth = new Map()
+  const depthOf = (i) => {
+    if (depth.has(i)) return depth.get(i)
+    const parents = dependenciesOf(steps, i).filter(d => index.has(d)).map(d => index.get(d))
+    const d = parents.length ? 1 + Math.max(...parents.map(depthOf)) : 0
+    depth.set(i, d)
+    return d
+  }
+  const result = []
+  steps.forEach((_, i) => {
+    const d = depthOf(i)
+    ;(result[d] = result[d] || []).push(i)
+  })
+  return result.filter(Boolean)
+}
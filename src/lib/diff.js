@@ -0,0 +1,36 @@
+// Line diff for comparing step outputs between runs.
+// Classic LCS table; outputs are a few hundred lines at most.
+
+// [{ type: 'same' | 'add' | 'del', text }] turning `before` into `after`
+export function diffLines(before, after) {
+  const a = (before || '').split('\n')
+  const b = (after || '').split('\n')
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+  const out = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: 'same', text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: 'del', text: a[i++] })
+    } else {
+      out.push({ type: 'add', text: b[j++] })
+    }
+  }
+  while (i < a.length) out.push({ type: 'del', text: a[i++] })
+  while (j < b.length) out.push({ type: 'add', text: b[j++] })
+  return out
+}
+
+export const diffStats = (lines) => ({
+  added: lines.filter(l => l.type === 'add').length,
+  removed: lines.filter(l => l.type === 'del').length,
+})
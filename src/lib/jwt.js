@@ -0,0 +1,25 @@
+// Base64url JSON Web Token helpers. The browser only reads claims; signatures
+// are checked by whoever accepts the token (the backend), never here.
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=')
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+export const base64UrlEncode = (bytes) => toBase64Url(bytes instanceof Uint8Array ? bytes : new TextEncoder().encode(bytes))
+
+// Claims of a JWT, or null when it is not one
+export function decodeJwt(token) {
+  const [, payload] = String(token || '').split('.')
+  if (!payload) return null
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(payload)))
+  } catch {
+    return null
+  }
+}
+
+// Unsigned ("alg": "none") token, for the mock identity provider only
+export const encodeUnsignedJwt = (claims) => `${base64UrlEncode(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${base64UrlEncode(JSON.stringify(claims))}.`
@@ -0,0 +1,162 @@
+// Task lifecycle state machine.
+//
+// Task status:  queued -> running -> complete
+//                 |         |  \
+//                 v         v   -> failed
+//               paused <----+
+// resume, retry (a failed step) and rerun (from step N) put the task back in
+// the queue; the scheduler restarts it when a slot is free. Any unfinished task
+// can be cancelled; complete, failed and cancelled tasks can rerun from a step.
+// Pause, resume and cancel also take a step index to act on that step alone while
+// the rest of the task carries on. Cancelling a step cancels what depends on it; a
+// task whose remaining steps all wait on a paused step is paused itself, and one
+// with nothing left to run completes (or is cancelled when no step completed).
+// A task whose remaining work is an approval gate is awaiting_approval; approve
+// puts it back in the queue, reject fails the gate (and the task) like an error.
+//
+// Step status: queued | running | awaiting_approval | paused | complete | failed | cancelled.
+// A failed step carries `error: { message, at }`. Paused steps keep their progress.
+// Decided approval steps carry `approval: { decision, by, at, comment, edited }`.
+// `failures` counts how often a step failed; it survives retries and reruns.
+// Finished tasks carry `finishedAt` and their final `durationMs`.
+import { descendantsOf, waitsOnPause } from './dag'
+import { taskProgress } from './scheduler'
+import { elapsedMs } from './tasks'
+
+export const TASK_STATUSES = ['queued', 'running', 'awaiting_approval', 'paused', 'complete', 'failed', 'cancelled']
+
+export const STEP_STATUSES = ['queued', 'running', 'awaiting_approval', 'paused', 'complete', 'failed', 'cancelled']
+
+const ACTIONS = {
+  pause: { label: 'Pause', from: ['queued', 'running'] },
+  resume: { label: 'Resume', from: ['paused'] },
+  cancel: { label: 'Cancel', from: ['queued', 'running', 'awaiting_approval', 'paused', 'failed'] },
+  retry: { label: 'Retry step', from: ['failed'], step: ['failed'] },
+  rerun: { label: 'Rerun from here', from: ['complete', 'failed', 'cancelled'], step: ['complete', 'failed', 'cancelled'] },
+  approve: { label: 'Approve', from: ['running', 'awaiting_approval'], step: ['awaiting_approval'] },
+  reject: { label: 'Reject', from: ['running', 'awaiting_approval'], step: ['awaiting_approval'] },
+}
+
+// Pause, resume and cancel of one step (with a step index)
+const STEP_CONTROLS = {
+  pause: { from: ['queued', 'running', 'awaiting_approval'], step: ['queued', 'running'] },
+  resume: { from: ['queued', 'running', 'awaiting_approval', 'paused'], step: ['paused'] },
+  cancel: { from: ['queued', 'running', 'awaiting_approval', 'paused'], step: ['queued', 'running', 'awaiting_approval', 'paused'] },
+}
+
+const isStepControl = (action, stepIndex) => stepIndex != null && !!STEP_CONTROLS[action]
+
+export const actionLabel = (action) => ACTIONS[action]?.label || action
+
+// Returns null when the action is allowed, otherwise a human-readable reason
+export function checkAction(task, action, stepIndex) {
+  const rule = isStepControl(action, stepIndex) ? STEP_CONTROLS[action] : ACTIONS[action]
+  if (!rule) return `Unknown action "${action}"`
+  if (!rule.from.includes(task.status)) return `Cannot ${action} a ${task.status} task`
+  if (rule.step) {
+    const step = task.steps[stepIndex]
+    if (!step) return `Step ${stepIndex + 1} does not exist`
+    if (!rule.step.includes(step.status)) return `Cannot ${action} a ${step.status} step`
+  }
+  return null
+}
+
+export const canPerform = (task, action, stepIndex) => checkAction(task, action, stepIndex) === null
+
+const resetStep = ({ error: _e, approval: _a, startedAt: _s, finishedAt: _f, durationMs: _d, ...step }) => ({ ...step, status: 'queued', progress: 0 })
+
+const FINISHED = ['complete', 'failed', 'cancelled']
+
+const withSteps = (task, steps, status) => {
+  const next = { ...task, status, steps, progress: status === 'complete' ? 100 : taskProgress(steps) }
+  if (!FINISHED.includes(status)) return next
+  const now = new Date()
+  return { ...next, finishedAt: now.toISOString(), durationMs: task.startTime ? elapsedMs(task.startTime, now) : null }
+}
+
+const requeue = ({ finishedAt: _f, ...task }) => ({ ...task, queuedAt: new Date().toISOString() })
+
+// Status of a task with nothing left to run, otherwise null
+export function doneStatus(steps) {
+  if (!steps.every(s => s.status === 'complete' || s.status === 'cancelled')) return null
+  return steps.some(s => s.status === 'complete') ? 'complete' : 'cancelled'
+}
+
+// A step that stopped now: its running (or waiting) time is final
+const stopClock = (step, now) => ({ ...step, finishedAt: now.toISOString(), durationMs: step.startedAt ? elapsedMs(step.startedAt, now) : step.durationMs ?? null })
+
+// One step paused, resumed or cancelled; the task follows what is left to run
+function applyStepControl(task, action, stepIndex) {
+  const now = new Date()
+  if (action === 'resume') {
+    const steps = task.steps.map((s, i) => (i === stepIndex ? { ...s, status: 'queued' } : s))
+    return task.status === 'paused' ? requeue(withSteps(task, steps, 'queued')) : withSteps(task, steps, task.status)
+  }
+  const downstream = action === 'cancel' ? descendantsOf(task.steps, stepIndex) : new Set([stepIndex])
+  const steps = task.steps.map((s, i) => {
+    if (!downstream.has(i) || FINISHED.includes(s.status)) return s
+    if (action === 'pause') return { ...s, status: 'paused' }
+    return { ...(s.status === 'queued' ? s : stopClock(s, now)), status: 'cancelled' }
+  })
+  const done = doneStatus(steps)
+  if (done) return withSteps(task, steps, done)
+  return withSteps(task, steps, waitsOnPause(steps) ? 'paused' : task.status)
+}
+
+// Applies an action; throws an Error with the reason when the transition is not allowed.
+// approve / reject take `{ by, comment, edited }` for the approval record.
+export function applyAction(task, action, stepIndex, { by, comment, edited = false } = {}) {
+  const reason = checkAction(task, action, stepIndex)
+  if (reason) throw new Error(reason)
+  if (isStepControl(action, stepIndex)) return applyStepControl(task, action, stepIndex)
+  const map = (fn) => task.steps.map(fn)
+
+  switch (action) {
+    case 'pause':
+      return withSteps(task, map(s => (s.status === 'running' ? { ...s, status: 'paused' } : s)), 'paused')
+    case 'resume':
+      return requeue(withSteps(task, map(s => (s.status === 'paused' ? { ...s, status: 'queued' } : s)), 'queued'))
+    case 'cancel':
+      return withSteps(task, map(s => (s.status === 'complete' ? s : { ...s, status: 'cancelled' })), 'cancelled')
+    case 'retry':
+      // Siblings paused by the failure pick up where they were
+      return requeue(withSteps(task, map((s, i) => {
+        if (i === stepIndex) return resetStep(s)
+        return s.status === 'paused' ? { ...s, status: 'queued' } : s
+      }), 'queued'))
+    case 'rerun': {
+      const downstream = descendantsOf(task.steps, stepIndex)
+      return requeue(withSteps(task, map((s, i) => {
+        if (downstream.has(i)) return resetStep(s)
+        // Anything upstream that did not finish must run again too
+        return s.status === 'complete' ? s : resetStep(s)
+      }), 'queued'))
+    }
+    case 'approve': {
+      const now = new Date()
+      const approval = { decision: 'approved', by, at: now.toISOString(), comment: comment || '', edited }
+      const steps = map((s, i) => (i === stepIndex ? { ...stopClock(s, now), status: 'complete', progress: 100, approval } : s))
+      const done = doneStatus(steps)
+      if (done) return withSteps(task, steps, done)
+      // Other branches may still be running; a task that was only waiting goes back in the queue
+      return task.status === 'awaiting_approval' ? requeue(withSteps(task, steps, 'queued')) : withSteps(task, steps, task.status)
+    }
+    case 'reject': {
+      const approval = { decision: 'rejected', by, at: new Date().toISOString(), comment: comment || '', edited: false }
+      const failed = failStep(task, stepIndex, `Rejected by ${by || 'approver'}${comment ? `: ${comment}` : ''}`)
+      return { ...failed, steps: failed.steps.map((s, i) => (i === stepIndex ? { ...s, approval } : s)) }
+    }
+    default:
+      return task
+  }
+}
+
+// Marks a step failed; the task fails with it and its other running steps pause
+export function failStep(task, stepIndex, message) {
+  const now = new Date()
+  const steps = task.steps.map((s, i) => {
+    if (i === stepIndex) return { ...stopClock(s, now), status: 'failed', failures: (s.failures || 0) + 1, error: { message, at: now.toISOString() } }
+    return s.status === 'running' ? { ...s, status: 'paused' } : s
+  })
+  return withSteps(task, steps, 'failed')
+}
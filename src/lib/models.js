@@ -0,0 +1,90 @@
+// Model registry: the single source for model names, metadata, cost and color.
+//
+// Fields: id, name, provider, endpoint, contextWindow (tokens),
+// inputCostPer1M / outputCostPer1M (USD per million tokens),
+// privacy ('local' runs on our own hardware, 'cloud' leaves the network),
+// color (a palette key, so it follows the theme) and optional maxConcurrent
+// (how many steps may run on the model at once).
+//
+// Built-in models ship with the app; custom (self-hosted) models are loaded
+// from the backend and registered with setCustomModels().
+
+export const BUILTIN_MODELS = [
+  { id: 'gpt-4', name: 'GPT-4', provider: 'OpenAI', endpoint: 'https://api.openai.com/v1', contextWindow: 8192, inputCostPer1M: 30, outputCostPer1M: 60, privacy: 'cloud', color: 'green' },
+  { id: 'claude-sonnet-4.5', name: 'Claude Sonnet 4.5', provider: 'Anthropic', endpoint: 'https://api.anthropic.com/v1', contextWindow: 200000, inputCostPer1M: 3, outputCostPer1M: 15, privacy: 'cloud', color: 'purple', maxConcurrent: 2 },
+  { id: 'kimi-k2', name: 'Kimi K2', provider: 'Moonshot', endpoint: 'https://api.moonshot.ai/v1', contextWindow: 128000, inputCostPer1M: 0.6, outputCostPer1M: 2.5, privacy: 'cloud', color: 'cyan' },
+  { id: 'llama-3.1-8b-local', name: 'Llama 3.1 8B (local)', provider: 'Ollama', endpoint: 'http://localhost:11434', contextWindow: 128000, inputCostPer1M: 0, outputCostPer1M: 0, privacy: 'local', color: 'amber' },
+]
+
+export const DEFAULT_MODEL_ID = 'gpt-4'
+
+export const MODEL_COLORS = ['indigo', 'purple', 'green', 'amber', 'red', 'cyan']
+
+let models = BUILTIN_MODELS
+const listeners = new Set()
+
+export const listModels = () => models
+
+export const isBuiltin = (id) => BUILTIN_MODELS.some(m => m.id === id)
+
+export function setCustomModels(custom) {
+  models = [...BUILTIN_MODELS, ...custom.filter(m => !isBuiltin(m.id))]
+  listeners.forEach(l => l())
+}
+
+export function subscribeModels(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Steps may reference a model by id or, for older data and planner output, by display name
+export const getModel = (ref) => {
+  if (!ref) return undefined
+  const key = String(ref).toLowerCase()
+  return models.find(m => m.id === key) || models.find(m => m.name.toLowerCase() === key)
+}
+
+export const modelName = (ref) => getModel(ref)?.name || ref || '—'
+
+// Unknown models count as cloud: only registered local models may see unredacted text
+export const isLocalModel = (ref) => getModel(ref)?.privacy === 'local'
+
+const TEXT_FIELDS = ['id', 'name', 'provider', 'endpoint', 'privacy', 'color']
+const NUMBER_FIELDS = ['contextWindow', 'inputCostPer1M', 'outputCostPer1M', 'maxConcurrent']
+
+// A model definition as the registry stores it: only the fields above, text trimmed,
+// numbers as numbers and blank fields left out
+export function normalizeModel(model) {
+  const out = {}
+  for (const key of [...TEXT_FIELDS, ...NUMBER_FIELDS]) {
+    const v = typeof model[key] === 'string' ? model[key].trim() : model[key]
+    if (v === undefined || v === null || v === '') continue
+    out[key] = NUMBER_FIELDS.includes(key) ? Number(v) : v
+  }
+  return out
+}
+
+// Validates a custom model definition; returns a list of problems
+export function validateModel(model, { isNew = true } = {}) {
+  const errors = []
+  const notText = TEXT_FIELDS.filter(key => model[key] != null && typeof model[key] !== 'string')
+  if (notText.length) return [`${notText.join(', ')} must be text`]
+  if (!model.name?.trim()) errors.push('Name is required')
+  if (!model.id?.trim()) errors.push('Id is required')
+  else if (!/^[a-z0-9][a-z0-9.-]*$/.test(model.id)) errors.push('Id may only contain lowercase letters, digits, dots and dashes')
+  else if (isNew && models.some(m => m.id === model.id)) errors.push(`A model with id "${model.id}" already exists`)
+  if (model.endpoint) {
+    try {
+      new URL(model.endpoint)
+    } catch {
+      errors.push('Endpoint must be a full URL, e.g. http://gpu-box:8000/v1')
+    }
+  }
+  for (const key of ['contextWindow', 'inputCostPer1M', 'outputCostPer1M', 'maxConcurrent']) {
+    const v = model[key]
+    if (v !== undefined && v !== null && v !== '' && !(Number(v) >= 0)) errors.push(`${key} must be a non-negative number`)
+  }
+  if (!['local', 'cloud'].includes(model.privacy)) errors.push('Privacy must be local or cloud')
+  if (!MODEL_COLORS.includes(model.color)) errors.push(`Color must be one of ${MODEL_COLORS.join(', ')}`)
+  return errors
+}
@@ -0,0 +1,124 @@
+// Notifications: who hears about task completions, failures and approval
+// requests, and how. They are raised from audit entries (see audit.js) whose
+// status changed to complete, failed or awaiting approval.
+//
+// Notification shape:
+//   { id, userId, kind, reason, taskId, taskName, team, at, read, quiet, auditSeq }
+//   kind    'complete' | 'failed' | 'approval', or 'test' from the settings
+//   reason  why the user got it: 'task' | 'mine' | 'template' | 'approvals' | 'test'
+//   quiet   raised during the user's quiet hours: in the bell only, no desktop, webhook or email
+//
+// Settings, one per user:
+//   { subscriptions: { mine, approvals, tasks: [taskId], templates: [templateId] },
+//     kinds: { complete, failed, approval }, quietHours: { enabled, start, end },
+//     timezone, webhookUrl, email }
+import { can } from './roles'
+
+export const NOTIFY_KINDS = [
+  { id: 'complete', label: 'Task completed' },
+  { id: 'failed', label: 'Task failed' },
+  { id: 'approval', label: 'Approval requested' },
+]
+
+export const defaultNotifySettings = (user) => ({
+  subscriptions: { mine: true, approvals: can(user, 'task.approve'), tasks: [], templates: [] },
+  kinds: { complete: true, failed: true, approval: true },
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  timezone: null,
+  webhookUrl: '',
+  email: '',
+})
+
+// Known fields of saved settings over the defaults, so fields added later get a value
+export function withNotifyDefaults(settings, user) {
+  const defaults = defaultNotifySettings(user)
+  if (!settings) return defaults
+  return {
+    subscriptions: { ...defaults.subscriptions, ...settings.subscriptions },
+    kinds: { ...defaults.kinds, ...settings.kinds },
+    quietHours: { ...defaults.quietHours, ...settings.quietHours },
+    timezone: settings.timezone || null,
+    webhookUrl: String(settings.webhookUrl || '').trim(),
+    email: String(settings.email || '').trim(),
+  }
+}
+
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export function validateNotifySettings(settings) {
+  const errors = []
+  const { subscriptions: subs, quietHours: quiet } = settings || {}
+  if (!subs || !Array.isArray(subs.tasks) || !Array.isArray(subs.templates)) errors.push('Subscriptions must list tasks and templates')
+  if (quiet?.enabled && (!CLOCK.test(quiet.start || '') || !CLOCK.test(quiet.end || ''))) errors.push('Quiet hours need a start and end time as HH:MM')
+  if (settings?.webhookUrl) {
+    try {
+      if (!/^https?:$/.test(new URL(settings.webhookUrl).protocol)) errors.push('The webhook URL must use http or https')
+    } catch {
+      errors.push('The webhook URL is not a valid URL')
+    }
+  }
+  if (settings?.email && !EMAIL.test(settings.email)) errors.push('The email address is not valid')
+  return errors
+}
+
+// The kind of notification an audit entry raises, or null
+export function notifyKind(entry) {
+  const { from, to } = entry.details || {}
+  if (!to || from === to) return null
+  if (to === 'complete') return 'complete'
+  if (to === 'failed') return 'failed'
+  if (to === 'awaiting_approval') return 'approval'
+  return null
+}
+
+// Why `user` hears about `kind` on `task`, or null when they do not.
+// Nobody is told about what they did themselves.
+export function notifyReason(settings, user, task, kind, actorId) {
+  if (actorId === user.id || !settings.kinds[kind]) return null
+  const subs = settings.subscriptions
+  if (subs.tasks.some(id => String(id) === String(task.id))) return 'task'
+  if (subs.mine && task.userId === user.id) return 'mine'
+  if (task.templateId != null && subs.templates.some(id => String(id) === String(task.templateId))) return 'template'
+  if (subs.approvals && kind === 'approval' && can(user, 'task.approve', task)) return 'approvals'
+  return null
+}
+
+const minutes = (clock) => Number(clock.slice(0, 2)) * 60 + Number(clock.slice(3))
+
+// Minutes since midnight at `at` in `timezone`; the runtime's zone when there is none
+function minutesAt(at, timezone) {
+  if (timezone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(at)
+      const get = (type) => Number(parts.find(p => p.type === type).value)
+      return get('hour') * 60 + get('minute')
+    } catch {
+      // unknown zone: fall back to local time
+    }
+  }
+  return at.getHours() * 60 + at.getMinutes()
+}
+
+// Quiet hours may wrap past midnight (22:00-07:00); start is inclusive, end exclusive
+export function inQuietHours(settings, at = new Date()) {
+  const quiet = settings.quietHours
+  if (!quiet?.enabled) return false
+  const now = minutesAt(at, settings.timezone)
+  const start = minutes(quiet.start)
+  const end = minutes(quiet.end)
+  return start <= end ? now >= start && now < end : now >= start || now < end
+}
+
+const VERBS = { complete: 'completed', failed: 'failed', approval: 'is waiting for approval' }
+
+// `name` is the task name to show, e.g. restored from its mask
+export const notificationText = (n, name = n.taskName) => (n.kind === 'test' ? 'Test notification' : `Task #${n.taskId} "${name}" ${VERBS[n.kind] || n.kind}`)
+
+export const REASON_LABELS = {
+  task: 'You watch this task',
+  mine: 'Your task',
+  template: 'From a template you watch',
+  approvals: 'You approve for this team',
+  test: 'Sent from your notification settings',
+}
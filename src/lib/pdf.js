@@ -0,0 +1,88 @@
+// Minimal PDF writer: text only, on A4 pages, in the standard Helvetica and
+// Courier fonts. Characters outside printable ASCII are replaced, so it suits
+// previews and plain reports rather than typeset documents.
+
+const PAGE = { width: 595, height: 842, margin: 56 }
+
+const STYLES = {
+  title: { font: 'F2', size: 16, lead: 24, glyph: 0.55 },
+  heading: { font: 'F2', size: 12, lead: 20, glyph: 0.55 },
+  text: { font: 'F1', size: 10, lead: 14, glyph: 0.5 },
+  mono: { font: 'F3', size: 8, lead: 11, glyph: 0.6 },
+}
+
+const FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold', F3: 'Courier' }
+
+const ascii = (s) => String(s)
+  .replace(/→/g, '->')
+  .replace(/[–—]/g, '-')
+  .replace(/…/g, '...')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[^\x20-\x7e]/g, '?')
+
+const esc = (s) => ascii(s).replace(/[\\()]/g, m => `\\${m}`)
+
+// Breaks at the last space that fits, or mid-word when there is none
+function wrap(text, width) {
+  const out = []
+  ascii(text).split('\n').forEach(line => {
+    let rest = line
+    while (rest.length > width) {
+      const space = rest.lastIndexOf(' ', width)
+      const at = space > width / 2 ? space : width
+      out.push(rest.slice(0, at))
+      rest = rest.slice(at).replace(/^ /, '')
+    }
+    out.push(rest)
+  })
+  return out
+}
+
+// `lines` are strings or { text, style } with style 'title', 'heading', 'text' or 'mono'.
+// Long lines wrap and the text flows onto as many pages as it needs.
+export function pdfDocument(lines) {
+  const pages = [[]]
+  let y = PAGE.height - PAGE.margin
+  lines.forEach(entry => {
+    const { text, style = 'text' } = typeof entry === 'string' ? { text: entry } : entry
+    const s = STYLES[style]
+    const width = Math.floor((PAGE.width - 2 * PAGE.margin) / (s.size * s.glyph))
+    wrap(text, width).forEach(part => {
+      if (y - s.lead < PAGE.margin) {
+        pages.push([])
+        y = PAGE.height - PAGE.margin
+      }
+      y -= s.lead
+      if (part) pages[pages.length - 1].push(`BT /${s.font} ${s.size} Tf ${PAGE.margin} ${y} Td (${esc(part)}) Tj ET`)
+    })
+  })
+
+  // 1 catalog, 2 page tree, 3-5 fonts, then a page and its content stream per page
+  const fonts = Object.keys(FONTS)
+  const first = 3 + fonts.length
+  const resources = `<< /Font << ${fonts.map((f, i) => `/${f} ${3 + i} 0 R`).join(' ')} >> >>`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${first + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    ...fonts.map(f => `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[f]} >>`),
+    ...pages.flatMap((ops, i) => {
+      const text = ops.join('\n')
+      return [
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources ${resources} /Contents ${first + i * 2 + 1} 0 R >>`,
+        `<< /Length ${text.length} >>\nstream\n${text}\nendstream`,
+      ]
+    }),
+  ]
+  let out = '%PDF-1.4\n'
+  const offsets = objects.map((body, i) => {
+    const at = out.length
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`
+    return at
+  })
+  const xref = out.length
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+  return out
+}
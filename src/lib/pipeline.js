@@ -0,0 +1,168 @@
+// Machine-readable pipeline proposals.
+//
+// Planner replies carry the pipeline in a fenced ```pipeline block:
+//   { "steps": [ { "id"?, "name", "type"?, "model", "inputs": [], "outputs": [], "dependsOn": [] } ] }
+// `dependsOn` entries reference other steps by id or by name, `model` a
+// registry model by id or display name. `type` is "llm" (default) or
+// "approval": a human sign-off gate that needs no model.
+import { getModel } from './models'
+import { dependenciesOf, findCycle } from './dag'
+
+export const PIPELINE_FENCE = 'pipeline'
+
+const FENCE_RE = /```(?:pipeline|json)[^\n]*\n([\s\S]*?)```/g
+
+export const slugify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'step'
+
+export const STEP_TYPES = ['llm', 'approval']
+
+export const isApproval = (step) => step?.type === 'approval'
+
+const isStringArray = (v) => Array.isArray(v) && v.every(x => typeof x === 'string')
+
+// Validates a raw payload. Returns { ok, errors, pipeline } where `pipeline`
+// is normalized (ids filled in, dependencies resolved to ids) when ok.
+export function validatePipeline(value) {
+  const errors = []
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, errors: ['Pipeline must be an object with a "steps" array'] }
+  }
+  if (!Array.isArray(value.steps)) {
+    return { ok: false, errors: ['"steps" must be an array'] }
+  }
+  if (value.steps.length === 0) errors.push('Pipeline needs at least one step')
+
+  const steps = value.steps.map((raw, i) => {
+    const at = `Step ${i + 1}`
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${at}: must be an object`)
+      return null
+    }
+    const name = typeof raw.name === 'string' ? raw.name.trim() : ''
+    if (!name) errors.push(`${at}: "name" is required`)
+    const type = raw.type === undefined ? 'llm' : raw.type
+    if (!STEP_TYPES.includes(type)) errors.push(`${at}${name ? ` (${name})` : ''}: "type" must be one of ${STEP_TYPES.join(', ')}`)
+    const modelRef = typeof raw.model === 'string' ? raw.model.trim() : ''
+    const model = getModel(modelRef)?.id || modelRef
+    // Approval gates run no model, so any model given is dropped below
+    if (type !== 'approval' && !modelRef) errors.push(`${at}${name ? ` (${name})` : ''}: "model" is required`)
+    else if (type !== 'approval' && !getModel(modelRef)) errors.push(`${at}${name ? ` (${name})` : ''}: unknown model "${modelRef}"`)
+    for (const key of ['inputs', 'outputs', 'dependsOn']) {
+      if (raw[key] !== undefined && !isStringArray(raw[key])) errors.push(`${at}: "${key}" must be a list of strings`)
+    }
+    if (raw.id !== undefined && (typeof raw.id !== 'string' || !raw.id.trim())) errors.push(`${at}: "id" must be a non-empty string`)
+    return {
+      id: typeof raw.id === 'string' && raw.id.trim() ? raw.id.trim() : slugify(name || `step-${i + 1}`),
+      name,
+      type,
+      model: type === 'approval' ? '' : model,
+      inputs: isStringArray(raw.inputs) ? raw.inputs : [],
+      outputs: isStringArray(raw.outputs) ? raw.outputs : [],
+      dependsOn: isStringArray(raw.dependsOn) ? raw.dependsOn : [],
+    }
+  })
+
+  const valid = steps.filter(Boolean)
+  const seenNames = new Set()
+  const seenIds = new Set()
+  valid.forEach(s => {
+    const key = s.name.toLowerCase()
+    if (s.name && seenNames.has(key)) errors.push(`Duplicate step name "${s.name}"`)
+    else if (seenIds.has(s.id)) errors.push(`Duplicate step id "${s.id}"`)
+    seenNames.add(key)
+    seenIds.add(s.id)
+  })
+
+  const resolve = (ref) => valid.find(s => s.id === ref) || valid.find(s => s.name.toLowerCase() === ref.toLowerCase())
+  valid.forEach(s => {
+    s.dependsOn = s.dependsOn.map(ref => {
+      const target = resolve(ref)
+      if (!target) {
+        errors.push(`Step "${s.name || s.id}" depends on unknown step "${ref}"`)
+        return ref
+      }
+      if (target === s) errors.push(`Step "${s.name}" cannot depend on itself`)
+      return target.id
+    })
+  })
+
+  if (!errors.length) {
+    const cycle = findCycle(valid)
+    if (cycle) {
+      const nameOf = (id) => valid.find(s => s.id === id)?.name || id
+      errors.push(`Dependency cycle: ${cycle.map(nameOf).join(' → ')}`)
+    }
+  }
+
+  if (errors.length) return { ok: false, errors }
+  return { ok: true, errors: [], pipeline: { steps: valid } }
+}
+
+// Pulls the last pipeline block out of a reply. Returns the reply text
+// without the block, plus the parsed payload (or a parse error).
+export function extractPipeline(text) {
+  const blocks = [...text.matchAll(FENCE_RE)]
+  if (!blocks.length) return { text, payload: null, parseError: null }
+  const last = blocks[blocks.length - 1]
+  const prose = text.replace(FENCE_RE, '').replace(/\n{3,}/g, '\n\n').trim()
+  try {
+    return { text: prose, payload: JSON.parse(last[1]), parseError: null }
+  } catch (error) {
+    return { text: prose, payload: null, parseError: `Pipeline block is not valid JSON - ${error.message}` }
+  }
+}
+
+export const formatPipelineBlock = (pipeline) => '```' + PIPELINE_FENCE + '\n' + JSON.stringify(pipeline, null, 2) + '\n```'
+
+// Validated pipeline -> task steps, ready to queue; the scheduler starts the roots
+export const pipelineToSteps = (pipeline) => pipeline.steps.map(s => ({
+  id: s.id,
+  name: s.name,
+  type: s.type,
+  llm: s.model,
+  inputs: s.inputs,
+  outputs: s.outputs,
+  dependsOn: s.dependsOn,
+  status: 'queued',
+}))
+
+// Task steps -> editable pipeline form (keeps status so editors can lock started steps)
+export const stepsToPipeline = (steps) => {
+  const withIds = steps.map(s => ({ ...s, id: s.id || slugify(s.name) }))
+  return {
+    steps: withIds.map((s, i) => ({
+      id: s.id,
+      name: s.name,
+      type: s.type || 'llm',
+      model: s.llm || '',
+      inputs: s.inputs || [],
+      outputs: s.outputs || [],
+      dependsOn: dependenciesOf(withIds, i),
+      status: s.status,
+    })),
+  }
+}
+
+// Applies an edited pipeline to a task's steps, keeping run state of steps that survive
+export const applyPipelineEdit = (steps, pipeline) => pipeline.steps.map(edited => {
+  const original = steps.find(s => (s.id || slugify(s.name)) === edited.id)
+  return {
+    ...(original || { status: 'queued' }),
+    id: edited.id,
+    name: edited.name,
+    type: edited.type,
+    llm: edited.model,
+    inputs: edited.inputs,
+    outputs: edited.outputs,
+    dependsOn: edited.dependsOn,
+  }
+})
+
+export const uniqueStepId = (steps, base = 'step') => {
+  const taken = new Set(steps.map(s => s.id))
+  let n = steps.length + 1
+  while (taken.has(`${base}-${n}`)) n++
+  return `${base}-${n}`
+}
+
+export const isStarted = (step) => !!step.status && step.status !== 'queued'
@@ -0,0 +1,121 @@
+// PII redaction. Detected values are swapped for tokens like [EMAIL_1] before
+// text leaves the browser for a cloud model; the vault ({ [token]: { kind, label, value } })
+// maps them back so the UI can show the originals. One vault per conversation
+// keeps tokens stable: the same value always gets the same token.
+
+// IBANs are checked with their mod-97 checksum so order or invoice numbers are left alone
+function validIban(raw) {
+  const iban = raw.replace(/\s+/g, '').toUpperCase()
+  if (iban.length < 15 || iban.length > 34) return false
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55))
+  let rest = 0
+  for (const d of digits) rest = (rest * 10 + Number(d)) % 97
+  return rest === 1
+}
+
+const digitCount = (s) => s.replace(/\D/g, '').length
+
+// Built-in detectors, applied in this order (IBANs before tax ids, tax ids before phone numbers)
+export const DETECTORS = [
+  { kind: 'email', label: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+  { kind: 'iban', label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: validIban },
+  // EU VAT numbers, US EINs and SSNs
+  { kind: 'taxId', label: 'tax ID', pattern: /\b(?:(?:AT|BE|BG|CY|CZ|DE|DK|EE|EL|ES|FI|FR|GB|HR|HU|IE|IT|LT|LU|LV|MT|NL|PL|PT|RO|SE|SI|SK)[A-Z0-9]{0,2}\d{7,10}(?:B\d{2})?|\d{2}-\d{7}|\d{3}-\d{2}-\d{4})\b/g },
+  // International (+49 …), bracketed area codes or the 3-3-4 form; bare digit runs are not phones
+  { kind: 'phone', label: 'phone number', pattern: /(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}|\b\d{3}[.-]\d{3}[.-]\d{4})\b/g, valid: s => digitCount(s) >= 7 && digitCount(s) <= 15 },
+]
+
+const tokenPrefix = (kind) => kind.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()
+
+// Enabled detectors plus custom patterns ([{ name, pattern, flags }], as JSON) -> { rules, errors }
+export function redactionRules(detectors, patternsJson) {
+  const errors = []
+  const rules = DETECTORS.filter(d => detectors.includes(d.kind))
+  detectors.filter(k => !DETECTORS.some(d => d.kind === k)).forEach(k => errors.push(`Unknown detector "${k}"`))
+  let custom = []
+  if (patternsJson) {
+    try {
+      custom = JSON.parse(patternsJson)
+      if (!Array.isArray(custom)) throw new Error('expected an array')
+    } catch (error) {
+      errors.push(`Custom patterns are not valid JSON - ${error.message}`)
+      custom = []
+    }
+  }
+  custom.forEach((c, i) => {
+    if (!c?.name || !c?.pattern) {
+      errors.push(`Custom pattern ${i + 1} needs a name and a pattern`)
+      return
+    }
+    try {
+      const flags = new Set(`${c.flags || ''}g`)
+      rules.push({ kind: c.name, label: c.name, pattern: new RegExp(c.pattern, [...flags].join('')) })
+    } catch (error) {
+      errors.push(`Custom pattern "${c.name}" - ${error.message}`)
+    }
+  })
+  return { rules, errors }
+}
+
+// -> { text, vault, found: [{ kind, label, token }] }; `vault` is a new object when tokens were added
+export function redact(text, rules, vault = {}) {
+  let next = vault
+  const found = []
+  const tokenFor = (rule, value) => {
+    const known = Object.keys(next).find(t => next[t].value === value)
+    if (known) return known
+    const prefix = tokenPrefix(rule.kind)
+    const n = Object.values(next).filter(v => v.kind === rule.kind).length + 1
+    const token = `[${prefix}_${n}]`
+    next = { ...next, [token]: { kind: rule.kind, label: rule.label, value } }
+    return token
+  }
+  let out = text || ''
+  for (const rule of rules) {
+    out = out.replace(rule.pattern, (match) => {
+      // Never re-mask a token or mask something the detector rejects
+      if (/^\[[A-Z0-9_]+\]$/.test(match) || (rule.valid && !rule.valid(match))) return match
+      const token = tokenFor(rule, match)
+      if (!found.some(f => f.token === token)) found.push({ kind: rule.kind, label: rule.label, token })
+      return token
+    })
+  }
+  return { text: out, vault: next, found }
+}
+
+export const restore = (text, vault = {}) => (text || '').replace(/\[[A-Z0-9_]+\]/g, t => vault[t]?.value ?? t)
+
+// Restores tokens in streamed text; a token split across chunks is held back until it completes
+export function streamRestorer(vault) {
+  let pending = ''
+  const seen = new Set()
+  const restoreSeen = (text) => text.replace(/\[[A-Z0-9_]+\]/g, t => {
+    if (!vault[t]) return t
+    seen.add(t)
+    return vault[t].value
+  })
+  return {
+    push(chunk) {
+      pending += chunk
+      const open = pending.lastIndexOf('[')
+      const cut = open !== -1 && !pending.slice(open).includes(']') && pending.length - open <= 32 ? open : pending.length
+      const ready = pending.slice(0, cut)
+      pending = pending.slice(cut)
+      return restoreSeen(ready)
+    },
+    flush() {
+      const rest = restoreSeen(pending)
+      pending = ''
+      return rest
+    },
+    // Tokens restored so far
+    restored: () => [...seen],
+  }
+}
+
+// "2 emails, 1 IBAN"
+export function describeRedactions(found) {
+  const counts = new Map()
+  found.forEach(f => counts.set(f.label, (counts.get(f.label) || 0) + 1))
+  return [...counts].map(([label, n]) => `${n} ${label}${n === 1 || /s$/.test(label) ? '' : 's'}`).join(', ')
+}
@@ -0,0 +1,49 @@
+// Roles and permissions.
+//
+// A user carries one or more roles, each granting a set of permissions:
+//   viewer    sees the tasks of their teams
+//   operator  creates tasks and runs them (pause, resume, retry, rerun, priority, pipeline edits) and cancels them
+//   approver  approves or rejects approval gates
+//   admin     everything, on every team, plus the model registry
+// Everyone but admins acts only on tasks of their own teams. Tasks without a
+// team (created before teams existed) are visible to everyone.
+
+export const ROLES = ['viewer', 'operator', 'approver', 'admin']
+
+const GRANTS = {
+  viewer: [],
+  operator: ['task.create', 'task.operate', 'task.cancel'],
+  approver: ['task.approve'],
+  admin: ['task.create', 'task.operate', 'task.cancel', 'task.approve', 'models.manage'],
+}
+
+// Lifecycle action -> permission it needs
+const ACTION_PERMISSIONS = {
+  pause: 'task.operate',
+  resume: 'task.operate',
+  retry: 'task.operate',
+  rerun: 'task.operate',
+  cancel: 'task.cancel',
+  approve: 'task.approve',
+  reject: 'task.approve',
+}
+
+export const isAdmin = (user) => !!user?.roles?.includes('admin')
+
+export const hasPermission = (user, permission) => !!user?.roles?.some(r => GRANTS[r]?.includes(permission))
+
+export const canView = (user, task) => !!user && (isAdmin(user) || !task.team || (user.teams || []).includes(task.team))
+
+// `task` is optional: without it only the role is checked
+export const can = (user, permission, task) => hasPermission(user, permission) && (!task || canView(user, task))
+
+export const actionPermission = (action) => ACTION_PERMISSIONS[action] || 'task.operate'
+
+export const canAct = (user, task, action) => can(user, actionPermission(action), task)
+
+// Teams a user can pick from: their own, or every team seen on a task for admins
+export const teamsOf = (user, tasks = []) => (
+  isAdmin(user) ? [...new Set([...(user.teams || []), ...tasks.map(t => t.team).filter(Boolean)])] : user?.teams || []
+)
+
+export const teamLabel = (team) => team.charAt(0).toUpperCase() + team.slice(1).replace(/[-_]/g, ' ')
@@ -0,0 +1,94 @@
+// Queue and step scheduling.
+//
+// Tasks wait in the queue until a task slot frees up (global limit on running
+// tasks), ordered by priority and then by the time they were queued. Inside a
+// running task, a step starts once its parents are complete and its model has
+// a free slot (per-model limit on running steps, from the model registry).
+// Approval steps need no model: once ready they wait for a human, and a task
+// with nothing left to run but approvals leaves its slot as awaiting_approval;
+// one whose remaining steps all wait on a paused step leaves it as paused.
+// Starting a task adds its time in the queue to `waitMs`; starting a step sets its
+// `startedAt`.
+import { readySteps, waitsOnPause } from './dag'
+import { getModel, listModels } from './models'
+import { isApproval } from './pipeline'
+
+export const PRIORITIES = ['urgent', 'normal', 'low']
+
+export const DEFAULT_MAX_RUNNING_TASKS = 3
+
+const rank = (task) => {
+  const i = PRIORITIES.indexOf(task.priority)
+  return i === -1 ? PRIORITIES.indexOf('normal') : i
+}
+
+const queuedAt = (task) => new Date(task.queuedAt || task.createdAt || task.startTime || 0).getTime()
+
+const byPriority = (a, b) => rank(a) - rank(b) || queuedAt(a) - queuedAt(b)
+
+export const queueOrder = (tasks) => tasks.filter(t => t.status === 'queued').sort(byPriority)
+
+// task id -> 1-based place in the queue
+export const queuePositions = (tasks) => new Map(queueOrder(tasks).map((t, i) => [t.id, i + 1]))
+
+const modelKey = (ref) => getModel(ref)?.id || ref
+
+export const registryModelLimits = () => Object.fromEntries(listModels().filter(m => m.maxConcurrent).map(m => [m.id, m.maxConcurrent]))
+
+export const taskProgress = (steps) => (
+  steps.length ? steps.reduce((sum, s) => sum + (s.status === 'complete' ? 100 : s.progress || 0), 0) / steps.length : 100
+)
+
+// Starts queued steps whose parents are complete, as far as `hasSlot(step)` allows;
+// ready approval steps start awaiting approval instead
+export function startReadySteps(task, hasSlot = () => true) {
+  const ready = readySteps(task.steps).filter(i => isApproval(task.steps[i]) || hasSlot(task.steps[i]))
+  if (!ready.length) return task
+  const now = Date.now()
+  const steps = task.steps.map((s, i) => {
+    if (!ready.includes(i)) return s
+    // A resumed step's clock picks up where it paused
+    const startedAt = new Date(now - (s.durationMs || 0)).toISOString()
+    return isApproval(s) ? { ...s, status: 'awaiting_approval', startedAt } : { ...s, status: 'running', progress: s.progress || 0, startedAt }
+  })
+  const model = ready.find(i => !isApproval(steps[i]))
+  return { ...task, steps, llm: model === undefined ? task.llm : steps[model].llm }
+}
+
+// A running task whose only unfinished work is waiting for sign-off or for a paused step
+const holdForApproval = (task) => {
+  if (task.status !== 'running') return task
+  if (!task.steps.some(s => s.status === 'running') && task.steps.some(s => s.status === 'awaiting_approval')) return { ...task, status: 'awaiting_approval' }
+  return waitsOnPause(task.steps) ? { ...task, status: 'paused' } : task
+}
+
+// One scheduling pass over the whole queue. Returns a new array; untouched tasks keep their identity.
+export function scheduleQueue(tasks, { maxRunningTasks = DEFAULT_MAX_RUNNING_TASKS, perModel = registryModelLimits() } = {}) {
+  const now = new Date().toISOString()
+  const next = tasks.slice()
+  const indexOf = new Map(tasks.map((t, i) => [t.id, i]))
+
+  // Promote queued tasks into free task slots
+  let running = tasks.filter(t => t.status === 'running').length
+  for (const task of queueOrder(tasks)) {
+    if (running >= maxRunningTasks) break
+    next[indexOf.get(task.id)] = { ...task, status: 'running', startTime: task.startTime || now, waitMs: (task.waitMs || 0) + Math.max(0, Date.parse(now) - queuedAt(task)) }
+    running++
+  }
+
+  // Start ready steps, highest priority tasks first, within per-model limits
+  const inUse = {}
+  next.forEach(t => t.steps.forEach(s => {
+    if (s.status === 'running') inUse[modelKey(s.llm)] = (inUse[modelKey(s.llm)] || 0) + 1
+  }))
+  const hasSlot = (step) => {
+    const key = modelKey(step.llm)
+    if ((inUse[key] || 0) >= (perModel[key] ?? Infinity)) return false
+    inUse[key] = (inUse[key] || 0) + 1
+    return true
+  }
+  next.filter(t => t.status === 'running').sort(byPriority).forEach(task => {
+    next[indexOf.get(task.id)] = holdForApproval(startReadySteps(task, hasSlot))
+  })
+  return next
+}
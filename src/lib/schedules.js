@@ -0,0 +1,60 @@
+// Scheduled and recurring tasks.
+//
+//   { id, name, cron, timezone, source, sourceName, user, userId, team, enabled,
+//     nextRunAt, skipAt, runs, createdAt, updatedAt }
+//
+// `cron` is read in `timezone` (IANA, e.g. 'Europe/Berlin'); null means the backend's local time.
+//
+// `source` is what each run queues: { type: 'template', templateId, version, values }
+// (version null follows the template's latest version) or { type: 'task', taskId }
+// (a fresh copy of that task's pipeline); `sourceName` is the template's or task's
+// name when the schedule was made. `skipAt` is a nextRunAt that should be
+// skipped. `runs` is the run history, newest first:
+//   { at, trigger: 'schedule' | 'manual', taskId?, skipped?, error? }
+import { isTimezone, nextRun, parseCron } from './cron'
+
+export const RUN_HISTORY_LIMIT = 50
+
+export const SOURCE_TYPES = ['template', 'task']
+
+export function validateSchedule({ name, cron, source, timezone } = {}, { partial = false } = {}) {
+  const errors = []
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) errors.push('Name is required')
+  }
+  if (timezone && !isTimezone(timezone)) errors.push(`Unknown time zone "${timezone}"`)
+  if (!partial || cron !== undefined) {
+    const parsed = parseCron(cron)
+    if (!parsed.ok) errors.push(parsed.error)
+    else if (!nextRun(cron)) errors.push('This schedule never runs')
+  }
+  if (!partial || source !== undefined) {
+    if (!source || !SOURCE_TYPES.includes(source.type)) errors.push(`Source must be a ${SOURCE_TYPES.join(' or ')}`)
+    else if (source.type === 'template' && source.templateId == null) errors.push('Pick a template')
+    else if (source.type === 'task' && source.taskId == null) errors.push('Pick a task')
+  }
+  return errors
+}
+
+// What a schedule has to do at `now`: null, 'run' or 'skip'. A schedule whose
+// runs were missed (the backend was down) runs once, not once per missed slot.
+export function dueAction(schedule, now = new Date()) {
+  if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) return null
+  return schedule.skipAt && schedule.skipAt === schedule.nextRunAt ? 'skip' : 'run'
+}
+
+export const withRun = (schedule, run) => ({ ...schedule, runs: [run, ...(schedule.runs || [])].slice(0, RUN_HISTORY_LIMIT) })
+
+// Next run after `now`; a pending skip is used up
+export const advanceSchedule = (schedule, now = new Date()) => ({
+  ...schedule,
+  nextRunAt: nextRun(schedule.cron, now, schedule.timezone)?.toISOString() ?? null,
+  skipAt: null,
+})
+
+// Status of a run: the queued task's own status once there is one
+export function runStatus(run, tasksById) {
+  if (run.skipped) return 'skipped'
+  if (run.error) return 'failed'
+  return tasksById.get(run.taskId)?.status || 'created'
+}
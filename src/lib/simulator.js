@@ -0,0 +1,48 @@
+import { elapsedMs } from './tasks'
+import { scheduleQueue, taskProgress } from './scheduler'
+import { doneStatus, failStep } from './lifecycle'
+import { recordUsage } from './usage'
+
+const DEMO_ERRORS = [
+  'Model timed out after 120s',
+  'Rate limited by provider (429)',
+  'Output failed schema validation',
+  'Upstream document could not be parsed',
+]
+
+// Rough demo token spend per progress point of a step
+const INPUT_TOKENS_PER_POINT = 400
+const OUTPUT_TOKENS_PER_POINT = 80
+
+// Demo-mode progress simulator: advances running steps by a random increment per tick,
+// records the tokens that progress consumed, then lets the scheduler fill free task and model slots.
+// `failureRate` is the per-tick chance that a running step fails; `limits` go to the scheduler.
+export function simulateTick(tasks, { failureRate = 0, limits } = {}) {
+  const now = new Date()
+  const advanced = tasks.map(task => {
+    if (task.status !== 'running') return task
+    const failing = task.steps.findIndex(s => s.status === 'running' && Math.random() < failureRate)
+    if (failing !== -1) {
+      return failStep(task, failing, DEMO_ERRORS[Math.floor(Math.random() * DEMO_ERRORS.length)])
+    }
+    const steps = task.steps.map(step => {
+      if (step.status !== 'running') return step
+      const sp = Math.min(100, (step.progress || 0) + Math.random() * 10)
+      const gained = sp - (step.progress || 0)
+      const nextStatus = sp >= 100 ? 'complete' : 'running'
+      const next = { ...step, progress: sp, status: nextStatus, durationMs: elapsedMs(step.startedAt, now), ...(nextStatus === 'complete' && { finishedAt: now.toISOString() }) }
+      return recordUsage(next, Math.round(gained * INPUT_TOKENS_PER_POINT), Math.round(gained * OUTPUT_TOKENS_PER_POINT))
+    })
+    // Complete task if all steps complete (or were cancelled on their own)
+    const done = doneStatus(steps)
+    return {
+      ...task,
+      progress: done === 'complete' ? 100 : taskProgress(steps),
+      status: done || 'running',
+      steps,
+      durationMs: elapsedMs(task.startTime, now),
+      ...(done && { finishedAt: now.toISOString() }),
+    }
+  })
+  return scheduleQueue(advanced, limits)
+}
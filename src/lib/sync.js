@@ -0,0 +1,163 @@
+// Offline sync: which reads are kept for offline use, how writes made offline are
+// queued, shown and replayed. The stateful side is src/api/offline.js.
+//
+// Op shape (one queued write, oldest first):
+//   { id, userId, kind, method, path, body, target, localId, base, result, at, state, reason }
+//   kind     'task.create' | 'task.patch' | 'task.action' | 'session.create' | 'session.patch'
+//   target   id of the task or session changed; 'local-N' while it only exists here
+//   base     the target as the backend last had it, to tell what changed on both sides
+//   result   the target as it looks here with the write applied, marked `pending`
+//   state    'pending' | 'conflict' (changed on both sides) | 'rejected' (the backend refused it)
+import { makeTask } from './tasks'
+import { actionLabel, applyAction, checkAction } from './lifecycle'
+import { applyPipelineEdit, stepsToPipeline } from './pipeline'
+
+// Reads answered from the last copy while the backend is unreachable
+const CACHED_READS = [/^\/tasks$/, /^\/tasks\/[^/]+$/, /^\/sessions$/, /^\/sessions\/[^/]+$/, /^\/templates$/, /^\/templates\/[^/]+$/]
+
+export const isCachedRead = (path) => CACHED_READS.some(pattern => pattern.test(path))
+
+// Writes that can wait for the backend
+const QUEUEABLE = [
+  ['POST', /^\/tasks$/, 'task.create'],
+  ['PATCH', /^\/tasks\/([^/]+)$/, 'task.patch'],
+  ['POST', /^\/tasks\/([^/]+)\/actions$/, 'task.action'],
+  ['POST', /^\/sessions$/, 'session.create'],
+  ['PATCH', /^\/sessions\/([^/]+)$/, 'session.patch'],
+]
+
+// { kind, target } of a queueable write, otherwise null
+export function queueable(method, path) {
+  for (const [m, pattern, kind] of QUEUEABLE) {
+    const match = m === method && path.match(pattern)
+    if (match) return { kind, target: match[1] ?? null }
+  }
+  return null
+}
+
+export const isCreate = (op) => op.kind.endsWith('.create')
+
+export const isLocalId = (id) => /^local-\d+$/.test(String(id))
+
+const collection = (op) => (op.kind.startsWith('task.') ? 'tasks' : 'sessions')
+
+// Where the backend has the op's target
+export const targetPath = (op) => `/${collection(op)}/${op.target}`
+
+// The pipeline a set of steps describes, without run state
+const pipelineOf = (steps) => stepsToPipeline(steps || []).steps.map(({ status: _status, ...step }) => step)
+
+const valueOf = (entity, field) => (field === 'steps' ? pipelineOf(entity.steps) : entity[field])
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+const FIELD_LABELS = { steps: 'pipeline', messages: 'conversation' }
+
+const fieldList = (fields) => fields.map(f => FIELD_LABELS[f] || f).join(', ')
+
+// The target with the op applied, as the backend would answer it. Throws like
+// applyAction when an action does not apply to `current`.
+export function applyLocally(op, current, user) {
+  const body = op.body || {}
+  const now = new Date().toISOString()
+  switch (op.kind) {
+    case 'task.create': {
+      const task = makeTask(op.localId, String(body.name || '').trim(), user.name, body.steps, body.priority, { userId: user.id, team: body.team || user.teams[0] })
+      if (body.templateId != null) task.templateId = body.templateId
+      if (body.sessionId != null) task.planningSessionId = body.sessionId
+      return { ...task, pending: true }
+    }
+    case 'task.patch':
+      return { ...current, ...body, id: current.id, pending: true }
+    case 'task.action':
+      return { ...applyAction(current, body.action, body.step, { by: user.name, comment: body.comment, edited: !!body.edits?.length }), pending: true }
+    case 'session.create':
+      return { id: op.localId, name: String(body.name || '').trim() || 'Untitled plan', user: user.name, userId: user.id, team: user.teams[0], taskId: null, createdAt: now, updatedAt: now, messages: body.messages || [], pending: true }
+    case 'session.patch':
+      return { ...current, ...body, id: current.id, updatedAt: now, pending: true }
+    default:
+      return current
+  }
+}
+
+// Consecutive edits of the same target travel as one
+export const canMerge = (op, next) => op.state === 'pending' && op.kind === next.kind && next.kind.endsWith('.patch') && String(op.target) === String(next.target)
+
+export const mergeOps = (op, next) => ({ ...op, body: { ...op.body, ...next.body }, result: next.result, at: next.at })
+
+// What to send for `op` now that the backend has `current` as its target:
+// { body }, { skip: true } when the backend already got there, or { conflict } with
+// the reason when both sides changed the same thing. `op.force` sends it anyway.
+export function checkReplay(op, current) {
+  if (isCreate(op)) return { body: op.body }
+  if (op.kind === 'task.action') {
+    const reason = checkAction(current, op.body.action, op.body.step)
+    if (!reason) return { body: op.body }
+    if (current.status === op.result.status) return { skip: true }
+    return { conflict: `${reason}: the task changed while you were offline` }
+  }
+  // Edited pipelines keep the run state the backend has now
+  const body = op.body.steps ? { ...op.body, steps: applyPipelineEdit(current.steps, { steps: pipelineOf(op.body.steps) }) } : op.body
+  if (op.force || !op.base) return { body }
+  const mine = { ...op.base, ...op.body }
+  const both = Object.keys(op.body).filter(f => !same(valueOf(current, f), valueOf(op.base, f)) && !same(valueOf(current, f), valueOf(mine, f)))
+  return both.length ? { conflict: `Also changed by someone else: ${fieldList(both)}` } : { body }
+}
+
+// Points an op at the id the backend gave a target created offline
+function retarget(op, created, localId, id) {
+  const prefix = `/${collection(created)}/${localId}`
+  const path = op.path === prefix || op.path.startsWith(`${prefix}/`) ? `/${collection(created)}/${id}${op.path.slice(prefix.length)}` : op.path
+  const moved = path !== op.path
+  const linksSession = created.kind === 'session.create' && op.body?.sessionId === localId
+  return {
+    ...op,
+    path,
+    target: moved ? id : op.target,
+    body: linksSession ? { ...op.body, sessionId: id } : op.body,
+    result: moved && op.result ? { ...op.result, id } : op.result,
+  }
+}
+
+// The ops after `op` once the backend answered it with `item`: pointed at the id it
+// gave a target created offline, and based on what the backend has now
+export function afterReplay(rest, op, item) {
+  const path = `/${collection(op)}/${item.id}`
+  return rest.map(next => {
+    const moved = isCreate(op) ? retarget(next, op, op.localId, item.id) : next
+    return moved.target != null && targetPath(moved) === path ? { ...moved, base: item } : moved
+  })
+}
+
+const summary = ({ messages, ...session }) => ({ ...session, messageCount: (messages || []).filter(m => m.role === 'user').length })
+
+// A read's answer with queued writes applied: created items first, changed ones replaced
+export function withPending(path, data, ops) {
+  const latest = { tasks: new Map(), sessions: new Map() }
+  ops.filter(op => op.state !== 'rejected' && op.result).forEach(op => latest[collection(op)].set(String(op.result.id), op.result))
+  const [, name, id] = path.match(/^\/(tasks|sessions)(?:\/([^/]+))?$/) || []
+  if (!name || !latest[name].size) return data
+  if (id) return latest[name].get(id) ?? data
+  const list = data || []
+  const known = new Set(list.map(item => String(item.id)))
+  const added = [...latest[name].values()].filter(item => !known.has(String(item.id))).reverse()
+  const merged = [...added, ...list.map(item => latest[name].get(String(item.id)) ?? item)]
+  return name === 'sessions' ? merged.map(s => (s.messages ? summary(s) : s)) : merged
+}
+
+// One line for the banner; `name` is the target's name to show, e.g. restored from its mask
+export function describeOp(op, name = op.result?.name) {
+  const task = isLocalId(op.target) ? `new task "${name}"` : `task #${op.target}`
+  switch (op.kind) {
+    case 'task.create':
+      return `Create task "${name}"`
+    case 'task.patch':
+      return `Change the ${fieldList(Object.keys(op.body))} of ${task}`
+    case 'task.action':
+      return `${actionLabel(op.body.action)} ${op.body.step != null ? `step ${op.body.step + 1} of ` : ''}${task}`
+    case 'session.create':
+      return `Save planning session "${name}"`
+    default:
+      return `Save changes to planning session "${name}"`
+  }
+}
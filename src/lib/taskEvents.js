@@ -0,0 +1,45 @@
+// Pure reducers for the task event stream.
+// Event shape: { seq, type, task?, taskId?, index?, step? }
+//   task.created / task.updated  carry the full task (or a partial with its id)
+//   step.updated                 carries taskId, step index and a step patch
+//   resync                       tells the client its replay window was lost
+
+export const upsertTask = (tasks, task) => {
+  const i = tasks.findIndex(t => t.id === task.id)
+  if (i === -1) return [task, ...tasks]
+  const next = tasks.slice()
+  next[i] = { ...tasks[i], ...task }
+  return next
+}
+
+export function applyTaskEvent(tasks, event) {
+  switch (event.type) {
+    case 'task.created':
+    case 'task.updated':
+      return upsertTask(tasks, event.task)
+    case 'step.updated':
+      return tasks.map(t => {
+        if (t.id !== event.taskId) return t
+        const steps = t.steps.map((s, i) => (i === event.index ? { ...s, ...event.step } : s))
+        return { ...t, steps }
+      })
+    case 'task.deleted':
+      return tasks.filter(t => t.id !== event.taskId)
+    default:
+      return tasks
+  }
+}
+
+// Diff two snapshots of one task into the events that turn `before` into `after`
+export function diffTaskEvents(before, after) {
+  if (!before) return [{ type: 'task.created', task: after }]
+  if (before.steps.length !== after.steps.length) return [{ type: 'task.updated', task: after }]
+  const events = []
+  after.steps.forEach((step, index) => {
+    if (step !== before.steps[index]) events.push({ type: 'step.updated', taskId: after.id, index, step })
+  })
+  const { steps: _s, ...fields } = after
+  const changed = Object.keys(fields).some(k => fields[k] !== before[k])
+  if (changed) events.push({ type: 'task.updated', task: fields })
+  return events
+}
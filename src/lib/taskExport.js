@@ -0,0 +1,279 @@
+// Task export and import.
+//
+// The JSON export is a complete record that can be imported again:
+//
+//   { kind: 'ops-tasks', version: 1, exportedAt, exportedBy,
+//     tasks: [{ ...task, history: { [stepId]: [run, ...] } }] }
+//
+// Each task keeps its pipeline, step states, approvals, errors, usage and
+// timing. `history` holds every recorded run of each step (logs, prompt,
+// response, artifacts), oldest first. CSV flattens the same tasks to one row
+// per step, and the run report renders them for people as HTML or PDF.
+import { TASK_STATUSES, STEP_STATUSES } from './lifecycle'
+import { isApproval, stepsToPipeline, validatePipeline } from './pipeline'
+import { PRIORITIES } from './scheduler'
+import { stepId } from './dag'
+import { modelName } from './models'
+import { toCsv } from './csv'
+import { pdfDocument } from './pdf'
+import { formatCost, formatTokens, taskUsage, totalTokens } from './usage'
+import { formatDuration } from './tasks'
+
+export const TASK_EXPORT_KIND = 'ops-tasks'
+export const TASK_EXPORT_VERSION = 1
+
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', hint: 'Full record, can be imported' },
+  { id: 'csv', label: 'CSV', hint: 'One row per step' },
+  { id: 'pdf', label: 'PDF report', hint: 'Run report to file' },
+  { id: 'html', label: 'HTML report', hint: 'Run report to print' },
+]
+
+export const exportDocument = (tasks, histories, { exportedBy, exportedAt = new Date().toISOString() } = {}) => ({
+  kind: TASK_EXPORT_KIND,
+  version: TASK_EXPORT_VERSION,
+  exportedAt,
+  exportedBy,
+  tasks: tasks.map((task, i) => ({ ...task, history: histories[i] || {} })),
+})
+
+// Text in exports is what the user typed: `restore(task, text)` undoes redaction in the
+// browser for the task and step names, approval comments, errors and each run's prompt,
+// response and logs
+export function withNames(exported, restore) {
+  const text = (t, value) => (value == null ? value : restore(t, value))
+  const run = (t, r) => ({
+    ...r,
+    ...(r.prompt != null && { prompt: text(t, r.prompt) }),
+    ...(r.response != null && { response: text(t, r.response) }),
+    ...(r.logs && { logs: r.logs.map(l => ({ ...l, message: text(t, l.message) })) }),
+  })
+  const step = (t, s) => ({
+    ...s,
+    name: text(t, s.name),
+    ...(s.approval && { approval: { ...s.approval, comment: text(t, s.approval.comment) } }),
+    ...(s.error && { error: { ...s.error, message: text(t, s.error.message) } }),
+  })
+  return {
+    ...exported,
+    tasks: exported.tasks.map(t => ({
+      ...t,
+      name: text(t, t.name),
+      steps: t.steps.map(s => step(t, s)),
+      ...(t.history && { history: Object.fromEntries(Object.entries(t.history).map(([id, runs]) => [id, runs.map(r => run(t, r))])) }),
+    })),
+  }
+}
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+
+export function exportFileName(exported, format) {
+  const ext = format === 'html' ? 'report.html' : format === 'pdf' ? 'report.pdf' : format
+  const day = exported.exportedAt.slice(0, 10)
+  const only = exported.tasks.length === 1 ? exported.tasks[0] : null
+  return only ? `task-${only.id}-${slug(only.name) || 'task'}.${ext}` : `tasks-${day}-${exported.tasks.length}.${ext}`
+}
+
+const MIME = { json: 'application/json', csv: 'text/csv', pdf: 'application/pdf', html: 'text/html' }
+
+// -> { text, fileName, type } ready to download
+export function formatExport(exported, format) {
+  const render = { json: d => `${JSON.stringify(d, null, 2)}\n`, csv: tasksCsv, pdf: d => pdfDocument(reportLines(runReport(d))), html: d => reportHtml(runReport(d)) }[format]
+  return { text: render(exported), fileName: exportFileName(exported, format), type: MIME[format] }
+}
+
+// --- CSV ---
+
+const seconds = (ms) => (ms == null ? '' : Math.round(ms / 100) / 10)
+
+export const CSV_COLUMNS = [
+  'task_id', 'task_name', 'task_status', 'priority', 'team', 'owner', 'created_at', 'started_at', 'finished_at', 'task_duration_s', 'queue_wait_s',
+  'step_index', 'step_id', 'step_name', 'step_type', 'model', 'step_status', 'step_started_at', 'step_finished_at', 'step_duration_s', 'failures',
+  'input_tokens', 'output_tokens', 'cost_usd', 'approval', 'approved_by', 'approved_at', 'approval_comment', 'error',
+]
+
+export function tasksCsv(exported) {
+  const rows = exported.tasks.flatMap(t => t.steps.map((s, i) => [
+    t.id, t.name, t.status, t.priority || 'normal', t.team, t.user, t.createdAt, t.startTime, t.finishedAt, seconds(t.durationMs), seconds(t.waitMs),
+    i, stepId(s, i), s.name, s.type || 'llm', isApproval(s) ? '' : s.llm, s.status, s.startedAt, s.finishedAt, seconds(s.durationMs), s.failures || 0,
+    s.usage?.inputTokens ?? '', s.usage?.outputTokens ?? '', s.usage ? s.usage.cost.toFixed(4) : '',
+    s.approval?.decision, s.approval?.by, s.approval?.at, s.approval?.comment, s.error?.message,
+  ]))
+  return `${toCsv([CSV_COLUMNS, ...rows])}\n`
+}
+
+// --- Run report ---
+
+const when = (at) => (at ? `${new Date(at).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '—')
+
+// The report's content, rendered by reportHtml and reportLines:
+// { title, facts, tasks: [{ title, facts, steps: { head, rows }, approvals, errors, runs: [{ title, lines }] }] }
+export function runReport(exported) {
+  return {
+    title: exported.tasks.length === 1 ? `Run report: ${exported.tasks[0].name}` : `Run report: ${exported.tasks.length} tasks`,
+    facts: [['Exported', when(exported.exportedAt)], ['Exported by', exported.exportedBy || '—']],
+    tasks: exported.tasks.map(t => {
+      const usage = taskUsage(t)
+      return {
+        title: `#${t.id} ${t.name}`,
+        facts: [
+          ['Status', t.status], ['Team', t.team || '—'], ['Owner', t.user], ['Priority', t.priority || 'normal'],
+          ['Created', when(t.createdAt)], ['Started', when(t.startTime)], ['Finished', when(t.finishedAt)],
+          ['Duration', formatDuration(t.durationMs) || '—'], ['Queue wait', formatDuration(t.waitMs) || '—'],
+          ['Tokens', `${formatTokens(totalTokens(usage))} (${usage.inputTokens} in / ${usage.outputTokens} out)`], ['Cost', formatCost(usage.cost)],
+        ],
+        steps: {
+          head: ['#', 'Step', 'Model', 'Status', 'Started', 'Finished', 'Duration', 'Failures', 'Cost'],
+          rows: t.steps.map((s, i) => [
+            i + 1, s.name, isApproval(s) ? 'approval' : modelName(s.llm), s.status, when(s.startedAt), when(s.finishedAt),
+            formatDuration(s.durationMs) || '—', s.failures || 0, s.usage ? formatCost(s.usage.cost) : '—',
+          ]),
+        },
+        approvals: t.steps.filter(s => s.approval).map(s => (
+          `${s.name}: ${s.approval.decision} by ${s.approval.by || 'unknown'} at ${when(s.approval.at)}${s.approval.edited ? ' (output edited)' : ''}${s.approval.comment ? ` - "${s.approval.comment}"` : ''}`
+        )),
+        errors: t.steps.filter(s => s.error).map(s => `${s.name}: ${s.error.message} at ${when(s.error.at)}`),
+        runs: t.steps.flatMap((s, i) => (t.history?.[stepId(s, i)] || []).map(run => ({
+          title: `${s.name}, run ${run.run}: ${run.status}${run.editedBy ? `, edited by ${run.editedBy}` : ''} (${when(run.startedAt)} - ${when(run.finishedAt)})`,
+          lines: [
+            ...(run.logs || []).map(l => `${when(l.at).slice(11)} ${l.level.toUpperCase().padEnd(5)} ${l.message}`),
+            ...(run.response ? ['', ...run.response.split('\n')] : []),
+            ...(run.artifacts?.length ? ['', `Artifacts: ${run.artifacts.map(a => a.name).join(', ')}`] : []),
+          ],
+        }))),
+      }
+    }),
+  }
+}
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]))
+
+const factsHtml = (facts) => `<dl>${facts.map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>`
+
+// Standalone page; each task starts on a new printed page
+export function reportHtml(report) {
+  const tasks = report.tasks.map(t => `
+<section>
+  <h2>${escapeHtml(t.title)}</h2>
+  ${factsHtml(t.facts)}
+  <h3>Steps</h3>
+  <table><thead><tr>${t.steps.head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+  <tbody>${t.steps.rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>
+  ${t.approvals.length ? `<h3>Approvals</h3><ul>${t.approvals.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ul>` : ''}
+  ${t.errors.length ? `<h3>Errors</h3><ul>${t.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : ''}
+  ${t.runs.length ? `<h3>Run history</h3>${t.runs.map(r => `<h4>${escapeHtml(r.title)}</h4><pre>${escapeHtml(r.lines.join('\n'))}</pre>`).join('')}` : ''}
+</section>`).join('')
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font: 13px/1.45 system-ui, sans-serif; color: #111; margin: 32px; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; } h3 { font-size: 13px; margin: 16px 0 6px; } h4 { font-size: 12px; margin: 10px 0 4px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 0; } dt { color: #555; } dd { margin: 0; }
+  table { border-collapse: collapse; width: 100%; } th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; font-size: 12px; }
+  pre { background: #f5f5f5; padding: 8px; font-size: 11px; white-space: pre-wrap; margin: 0; }
+  @media print { body { margin: 0; } section + section { break-before: page; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+${factsHtml(report.facts)}
+${tasks}
+</body>
+</html>
+`
+}
+
+// Fixed-width table text for the PDF
+function columns(head, rows) {
+  const all = [head, ...rows].map(r => r.map(c => String(c ?? '')))
+  const widths = head.map((_, i) => Math.min(28, Math.max(...all.map(r => r[i].length))))
+  return all.map(r => r.map((c, i) => (c.length > widths[i] ? `${c.slice(0, widths[i] - 3)}...` : c.padEnd(widths[i]))).join('  '))
+}
+
+export function reportLines(report) {
+  return [
+    { text: report.title, style: 'title' },
+    ...report.facts.map(([k, v]) => `${k}: ${v}`),
+    ...report.tasks.flatMap(t => [
+      '',
+      { text: t.title, style: 'heading' },
+      ...t.facts.map(([k, v]) => `${k}: ${v}`),
+      '',
+      ...columns(t.steps.head, t.steps.rows).map(text => ({ text, style: 'mono' })),
+      ...(t.approvals.length ? ['', { text: 'Approvals', style: 'heading' }, ...t.approvals] : []),
+      ...(t.errors.length ? ['', { text: 'Errors', style: 'heading' }, ...t.errors] : []),
+      ...(t.runs.length ? ['', { text: 'Run history', style: 'heading' }] : []),
+      ...t.runs.flatMap(r => [r.title, ...r.lines.map(text => ({ text, style: 'mono' })), '']),
+    ]),
+  ]
+}
+
+// --- Import ---
+
+// Running work does not resume by itself after an import
+const UNFINISHED = ['queued', 'running', 'awaiting_approval']
+const STOPPED_STEP = ['running', 'awaiting_approval']
+
+const TASK_FIELDS = ['name', 'status', 'priority', 'team', 'progress', 'llm', 'createdAt', 'queuedAt', 'startTime', 'finishedAt', 'durationMs', 'waitMs', 'steps']
+
+// Checks an export document. -> { ok, errors, tasks } where tasks are ready to
+// restore: only known fields, unfinished tasks and their started steps paused, and
+// `importedFrom: { id, user, exportedAt }` recording where each came from.
+export function validateTaskExport(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { ok: false, errors: ['The file must hold an object with a "tasks" list'], tasks: [] }
+  const errors = []
+  if (value.kind !== TASK_EXPORT_KIND) errors.push(`"kind" must be "${TASK_EXPORT_KIND}"`)
+  if (typeof value.version !== 'number' || value.version > TASK_EXPORT_VERSION) errors.push(`"version" must be a number up to ${TASK_EXPORT_VERSION}`)
+  if (!Array.isArray(value.tasks) || !value.tasks.length) errors.push('"tasks" must be a list with at least one task')
+  if (errors.length) return { ok: false, errors, tasks: [] }
+
+  const tasks = value.tasks.map((raw, i) => {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : ''
+    const at = `Task ${i + 1}${name ? ` (${name})` : ''}`
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`Task ${i + 1}: must be an object`)
+      return null
+    }
+    if (!name) errors.push(`${at}: "name" is required`)
+    if (!TASK_STATUSES.includes(raw.status)) errors.push(`${at}: "status" must be one of ${TASK_STATUSES.join(', ')}`)
+    if (raw.priority !== undefined && !PRIORITIES.includes(raw.priority)) errors.push(`${at}: "priority" must be one of ${PRIORITIES.join(', ')}`)
+    if (raw.team !== undefined && typeof raw.team !== 'string') errors.push(`${at}: "team" must be a string`)
+    if (!Array.isArray(raw.steps)) {
+      errors.push(`${at}: "steps" must be a list`)
+      return null
+    }
+    const pipeline = validatePipeline(stepsToPipeline(raw.steps.map(s => (s && typeof s === 'object' ? s : {}))))
+    pipeline.errors.forEach(e => errors.push(`${at}: ${e}`))
+    raw.steps.forEach((s, j) => {
+      if (s && !STEP_STATUSES.includes(s.status)) errors.push(`${at}: step ${j + 1} "status" must be one of ${STEP_STATUSES.join(', ')}`)
+    })
+    if (raw.history !== undefined && (typeof raw.history !== 'object' || Array.isArray(raw.history) || !Object.values(raw.history).every(Array.isArray))) {
+      errors.push(`${at}: "history" must map step ids to lists of runs`)
+    }
+
+    const task = Object.fromEntries(TASK_FIELDS.filter(k => raw[k] !== undefined).map(k => [k, raw[k]]))
+    const unfinished = UNFINISHED.includes(raw.status)
+    return {
+      ...task,
+      name,
+      status: unfinished ? 'paused' : raw.status,
+      steps: raw.steps.map(s => (unfinished && STOPPED_STEP.includes(s?.status) ? { ...s, status: 'paused' } : s)),
+      history: raw.history || {},
+      importedFrom: { id: raw.id ?? null, user: raw.user ?? null, exportedAt: value.exportedAt ?? null },
+    }
+  })
+  return { ok: errors.length === 0, errors, tasks: errors.length ? [] : tasks }
+}
+
+export function parseTaskExport(text) {
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (error) {
+    return { ok: false, errors: [`Not valid JSON - ${error.message}`], tasks: [] }
+  }
+  return validateTaskExport(value)
+}
@@ -0,0 +1,90 @@
+// Search, filters and sort of the task queue. The query lives in the URL so a
+// view can be shared: ?q=invoice&status=running,failed&model=gpt-4&user=Sam+Rivera&from=2026-10-01&to=2026-10-31&sort=cost&dir=desc
+import { taskUsage } from './usage'
+
+export const SORTS = [
+  { id: 'start', label: 'Start time' },
+  { id: 'duration', label: 'Duration' },
+  { id: 'progress', label: 'Progress' },
+  { id: 'cost', label: 'Cost' },
+]
+
+const LIST_KEYS = ['status', 'model', 'user']
+
+export const EMPTY_QUERY = { q: '', status: [], model: [], user: [], from: '', to: '', sort: '', dir: 'desc' }
+
+export function parseTaskQuery(params) {
+  const list = (key) => (params.get(key) || '').split(',').map(s => s.trim()).filter(Boolean)
+  const sort = params.get('sort')
+  return {
+    q: params.get('q') || '',
+    status: list('status'),
+    model: list('model'),
+    user: list('user'),
+    from: params.get('from') || '',
+    to: params.get('to') || '',
+    sort: SORTS.some(s => s.id === sort) ? sort : '',
+    dir: params.get('dir') === 'asc' ? 'asc' : 'desc',
+  }
+}
+
+// Only non-default values make it into the URL; other params are kept as they are
+export function writeTaskQuery(params, query) {
+  const next = new URLSearchParams(params)
+  Object.keys(EMPTY_QUERY).forEach(k => next.delete(k))
+  if (query.q.trim()) next.set('q', query.q)
+  LIST_KEYS.forEach(k => query[k].length && next.set(k, query[k].join(',')))
+  if (query.from) next.set('from', query.from)
+  if (query.to) next.set('to', query.to)
+  if (query.sort) {
+    next.set('sort', query.sort)
+    if (query.dir === 'asc') next.set('dir', 'asc')
+  }
+  return next
+}
+
+export const isFiltered = (query) => !!(query.q.trim() || LIST_KEYS.some(k => query[k].length) || query.from || query.to)
+
+const modelsOf = (task) => [...new Set([task.llm, ...task.steps.map(s => s.llm)].filter(Boolean))]
+
+// Calendar days in local time; `to` includes the whole day
+const dayStart = (date) => new Date(`${date}T00:00:00`).getTime()
+
+// `restore(task, text)` gives the task and step names to search (they may be redacted on the wire)
+export function matchesQuery(task, query, restore = (t, text) => text) {
+  const terms = query.q.toLowerCase().split(/\s+/).filter(Boolean)
+  if (terms.length) {
+    const haystack = [task.name, ...task.steps.map(s => s.name)].map(text => restore(task, text)).join('\n').toLowerCase()
+    if (!terms.every(t => haystack.includes(t))) return false
+  }
+  if (query.status.length && !query.status.includes(task.status)) return false
+  if (query.model.length && !modelsOf(task).some(m => query.model.includes(m))) return false
+  if (query.user.length && !query.user.includes(task.user)) return false
+  const created = new Date(task.createdAt || 0).getTime()
+  if (query.from && created < dayStart(query.from)) return false
+  if (query.to && created >= dayStart(query.to) + 86400000) return false
+  return true
+}
+
+const SORT_VALUES = {
+  // Tasks that have not started sort by when they were queued
+  start: (t) => new Date(t.startTime || t.queuedAt || t.createdAt || 0).getTime(),
+  duration: (t) => t.durationMs ?? -1,
+  progress: (t) => t.progress || 0,
+  cost: (t) => taskUsage(t).cost,
+}
+
+// Without a sort the backend's order is kept
+export function sortTasks(tasks, sort, dir = 'desc') {
+  const value = SORT_VALUES[sort]
+  if (!value) return tasks
+  const sign = dir === 'asc' ? 1 : -1
+  // Values are computed once per task, not once per comparison
+  return tasks.map(t => [value(t), t]).sort((a, b) => sign * (a[0] - b[0])).map(([, t]) => t)
+}
+
+// Chip options seen across the given tasks
+export const queryOptions = (tasks) => ({
+  model: [...new Set(tasks.flatMap(modelsOf))],
+  user: [...new Set(tasks.map(t => t.user).filter(Boolean))].sort(),
+})
@@ -0,0 +1,133 @@
+// Task factories and seed data shared by the app and the in-browser mock backend
+import { DEFAULT_MODEL_ID } from './models'
+
+// Timing is stored as numbers: `durationMs` on tasks (startTime to finishedAt, or
+// to now while running) and on steps (running time), `waitMs` on tasks (time spent
+// queued). Timestamps are ISO strings.
+
+// Milliseconds from `from` to `to`; null when `from` is missing
+export function elapsedMs(from, to = new Date()) {
+  if (!from) return null
+  return Math.max(0, new Date(to).getTime() - new Date(from).getTime())
+}
+
+// 300000 -> '5m 0s', 4000000 -> '1h 6m'; null stays null
+export function formatDuration(ms) {
+  if (ms == null || !Number.isFinite(ms)) return null
+  const sec = Math.round(ms / 1000)
+  if (sec < 60) return `${sec}s`
+  const m = Math.floor(sec / 60)
+  if (m < 60) return `${m}m ${sec % 60}s`
+  return `${Math.floor(m / 60)}h ${m % 60}m`
+}
+
+// Data saved before durations were numbers has display strings like '5m 0s'
+const legacySeconds = (duration) => {
+  const match = /^(?:(\d+)m\s*)?(\d+)s$/.exec(String(duration || '').trim())
+  return match ? Number(match[1] || 0) * 60 + Number(match[2]) : null
+}
+
+const migrateDuration = ({ duration, ...item }) => {
+  if (duration === undefined || item.durationMs !== undefined) return item
+  const sec = legacySeconds(duration)
+  return sec == null ? item : { ...item, durationMs: sec * 1000 }
+}
+
+export const migrateTaskTiming = (task) => ({ ...migrateDuration(task), steps: (task.steps || []).map(migrateDuration) })
+
+// Steps of a task created without a pipeline
+export const DEFAULT_STEPS = [
+  { id: 'ingest-requirements', name: 'Ingest Requirements', status: 'queued', llm: 'gpt-4' },
+  { id: 'spec-synthesis', name: 'Spec Synthesis', status: 'queued', llm: 'claude-sonnet-4.5' },
+  { id: 'ops-plan-checks', name: 'Ops Plan + Checks', status: 'queued', llm: 'kimi-k2' },
+  { id: 'execution-verify', name: 'Execution & Verify', status: 'queued', llm: 'gpt-4' },
+]
+
+// New tasks wait in the queue; the scheduler starts them when a slot frees up.
+// `user` is the owner's display name; `userId` and `team` scope who may see and act on it.
+export function makeTask(id, name, user, steps, priority = 'normal', { userId, team } = {}) {
+  const now = new Date().toISOString()
+  const pipeline = steps || DEFAULT_STEPS
+  return {
+    id,
+    name,
+    status: 'queued',
+    priority,
+    progress: 0,
+    user: user || 'Unknown',
+    userId,
+    team,
+    llm: pipeline[0]?.llm || DEFAULT_MODEL_ID,
+    createdAt: now,
+    queuedAt: now,
+    steps: pipeline.map(s => ({ ...s, status: 'queued' })),
+  }
+}
+
+export function seedTasks() {
+  const now = new Date()
+  const ago = (min) => new Date(now.getTime() - min*60000).toISOString()
+  const t1 = {
+    id: 1,
+    name: 'Reconcile Q3 Invoices',
+    status: 'running',
+    priority: 'normal',
+    progress: 42,
+    user: 'Sam Rivera',
+    userId: 'u-sam',
+    team: 'finance',
+    llm: 'gpt-4',
+    createdAt: ago(5),
+    startTime: ago(5),
+    durationMs: 300000,
+    waitMs: 0,
+    steps: [
+      { id: 'parse-pdfs', name: 'Parse PDFs', status: 'complete', llm: 'gpt-4', progress: 100, startedAt: ago(5), finishedAt: ago(2.83), durationMs: 130000, dependsOn: [], usage: { inputTokens: 41200, outputTokens: 7900, cost: 1.71 } },
+      { id: 'vendor-matching', name: 'Vendor Matching', status: 'running', llm: 'claude-sonnet-4.5', progress: 35, startedAt: ago(2.83), durationMs: 170000, dependsOn: ['parse-pdfs'], usage: { inputTokens: 14100, outputTokens: 2700, cost: 0.08 } },
+      { id: 'anomaly-check', name: 'Anomaly Check', status: 'queued', llm: 'kimi-k2', dependsOn: ['parse-pdfs'] },
+      { id: 'approve-ledger', name: 'Approve Ledger Changes', type: 'approval', status: 'queued', dependsOn: ['vendor-matching', 'anomaly-check'] },
+      { id: 'ledger-update', name: 'Ledger Update', status: 'queued', llm: 'gpt-4', dependsOn: ['approve-ledger'] },
+    ]
+  }
+  const t2 = {
+    id: 2,
+    name: 'Procurement: Monitor RFP replies',
+    status: 'queued',
+    priority: 'normal',
+    progress: 0,
+    user: 'Ava Chen',
+    userId: 'u-ava',
+    team: 'procurement',
+    llm: 'claude-sonnet-4.5',
+    createdAt: ago(1),
+    queuedAt: ago(1),
+    steps: [
+      { id: 'collect-emails', name: 'Collect Emails', status: 'queued', llm: 'kimi-k2' },
+      { id: 'summarize-replies', name: 'Summarize Replies', status: 'queued', llm: 'gpt-4' },
+      { id: 'score-vendors', name: 'Score Vendors', status: 'queued', llm: 'claude-sonnet-4.5' },
+    ]
+  }
+  const t3 = {
+    id: 3,
+    name: 'IT: Access Review Batch',
+    status: 'complete',
+    priority: 'normal',
+    progress: 100,
+    user: 'Ben Okafor',
+    userId: 'u-ben',
+    team: 'it',
+    llm: 'kimi-k2',
+    createdAt: ago(45),
+    startTime: ago(45),
+    finishedAt: ago(32.43),
+    durationMs: 754000,
+    waitMs: 0,
+    steps: [
+      { id: 'export-accounts', name: 'Export Accounts', status: 'complete', llm: 'gpt-4', progress: 100, startedAt: ago(45), finishedAt: ago(42), durationMs: 180000, usage: { inputTokens: 38500, outputTokens: 8200, cost: 1.65 } },
+      { id: 'policy-diff', name: 'Policy Diff', status: 'complete', llm: 'claude-sonnet-4.5', progress: 100, startedAt: ago(42), finishedAt: ago(37.33), durationMs: 280000, usage: { inputTokens: 52300, outputTokens: 9100, cost: 0.29 } },
+      { id: 'owner-sign-off', name: 'Owner Sign-off', type: 'approval', status: 'complete', progress: 100, startedAt: ago(37.33), finishedAt: ago(37), durationMs: 20000, approval: { decision: 'approved', by: 'Ben Okafor', at: ago(37), comment: 'Revocations look right', edited: false } },
+      { id: 'notify-owners', name: 'Notify Owners', status: 'complete', llm: 'kimi-k2', progress: 100, startedAt: ago(37), finishedAt: ago(32.43), durationMs: 274000, usage: { inputTokens: 27800, outputTokens: 6400, cost: 0.03 } },
+    ]
+  }
+  return [t1,t2,t3]
+}
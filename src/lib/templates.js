@@ -0,0 +1,243 @@
+// Pipeline templates: named pipelines with {{parameters}}, saved in versions.
+//
+//   { id, name, description, user, userId, createdAt, updatedAt,
+//     versions: [{ version, taskName, parameters, pipeline, note, by, createdAt }] }
+//
+// Parameters are { name, label, type, default } and are referenced as {{name}}
+// in the task name and in step names, inputs and outputs. `list` parameters
+// take comma-separated values, filled in as "a, b, c". A parameter without a
+// default must be given a value.
+//
+// Template files (JSON or YAML) hold one version:
+//   { kind: 'pipeline-template', name, description, version, taskName, parameters, pipeline: { steps } }
+import { pipelineToSteps, stepsToPipeline, validatePipeline } from './pipeline'
+import { parseYaml, toYaml } from './yaml'
+import { DEFAULT_STEPS } from './tasks'
+
+export const TEMPLATE_KIND = 'pipeline-template'
+
+export const PARAMETER_TYPES = ['text', 'list']
+
+const PARAM_NAME_RE = /^[A-Za-z_]\w*$/
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g
+
+export const latestVersion = (template) => template.versions[template.versions.length - 1]
+
+export const findVersion = (template, version) => template.versions.find(v => v.version === Number(version)) || latestVersion(template)
+
+// The text of a template version that may hold placeholders
+const textsOf = ({ taskName, pipeline }) => [
+  taskName,
+  ...pipeline.steps.flatMap(s => [s.name, ...(s.inputs || []), ...(s.outputs || [])]),
+]
+
+const mapTexts = ({ taskName, pipeline }, fn) => ({
+  taskName: fn(taskName),
+  pipeline: {
+    steps: pipeline.steps.map(s => ({
+      ...s,
+      name: fn(s.name),
+      inputs: (s.inputs || []).map(fn),
+      outputs: (s.outputs || []).map(fn),
+    })),
+  },
+})
+
+export const placeholdersOf = (version) => [...new Set(textsOf(version).flatMap(t => [...String(t || '').matchAll(PLACEHOLDER_RE)].map(m => m[1])))]
+
+// Only the fields a template needs; run state and ids of no interest are dropped
+const cleanPipeline = (pipeline) => ({
+  steps: pipeline.steps.map(({ id, name, type, model, inputs, outputs, dependsOn }) => ({ id, name, type, model, inputs, outputs, dependsOn })),
+})
+
+// Validates a raw template (a file or a request body). Returns { ok, errors, template }
+// where `template` is { name, description, taskName, parameters, pipeline }.
+export function validateTemplate(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { ok: false, errors: ['Template must be an object'] }
+  const errors = []
+  if (value.kind !== undefined && value.kind !== TEMPLATE_KIND) errors.push(`"kind" must be "${TEMPLATE_KIND}"`)
+  const name = typeof value.name === 'string' ? value.name.trim() : ''
+  if (!name) errors.push('"name" is required')
+  if (value.description !== undefined && value.description !== null && typeof value.description !== 'string') errors.push('"description" must be a string')
+  if (value.taskName !== undefined && typeof value.taskName !== 'string') errors.push('"taskName" must be a string')
+
+  const rawParameters = value.parameters ?? []
+  const parameters = []
+  if (!Array.isArray(rawParameters)) {
+    errors.push('"parameters" must be a list')
+  } else {
+    rawParameters.forEach((raw, i) => {
+      const at = `Parameter ${i + 1}`
+      if (!raw || typeof raw !== 'object' || !PARAM_NAME_RE.test(raw.name || '')) {
+        errors.push(`${at}: "name" must be a word like quarter or vendor_list`)
+        return
+      }
+      if (parameters.some(p => p.name === raw.name)) errors.push(`Duplicate parameter "${raw.name}"`)
+      const type = raw.type ?? 'text'
+      if (!PARAMETER_TYPES.includes(type)) errors.push(`${at} (${raw.name}): "type" must be one of ${PARAMETER_TYPES.join(', ')}`)
+      // Lists may default to a list or to comma-separated text
+      const fallback = Array.isArray(raw.default) ? raw.default.join(', ') : raw.default
+      if (fallback !== undefined && fallback !== null && typeof fallback !== 'string' && typeof fallback !== 'number') errors.push(`${at} (${raw.name}): "default" must be text`)
+      parameters.push({
+        name: raw.name,
+        label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : raw.name,
+        type,
+        ...(fallback !== undefined && fallback !== null ? { default: String(fallback) } : {}),
+      })
+    })
+  }
+
+  const result = validatePipeline(value.pipeline)
+  errors.push(...result.errors.map(e => `Pipeline: ${e}`))
+  if (errors.length) return { ok: false, errors }
+
+  const template = {
+    name,
+    description: (value.description || '').trim(),
+    taskName: (value.taskName || '').trim() || name,
+    parameters,
+    pipeline: cleanPipeline(result.pipeline),
+  }
+  const declared = new Set(parameters.map(p => p.name))
+  placeholdersOf(template).filter(n => !declared.has(n)).forEach(n => errors.push(`Uses undeclared parameter {{${n}}}`))
+  if (errors.length) return { ok: false, errors }
+  return { ok: true, errors: [], template }
+}
+
+const parameterValue = (parameter, raw) => {
+  const text = raw === undefined || raw === null || raw === '' ? parameter.default ?? '' : String(raw)
+  return parameter.type === 'list' ? text.split(',').map(s => s.trim()).filter(Boolean).join(', ') : text.trim()
+}
+
+// Fills in a template version. Returns { ok, errors, name, steps } with steps ready to queue.
+export function fillTemplate(version, values = {}) {
+  const errors = []
+  const filled = {}
+  version.parameters.forEach(p => {
+    filled[p.name] = parameterValue(p, values[p.name])
+    if (!filled[p.name] && p.default === undefined) errors.push(`${p.label} is required`)
+  })
+  if (errors.length) return { ok: false, errors }
+  const applied = mapTexts(version, text => String(text || '').replace(PLACEHOLDER_RE, (_, n) => filled[n] ?? ''))
+  // Filled-in names may collide, so the result is checked like any other pipeline
+  const result = validatePipeline(applied.pipeline)
+  if (!result.ok) return { ok: false, errors: result.errors }
+  return { ok: true, errors: [], name: applied.taskName, steps: pipelineToSteps(result.pipeline) }
+}
+
+const escapeRe = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// A template draft from a task. `replacements` turn literal text into parameters:
+// [{ parameter: 'quarter', text: 'Q3' }] replaces every "Q3" with {{quarter}} and
+// makes "Q3" the default.
+export function templateFromTask(task, { name, description = '', taskName = task.name, replacements = [] } = {}) {
+  const used = replacements.filter(r => r.parameter && r.text)
+  const swap = (text) => used.reduce((t, r) => t.replace(new RegExp(escapeRe(r.text), 'g'), `{{${r.parameter}}}`), String(text || ''))
+  const { pipeline, taskName: parameterizedName } = mapTexts({ taskName, pipeline: stepsToPipeline(task.steps) }, swap)
+  return {
+    name: name || task.name,
+    description,
+    taskName: parameterizedName,
+    parameters: used.map(r => ({ name: r.parameter, label: r.parameter, type: r.text.includes(',') ? 'list' : 'text', default: r.text })),
+    pipeline: cleanPipeline(pipeline),
+  }
+}
+
+// A template version as a file document; empty step fields are left out to keep files short
+export function templateDocument(template, version = latestVersion(template)) {
+  return {
+    kind: TEMPLATE_KIND,
+    name: template.name,
+    ...(template.description ? { description: template.description } : {}),
+    version: version.version,
+    taskName: version.taskName,
+    parameters: version.parameters,
+    pipeline: {
+      steps: version.pipeline.steps.map(s => Object.fromEntries(Object.entries({ ...s, type: s.type === 'llm' ? undefined : s.type })
+        .filter(([, v]) => v !== undefined && v !== '' && !(Array.isArray(v) && !v.length)))),
+    },
+  }
+}
+
+export const TEMPLATE_FORMATS = ['json', 'yaml']
+
+// YAML is read back before it is handed out, so a value the subset cannot hold fails
+// here rather than when the file is imported
+function templateYaml(document) {
+  const text = toYaml(document)
+  if (JSON.stringify(parseYaml(text)) !== JSON.stringify(document)) throw new Error('This template does not survive as YAML; export it as JSON')
+  return text
+}
+
+export const serializeTemplate = (document, format = 'json') => (format === 'yaml' ? templateYaml(document) : `${JSON.stringify(document, null, 2)}\n`)
+
+export const templateFileName = (template, format) => `${template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'template'}.template.${format === 'yaml' ? 'yaml' : 'json'}`
+
+// Reads a template file; the format comes from the extension, or is sniffed
+export function parseTemplateFile(text, fileName = '') {
+  const yaml = /\.ya?ml$/i.test(fileName) || (!/\.json$/i.test(fileName) && !/^\s*[{[]/.test(text))
+  let value
+  try {
+    value = yaml ? parseYaml(text) : JSON.parse(text)
+  } catch (error) {
+    return { ok: false, errors: [`Not valid ${yaml ? 'YAML' : 'JSON'} - ${error.message}`] }
+  }
+  return validateTemplate(value)
+}
+
+const SEEDS = [
+  {
+    name: 'Ops pipeline',
+    description: 'The default four-step flow for a new ops task.',
+    taskName: '{{goal}}',
+    parameters: [{ name: 'goal', label: 'Task', type: 'text' }],
+    steps: DEFAULT_STEPS,
+  },
+  {
+    name: 'Invoice reconciliation',
+    description: 'Parse the quarter\'s invoices, match vendors, check anomalies and update the ledger after sign-off.',
+    taskName: 'Reconcile {{quarter}} Invoices',
+    parameters: [
+      { name: 'quarter', label: 'Quarter', type: 'text', default: 'Q3' },
+      { name: 'vendors', label: 'Vendors', type: 'list', default: '' },
+    ],
+    steps: [
+      { id: 'parse-pdfs', name: 'Parse {{quarter}} PDFs', llm: 'gpt-4', outputs: ['invoices'] },
+      { id: 'vendor-matching', name: 'Vendor Matching', llm: 'claude-sonnet-4.5', inputs: ['invoices', 'vendors: {{vendors}}'], dependsOn: ['parse-pdfs'] },
+      { id: 'anomaly-check', name: 'Anomaly Check', llm: 'kimi-k2', inputs: ['invoices'], dependsOn: ['parse-pdfs'] },
+      { id: 'approve-ledger', name: 'Approve Ledger Changes', type: 'approval', dependsOn: ['vendor-matching', 'anomaly-check'] },
+      { id: 'ledger-update', name: 'Ledger Update', llm: 'gpt-4', dependsOn: ['approve-ledger'] },
+    ],
+  },
+  {
+    name: 'Access review',
+    description: 'Export accounts, diff them against policy and notify owners once revocations are signed off.',
+    taskName: 'IT: Access Review {{systems}}',
+    parameters: [{ name: 'systems', label: 'Systems', type: 'list', default: 'Batch' }],
+    steps: [
+      { id: 'export-accounts', name: 'Export Accounts', llm: 'gpt-4', inputs: ['{{systems}}'] },
+      { id: 'policy-diff', name: 'Policy Diff', llm: 'claude-sonnet-4.5', dependsOn: ['export-accounts'] },
+      { id: 'owner-sign-off', name: 'Owner Sign-off', type: 'approval', dependsOn: ['policy-diff'] },
+      { id: 'notify-owners', name: 'Notify Owners', llm: 'kimi-k2', dependsOn: ['owner-sign-off'] },
+    ],
+  },
+]
+
+// Library templates every install starts with, built from the seeded tasks' flows
+export function seedTemplates() {
+  const now = new Date().toISOString()
+  return SEEDS.map(({ steps, ...seed }, i) => {
+    const { template } = validateTemplate({ ...seed, pipeline: stepsToPipeline(steps) })
+    const { name, description, ...version } = template
+    return {
+      id: i + 1,
+      name,
+      description,
+      user: 'Ops library',
+      userId: null,
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ version: 1, ...version, note: '', by: 'Ops library', createdAt: now }],
+    }
+  })
+}
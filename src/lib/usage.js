@@ -0,0 +1,85 @@
+// Token usage and cost.
+//
+// Each step records `usage: { inputTokens, outputTokens, cost }`. Cost is
+// computed from the model registry when tokens are recorded, so later price
+// changes do not rewrite history. Retries and reruns add to the same step:
+// spend already incurred stays on the books.
+import { getModel } from './models'
+
+export const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, cost: 0 }
+
+// USD for the given tokens at the model's current price
+export function costOf(ref, inputTokens, outputTokens) {
+  const m = getModel(ref)
+  if (!m) return 0
+  return ((inputTokens * (m.inputCostPer1M || 0)) + (outputTokens * (m.outputCostPer1M || 0))) / 1e6
+}
+
+// Adds tokens to a step's usage, pricing them on the step's model
+export function recordUsage(step, inputTokens, outputTokens) {
+  const u = step.usage || EMPTY_USAGE
+  return {
+    ...step,
+    usage: {
+      inputTokens: u.inputTokens + inputTokens,
+      outputTokens: u.outputTokens + outputTokens,
+      cost: u.cost + costOf(step.llm, inputTokens, outputTokens),
+    },
+  }
+}
+
+const add = (a, b) => ({
+  inputTokens: a.inputTokens + (b?.inputTokens || 0),
+  outputTokens: a.outputTokens + (b?.outputTokens || 0),
+  cost: a.cost + (b?.cost || 0),
+})
+
+export const totalTokens = (u) => u.inputTokens + u.outputTokens
+
+export const taskUsage = (task) => task.steps.reduce((sum, s) => add(sum, s.usage), EMPTY_USAGE)
+
+export const sumUsage = (tasks) => tasks.reduce((sum, t) => add(sum, taskUsage(t)), EMPTY_USAGE)
+
+// [{ key, usage }] sorted by cost, most expensive first
+const sorted = (groups) => [...groups].map(([key, usage]) => ({ key, usage })).sort((a, b) => b.usage.cost - a.usage.cost || totalTokens(b.usage) - totalTokens(a.usage))
+
+export function usageByUser(tasks) {
+  const groups = new Map()
+  tasks.forEach(t => groups.set(t.user, add(groups.get(t.user) || EMPTY_USAGE, taskUsage(t))))
+  return sorted(groups)
+}
+
+// Grouped by the model each step ran on, keyed by registry id where known
+export function usageByModel(tasks) {
+  const groups = new Map()
+  tasks.forEach(t => t.steps.forEach(s => {
+    if (!s.usage) return
+    const key = getModel(s.llm)?.id || s.llm
+    groups.set(key, add(groups.get(key) || EMPTY_USAGE, s.usage))
+  }))
+  return sorted(groups)
+}
+
+// Spend is attributed to the month a task was created in
+export function monthToDate(tasks, now = new Date()) {
+  const inMonth = tasks.filter(t => {
+    const d = new Date(t.createdAt || t.startTime || 0)
+    return d.getFullYear() === now.getFullYear() && d.getMonth() === now.getMonth()
+  })
+  return sumUsage(inMonth)
+}
+
+// 'ok' | 'near' (at or past warnAt of the budget) | 'over'; no budget means no limit
+export function budgetLevel(spent, budget, warnAt = 0.8) {
+  if (!(budget > 0)) return 'ok'
+  if (spent >= budget) return 'over'
+  return spent >= budget * warnAt ? 'near' : 'ok'
+}
+
+export function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`
+  return String(Math.round(n))
+}
+
+export const formatCost = (usd) => (usd > 0 && usd < 0.01 ? '<$0.01' : `$${usd.toFixed(2)}`)
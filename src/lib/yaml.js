@@ -0,0 +1,180 @@
+// Small YAML subset, enough for template files: block mappings and sequences,
+// plain and quoted scalars, and one-line flow lists like [a, "b c"].
+// Anchors, tags, multi-document files and multi-line scalars are not supported.
+
+const pad = (n) => ' '.repeat(n)
+
+const isCollection = (v) => v !== null && typeof v === 'object'
+const isEmpty = (v) => (Array.isArray(v) ? v.length === 0 : Object.keys(v).length === 0)
+
+const RESERVED = /^(?:true|false|yes|no|on|off|null|~|-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)$/i
+// Control characters (newlines above all) only survive in double quotes
+const PLAIN = /^[A-Za-z0-9_./(][^:#{}[\],&*!|>'"%@`\x00-\x1f\x7f]*$/
+
+function scalar(value) {
+  if (value === null || value === undefined) return 'null'
+  if (Array.isArray(value)) return '[]'
+  if (typeof value === 'object') return '{}'
+  if (typeof value !== 'string') return String(value)
+  // Double-quoted YAML accepts JSON string escapes
+  if (!PLAIN.test(value) || RESERVED.test(value) || value !== value.trim()) return JSON.stringify(value)
+  return value
+}
+
+const key = (k) => (/^[A-Za-z_][\w-]*$/.test(k) ? k : JSON.stringify(k))
+
+function block(value, indent) {
+  if (Array.isArray(value)) {
+    return value.map(item => (
+      isCollection(item) && !isEmpty(item)
+        ? `${pad(indent)}- ${block(item, indent + 2).trimStart()}`
+        : `${pad(indent)}- ${scalar(item)}`
+    )).join('\n')
+  }
+  return Object.entries(value)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => (
+      isCollection(v) && !isEmpty(v)
+        ? `${pad(indent)}${key(k)}:\n${block(v, indent + 2)}`
+        : `${pad(indent)}${key(k)}: ${scalar(v)}`
+    )).join('\n')
+}
+
+export const toYaml = (value) => `${isCollection(value) && !isEmpty(value) ? block(value, 0) : scalar(value)}\n`
+
+// Drops a trailing comment, leaving # inside quotes alone
+function stripComment(text) {
+  let quote = null
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quote) {
+      if (c === '\\' && quote === '"') i++
+      else if (c === quote) quote = null
+    } else if (c === '"' || c === "'") {
+      quote = c
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd()
+    }
+  }
+  return text.trimEnd()
+}
+
+// Splits the inside of a flow list on commas outside quotes
+function splitFlow(text) {
+  const parts = []
+  let quote = null
+  let start = 0
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quote) {
+      if (c === '\\' && quote === '"') i++
+      else if (c === quote) quote = null
+    } else if (c === '"' || c === "'") {
+      quote = c
+    } else if (c === ',') {
+      parts.push(text.slice(start, i))
+      start = i + 1
+    }
+  }
+  parts.push(text.slice(start))
+  return parts.map(s => s.trim())
+}
+
+function parseScalar(text, line) {
+  const fail = (message) => { throw new Error(`Line ${line}: ${message}`) }
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) fail('unterminated string')
+    try {
+      return JSON.parse(text)
+    } catch {
+      fail(`unreadable string ${text}`)
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) fail('unterminated string')
+    return text.slice(1, -1).replace(/''/g, "'")
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) fail('flow lists must close on the same line')
+    const inner = text.slice(1, -1).trim()
+    return inner ? splitFlow(inner).map(part => parseScalar(part, line)) : []
+  }
+  if (text === '{}') return {}
+  if (text.startsWith('{')) fail('flow mappings are not supported; use one key per line')
+  if (text === '|' || text === '>' || /^[|>][+-]?$/.test(text)) fail('multi-line strings are not supported')
+  if (/^(?:null|~)$/.test(text)) return null
+  if (text === 'true' || text === 'false') return text === 'true'
+  if (/^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/i.test(text)) return Number(text)
+  return text
+}
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#][^:]*?)\s*:(?:\s+(.*))?$/
+
+export function parseYaml(text) {
+  const lines = []
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    if (/^\s*\t/.test(raw)) throw new Error(`Line ${i + 1}: tabs are not allowed for indentation`)
+    const content = stripComment(raw)
+    if (!content.trim() || (!lines.length && content.trim() === '---')) return
+    lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), line: i + 1 })
+  })
+  if (!lines.length) return null
+
+  let at = 0
+  const isItem = (l) => l.text === '-' || l.text.startsWith('- ')
+
+  function parseNode(indent) {
+    const first = lines[at]
+    if (isItem(first)) return parseSequence(indent)
+    if (KEY_RE.test(first.text)) return parseMapping(indent)
+    at++
+    return parseScalar(first.text, first.line)
+  }
+
+  function parseSequence(indent) {
+    const items = []
+    while (at < lines.length && lines[at].indent === indent && isItem(lines[at])) {
+      const { text: itemText, line } = lines[at]
+      const rest = itemText.slice(1).trim()
+      if (!rest) {
+        at++
+        items.push(at < lines.length && lines[at].indent > indent ? parseNode(lines[at].indent) : null)
+      } else if (rest.startsWith('- ') || (KEY_RE.test(rest) && !/^["'[]/.test(rest))) {
+        // "- key: value" opens a mapping whose keys line up after the dash
+        lines[at] = { indent: indent + itemText.indexOf(rest), text: rest, line }
+        items.push(parseNode(lines[at].indent))
+      } else {
+        at++
+        items.push(parseScalar(rest, line))
+      }
+    }
+    return items
+  }
+
+  function parseMapping(indent) {
+    const map = {}
+    while (at < lines.length && lines[at].indent === indent) {
+      const { text: entry, line } = lines[at]
+      const match = KEY_RE.exec(entry)
+      if (!match || isItem(lines[at])) throw new Error(`Line ${line}: expected "key: value"`)
+      const k = parseScalar(match[1], line)
+      if (Object.prototype.hasOwnProperty.call(map, k)) throw new Error(`Line ${line}: duplicate key "${k}"`)
+      at++
+      if (match[2] !== undefined && match[2] !== '') {
+        map[k] = parseScalar(match[2], line)
+      } else if (at < lines.length && lines[at].indent > indent) {
+        map[k] = parseNode(lines[at].indent)
+      } else if (at < lines.length && lines[at].indent === indent && isItem(lines[at])) {
+        // Sequences may sit at the same indent as their key
+        map[k] = parseSequence(indent)
+      } else {
+        map[k] = null
+      }
+    }
+    return map
+  }
+
+  const value = parseNode(lines[0].indent)
+  if (at < lines.length) throw new Error(`Line ${lines[at].line}: unexpected indentation`)
+  return value
+}
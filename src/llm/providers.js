@@ -0,0 +1,157 @@
+// Planning chat providers. Each provider exposes
+//   streamChat(messages, { signal }) -> AsyncIterable<string>
+// yielding reply tokens as they arrive. `messages` use the chat's own shape
+// ({ role: 'user' | 'ai', text }); providers map it to their wire format.
+// `privacy` ('local' | 'cloud') decides whether the chat redacts PII first.
+import { readNdjson, readSseData } from './stream'
+import { formatPipelineBlock, PIPELINE_FENCE } from '../lib/pipeline'
+import { isLocalModel, listModels, modelName } from '../lib/models'
+import { backendUrl } from '../api/config'
+import { accessToken } from '../api/auth'
+
+const env = import.meta.env
+
+export const SYSTEM_PROMPT = [
+  'You are the planning assistant of OPS Orchestrator, a privacy-first ERP multi-LLM queue.',
+  'Help the user design a pipeline of steps for their ops task.',
+  'Answer concisely and propose numbered steps, each assigned to one model.',
+  `End every proposal with a fenced \`\`\`${PIPELINE_FENCE} block containing JSON of the form`,
+  '{"steps":[{"id":"parse","name":"Parse PDFs","model":"gpt-4","inputs":["invoices"],"outputs":["line items"],"dependsOn":[]}]}',
+  'where dependsOn lists the ids of steps that must finish first.',
+  'Steps that write to ledgers or notify people need human sign-off first: add a step with "type":"approval" (no model) before them.',
+].join(' ')
+
+// The registry changes at runtime (custom models), so the model list is appended per request
+const systemPrompt = () => `${SYSTEM_PROMPT} Available models (use the id): ${listModels().map(m => `${m.id} (${m.name}, ${m.privacy})`).join(', ')}.`
+
+const toWire = (messages) => [
+  { role: 'system', content: systemPrompt() },
+  ...messages.map(m => ({ role: m.role === 'ai' ? 'assistant' : 'user', content: m.text })),
+]
+
+const abortError = () => new DOMException('The reply was cancelled', 'AbortError')
+
+async function post(url, body, { signal, headers } = {}) {
+  let response
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    throw new Error(`Model endpoint not reachable - ${error.message}`)
+  }
+  if (!response.ok) {
+    let detail = ''
+    try {
+      const data = await response.json()
+      detail = data?.error?.message || data?.error || data?.detail || ''
+    } catch {
+      // body was not JSON
+    }
+    throw new Error(`Model endpoint failed - ${response.status} ${detail || response.statusText}`)
+  }
+  return response
+}
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, LM Studio, gateways).
+// No API key here: Vite builds every VITE_* variable into the bundle, so cloud keys
+// stay with the endpoint. `token` returns the bearer token to send, if any.
+export const openAiCompatibleProvider = ({ baseUrl, model, token }) => ({
+  id: 'openai',
+  label: `OpenAI-compatible (${model})`,
+  // Self-hosted endpoints (vLLM, LM Studio) are local when the model is registered as local;
+  // a getter because custom models load after the provider is created
+  get privacy() {
+    return isLocalModel(model) ? 'local' : 'cloud'
+  },
+  async *streamChat(messages, { signal } = {}) {
+    const response = await post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      model,
+      stream: true,
+      messages: toWire(messages),
+    }, { signal, headers: token?.() ? { Authorization: `Bearer ${token()}` } : {} })
+    for await (const data of readSseData(response, signal)) {
+      const token = JSON.parse(data).choices?.[0]?.delta?.content
+      if (token) yield token
+    }
+    if (signal?.aborted) throw abortError()
+  },
+})
+
+// Local model server speaking the Ollama /api/chat protocol (NDJSON stream)
+export const localProvider = ({ baseUrl, model }) => ({
+  id: 'local',
+  label: `Local (${model})`,
+  privacy: 'local',
+  async *streamChat(messages, { signal } = {}) {
+    const response = await post(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+      model,
+      stream: true,
+      messages: toWire(messages),
+    }, { signal })
+    for await (const chunk of readNdjson(response, signal)) {
+      if (chunk.error) throw new Error(`Local model failed - ${chunk.error}`)
+      if (chunk.message?.content) yield chunk.message.content
+      if (chunk.done) return
+    }
+    if (signal?.aborted) throw abortError()
+  },
+})
+
+// Deterministic offline planner: same input, same reply, streamed word by word
+export function mockPlanReply(text) {
+  const base = [
+    { id: 'ingest', name: 'Ingest Inputs', model: 'gpt-4', inputs: ['request'], outputs: ['documents'] },
+    { id: 'plan', name: 'Plan & Branch', model: 'claude-sonnet-4.5', inputs: ['documents'], outputs: ['plan'] },
+    { id: 'execute', name: 'Execute Tools', model: 'kimi-k2', inputs: ['plan'], outputs: ['results'] },
+    { id: 'verify', name: 'Verify & Report', model: 'gpt-4', inputs: ['results'], outputs: ['report'] },
+  ]
+  // Work that touches the books or other people gets a sign-off gate before the last step
+  if (/ledger|invoice|payment|notify|email|approv/i.test(text)) {
+    base.splice(3, 0, { id: 'sign-off', name: 'Sign-off', type: 'approval', inputs: ['results'], outputs: ['approved results'] })
+  }
+  const steps = base.map((s, i) => ({ ...s, dependsOn: i ? [base[i - 1].id] : [] }))
+  return `Here is a concise pipeline for “${text}”:\n\n` + steps.map((s,i)=>`${i+1}. ${s.name} — ${s.type === 'approval' ? 'human approval' : modelName(s.model)}`).join('\n') + "\n\nYou can start as-is or ask me to adjust steps/LLMs.\n\n" + formatPipelineBlock({ steps })
+}
+
+export const mockProvider = ({ tokenDelayMs = 25 } = {}) => ({
+  id: 'mock',
+  label: 'Offline mock',
+  // Stands in for a cloud model, so redaction can be tried out offline
+  privacy: 'cloud',
+  async *streamChat(messages, { signal } = {}) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')
+    const reply = mockPlanReply(lastUser?.text || '')
+    for (const token of reply.match(/\s*\S+/g) || []) {
+      await new Promise(r => setTimeout(r, tokenDelayMs))
+      if (signal?.aborted) throw abortError()
+      yield token
+    }
+  },
+})
+
+export function createProvider(kind = env.VITE_LLM_PROVIDER || 'mock') {
+  switch (kind) {
+    case 'openai':
+      // The backend's /llm proxy holds the key and gets the signed-in user's token;
+      // a gateway of your own at VITE_LLM_BASE_URL handles its own auth
+      return openAiCompatibleProvider({
+        baseUrl: env.VITE_LLM_BASE_URL || `${backendUrl}/llm`,
+        model: env.VITE_LLM_MODEL || 'gpt-4o-mini',
+        token: env.VITE_LLM_BASE_URL ? null : accessToken,
+      })
+    case 'local':
+      return localProvider({
+        baseUrl: env.VITE_LLM_BASE_URL || 'http://localhost:11434',
+        model: env.VITE_LLM_MODEL || 'llama3.1',
+      })
+    case 'mock':
+      return mockProvider()
+    default:
+      throw new Error(`Unknown LLM provider "${kind}"`)
+  }
+}
@@ -0,0 +1,38 @@
+// Line-oriented readers for streaming HTTP responses
+
+async function* readLines(response, signal) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  try {
+    while (true) {
+      if (signal?.aborted) return
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+      for (const line of lines) yield line
+    }
+    if (buffer) yield buffer
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+// Server-Sent Events: yields the payload of every `data:` line until `[DONE]`
+export async function* readSseData(response, signal) {
+  for await (const line of readLines(response, signal)) {
+    if (!line.startsWith('data:')) continue
+    const data = line.slice(5).trim()
+    if (data === '[DONE]') return
+    if (data) yield data
+  }
+}
+
+// Newline-delimited JSON: yields one parsed object per non-empty line
+export async function* readNdjson(response, signal) {
+  for await (const line of readLines(response, signal)) {
+    if (line.trim()) yield JSON.parse(line)
+  }
+}
@@ -3,14 +3,33 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
+import Benchmark from './Benchmark'
+import NotFound from './components/NotFound'
+import AuthCallback from './components/AuthCallback'
+import MockIdp from './components/MockIdp'
+import { RequireAuth } from './components/SignIn'
+import { CALLBACK_PATH } from './api/auth'
+import { MOCK_DISCOVERY } from './api/mock/idp'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <Routes>
-        <Route path="/" element={<App />} />
+        {/* One App instance for all of these; it reads the selected task, step and planning session from the path */}
+        <Route element={<RequireAuth><App /></RequireAuth>}>
+          <Route index />
+          <Route path="tasks/:taskId" />
+          <Route path="tasks/:taskId/steps/:stepIndex" />
+          <Route path="plan/:sessionId" />
+          <Route path="analytics" />
+          <Route path="audit" />
+        </Route>
+        <Route path={CALLBACK_PATH} element={<AuthCallback />} />
+        <Route path={MOCK_DISCOVERY.authorization_endpoint} element={<MockIdp />} />
         <Route path="/test" element={<Test />} />
+        <Route path="/benchmark" element={<Benchmark />} />
+        <Route path="*" element={<NotFound />} />
       </Routes>
     </BrowserRouter>
   </React.StrictMode>,
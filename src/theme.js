@@ -0,0 +1,97 @@
+// Inline design system (2025)
+import { getModel } from './lib/models'
+
+export const palette = {
+  light: {
+    bg: '#0b1020', // used behind hero only
+    surface: '#ffffff',
+    surfaceMuted: '#f6f7fb',
+    card: '#ffffff',
+    text: '#0f1222',
+    textMuted: '#4b5563',
+    border: '#e5e7eb',
+    indigo: '#6366f1',
+    purple: '#8b5cf6',
+    green: '#22c55e',
+    amber: '#f59e0b',
+    red: '#ef4444',
+    cyan: '#22d3ee',
+  },
+  dark: {
+    bg: '#0b1020',
+    surface: '#0f162f',
+    surfaceMuted: '#0b122a',
+    card: '#121a38',
+    text: '#e5e7eb',
+    textMuted: '#9ca3af',
+    border: '#1f2a4a',
+    indigo: '#818cf8',
+    purple: '#a78bfa',
+    green: '#34d399',
+    amber: '#fbbf24',
+    red: '#f87171',
+    cyan: '#22d3ee',
+  },
+}
+
+export const base = {
+  radius: 12,
+  shadow: '0 10px 30px rgba(2,10,60,0.12)'
+}
+
+export const badgeColorByStatus = (status, theme) => {
+  const p = palette[theme]
+  switch (status) {
+    case 'running':
+      return { bg: `${p.indigo}22`, color: p.indigo, dot: p.indigo }
+    case 'queued':
+      return { bg: `${p.amber}22`, color: p.amber, dot: p.amber }
+    case 'complete':
+      return { bg: `${p.green}22`, color: p.green, dot: p.green }
+    case 'failed':
+      return { bg: `${p.red}22`, color: p.red, dot: p.red }
+    case 'paused':
+      return { bg: `${p.cyan}22`, color: p.cyan, dot: p.cyan }
+    case 'awaiting_approval':
+      return { bg: `${p.purple}22`, color: p.purple, dot: p.purple }
+    default:
+      return { bg: `${p.border}`, color: p.textMuted, dot: p.textMuted }
+  }
+}
+
+// Model colors come from the registry as palette keys, so they follow the theme
+export const llmColor = (llm, theme) => {
+  const p = palette[theme]
+  return p[getModel(llm)?.color] || p.indigo
+}
+
+export const dot = (color) => ({ display:'inline-block', width:8, height:8, borderRadius:999, background: color })
+
+export const pill = (active, theme) => {
+  const p = palette[theme]
+  return {
+    display:'inline-flex', alignItems:'center', gap:6,
+    padding:'6px 12px', borderRadius: 999, border: 'none',
+    background: active ? p.card : 'transparent', color: active ? p.text : '#fff',
+    cursor:'pointer', transition: 'background 200ms',
+  }
+}
+
+export const primarySolid = (p) => ({
+  display:'inline-flex', alignItems:'center', gap:6, cursor:'pointer',
+  padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.indigo}`, background: p.indigo, color:'#fff', fontWeight:600,
+})
+
+export const successSolid = (p) => ({
+  display:'inline-flex', alignItems:'center', gap:6, cursor:'pointer',
+  padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.green}`, background: p.green, color:'#0b1020', fontWeight:700,
+})
+
+export const primaryGhost = (p) => ({
+  display:'inline-flex', alignItems:'center', gap:6, cursor:'pointer',
+  padding:'10px 12px', borderRadius: 10, border:`1px solid ${p.border}`, background: 'transparent', color:p.text, fontWeight:600,
+})
+
+export const iconBtn = (p) => ({
+  display:'inline-flex', alignItems:'center', justifyContent:'center', width:36, height:36, borderRadius:10, border:`1px solid ${p.border}`, background: 'transparent', color: p.text
+})